@@ -2,49 +2,63 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { createAuth, hashPassword } = require('./lib/auth');
+const { ROLES, requirePermission, scopeResponses, hasPermission, canAccessResponse } = require('./lib/roles');
+const { validateQuestions } = require('./lib/answer-key');
+const { createAssessmentRegistry, validateAssessment } = require('./lib/assessments');
+const { resolveColumns, readFields, describeColumns } = require('./lib/columns');
+const { parseResponseQuery, queryResponses, filterResponses, describeQuery, formatFilters } = require('./lib/response-query');
+const { createResponseStore } = require('./lib/response-store');
+const { analyzeItems, GROUP_FRACTION } = require('./lib/item-analysis');
+const { summarizeResponses } = require('./lib/statistics');
+const { trendSeries, INTERVALS, DEFAULT_INTERVAL } = require('./lib/trends');
+const { scoreDistribution, validateBins, DEFAULT_BINS } = require('./lib/distribution');
+const { applyDuplicatePolicy, checkDataQuality, DEFAULT_DUPLICATE_POLICY } = require('./lib/data-quality');
+const { attemptHistory, retakeRules, retakeEligibility, certificateAttempt } = require('./lib/attempts');
+const { createCertificateStore, publicCertificate } = require('./lib/certificates');
+const { createEmployeeDirectory, parseDirectoryCsv, reconcileResponses, notAttempted } = require('./lib/employee-directory');
+const { renderCertificatePdf } = require('./lib/certificate-pdf');
+const { renderReportXlsx } = require('./lib/report-xlsx');
+const { renderReportPdf } = require('./lib/report-pdf');
+const { createEventHub } = require('./lib/events');
+const { createCache, etagOf } = require('./lib/cache');
+const { createSnapshotStore } = require('./lib/snapshots');
+const { loadConfig, describeConfig, isAllowedOrigin } = require('./lib/config');
+const { createTestSessionStore } = require('./lib/test-sessions');
+const { createQuestionBank, validateBankQuestion, validateQuestionEdit, generatePaper } = require('./lib/question-bank');
+const { scoringRules, matchFreeText, scoreItems, passCheck, describePassRule } = require('./lib/scoring');
+const { validateEvents, summarizeIntegrity } = require('./lib/proctoring');
+
+// Deployment settings from the environment and config.json (see lib/config.js); any invalid value stops startup
+const { config, errors: configErrors, file: configFile } = loadConfig();
+if (configErrors.length > 0) {
+  console.error('❌ Production: Invalid configuration - fix these settings and restart:');
+  configErrors.forEach(message => console.error(`   • ${message}`));
+  process.exit(1);
+}
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
-// Production URL for Render deployment
-const RENDER_URL = 'https://krishna-maruti-backend.onrender.com';
+// Public URL of this backend (Render deployment by default)
+const RENDER_URL = config.renderUrl;
+// Dashboard URL, used for certificate verification links
+const PUBLIC_APP_URL = config.publicAppUrl;
 
 // Enhanced CORS Configuration - Fixed for Production
 const corsOptions = {
   origin: function (origin, callback) {
     console.log('🌐 CORS Check - Origin:', origin);
     
-    const allowedOrigins = [
-      'https://krishna-maruti.vercel.app',
-      'https://krishna-maruti-backend.onrender.com',
-      // Allow all Vercel preview deployments
-      /^https:\/\/krishna-maruti.*\.vercel\.app$/,
-      // Allow all Render deployments
-      /^https:\/\/krishna-maruti-backend.*\.onrender\.com$/
-    ];
-    
     // Allow requests with no origin (mobile apps, Postman, etc.)
     if (!origin) {
       console.log('✅ CORS: No origin - allowing request');
       return callback(null, true);
     }
     
-    // Check exact matches
-    if (allowedOrigins.includes(origin)) {
-      console.log('✅ CORS: Exact match found for origin');
-      return callback(null, true);
-    }
-    
-    // Check regex patterns
-    const regexMatches = allowedOrigins.some(allowedOrigin => {
-      if (allowedOrigin instanceof RegExp) {
-        return allowedOrigin.test(origin);
-      }
-      return false;
-    });
-    
-    if (regexMatches) {
-      console.log('✅ CORS: Regex match found for origin');
+    // Exact origins and wildcard patterns from CORS_ORIGINS
+    if (isAllowedOrigin(config, origin)) {
+      console.log('✅ CORS: Origin is on the allow-list');
       return callback(null, true);
     }
     
@@ -62,9 +76,11 @@ const corsOptions = {
     'Accept',
     'Authorization', 
     'Cache-Control',
-    'X-HTTP-Method-Override'
+    'X-HTTP-Method-Override',
+    'If-None-Match',
+    'If-Modified-Since'
   ],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  exposedHeaders: ['Content-Length', 'Content-Disposition', 'X-Certificate-Number', 'ETag', 'Last-Modified'],
   optionsSuccessStatus: 200,
   preflightContinue: false
 };
@@ -82,19 +98,12 @@ app.use((req, res, next) => {
   // Always set basic CORS headers
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Allow-Methods', 'GET,PUT,POST,DELETE,OPTIONS,HEAD');
-  res.header('Access-Control-Allow-Headers', 'Origin,X-Requested-With,Content-Type,Accept,Authorization,Cache-Control,X-HTTP-Method-Override');
+  res.header('Access-Control-Allow-Headers', 'Origin,X-Requested-With,Content-Type,Accept,Authorization,Cache-Control,X-HTTP-Method-Override,If-None-Match,If-Modified-Since');
   res.header('Access-Control-Max-Age', '86400'); // Cache for 24 hours
   
   // Set specific origin if it's allowed
   if (origin) {
-    const allowedOrigins = [
-      'https://krishna-maruti.vercel.app',
-      'https://krishna-maruti-backend.onrender.com'
-    ];
-    
-    if (allowedOrigins.includes(origin) || 
-        /^https:\/\/krishna-maruti.*\.vercel\.app$/.test(origin) ||
-        /^https:\/\/krishna-maruti-backend.*\.onrender\.com$/.test(origin)) {
+    if (isAllowedOrigin(config, origin)) {
       res.header('Access-Control-Allow-Origin', origin);
       console.log('✅ CORS headers set for origin:', origin);
     }
@@ -120,21 +129,28 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ...existing code...
 
-// Google Sheets Configuration
-const SHEET_ID = '1yjOEf3aBN-MBKuUY1ypyrxRo5x2mqH3WAFZlz3aPbls';
-const SHEET_GID = '1666091753';
 
-// Global variables for data management
-let CORRECT_ANSWERS = [];
-let QUESTIONS = [];
+const DATA_DIR = config.dataDir;
+
+// Production caching system optimized for Render - one cache entry per assessment
+const CACHE_DURATION = config.cacheSeconds * 1000; // 15 minutes by default
+// After CACHE_DURATION, cached rows are still served for this long while they refresh in the background
+const CACHE_STALE_DURATION = config.cacheStaleSeconds * 1000;
+
+// While dashboards are connected to /api/events, data sources are re-fetched this often to spot new submissions
+const EVENTS_POLL_INTERVAL = config.eventsPollInterval * 1000;
+// Most submissions listed in one submission.created event
+const MAX_EVENT_SUBMISSIONS = 100;
 
-// Production caching system optimized for Render
-let CACHED_DATA = null;
-let CACHE_TIMESTAMP = null;
-const CACHE_DURATION = 15 * 60 * 1000; // 15 minutes cache for production
+// Data quality rules: known departments (comma-separated) and the employee ID format
+const DEPARTMENTS = config.departments;
+const EMPLOYEE_ID_PATTERN = config.employeeIdPattern;
 
-// Comprehensive fallback data for production reliability
-const FALLBACK_DATA = [
+// Sample data never stands in for a failing data source unless demo mode is on
+const DEMO_MODE = config.demoMode;
+
+// Sample responses for demo mode and the memory data source
+const SAMPLE_DATA = [
   ["Timestamp","Score","Full Name","Employee ID","Date of Birth (DD/MM/YYYY)","Department","1. Which law states that stress is proportional to strain within the elastic limit?","2. Which type of gear is used to transmit motion between intersecting shafts?","3. Which cycle is used in IC engines?","4. Unit of Power is?","5. The hardness test performed using diamond pyramid is called?","6. Which of the following is NOT a welding process?","7. In thermodynamics, the SI unit of entropy is?","8. Which metal is commonly used in aircraft manufacturing?","9. Which of the following is a non-destructive testing method?","10. The process of cooling a material rapidly to increase hardness is?"],
   ["8/16/2025 14:10:59","","Shubham Kumar","123","12/2/1995","IT","Hooke's Law","Bevel Gear","Otto Cycle","Watt","Vickers","CNC","J/K","Aluminium","X-Ray Inspection","Quenching"],
   ["8/16/2025 19:07:21","","Rajesh Sharma","456","13/02/1990","Mechanical","Hooke's Law","Bevel Gear","Otto Cycle","Watt","Mohs","CNC","J/K","Copper","X-Ray Inspection","Quenching"],
@@ -147,6 +163,128 @@ const FALLBACK_DATA = [
   ["8/20/2025 10:45:18","","Anita Desai","606","19/06/1995","R&D","Hooke's Law","Bevel Gear","Stirling Cycle","Watt","Brinell","Casting","J/K","Aluminium","Dye Penetrant","Hardening"]
 ];
 
+// Initial answer key for the Mechanical Employer Trainee test, used to seed the answer key store
+const DEFAULT_ANSWER_KEY = [
+  { question: 'Which law states that stress is proportional to strain within the elastic limit?', acceptedAnswers: ["Hooke's Law"] },
+  { question: 'Which type of gear is used to transmit motion between intersecting shafts?', acceptedAnswers: ['Bevel Gear'] },
+  { question: 'Which cycle is used in IC engines?', acceptedAnswers: ['Otto Cycle'] },
+  { question: 'Unit of Power is?', acceptedAnswers: ['Watt'] },
+  { question: 'The hardness test performed using diamond pyramid is called?', acceptedAnswers: ['Vickers'] },
+  { question: 'Which of the following is NOT a welding process?', acceptedAnswers: ['CNC'] },
+  { question: 'In thermodynamics, the SI unit of entropy is?', acceptedAnswers: ['J/K'] },
+  { question: 'Which metal is commonly used in aircraft manufacturing?', acceptedAnswers: ['Aluminium'] },
+  { question: 'Which of the following is a non-destructive testing method?', acceptedAnswers: ['X-Ray Inspection'] },
+  { question: 'The process of cooling a material rapidly to increase hardness is?', acceptedAnswers: ['Quenching'] }
+];
+
+// Assessments: each trade test has its own source, question count, answer key and pass mark.
+// The Mechanical test is seeded from the original single-sheet configuration.
+const assessments = createAssessmentRegistry({
+  filePath: config.assessmentsFile,
+  dataDir: DATA_DIR,
+  fixtureRows: SAMPLE_DATA,
+  defaultAssessments: [{
+    id: 'mechanical',
+    name: 'Mechanical Employer Trainee Test',
+    description: 'Mechanical Employer Trainee Test Results',
+    questionCount: 10,
+    passMark: config.passMark,
+    // Response data source: google-sheets (default), csv-file, json-file or memory
+    source: {
+      type: config.dataSource,
+      filePath: config.dataSourcePath,
+      sheetId: config.sheetId,
+      sheetGid: config.sheetGid
+    },
+    answerKeyFile: config.answerKeyFile,
+    defaultAnswerKey: DEFAULT_ANSWER_KEY
+  }]
+});
+
+// Scored responses persist in SQLite across restarts; each fetch from a data source is synced incrementally
+const responseStore = createResponseStore({
+  filePath: config.dbFile
+});
+
+const certificates = createCertificateStore({ filePath: responseStore.path });
+
+// Tests taken in the app (POST /api/attempts/...); submissions are recorded in the response store
+const testSessions = createTestSessionStore({ filePath: responseStore.path });
+
+// Multiple-choice questions that online papers are drawn from
+const questionBank = createQuestionBank({ filePath: responseStore.path });
+
+// Last-known-good source rows, kept next to the response store by default so one persistent disk holds both
+const snapshots = createSnapshotStore({ dir: config.snapshotDir });
+
+// Source rows (rows:<assessment>) plus values derived from them, such as scored responses and statistics.
+// Every fresh fetch precomputes the all-departments statistics so the next dashboard load is instant.
+const dataCache = createCache({
+  name: 'cache',
+  ttlMs: CACHE_DURATION,
+  staleMs: CACHE_STALE_DURATION,
+  onRefresh: (key) => {
+    const assessment = key.startsWith('rows:') ? assessments.get(key.slice('rows:'.length)) : null;
+    if (assessment) setImmediate(() => precomputeStatistics(assessment));
+  }
+});
+// Conditional GETs answered with 304 Not Modified
+const conditionalStats = { requests: 0, notModified: 0 };
+
+// Employee master imported from CSV; submissions are reconciled against it on read
+const employeeDirectory = createEmployeeDirectory({ filePath: responseStore.path });
+
+// Resolves ?assessment=<id> (or :assessmentId) to req.assessment, defaulting to the first assessment
+function resolveAssessment(req, res, next) {
+  const id = req.params.assessmentId || req.query.assessment || assessments.defaultId;
+  const assessment = assessments.get(String(id));
+  
+  if (!assessment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assessment not found',
+      message: `Production: Assessment '${id}' does not exist`,
+      availableAssessments: assessments.list().map(a => a.id)
+    });
+  }
+  
+  req.assessment = assessment;
+  next();
+}
+
+// Authentication: server-side user store and signed session tokens
+const auth = createAuth({
+  usersFile: config.usersFile,
+  secret: config.authSecret,
+  tokenTtl: config.authTokenTtl
+});
+const { requireAuth, requireStreamAuth } = auth;
+
+// Live updates for open dashboards (GET /api/events)
+const events = createEventHub();
+
+// Bootstrap the first administrator from the environment
+if (config.adminUsername && config.adminPassword && !auth.users.find(config.adminUsername)) {
+  auth.users.upsert({
+    username: config.adminUsername,
+    name: config.adminName || config.adminUsername,
+    employeeId: config.adminEmployeeId || null,
+    role: ROLES.ADMIN,
+    passwordHash: hashPassword(config.adminPassword)
+  });
+  console.log(`👤 Production: Created admin user '${config.adminUsername}' in ${auth.users.path}`);
+}
+
+// Live updates: submission.created, cache.refreshed and answerKey.updated, for one assessment
+app.get('/api/events', requireStreamAuth, requirePermission('responses:read'), resolveAssessment, (req, res) => {
+  console.log(`📡 Production [${req.assessment.id}]: '${req.user.username}' subscribed to events`);
+  events.subscribe(req, res, {
+    user: req.user,
+    assessmentId: req.assessment.id,
+    isActive: () => auth.isActive(req.user)
+  });
+});
+
 // Production health check endpoint
 app.get('/api/health', (req, res) => {
   const healthData = {
@@ -163,13 +301,15 @@ app.get('/api/health', (req, res) => {
     },
     config: {
       method: 'Production Render-Optimized CSV API',
-      sheetId: SHEET_ID,
-      sheetGid: SHEET_GID,
-      questionsLoaded: QUESTIONS.length,
-      correctAnswersLoaded: CORRECT_ANSWERS.length,
-      cacheStatus: CACHED_DATA ? 'Active' : 'Empty',
-      cacheAge: CACHE_TIMESTAMP ? Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000) : 0,
-      sheetUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`
+      defaultAssessment: assessments.defaultId,
+      assessments: assessments.list().map(assessment => ({
+        ...assessments.summaryOf(assessment),
+        questionsLoaded: assessment.questions.length,
+        cacheStatus: assessment.cache.rows ? 'Active' : 'Empty',
+        cacheAge: cacheAgeSeconds(assessment),
+        dataSource: assessment.cache.dataSource || null,
+        store: responseStore.status(assessment.id)
+      }))
     }
   };
   
@@ -195,257 +335,243 @@ app.get('/api/ping', (req, res) => {
   });
 });
 
+// Drops the assessment's rows and everything derived from them
+function clearAssessmentCache(assessment) {
+  assessment.cache = { rows: null, issues: [], timestamp: null, dataSource: null, storedOnly: false, sourceError: null };
+  return dataCache.clear(key => key.split(':')[1] === assessment.id);
+}
+
 // Production cache validation
-function isCacheValid() {
-  const isValid = CACHED_DATA && CACHE_TIMESTAMP && (Date.now() - CACHE_TIMESTAMP < CACHE_DURATION);
-  if (isValid) {
-    console.log(`✅ Production cache hit - Age: ${Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000)}s`);
-  } else {
-    console.log('⚠️ Production cache miss - Fetching fresh data');
-  }
-  return isValid;
+function isCacheValid(assessment) {
+  return dataCache.peek(`rows:${assessment.id}`).state === 'fresh';
+}
+
+function cacheAgeSeconds(assessment) {
+  return assessment.cache.timestamp ? Math.floor((Date.now() - assessment.cache.timestamp) / 1000) : 0;
+}
+
+// Production data fetching through the assessment's data source, stale-while-revalidate
+// force: skip the cache, e.g. when watching for new submissions
+async function fetchDataFromCSV(assessment, { force = false } = {}) {
+  const entry = await dataCache.get(`rows:${assessment.id}`, () => fetchSourceRows(assessment), { force });
+  const { rows, issues, fetchedAt, dataSource, storedOnly = false, sourceError = null } = entry.value;
+  assessment.cache = { rows, issues, timestamp: fetchedAt, dataSource, storedOnly, sourceError };
+  return rows;
 }
 
-// Production-optimized data fetching from Google Sheets
-async function fetchDataFromCSV() {
-  console.log('📥 Production: Fetching data from Google Sheets via Render...');
-  console.log('📊 Sheet ID:', SHEET_ID);
-  console.log('🏷️ Sheet GID:', SHEET_GID);
-  console.log('🌐 Render URL:', RENDER_URL);
+// -> { rows, issues, fetchedAt, dataSource: 'live' | 'snapshot' | 'sample' }; a snapshot or sample also carries
+// sourceError. Rejects only when the source fails and there is nothing else to serve.
+async function fetchSourceRows(assessment) {
+  const { dataSource } = assessment;
+  console.log(`📥 Production [${assessment.id}]: Fetching data from '${dataSource.type}' data source...`);
   
-  // Check production cache first
-  if (isCacheValid()) {
-    console.log('✅ Using production cached data for optimal performance');
-    return CACHED_DATA;
+  let result;
+  try {
+    const { rows, issues } = await dataSource.fetchRows();
+    if (!rows || rows.length <= 1) {
+      throw new Error(`'${dataSource.type}' data source returned no data rows`);
+    }
+    
+    result = { rows, issues, fetchedAt: Date.now(), dataSource: 'live' };
+    snapshots.save(assessment.id, result);
+    console.log(`💾 Production [${assessment.id}]: ${rows.length} rows from '${dataSource.type}' cached for ${CACHE_DURATION / 60000} minutes`);
+  } catch (error) {
+    console.log(`❌ Production [${assessment.id}]: '${dataSource.type}' data source failed: ${error.message}`);
+    result = fallbackRows(assessment, error);
   }
   
-  const csvUrls = [
-    `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${SHEET_GID}`,
-    `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=0`,
-    `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv`,
-    `https://docs.google.com/spreadsheets/d/${SHEET_ID}/gviz/tq?tqx=out:csv&gid=${SHEET_GID}`,
-  ];
+  announceCacheRefresh(assessment.id, result);
+  return result;
+}
+
+// What to serve while the data source fails, newest first: the snapshot file, the response store's
+// last sync, then sample data in demo mode
+function fallbackRows(assessment, error) {
+  const sourceError = error.message;
   
-  // Production fetch with dynamic import
-  let fetch;
-  try {
-    fetch = (await import('node-fetch')).default;
-    console.log('✅ Production node-fetch imported successfully');
-  } catch (error) {
-    console.log('❌ Production: node-fetch not available, using enhanced fallback data');
-    CACHED_DATA = FALLBACK_DATA;
-    CACHE_TIMESTAMP = Date.now();
-    return FALLBACK_DATA;
+  const snapshot = snapshots.load(assessment.id);
+  if (snapshot) {
+    console.log(`📸 Production [${assessment.id}]: Serving snapshot from ${new Date(snapshot.fetchedAt).toISOString()}`);
+    return { ...snapshot, dataSource: 'snapshot', sourceError };
   }
   
-  // Production-optimized fetching with longer timeouts
-  for (let i = 0; i < csvUrls.length; i++) {
-    try {
-      console.log(`🔗 Production attempt ${i + 1}/${csvUrls.length}: ${csvUrls[i]}`);
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => {
-        controller.abort();
-        console.log(`⏰ Production request ${i + 1} timed out after 20 seconds`);
-      }, 20000); // 20 second timeout for production
-      
-      const startTime = Date.now();
-      const response = await fetch(csvUrls[i], {
-        headers: {
-          'User-Agent': 'Krishna-Maruti-Production-Backend/4.0.0 (Render)',
-          'Accept': 'text/csv,application/csv,text/plain,*/*',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        },
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-      const requestTime = Date.now() - startTime;
-      
-      console.log(`📊 Production response ${i + 1}: ${response.status} ${response.statusText} (${requestTime}ms)`);
-      
-      if (response.ok) {
-        const csvData = await response.text();
-        console.log(`📄 Production CSV data received: ${csvData.length} characters`);
-        
-        if (csvData && csvData.length > 100 && !csvData.includes('<!DOCTYPE html')) {
-          const rows = parseCSV(csvData);
-          console.log(`✅ Production: Successfully parsed ${rows.length} rows from attempt ${i + 1}`);
-          
-          if (rows.length > 1) {
-            // Cache the successful result for production
-            CACHED_DATA = rows;
-            CACHE_TIMESTAMP = Date.now();
-            console.log('💾 Production data cached successfully for 15 minutes');
-            return rows;
-          }
-        } else {
-          console.log(`⚠️ Production: Invalid CSV data received (length: ${csvData.length})`);
-        }
-      } else {
-        console.log(`❌ Production request ${i + 1} failed: ${response.status} ${response.statusText}`);
-      }
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.log(`⏰ Production request ${i + 1} was aborted due to timeout`);
-      } else {
-        console.log(`❌ Production request ${i + 1} error: ${error.message}`);
-      }
-    }
+  // Stores synced before snapshots existed only have the scored responses and the header
+  const header = responseStore.header(assessment.id);
+  if (header) {
+    const { lastSyncAt } = responseStore.status(assessment.id);
+    console.log(`💾 Production [${assessment.id}]: Serving stored responses from ${lastSyncAt}`);
+    return { rows: [header], issues: [], fetchedAt: Date.parse(lastSyncAt) || Date.now(), dataSource: 'snapshot', storedOnly: true, sourceError };
+  }
+  
+  if (DEMO_MODE) {
+    console.log(`🎭 Production [${assessment.id}]: Demo mode - serving sample data`);
+    return { rows: SAMPLE_DATA, issues: [], fetchedAt: Date.now(), dataSource: 'sample', sourceError };
   }
   
-  // Production fallback
-  console.log('⚠️ Production: All CSV fetch attempts failed, using enhanced fallback data');
-  CACHED_DATA = FALLBACK_DATA;
-  CACHE_TIMESTAMP = Date.now();
-  return FALLBACK_DATA;
+  throw new Error(`No data available: the '${assessment.dataSource.type}' data source failed (${sourceError}) ` +
+    'and there is no snapshot yet. Set DEMO_MODE=true to serve sample data instead.');
 }
 
-// Production CSV parsing
-function parseCSV(csvData) {
-  try {
-    console.log('🔍 Production: Starting CSV parsing...');
-    const lines = csvData.split('\n').filter(line => line.trim());
-    console.log(`📝 Production: Processing ${lines.length} lines after filtering`);
-    
-    const rows = [];
-    let parsedLines = 0;
-    
-    for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-      const line = lines[lineIndex];
-      const row = [];
-      let current = '';
-      let inQuotes = false;
-      let i = 0;
-      
-      while (i < line.length) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-        
-        if (char === '"' && !inQuotes) {
-          inQuotes = true;
-        } else if (char === '"' && inQuotes) {
-          if (nextChar === '"') {
-            current += '"';
-            i++;
-          } else {
-            inQuotes = false;
-          }
-        } else if (char === ',' && !inQuotes) {
-          row.push(current.trim());
-          current = '';
-        } else {
-          current += char;
-        }
-        i++;
-      }
-      
-      row.push(current.trim());
-      
-      if (row.length >= 6) {
-        rows.push(row);
-        parsedLines++;
-        
-        if (lineIndex === 0) {
-          console.log('📋 Production header row:', row.slice(0, 6).join(' | '));
-        } else if (lineIndex === 1) {
-          console.log('👤 Production first employee:', row.slice(2, 6).join(' | '));
-        }
-      } else if (lineIndex > 0) {
-        console.log(`⚠️ Production: Skipping line ${lineIndex + 1} - only ${row.length} columns`);
-      }
+// Where the served data came from and how old it is; included in data endpoint metadata
+function dataFreshness(assessment) {
+  const { dataSource = null, timestamp, sourceError = null } = assessment.cache;
+  return {
+    dataSource,
+    fetchedAt: timestamp ? new Date(timestamp).toISOString() : null,
+    ageSeconds: cacheAgeSeconds(assessment),
+    sourceError
+  };
+}
+
+function announceCacheRefresh(assessmentId, { rows, issues, fetchedAt, dataSource }) {
+  events.publish('cache.refreshed', {
+    assessment: assessmentId,
+    rows: Math.max(rows.length - 1, 0),
+    malformedRows: issues.length,
+    dataSource,
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    refreshedAt: new Date().toISOString()
+  }, { assessmentId });
+}
+
+// New rows found by a sync; department heads only hear about their own department
+function announceSubmissions(assessment, responses) {
+  events.publish('submission.created', null, {
+    assessmentId: assessment.id,
+    scope: user => {
+      const visible = scopeResponses(user, responses);
+      if (visible.length === 0) return null;
+      return {
+        assessment: assessment.id,
+        count: visible.length,
+        submissions: visible.slice(0, MAX_EVENT_SUBMISSIONS).map(response => ({
+          responseKey: response.responseKey,
+          fullName: response.fullName,
+          employeeId: response.employeeId,
+          department: response.department,
+          score: response.score,
+          passed: response.passed,
+          submissionDate: response.submissionDate
+        }))
+      };
     }
-    
-    console.log(`✅ Production CSV parsing completed: ${parsedLines} valid rows from ${lines.length} lines`);
-    return rows;
-    
-  } catch (error) {
-    console.error('❌ Production CSV parsing error:', error);
-    throw new Error(`Production CSV parsing failed: ${error.message}`);
-  }
+  });
 }
 
-// Production initialization
-function initializeCorrectAnswers(rows) {
-  if (!rows || rows.length < 2) {
-    console.log('⚠️ Production: Insufficient data for initialization - need header + at least 1 data row');
+// Production initialization - columns are mapped by header name and question text comes from the header
+function initializeQuestions(assessment, rows) {
+  if (!rows || rows.length < 1) {
+    console.log('⚠️ Production: Insufficient data for initialization - need a header row');
     return false;
   }
   
   const headerRow = rows[0];
-  const firstEmployeeRow = rows[1];
   
-  console.log('📋 Production: Initializing from data:');
+  console.log(`📋 Production [${assessment.id}]: Initializing from data:`);
   console.log(`   Header columns: ${headerRow.length}`);
-  console.log(`   First employee: ${firstEmployeeRow[2]} (${firstEmployeeRow[3]})`);
   
-  const questionStartCol = 6;
-  const maxQuestions = Math.min(10, headerRow.length - questionStartCol);
+  const columnMap = resolveColumns(headerRow, assessment.columns);
+  columnMap.missing.forEach(message => console.log(`❌ Production [${assessment.id}]: ${message}`));
+  columnMap.questions = columnMap.questions.slice(0, assessment.questionCount);
+  assessment.columnMap = columnMap;
   
   // Extract questions from header
-  QUESTIONS = headerRow.slice(questionStartCol, questionStartCol + maxQuestions).map(q => {
-    return q.replace(/^\d+\.\s*/, '').trim();
+  assessment.questions = columnMap.questions.map(index => {
+    return headerRow[index].replace(/^\d+\.\s*/, '').trim();
   });
   
-  // Extract correct answers from first employee
-  CORRECT_ANSWERS = firstEmployeeRow.slice(questionStartCol, questionStartCol + maxQuestions).map(answer => answer?.trim() || '');
-  
+  const key = assessment.answerKey.current();
   console.log('✅ Production initialization completed:');
-  console.log(`   📝 Questions loaded: ${QUESTIONS.length}`);
-  console.log(`   ✔️ Correct answers loaded: ${CORRECT_ANSWERS.length}`);
-  console.log(`   👨‍💼 Reference employee: ${firstEmployeeRow[2]} (ID: ${firstEmployeeRow[3]})`);
-  
-  // Production sample Q&A logging
-  if (QUESTIONS.length > 0) {
-    console.log('🔍 Production sample Questions & Answers:');
-    for (let i = 0; i < Math.min(3, QUESTIONS.length); i++) {
-      const shortQ = QUESTIONS[i].length > 50 ? QUESTIONS[i].substring(0, 50) + '...' : QUESTIONS[i];
-      console.log(`   Q${i + 1}: ${shortQ} → ${CORRECT_ANSWERS[i]}`);
-    }
-  }
-  
-  return QUESTIONS.length > 0 && CORRECT_ANSWERS.length > 0;
-}
-
-// Production answer validation
-function isAnswerCorrect(userAnswer, questionIndex) {
-  if (questionIndex >= CORRECT_ANSWERS.length || !userAnswer) return false;
+  console.log(`   📝 Questions loaded: ${assessment.questions.length}`);
+  console.log(`   🔑 Answer key: version ${key.version} (${key.questions.length} questions)`);
   
-  const normalizedUserAnswer = userAnswer.toLowerCase().trim();
-  const normalizedCorrectAnswer = CORRECT_ANSWERS[questionIndex].toLowerCase().trim();
+  if (key.questions.length !== assessment.questions.length) {
+    console.log(`⚠️ Production: Answer key covers ${key.questions.length} questions but the sheet has ${assessment.questions.length}`);
+  }
   
-  return normalizedUserAnswer === normalizedCorrectAnswer;
+  return columnMap.missing.length === 0 && assessment.questions.length > 0;
 }
 
 // Production response mapping
-function mapRowToTestResponse(row, isFirstEmployee = false) {
-  if (!row || row.length < 6) {
+function mapRowToTestResponse(assessment, row) {
+  if (!row || !assessment.columnMap) {
     return null;
   }
   
-  const timestamp = row[0] || '';
-  const scoreFromSheet = row[1] || '';
-  const fullName = row[2]?.trim() || '';
-  const employeeId = row[3]?.trim() || '';
-  const dateOfBirth = row[4]?.trim() || '';
-  const department = row[5]?.trim() || '';
-  
-  if (!fullName) {
+  const fields = readFields(row, assessment.columnMap);
+  if (!fields.fullName) {
     return null;
   }
   
-  const questionStartCol = 6;
-  const userAnswers = row.slice(questionStartCol, questionStartCol + QUESTIONS.length);
-  
-  const answers = userAnswers.map((answer, index) => ({
-    questionIndex: index,
-    selectedAnswer: answer?.trim() || '',
-    isCorrect: isFirstEmployee ? true : isAnswerCorrect(answer?.trim() || '', index)
-  }));
+  return buildTestResponse(assessment, fields, scoreAnswers(assessment, assessment.columnMap.questions.map(index => row[index])));
+}
+
+// Free-text answers, one per question, matched against the answer key: accepted answers and their
+// spelling variants earn full credit, partialCredit answers their share of the question's weight
+function scoreAnswers(assessment, userAnswers) {
+  const rules = scoringRules(assessment);
+  return userAnswers.map((answer, index) => {
+    const question = assessment.answerKey.question(index);
+    return {
+      questionIndex: index,
+      selectedAnswer: answer?.trim() || '',
+      ...matchFreeText(answer, question, rules),
+      weight: question.weight,
+      topic: question.topic
+    };
+  });
+}
+
+// Multiple-choice answers to a paper drawn from the question bank, checked against the bank's current
+// correct option. selectedOptions[i] is the bank index of the option chosen for paper question i, or null.
+function scoreBankAnswers(questionIds, selectedOptions) {
+  return questionIds.map((questionId, index) => {
+    const question = questionBank.find(questionId);
+    const selected = selectedOptions[index];
+    const answered = !!question && Number.isInteger(selected);
+    const correct = answered && selected === question.correctOption;
+    return {
+      questionIndex: index,
+      questionId,
+      topic: question?.topic,
+      selectedAnswer: answered ? question.options[selected] || '' : '',
+      credit: correct ? 1 : 0,
+      match: correct ? 'exact' : answered ? 'wrong' : 'blank',
+      weight: question?.weight
+    };
+  });
+}
+
+// Question text and accepted answers behind a scored answer. Bank papers are shuffled per candidate,
+// so their answers name the question they came from; sheet answers line up with the answer key.
+function answeredQuestion(assessment, answer, index) {
+  if (answer.questionId) {
+    const question = questionBank.find(answer.questionId);
+    return {
+      question: question?.text || `Question ${index + 1}`,
+      acceptedAnswers: question ? [question.options[question.correctOption]] : []
+    };
+  }
+  return {
+    question: assessment.questions[index],
+    acceptedAnswers: assessment.answerKey.acceptedAnswers(index)
+  };
+}
+
+// Builds the scored response for one submission, from a sheet row or a test taken in the app.
+// fields: { timestamp, score, fullName, employeeId, dateOfBirth, department },
+// items: one per question with its credit, weight and topic (see lib/scoring.js)
+function buildTestResponse(assessment, fields, items) {
+  const {
+    timestamp,
+    score: scoreFromSheet,
+    fullName,
+    employeeId,
+    dateOfBirth,
+    department
+  } = fields;
   
-  const calculatedScore = answers.filter(a => a.isCorrect).length;
+  const { answers, score, maxScore, percentage, correctCount, breakdown } = scoreItems(items, scoringRules(assessment));
   
   let submissionDate;
   try {
@@ -458,29 +584,251 @@ function mapRowToTestResponse(row, isFirstEmployee = false) {
   }
   
   return {
+    assessmentId: assessment.id,
     fullName,
     employeeId,
     dateOfBirth,
     department,
-    score: calculatedScore,
+    score,
+    maxScore,
+    percentage,
+    correctCount,
+    breakdown,
     answers,
     submissionDate,
     originalScore: scoreFromSheet,
     timestamp,
-    isReferenceEmployee: isFirstEmployee
+    answerKeyVersion: assessment.answerKey.current().version
   };
 }
 
+// Store identity of a sheet row: submission timestamp + employee ID
+function responseKeyOf(assessment, row) {
+  if (!row || !assessment.columnMap) {
+    return null;
+  }
+  const { timestamp, fullName, employeeId } = readFields(row, assessment.columnMap);
+  if (!fullName) {
+    return null;
+  }
+  return { responseKey: `${timestamp}|${employeeId}`, employeeId, submittedAt: timestamp };
+}
+
+// Stored scores are reused only while the answer key version, question count, column mapping and
+// scoring rules are unchanged
+function scoringSignature(assessment) {
+  const { fields, questions } = assessment.columnMap;
+  return `key-v${assessment.answerKey.current().version}/q${assessment.questions.length}` +
+    `/cols-${Object.values(fields).join(',')};${questions.join(',')}/rules-${rulesSignature(assessment)}`;
+}
+
+// Online submissions don't depend on sheet columns, only on the answer key, question count, question bank
+// and scoring rules
+function onlineScoringSignature(assessment) {
+  return `key-v${assessment.answerKey.current().version}/q${assessment.questionCount}` +
+    `/bank-${questionBank.version(assessment.id)}/rules-${rulesSignature(assessment)}`;
+}
+
+function rulesSignature(assessment) {
+  const { negativeMarking, fuzzyMatching } = scoringRules(assessment);
+  return `${negativeMarking},${fuzzyMatching}`;
+}
+
+// Scores a stored online submission: { fields, answers } for free-text papers,
+// { fields, questionIds, answers } for papers drawn from the question bank
+function scoreOnlineRow(assessment, row) {
+  const answers = row.questionIds
+    ? scoreBankAnswers(row.questionIds, row.answers)
+    : scoreAnswers(assessment, row.answers);
+  return buildTestResponse(assessment, row.fields, answers);
+}
+
+// Responses that count: one attempt per employee, chosen by the assessment's duplicate policy
+async function loadResponses(assessment) {
+  const responses = await loadAllResponses(assessment);
+  return dataCache.memo(`counted:${assessment.id}`, dataVersion(assessment),
+    () => applyDuplicatePolicy(responses, assessment.duplicatePolicy));
+}
+
+// Every scored response for an assessment, reconciled against the employee directory
+async function loadAllResponses(assessment, options) {
+  const scored = await loadScoredResponses(assessment, options);
+  return dataCache.memo(`reconciled:${assessment.id}`, dataVersion(assessment),
+    () => reconcileResponses(scored, employeeDirectory, DEPARTMENTS));
+}
+
+// Changes whenever anything the served responses depend on changes: source rows, scoring, pass mark,
+// duplicate policy or the employee directory. Derived cache entries and ETags are keyed on it.
+function dataVersion(assessment) {
+  return [
+    assessment.cache.timestamp,
+    assessment.cache.dataSource,
+    assessment.syncState?.signature,
+    assessment.passMark,
+    JSON.stringify(assessment.passRule || null),
+    assessment.duplicatePolicy,
+    employeeDirectory.version,
+    responseStore.version(assessment.id)
+  ].join('|');
+}
+
+// Only the roles that maintain the answer key see it; the others get scores and the candidates' answers
+function canSeeAnswerKey(user) {
+  return hasPermission(user, 'answer-key:write');
+}
+
+// Statistics are shared by every user with the same department scope
+function scopeKeyOf(user) {
+  return hasPermission(user, 'responses:read-all-departments') ? 'all' : `department-${String(user.department || '').toLowerCase()}`;
+}
+
+function statisticsFor(assessment, user, responses) {
+  return dataCache.memo(`stats:${assessment.id}:${scopeKeyOf(user)}`, dataVersion(assessment),
+    () => summarizeResponses(responses, assessment.questionCount));
+}
+
+// Runs after each fetch from the data source, so the next dashboard load finds its statistics ready
+async function precomputeStatistics(assessment) {
+  try {
+    const responses = await loadResponses(assessment);
+    dataCache.memo(`stats:${assessment.id}:all`, dataVersion(assessment),
+      () => summarizeResponses(responses, assessment.questionCount));
+  } catch (error) {
+    console.log(`⚠️ Production [${assessment.id}]: Precomputing statistics failed: ${error.message}`);
+  }
+}
+
+// Conditional GET support for data endpoints (after resolveAssessment). The ETag covers the data version,
+// the assessment settings, the user and the URL; a matching If-None-Match or If-Modified-Since gets 304.
+const versionSince = new Map();
+async function conditionalGet(req, res, next) {
+  const { assessment } = req;
+  try {
+    await loadAllResponses(assessment);
+  } catch (error) {
+    // The route handler reports the failure
+    return next();
+  }
+  
+  const version = dataVersion(assessment);
+  if (versionSince.get(assessment.id)?.version !== version) {
+    // HTTP dates have one-second precision
+    versionSince.set(assessment.id, { version, since: new Date(Math.floor(Date.now() / 1000) * 1000) });
+  }
+  
+  conditionalStats.requests++;
+  res.set('ETag', etagOf(version, assessments.summaryOf(assessment), req.user.username, req.originalUrl));
+  res.set('Last-Modified', versionSince.get(assessment.id).since.toUTCString());
+  res.set('Cache-Control', 'private, no-cache');
+  
+  if (req.fresh) {
+    conditionalStats.notModified++;
+    return res.status(304).end();
+  }
+  next();
+}
+
+// Configured departments plus any the employee directory adds
+function knownDepartments() {
+  const known = new Set(DEPARTMENTS.map(department => department.toLowerCase()));
+  return [...DEPARTMENTS, ...employeeDirectory.departments().filter(department => !known.has(department.toLowerCase()))];
+}
+
+// Every scored response for an assessment, read from the response store after an incremental sync
+async function loadScoredResponses(assessment, options) {
+  const rows = await fetchDataFromCSV(assessment, options);
+  
+  // Never persist sample data
+  if (assessment.cache.dataSource === 'sample') {
+    return withPassStatus(assessment, processSheetData(assessment, rows));
+  }
+  
+  if (!initializeQuestions(assessment, rows)) {
+    return [];
+  }
+  
+  const signature = scoringSignature(assessment);
+  const { syncState, cache } = assessment;
+  let newKeys = null;
+  // A header-only snapshot from the store has nothing to sync; its responses are already stored
+  if (!cache.storedOnly && (!syncState || syncState.fetchedAt !== cache.timestamp || syncState.signature !== signature)) {
+    // The first sync into an empty store imports history, it isn't news
+    const initialImport = !responseStore.header(assessment.id);
+    const result = responseStore.sync(assessment.id, {
+      rows,
+      keyOf: row => responseKeyOf(assessment, row),
+      score: row => mapRowToTestResponse(assessment, row),
+      scoringSignature: signature
+    });
+    assessment.syncState = { fetchedAt: assessment.cache.timestamp, signature, result };
+    console.log(`💾 Production [${assessment.id}]: Synced ${rows.length - 1} rows in ${result.durationMs}ms - ` +
+      `${result.inserted} new, ${result.updated} changed, ${result.rescored} rescored, ` +
+      `${result.unchanged} unchanged, ${result.removed} removed`);
+    if (!initialImport && result.insertedKeys.length > 0) {
+      newKeys = new Set(result.insertedKeys);
+    }
+  }
+  
+  const rescored = responseStore.rescoreOnline(assessment.id, {
+    score: row => scoreOnlineRow(assessment, row),
+    scoringSignature: onlineScoringSignature(assessment)
+  });
+  if (rescored > 0) {
+    console.log(`💾 Production [${assessment.id}]: Rescored ${rescored} online submission(s)`);
+  }
+  
+  const scoredVersion = [assessment.cache.timestamp, signature, assessment.passMark, JSON.stringify(assessment.passRule || null),
+    responseStore.version(assessment.id)].join('|');
+  const responses = dataCache.memo(`scored:${assessment.id}`, scoredVersion,
+    () => withPassStatus(assessment, responseStore.list(assessment.id)));
+  if (newKeys) {
+    announceSubmissions(assessment,
+      reconcileResponses(responses.filter(r => newKeys.has(r.responseKey)), employeeDirectory, DEPARTMENTS));
+  }
+  return responses;
+}
+
+// Re-fetches assessments whose data is older than EVENTS_POLL_INTERVAL, but only while someone is listening
+function startSubmissionWatcher() {
+  let running = false;
+  setInterval(async () => {
+    if (running || events.clientCount === 0) return;
+    running = true;
+    try {
+      for (const assessment of assessments.list()) {
+        const { timestamp } = assessment.cache;
+        if (!timestamp || Date.now() - timestamp >= EVENTS_POLL_INTERVAL) {
+          await loadScoredResponses(assessment, { force: true });
+        }
+      }
+    } catch (error) {
+      console.log('⚠️ Production submission watcher failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, Math.min(EVENTS_POLL_INTERVAL, 15 * 1000));
+  
+  console.log(`✅ Production submission watcher started (${EVENTS_POLL_INTERVAL / 1000}s refresh while dashboards are connected)`);
+}
+
+// Pass rules can change without a re-score, so pass/fail is applied on read
+function withPassStatus(assessment, responses) {
+  return responses.map(response => {
+    const { passed, reasons } = passCheck(assessment, response);
+    return { ...response, passed, passReasons: reasons };
+  });
+}
+
 // Production data processing
-function processSheetData(rows) {
+function processSheetData(assessment, rows) {
   if (!rows || rows.length <= 1) {
     console.log('⚠️ Production: No data rows available for processing');
     return [];
   }
   
-  console.log(`🔄 Production: Processing ${rows.length} total rows (including header)`);
+  console.log(`🔄 Production [${assessment.id}]: Processing ${rows.length} total rows (including header)`);
   
-  const initialized = initializeCorrectAnswers(rows);
+  const initialized = initializeQuestions(assessment, rows);
   if (!initialized) {
     console.log('❌ Production: Failed to initialize - cannot process data');
     return [];
@@ -491,13 +839,12 @@ function processSheetData(rows) {
   
   for (let i = 0; i < dataRows.length; i++) {
     const row = dataRows[i];
-    const isFirstEmployee = i === 0;
-    const testResponse = mapRowToTestResponse(row, isFirstEmployee);
+    const testResponse = mapRowToTestResponse(assessment, row);
     
     if (testResponse) {
       testResponses.push(testResponse);
       if (i < 3) { // Log first 3 for production debugging
-        console.log(`   👤 ${testResponse.fullName}: ${testResponse.score}/${QUESTIONS.length} (${testResponse.department})`);
+        console.log(`   👤 ${testResponse.fullName}: ${testResponse.score}/${testResponse.maxScore} (${testResponse.department})`);
       }
     }
   }
@@ -508,35 +855,78 @@ function processSheetData(rows) {
 
 // Production API Endpoints
 
-app.get('/api/test-connection', async (req, res) => {
+app.post('/api/auth/login', (req, res) => {
+  const { username, password } = req.body || {};
+  
+  if (!username || !password) {
+    return res.status(400).json({
+      success: false,
+      error: 'Username and password are required'
+    });
+  }
+  
+  const session = auth.login(username, password);
+  if (!session) {
+    console.log(`🔒 Production: Failed login attempt for '${username}'`);
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid username or password'
+    });
+  }
+  
+  console.log(`🔓 Production: '${session.user.username}' logged in`);
+  res.json({
+    success: true,
+    data: session
+  });
+});
+
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  auth.logout(req.user);
+  events.closeInactive();
+  console.log(`👋 Production: '${req.user.username}' logged out`);
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+});
+
+app.get('/api/test-connection', requireAuth, resolveAssessment, async (req, res) => {
+  const { assessment } = req;
   try {
     console.log('🧪 Production: Testing connection from Render deployment...');
     const startTime = Date.now();
     
-    const rows = await fetchDataFromCSV();
-    const initialized = initializeCorrectAnswers(rows);
+    const rows = await fetchDataFromCSV(assessment);
+    initializeQuestions(assessment, rows);
     
     const responseTime = Date.now() - startTime;
+    const { dataSource } = assessment.cache;
     
     res.json({
       success: true,
-      message: 'Production connection successful from Render',
+      message: dataSource === 'live'
+        ? 'Production connection successful from Render'
+        : `Production data source unavailable - serving ${dataSource} data`,
       responseTime: `${responseTime}ms`,
       details: {
         method: 'Production Render-Optimized CSV API',
         renderUrl: RENDER_URL,
-        sheetId: SHEET_ID,
-        sheetGid: SHEET_GID,
+        assessment: assessment.id,
+        dataSource: assessment.dataSource.describe(),
         totalRows: rows.length,
-        headerRow: rows[0]?.slice(0, 6) || [],
-        firstEmployeeData: rows[1]?.slice(0, 6) || [],
-        questionsExtracted: QUESTIONS.length,
-        correctAnswersExtracted: CORRECT_ANSWERS.length,
-        referenceEmployee: rows[1]?.[2] || 'Unknown',
-        cacheStatus: isCacheValid() ? 'Hit' : 'Miss',
-        cacheAge: CACHE_TIMESTAMP ? Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000) : 0,
-        sheetUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`,
-        csvUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${SHEET_GID}`
+        columns: assessment.columnMap ? describeColumns(rows[0], assessment.columnMap) : null,
+        // Which fields the first response fills in - never the values, as any signed-in role can call this
+        firstRowFieldsPresent: rows[1] && assessment.columnMap
+          ? Object.fromEntries(Object.entries(readFields(rows[1], assessment.columnMap)).map(([field, value]) => [field, value !== '']))
+          : null,
+        malformedRows: assessment.cache.issues || [],
+        questionsExtracted: assessment.questions.length,
+        answerKeyVersion: assessment.answerKey.current().version,
+        answerKeyQuestions: assessment.answerKey.current().questions.length,
+        freshness: dataFreshness(assessment),
+        cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss',
+        cacheAge: cacheAgeSeconds(assessment)
       }
     });
 
@@ -549,41 +939,56 @@ app.get('/api/test-connection', async (req, res) => {
       renderUrl: RENDER_URL,
       timestamp: new Date().toISOString(),
       config: {
-        sheetId: SHEET_ID,
-        sheetGid: SHEET_GID
+        assessment: assessment.id,
+        dataSource: assessment.dataSource.describe()
       }
     });
   }
 });
 
-app.get('/api/test-responses', async (req, res) => {
+app.get('/api/test-responses', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  
+  const { query, error: queryError } = parseResponseQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: queryError
+    });
+  }
+  
   try {
     console.log('📊 Production: Fetching test responses via Render...');
     const startTime = Date.now();
     
-    const rows = await fetchDataFromCSV();
-    const testResponses = processSheetData(rows);
+    const testResponses = scopeResponses(req.user, await loadResponses(assessment));
+    const result = queryResponses(testResponses, query);
     
     const responseTime = Date.now() - startTime;
 
     res.json({
       success: true,
-      data: testResponses,
-      totalCount: testResponses.length,
+      data: result.items,
+      totalCount: result.pagination.totalCount,
+      pagination: result.pagination,
+      counts: result.counts,
+      filters: describeQuery(query),
       responseTime: `${responseTime}ms`,
       timestamp: new Date().toISOString(),
-      cacheStatus: isCacheValid() ? 'Hit' : 'Miss',
+      cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss',
       metadata: {
         method: 'Production Render-Optimized CSV',
         renderUrl: RENDER_URL,
-        sheetId: SHEET_ID,
-        sheetGid: SHEET_GID,
-        totalRows: rows.length,
+        assessment: assessment.id,
+        passMark: assessment.passMark,
+        passRule: describePassRule(assessment),
+        dataSource: assessment.dataSource.describe(),
+        freshness: dataFreshness(assessment),
+        totalRows: assessment.cache.rows?.length || 0,
         processedRows: testResponses.length,
-        referenceEmployee: testResponses[0]?.fullName || 'Unknown',
-        questionsFromHeader: QUESTIONS.length,
-        answersFromFirstEmployee: CORRECT_ANSWERS.length,
-        sheetUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`
+        questionsFromHeader: assessment.questions.length,
+        answerKeyVersion: assessment.answerKey.current().version
       }
     });
 
@@ -599,13 +1004,15 @@ app.get('/api/test-responses', async (req, res) => {
   }
 });
 
-app.get('/api/dashboard-stats', async (req, res) => {
+app.get('/api/dashboard-stats', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
   try {
     console.log('📈 Production: Generating dashboard statistics via Render...');
     const startTime = Date.now();
     
-    const rows = await fetchDataFromCSV();
-    const testResponses = processSheetData(rows);
+    const testResponses = scopeResponses(req.user, await loadResponses(assessment));
+    // The dashboard pages through /api/test-responses and skips the full response list
+    const includeResponses = req.query.includeResponses !== 'false';
     
     if (testResponses.length === 0) {
       return res.json({
@@ -617,12 +1024,17 @@ app.get('/api/dashboard-stats', async (req, res) => {
           averageScore: 0,
           departments: [],
           departmentStats: [],
+          scoreDistribution: [],
           responses: [],
-          referenceEmployee: null,
           metadata: {
             renderUrl: RENDER_URL,
-            sheetId: SHEET_ID,
-            sheetGid: SHEET_GID,
+            assessment: assessment.id,
+            assessmentName: assessment.name,
+            passMark: assessment.passMark,
+            passRule: describePassRule(assessment),
+            totalQuestions: assessment.questionCount,
+            dataSource: assessment.dataSource.describe(),
+            freshness: dataFreshness(assessment),
             message: 'No production data available',
             cacheStatus: 'Empty'
           }
@@ -630,54 +1042,32 @@ app.get('/api/dashboard-stats', async (req, res) => {
       });
     }
 
-    // Production statistics calculation
-    const totalResponses = testResponses.length;
-    const passedCount = testResponses.filter(r => r.score >= 6).length;
-    const failedCount = totalResponses - passedCount;
-    const averageScore = testResponses.reduce((sum, r) => sum + r.score, 0) / totalResponses;
-    const departments = [...new Set(testResponses.map(r => r.department).filter(d => d))];
-
-    // Production department statistics
-    const departmentStats = departments.map(dept => {
-      const deptResponses = testResponses.filter(r => r.department === dept);
-      const deptPassed = deptResponses.filter(r => r.score >= 6).length;
-      const deptAverage = deptResponses.reduce((sum, r) => sum + r.score, 0) / deptResponses.length;
-      
-      return {
-        name: dept,
-        totalCandidates: deptResponses.length,
-        passed: deptPassed,
-        failed: deptResponses.length - deptPassed,
-        averageScore: Math.round(deptAverage * 10) / 10,
-        passPercentage: Math.round((deptPassed / deptResponses.length) * 100)
-      };
-    });
+    // Production statistics calculation, shared by users with the same department scope
+    const summary = statisticsFor(assessment, req.user, testResponses);
 
     const responseTime = Date.now() - startTime;
 
     const stats = {
-      totalResponses,
-      passedCount,
-      failedCount,
-      averageScore: Math.round(averageScore * 10) / 10,
-      passPercentage: Math.round((passedCount / totalResponses) * 100),
-      departments,
-      departmentStats,
-      responses: testResponses,
-      referenceEmployee: testResponses[0],
+      ...summary,
+      responses: includeResponses ? testResponses : undefined,
       metadata: {
         method: 'Production Render-Optimized Dashboard',
         renderUrl: RENDER_URL,
+        accessScope: req.user.role === ROLES.DEPARTMENT_HEAD ? req.user.department : 'all',
         responseTime: `${responseTime}ms`,
-        sheetId: SHEET_ID,
-        sheetGid: SHEET_GID,
-        questions: QUESTIONS,
-        correctAnswers: CORRECT_ANSWERS,
-        referenceEmployeeName: testResponses[0]?.fullName || 'Unknown',
-        sheetUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`,
-        totalQuestions: QUESTIONS.length,
-        cacheStatus: isCacheValid() ? 'Hit' : 'Miss',
-        cacheAge: CACHE_TIMESTAMP ? Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000) : 0,
+        assessment: assessment.id,
+        assessmentName: assessment.name,
+        passMark: assessment.passMark,
+        passRule: describePassRule(assessment),
+        duplicatePolicy: assessment.duplicatePolicy || DEFAULT_DUPLICATE_POLICY,
+        dataSource: assessment.dataSource.describe(),
+        freshness: dataFreshness(assessment),
+        questions: assessment.questions,
+        correctAnswers: canSeeAnswerKey(req.user) ? assessment.answerKey.correctAnswers() : undefined,
+        answerKeyVersion: assessment.answerKey.current().version,
+        totalQuestions: assessment.questions.length,
+        cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss',
+        cacheAge: cacheAgeSeconds(assessment),
         lastUpdated: new Date().toISOString()
       }
     };
@@ -686,7 +1076,7 @@ app.get('/api/dashboard-stats', async (req, res) => {
       totalResponses: stats.totalResponses,
       passedCount: stats.passedCount,
       departments: stats.departments.length,
-      cacheStatus: isCacheValid() ? 'Hit' : 'Miss'
+      cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss'
     });
 
     res.json({
@@ -706,113 +1096,1213 @@ app.get('/api/dashboard-stats', async (req, res) => {
   }
 });
 
-app.get('/api/questions', async (req, res) => {
+app.get('/api/analytics/questions', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
   try {
-    console.log('📚 Production: Loading questions via Render...');
+    console.log(`🧮 Production [${assessment.id}]: Running item analysis...`);
+    const startTime = Date.now();
     
-    // Ensure production data is loaded
-    if (QUESTIONS.length === 0 || CORRECT_ANSWERS.length === 0) {
-      console.log('📚 Production: Questions not loaded, fetching from sheet...');
-      const rows = await fetchDataFromCSV();
-      initializeCorrectAnswers(rows);
-    }
+    // Papers drawn from the question bank differ per candidate, so they don't line up with the sheet's questions
+    const scoped = scopeResponses(req.user, await loadResponses(assessment));
+    const testResponses = scoped.filter(r => !r.answers.some(a => a.questionId));
+    const items = analyzeItems(testResponses, assessment.questions, i => assessment.answerKey.acceptedAnswers(i))
+      .map(item => (canSeeAnswerKey(req.user) ? item : { ...item, acceptedAnswers: undefined }));
     
+    const responseTime = Date.now() - startTime;
+
     res.json({
       success: true,
-      data: {
-        questions: QUESTIONS,
-        correctAnswers: CORRECT_ANSWERS,
-        totalQuestions: QUESTIONS.length,
-        source: 'Production: Dynamically loaded from Google Sheets via Render',
-        referenceNote: 'Production: Questions from header row, correct answers from first employee',
-        cacheStatus: isCacheValid() ? 'Hit' : 'Miss',
-        config: {
-          renderUrl: RENDER_URL,
-          sheetId: SHEET_ID,
-          sheetGid: SHEET_GID,
-          sheetUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`
-        }
+      data: items,
+      metadata: {
+        assessment: assessment.id,
+        totalResponses: testResponses.length,
+        excludedBankPapers: scoped.length - testResponses.length,
+        discriminationGroupSize: `${Math.round(GROUP_FRACTION * 100)}%`,
+        accessScope: req.user.role === ROLES.DEPARTMENT_HEAD ? req.user.department : 'all',
+        answerKeyVersion: assessment.answerKey.current().version,
+        freshness: dataFreshness(assessment),
+        responseTime: `${responseTime}ms`,
+        renderUrl: RENDER_URL
       }
     });
+
   } catch (error) {
-    console.error('❌ Production error loading questions:', error);
+    console.error('❌ Production error running item analysis:', error);
     res.status(500).json({
       success: false,
-      error: 'Production failed to load questions',
+      error: 'Production failed to run item analysis',
       message: error.message,
-      renderUrl: RENDER_URL
+      renderUrl: RENDER_URL,
+      timestamp: new Date().toISOString()
     });
   }
 });
 
-app.get('/api/response/:employeeId', async (req, res) => {
+// Pass rate and average score per week or month; accepts the same department and date filters as /api/test-responses
+app.get('/api/analytics/trends', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  const interval = String(req.query.interval || DEFAULT_INTERVAL).toLowerCase();
+  if (!INTERVALS.includes(interval)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: `interval must be one of: ${INTERVALS.join(', ')}`
+    });
+  }
+  
+  const { query, error: queryError } = parseResponseQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: queryError
+    });
+  }
+  
   try {
-    const employeeId = req.params.employeeId;
-    console.log('🔍 Production: Fetching employee details via Render:', employeeId);
+    console.log(`📈 Production [${assessment.id}]: Building ${interval}ly trends...`);
+    const startTime = Date.now();
+    
+    const responses = filterResponses(scopeResponses(req.user, await loadResponses(assessment)), query);
+    const trends = trendSeries(responses, interval);
+    
+    const responseTime = Date.now() - startTime;
+
+    res.json({
+      success: true,
+      data: trends,
+      metadata: {
+        assessment: assessment.id,
+        totalResponses: responses.length,
+        passMark: assessment.passMark,
+        passRule: describePassRule(assessment),
+        totalQuestions: assessment.questions.length,
+        query: describeQuery(query),
+        accessScope: req.user.role === ROLES.DEPARTMENT_HEAD ? req.user.department : 'all',
+        freshness: dataFreshness(assessment),
+        responseTime: `${responseTime}ms`,
+        renderUrl: RENDER_URL
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error building trends:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to build trends',
+      message: error.message,
+      renderUrl: RENDER_URL,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Median, quartiles, standard deviation, histogram and percentile ranks of the percentage scores,
+// overall and per department. Accepts ?bins= and the same department and date filters as /api/test-responses
+app.get('/api/analytics/distribution', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  const bins = req.query.bins === undefined ? DEFAULT_BINS : Number(req.query.bins);
+  const { query, error: queryError } = parseResponseQuery(req.query);
+  const validationError = validateBins(bins) || queryError;
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: validationError
+    });
+  }
+  
+  try {
+    console.log(`📊 Production [${assessment.id}]: Computing score distribution...`);
+    const startTime = Date.now();
+    
+    const responses = filterResponses(scopeResponses(req.user, await loadResponses(assessment)), query);
+    const distribution = scoreDistribution(responses, { bins });
+    
+    const responseTime = Date.now() - startTime;
+
+    res.json({
+      success: true,
+      data: distribution,
+      metadata: {
+        assessment: assessment.id,
+        totalResponses: responses.length,
+        passRule: describePassRule(assessment),
+        query: describeQuery(query),
+        accessScope: req.user.role === ROLES.DEPARTMENT_HEAD ? req.user.department : 'all',
+        freshness: dataFreshness(assessment),
+        responseTime: `${responseTime}ms`,
+        renderUrl: RENDER_URL
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error computing score distribution:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to compute score distribution',
+      message: error.message,
+      renderUrl: RENDER_URL,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/data-quality', requireAuth, requirePermission('data-quality:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  try {
+    console.log(`🩺 Production [${assessment.id}]: Checking data quality...`);
+    const startTime = Date.now();
+    
+    const responses = await loadAllResponses(assessment);
+    const duplicatePolicy = assessment.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+    const departments = knownDepartments();
+    const report = checkDataQuality(responses, {
+      departments,
+      employeeIdPattern: EMPLOYEE_ID_PATTERN,
+      duplicatePolicy
+    });
+    
+    const responseTime = Date.now() - startTime;
+    console.log(`🩺 Production [${assessment.id}]: ${report.findings.length} findings in ${responseTime}ms`);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        // Records that never became responses
+        malformedRows: assessment.cache.issues || [],
+        missingColumns: assessment.columnMap?.missing || [],
+        skippedRows: assessment.syncState?.result.skipped || 0
+      },
+      metadata: {
+        assessment: assessment.id,
+        duplicatePolicy,
+        departments,
+        directorySize: employeeDirectory.size,
+        employeeIdPattern: EMPLOYEE_ID_PATTERN.source,
+        dataSource: assessment.dataSource.describe(),
+        freshness: dataFreshness(assessment),
+        responseTime: `${responseTime}ms`,
+        renderUrl: RENDER_URL
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error checking data quality:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to check data quality',
+      message: error.message,
+      renderUrl: RENDER_URL,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+const REPORT_FORMATS = {
+  xlsx: {
+    render: renderReportXlsx,
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  },
+  pdf: {
+    render: renderReportPdf,
+    contentType: 'application/pdf'
+  }
+};
+
+// Reports take the same filter parameters as /api/test-responses (paging is ignored)
+app.get('/api/export/:format', requireAuth, requirePermission('responses:export'), resolveAssessment, async (req, res) => {
+  const { assessment } = req;
+  const format = REPORT_FORMATS[req.params.format];
+  if (!format) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid format',
+      message: `format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+    });
+  }
+  
+  const { query, error: queryError } = parseResponseQuery(req.query);
+  if (queryError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: queryError
+    });
+  }
+  
+  try {
+    console.log(`🗂️ Production [${assessment.id}]: Building ${req.params.format.toUpperCase()} report...`);
+    const startTime = Date.now();
+    
+    const responses = filterResponses(scopeResponses(req.user, await loadResponses(assessment)), query);
+    const acceptedAnswers = i => assessment.answerKey.acceptedAnswers(i);
+    const generatedAt = new Date();
+    
+    const file = await format.render({
+      organization: 'Krishna Maruti Ltd.',
+      assessment: {
+        id: assessment.id,
+        name: assessment.name,
+        questionCount: assessment.questionCount,
+        passMark: assessment.passMark,
+        passRule: describePassRule(assessment)
+      },
+      questions: assessment.questions,
+      acceptedAnswers,
+      responses,
+      summary: summarizeResponses(responses, assessment.questionCount),
+      // As in /api/analytics/questions: bank papers differ per candidate and don't line up with the sheet's questions
+      items: analyzeItems(responses.filter(r => !r.answers.some(a => a.questionId)), assessment.questions, acceptedAnswers),
+      filters: formatFilters(query),
+      generatedAt,
+      generatedBy: req.user.username,
+      accessScope: req.user.role === ROLES.DEPARTMENT_HEAD ? req.user.department : 'all',
+      answerKeyVersion: assessment.answerKey.current().version
+    });
+    
+    const filename = `${assessment.id}-report-${generatedAt.toISOString().split('T')[0]}.${req.params.format}`;
+    console.log(`🗂️ Production: ${filename} (${responses.length} responses) built in ${Date.now() - startTime}ms`);
+    
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+
+  } catch (error) {
+    console.error('❌ Production error building report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to build report',
+      message: error.message,
+      renderUrl: RENDER_URL,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/questions', requireAuth, requirePermission('responses:read'), resolveAssessment, async (req, res) => {
+  const { assessment } = req;
+  try {
+    console.log('📚 Production: Loading questions via Render...');
+    
+    // Ensure production data is loaded
+    if (assessment.questions.length === 0) {
+      console.log('📚 Production: Questions not loaded, fetching from sheet...');
+      const rows = await fetchDataFromCSV(assessment);
+      initializeQuestions(assessment, rows);
+    }
     
-    const rows = await fetchDataFromCSV();
-    const testResponses = processSheetData(rows);
+    res.json({
+      success: true,
+      data: {
+        assessment: assessments.summaryOf(assessment),
+        questions: assessment.questions,
+        ...(canSeeAnswerKey(req.user) && {
+          correctAnswers: assessment.answerKey.correctAnswers(),
+          acceptedAnswers: assessment.answerKey.current().questions.map(q => q.acceptedAnswers)
+        }),
+        answerKeyVersion: assessment.answerKey.current().version,
+        totalQuestions: assessment.questions.length,
+        source: 'Production: Dynamically loaded from Google Sheets via Render',
+        referenceNote: 'Production: Questions from header row, correct answers from the stored answer key',
+        cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss',
+        config: {
+          renderUrl: RENDER_URL,
+          assessment: assessment.id,
+          dataSource: assessment.dataSource.describe()
+        }
+      }
+    });
+  } catch (error) {
+    console.error('❌ Production error loading questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to load questions',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
+
+app.get('/api/response/:employeeId', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  try {
+    const employeeId = req.params.employeeId;
+    console.log('🔍 Production: Fetching employee details via Render:', employeeId);
+    
+    const testResponses = scopeResponses(req.user, await loadResponses(assessment));
     const targetResponse = testResponses.find(r => r.employeeId === employeeId);
     
-    if (!targetResponse) {
-      return res.status(404).json({
+    if (!targetResponse) {
+      return res.status(404).json({
+        success: false,
+        message: `Production: Employee with ID '${employeeId}' not found`,
+        renderUrl: RENDER_URL,
+        availableEmployees: testResponses.map(r => ({
+          id: r.employeeId,
+          name: r.fullName
+        }))
+      });
+    }
+
+    const key = assessment.answerKey.current();
+
+    res.json({
+      success: true,
+      data: {
+        ...targetResponse,
+        comparisonAnalysis: targetResponse.answers.map((answer, index) => ({
+          questionNumber: index + 1,
+          ...answeredQuestion(assessment, answer, index),
+          ...(!canSeeAnswerKey(req.user) && { acceptedAnswers: undefined }),
+          userAnswer: answer.selectedAnswer,
+          isCorrect: answer.isCorrect,
+          match: answer.match,
+          points: answer.points,
+          weight: answer.weight
+        })),
+        summary: {
+          totalQuestions: targetResponse.answers.length,
+          passMark: assessment.passMark,
+          passRule: describePassRule(assessment),
+          correctAnswers: targetResponse.correctCount,
+          maxScore: targetResponse.maxScore,
+          scorePercentage: Math.round(targetResponse.percentage),
+          comparedWith: `Answer key version ${key.version}`,
+          status: targetResponse.passed ? 'PASSED' : 'FAILED'
+        },
+        metadata: {
+          renderUrl: RENDER_URL,
+          assessment: assessment.id,
+          dataSource: assessment.dataSource.describe(),
+          cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss'
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error fetching employee data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to fetch employee data',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
+
+// A stored revision without the raw source row: the candidate, the score and the answers, as scored then.
+// The date of birth is only there to check who takes a test online, so it is left out too.
+function publicRevision({ responseKey, revision, recordedAt, response }) {
+  return {
+    responseKey,
+    revision,
+    recordedAt,
+    response: {
+      assessmentId: response.assessmentId,
+      employeeId: response.employeeId,
+      fullName: response.fullName,
+      department: response.department,
+      submissionDate: response.submissionDate,
+      score: response.score,
+      maxScore: response.maxScore,
+      percentage: response.percentage,
+      correctCount: response.correctCount,
+      breakdown: response.breakdown,
+      answers: response.answers,
+      answerKeyVersion: response.answerKeyVersion
+    }
+  };
+}
+
+// Every stored version of an employee's responses, including versions later edited in the source
+app.get('/api/response/:employeeId/history', requireAuth, requirePermission('responses:read'), resolveAssessment, async (req, res) => {
+  const { assessment } = req;
+  try {
+    const employeeId = req.params.employeeId;
+    const testResponses = scopeResponses(req.user, await loadResponses(assessment));
+    
+    if (!testResponses.some(r => r.employeeId === employeeId)) {
+      return res.status(404).json({
+        success: false,
+        message: `Production: Employee with ID '${employeeId}' not found`,
+        renderUrl: RENDER_URL
+      });
+    }
+
+    const revisions = responseStore.revisions(assessment.id, employeeId).map(publicRevision);
+    res.json({
+      success: true,
+      data: revisions,
+      totalCount: revisions.length,
+      metadata: {
+        assessment: assessment.id,
+        store: responseStore.status(assessment.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error fetching response history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to fetch response history',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
+
+// Every attempt by an employee, including the ones the duplicate policy doesn't count
+app.get('/api/employees/:employeeId/attempts', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  try {
+    const employeeId = req.params.employeeId;
+    console.log(`🕑 Production [${assessment.id}]: Loading attempts for employee:`, employeeId);
+    
+    const attempts = scopeResponses(req.user, await loadAllResponses(assessment))
+      .filter(r => r.employeeId.toLowerCase() === employeeId.toLowerCase());
+    
+    if (attempts.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Production: Employee with ID '${employeeId}' not found`,
+        renderUrl: RENDER_URL
+      });
+    }
+    
+    const latest = attempts.reduce((a, b) => (new Date(b.submissionDate) > new Date(a.submissionDate) ? b : a));
+    const history = attemptHistory(attempts, {
+      duplicatePolicy: assessment.duplicatePolicy || DEFAULT_DUPLICATE_POLICY,
+      retake: retakeRules(assessment)
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        employeeId: latest.employeeId,
+        fullName: latest.fullName,
+        department: latest.department,
+        ...history
+      },
+      metadata: {
+        assessment: assessment.id,
+        passMark: assessment.passMark,
+        passRule: describePassRule(assessment),
+        totalQuestions: assessment.questions.length,
+        duplicatePolicy: assessment.duplicatePolicy || DEFAULT_DUPLICATE_POLICY
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error fetching attempts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to fetch attempts',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
+
+// Employee directory endpoints
+app.get('/api/employees', requireAuth, requirePermission('responses:read'), (req, res) => {
+  const employees = scopeResponses(req.user, employeeDirectory.list());
+  res.json({
+    success: true,
+    data: employees,
+    metadata: {
+      totalEmployees: employees.length,
+      departments: [...new Set(employees.map(employee => employee.department))]
+    }
+  });
+});
+
+// Body: the employee master as CSV. ?mode=replace (default) drops employees missing from the file, ?mode=merge keeps them
+app.post('/api/employees/import', requireAuth, requirePermission('employees:write'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), (req, res) => {
+  const mode = req.query.mode || 'replace';
+  if (!['replace', 'merge'].includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid import mode',
+      message: `Unknown mode '${mode}'. Expected replace or merge`
+    });
+  }
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid employee file',
+      message: 'Send the employee master as a CSV request body (Content-Type: text/csv)'
+    });
+  }
+  
+  const parsed = parseDirectoryCsv(req.body);
+  if (parsed.error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid employee file',
+      message: parsed.error
+    });
+  }
+  
+  const result = employeeDirectory.import(parsed.employees, { mode, importedBy: req.user.username });
+  console.log(`👥 Production: '${req.user.username}' imported ${result.imported} employees (${mode}), ` +
+    `${result.total} in directory, ${parsed.issues.length} rows skipped`);
+  
+  res.json({
+    success: true,
+    message: `Imported ${result.imported} employees (${mode})`,
+    data: {
+      mode,
+      imported: result.imported,
+      totalEmployees: result.total,
+      skippedRows: parsed.issues
+    }
+  });
+});
+
+// Directory employees with no submission for the assessment, per department
+app.get('/api/employees/not-attempted', requireAuth, requirePermission('responses:read'), resolveAssessment, conditionalGet, async (req, res) => {
+  const { assessment } = req;
+  try {
+    const employees = scopeResponses(req.user, employeeDirectory.list());
+    const responses = await loadAllResponses(assessment);
+    const departments = notAttempted(employees, responses);
+    
+    res.json({
+      success: true,
+      data: departments,
+      metadata: {
+        assessment: assessment.id,
+        totalEmployees: employees.length,
+        notAttempted: departments.reduce((sum, department) => sum + department.notAttempted.length, 0),
+        directorySize: employeeDirectory.size
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Production error listing employees not attempted:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to list employees not attempted',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
+
+// Online tests - candidates take an assessment in the app instead of the Google Form.
+// Public: candidates don't have accounts. They identify themselves by employee ID and date of birth,
+// checked against the employee directory once one is imported.
+
+const MAX_ANSWER_LENGTH = 500;
+// Submissions this long after the deadline still count, to allow for a slow connection
+const SUBMIT_GRACE_MS = 30 * 1000;
+const ATTEMPT_TIMER_INTERVAL = 30 * 1000;
+// An untimed test with no answers saved for this long is submitted as it was saved
+const ABANDONED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// A timed test is over once its deadline and the grace period have passed
+function isOverdue(session, now = Date.now()) {
+  return !!session.expiresAt && now > new Date(session.expiresAt).getTime() + SUBMIT_GRACE_MS;
+}
+
+// The page saves changed answers every 15 seconds, so a long silence means the candidate left
+function isAbandoned(session, now = Date.now()) {
+  return !session.expiresAt && now > new Date(session.answersSavedAt || session.startedAt).getTime() + ABANDONED_AFTER_MS;
+}
+
+function validateCandidate({ employeeId, fullName, dateOfBirth, department } = {}) {
+  if (![employeeId, fullName, dateOfBirth, department].every(value => typeof value === 'string' && value.trim())) {
+    return 'employeeId, fullName, dateOfBirth and department are required';
+  }
+  if (!EMPLOYEE_ID_PATTERN.test(employeeId.trim())) {
+    return `'${employeeId}' is not a valid employee ID`;
+  }
+  return null;
+}
+
+// answers: [{ questionIndex, answer }] for free-text questions, [{ questionIndex, optionIndex }] for
+// multiple-choice ones, where optionIndex is the position of the option as shown (null for no answer)
+function validateSubmittedAnswers(answers, paper) {
+  if (!Array.isArray(answers)) {
+    return 'answers must be an array of { questionIndex, answer } or { questionIndex, optionIndex }';
+  }
+  for (const [i, item] of answers.entries()) {
+    const question = paper.find(q => q.questionIndex === item?.questionIndex);
+    if (!question) {
+      return `answers[${i}].questionIndex is not a question on this test`;
+    }
+    if (question.options) {
+      if (item.optionIndex !== null && item.optionIndex !== undefined &&
+          !(Number.isInteger(item.optionIndex) && item.optionIndex >= 0 && item.optionIndex < question.options.length)) {
+        return `answers[${i}].optionIndex must be the position of one of the question's options`;
+      }
+    } else if (typeof item.answer !== 'string' || item.answer.length > MAX_ANSWER_LENGTH) {
+      return `answers[${i}].answer must be text of at most ${MAX_ANSWER_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// What is stored for a submission: see scoreOnlineRow()
+function onlineRow(session, fields, answers, questionCount) {
+  const byIndex = new Map(answers.map(item => [item.questionIndex, item]));
+  if (session.paper.some(question => question.questionId)) {
+    return {
+      fields,
+      questionIds: session.paper.map(question => question.questionId),
+      // Back to the bank's option order, so a shuffled paper is scored like any other
+      answers: session.paper.map(question => {
+        const optionIndex = byIndex.get(question.questionIndex)?.optionIndex;
+        return Number.isInteger(optionIndex) ? question.optionOrder[optionIndex] : null;
+      })
+    };
+  }
+  return {
+    fields,
+    answers: Array.from({ length: questionCount }, (value, index) => byIndex.get(index)?.answer || '')
+  };
+}
+
+// Dates of birth are compared by their digits, so 05/03/1999 matches 05-03-1999
+function sameDateOfBirth(a, b) {
+  return String(a).replace(/\D/g, '') === String(b).replace(/\D/g, '');
+}
+
+// Free-text paper from the answer key, for assessments without a question bank. Never includes the accepted answers.
+function answerKeyPaper(assessment) {
+  const { questions } = assessment.answerKey.current();
+  return questions.slice(0, assessment.questionCount)
+    .map((question, questionIndex) => ({ questionIndex, text: question.question || assessment.questions[questionIndex] || '' }))
+    .filter(question => question.text);
+}
+
+// -> { paper } or { error }. Assessments with questions in the bank get a randomised multiple-choice
+// paper; the same seed gives the same paper while the bank is unchanged.
+function paperFor(assessment, seed) {
+  const bankQuestions = questionBank.list(assessment.id);
+  if (bankQuestions.length > 0) {
+    return generatePaper(bankQuestions, assessment, seed);
+  }
+  const paper = answerKeyPaper(assessment);
+  return paper.length > 0 ? { paper } : { error: 'The assessment has no questions to take online' };
+}
+
+// What the candidate sees of a paper: no question IDs, difficulty, weights or option mapping
+function candidatePaper(paper) {
+  return paper.map(({ questionIndex, text, topic, options }) => ({ questionIndex, text, topic, options }));
+}
+
+function startedTest(assessment, session, token) {
+  return {
+    attemptId: session.id,
+    token,
+    assessment: { id: assessment.id, name: assessment.name, description: assessment.description },
+    candidate: { employeeId: session.employeeId, fullName: session.fullName, department: session.department },
+    questions: candidatePaper(session.paper),
+    startedAt: session.startedAt,
+    // The page counts down from serverTime, so a wrong clock on the candidate's device doesn't matter
+    expiresAt: session.expiresAt,
+    serverTime: new Date().toISOString(),
+    savedAnswers: session.savedAnswers
+  };
+}
+
+// Assessments that can be taken online
+app.get('/api/attempts/assessments', (req, res) => {
+  res.json({
+    success: true,
+    data: assessments.list()
+      .map(assessment => ({ assessment, paper: paperFor(assessment, 'listing').paper }))
+      .filter(({ paper }) => paper)
+      .map(({ assessment, paper }) => ({
+        id: assessment.id,
+        name: assessment.name,
+        description: assessment.description,
+        questionCount: paper.length,
+        timeLimitMinutes: assessment.timeLimitMinutes || null
+      })),
+    metadata: {
+      departments: knownDepartments()
+    }
+  });
+});
+
+// Starts a test, or resumes the candidate's unsubmitted one. ?assessment=<id>
+// Body: { employeeId, fullName, dateOfBirth, department, token? } - token: the one the unsubmitted test was started with
+app.post('/api/attempts/start', resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  
+  const validationError = validateCandidate(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid candidate details',
+      message: validationError
+    });
+  }
+  
+  const employeeId = req.body.employeeId.trim();
+  const candidate = {
+    employeeId,
+    fullName: req.body.fullName.trim(),
+    department: req.body.department.trim(),
+    dateOfBirth: req.body.dateOfBirth.trim()
+  };
+  
+  // Candidates don't sign in, so the directory's date of birth is what proves who they are.
+  // Without it anyone could take a test, and earn a certificate, under any employee ID.
+  if (employeeDirectory.size === 0) {
+    return res.status(503).json({
+      success: false,
+      error: 'Test not available',
+      message: 'Online tests open once the employee directory has been imported'
+    });
+  }
+  const employee = employeeDirectory.get(employeeId);
+  if (!employee || !employee.dateOfBirth || !sameDateOfBirth(employee.dateOfBirth, candidate.dateOfBirth)) {
+    console.log(`📝 Production [${assessment.id}]: Test start refused for '${employeeId}' - not in the employee directory, no date of birth on file or date of birth mismatch`);
+    return res.status(403).json({
+      success: false,
+      error: 'Candidate not recognised',
+      message: 'The employee ID and date of birth do not match the employee directory'
+    });
+  }
+  candidate.employeeId = employee.employeeId;
+  candidate.directoryDepartment = employee.department;
+  
+  const inProgress = testSessions.inProgress(assessment.id, candidate.employeeId);
+  if (inProgress && (isOverdue(inProgress) || isAbandoned(inProgress))) {
+    // Time ran out while they were away; the retake rules decide whether they can start again
+    autoSubmit(assessment, inProgress);
+  } else if (inProgress) {
+    // Only the browser that started the test can continue it
+    if (!testSessions.verifyToken(inProgress.id, req.body.token)) {
+      console.log(`📝 Production [${assessment.id}]: Resume of test ${inProgress.id} refused for ${inProgress.employeeId} - wrong or missing token`);
+      return res.status(409).json({
+        success: false,
+        error: 'Test in progress',
+        message: `A test was started for this employee on ${inProgress.startedAt}. Continue it in the browser where it was started, ` +
+          'or ask an administrator to cancel it' +
+          (inProgress.expiresAt
+            ? `; it is submitted automatically at ${inProgress.expiresAt}`
+            : `; it is submitted automatically after ${ABANDONED_AFTER_MS / 3600000} hours without changes`)
+      });
+    }
+    testSessions.logEvents(inProgress.id, 'server', [{ type: 'resumed', at: new Date().toISOString() }]);
+    console.log(`📝 Production [${assessment.id}]: Resumed test ${inProgress.id} for ${inProgress.employeeId}`);
+    return res.json({ success: true, resumed: true, data: startedTest(assessment, inProgress, req.body.token) });
+  }
+  
+  const attempts = withPassStatus(assessment, responseStore.list(assessment.id))
+    .filter(r => String(r.employeeId).toLowerCase() === candidate.employeeId.toLowerCase())
+    .sort((a, b) => new Date(a.submissionDate) - new Date(b.submissionDate));
+  const eligibility = retakeEligibility(attempts, retakeRules(assessment), new Date());
+  if (!eligibility.eligible) {
+    return res.status(409).json({
+      success: false,
+      error: 'Test not available',
+      message: eligibility.reason,
+      availableFrom: eligibility.availableFrom
+    });
+  }
+  
+  // One paper per candidate and attempt
+  const { paper, error } = paperFor(assessment, `${assessment.id}/${candidate.employeeId.toLowerCase()}/${attempts.length + 1}`);
+  if (error) {
+    console.log(`⚠️ Production [${assessment.id}]: Cannot build a test paper: ${error}`);
+    return res.status(503).json({
+      success: false,
+      error: 'Test not available',
+      message: `Production: ${error}`
+    });
+  }
+  
+  const { session, token } = testSessions.start(assessment.id, candidate, paper, { timeLimitMinutes: assessment.timeLimitMinutes });
+  testSessions.logEvents(session.id, 'server', [{ type: 'started', at: session.startedAt }]);
+  console.log(`📝 Production [${assessment.id}]: Started test ${session.id} for ${session.employeeId} (${paper.length} questions)`);
+  res.status(201).json({ success: true, resumed: false, data: startedTest(assessment, session, token) });
+});
+
+// Scores a test with the same answer key as sheet submissions and records it in the response store.
+// answers: as validated by validateSubmittedAnswers(). -> the result shown to the candidate
+function submitSession(assessment, session, answers, { autoSubmitted = false } = {}) {
+  const submittedAt = new Date().toISOString();
+  const responseKey = `online:${session.id}`;
+  const row = onlineRow(session, {
+    timestamp: submittedAt,
+    score: null,
+    fullName: session.fullName,
+    employeeId: session.employeeId,
+    dateOfBirth: session.dateOfBirth,
+    department: session.department
+  }, answers, assessment.questionCount);
+  const response = scoreOnlineRow(assessment, row);
+  
+  responseStore.record(assessment.id, {
+    responseKey,
+    employeeId: session.employeeId,
+    submittedAt,
+    row,
+    response,
+    scoringSignature: onlineScoringSignature(assessment)
+  });
+  testSessions.complete(session.id, { submittedAt, responseKey, autoSubmitted });
+  testSessions.logEvents(session.id, 'server', [{ type: autoSubmitted ? 'auto-submitted' : 'submitted', at: submittedAt }]);
+  console.log(`📝 Production [${assessment.id}]: ${session.fullName} (${session.employeeId}) ` +
+    `${autoSubmitted ? 'ran out of time on' : 'submitted'} test ${session.id}: ${response.score}/${response.maxScore}`);
+  
+  const [result] = withPassStatus(assessment, [{ ...response, responseKey, origin: 'online' }]);
+  announceSubmissions(assessment, reconcileResponses([result], employeeDirectory, DEPARTMENTS));
+  
+  return {
+    attemptId: session.id,
+    score: result.score,
+    maxScore: result.maxScore,
+    percentage: result.percentage,
+    totalQuestions: result.answers.length,
+    correctCount: result.correctCount,
+    passed: result.passed,
+    passMark: assessment.passMark,
+    passRule: describePassRule(assessment),
+    passReasons: result.passReasons,
+    breakdown: result.breakdown,
+    autoSubmitted,
+    submittedAt
+  };
+}
+
+// Past the deadline the test is submitted with the answers saved before it, whatever arrives later
+function autoSubmit(assessment, session) {
+  return submitSession(assessment, session, session.savedAnswers, { autoSubmitted: true });
+}
+
+// Resolves :attemptId to req.attempt (an unsubmitted test) and its assessment, checking the test token
+function resolveAttempt(req, res, next) {
+  const session = testSessions.find(req.params.attemptId);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'Test not found',
+      message: `No test with ID '${req.params.attemptId}' has been started`
+    });
+  }
+  if (!testSessions.verifyToken(session.id, req.body?.token)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid test token',
+      message: 'This test was started in another browser'
+    });
+  }
+  if (session.status === 'submitted') {
+    return res.status(409).json({
+      success: false,
+      error: 'Test already submitted',
+      message: `This test was submitted at ${session.submittedAt}`,
+      autoSubmitted: session.autoSubmitted
+    });
+  }
+  if (session.status === 'cancelled') {
+    return res.status(409).json({
+      success: false,
+      error: 'Test cancelled',
+      message: `This test was cancelled by an administrator at ${session.cancelledAt}; start the test again`
+    });
+  }
+  
+  const assessment = assessments.get(session.assessmentId);
+  if (!assessment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Assessment not found',
+      message: `Production: Assessment '${session.assessmentId}' no longer exists`
+    });
+  }
+  
+  req.attempt = session;
+  req.assessment = assessment;
+  next();
+}
+
+// Answers and events sent after the deadline are refused; the test is submitted as it was saved
+function refuseOverdue(req, res, next) {
+  const { attempt, assessment } = req;
+  if (!isOverdue(attempt)) {
+    return next();
+  }
+  try {
+    const result = autoSubmit(assessment, attempt);
+    res.status(409).json({
+      success: false,
+      error: 'Time is up',
+      message: `The time limit ended at ${attempt.expiresAt}; the answers saved before then were submitted`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Saves the answers given so far, so the test can be resumed after a disconnect and is submitted with
+// them if time runs out. Body: { token, answers } as for submit
+app.put('/api/attempts/:attemptId/answers', resolveAttempt, refuseOverdue, (req, res) => {
+  const { attempt } = req;
+  const validationError = validateSubmittedAnswers(req.body.answers, attempt.paper);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid answers',
+      message: validationError
+    });
+  }
+  
+  testSessions.saveAnswers(attempt.id, req.body.answers);
+  res.json({
+    success: true,
+    data: { savedAt: new Date().toISOString(), expiresAt: attempt.expiresAt }
+  });
+});
+
+// Proctoring events from the test page. Body: { token, events: [{ type, at, questionIndex?, detail? }] }
+app.post('/api/attempts/:attemptId/events', resolveAttempt, refuseOverdue, (req, res) => {
+  const validationError = validateEvents(req.body.events);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid events',
+      message: validationError
+    });
+  }
+  
+  const result = testSessions.logEvents(req.attempt.id, 'client', req.body.events);
+  res.json({ success: true, data: result });
+});
+
+// Body: { token, answers, events? } - pending proctoring events can travel with the submission
+app.post('/api/attempts/:attemptId/submit', resolveAttempt, (req, res) => {
+  const { attempt, assessment } = req;
+  
+  try {
+    if (isOverdue(attempt)) {
+      const result = autoSubmit(assessment, attempt);
+      return res.json({
+        success: true,
+        message: `The time limit ended at ${attempt.expiresAt}; the answers saved before then were submitted`,
+        data: result
+      });
+    }
+    
+    const validationError = validateSubmittedAnswers(req.body.answers, attempt.paper);
+    if (validationError) {
+      return res.status(400).json({
         success: false,
-        message: `Production: Employee with ID '${employeeId}' not found`,
-        renderUrl: RENDER_URL,
-        availableEmployees: testResponses.map(r => ({
-          id: r.employeeId,
-          name: r.fullName
-        }))
+        error: 'Invalid answers',
+        message: validationError
+      });
+    }
+    const eventsError = req.body.events !== undefined ? validateEvents(req.body.events) : null;
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid events',
+        message: eventsError
       });
     }
+    
+    if (req.body.events?.length > 0) {
+      testSessions.logEvents(attempt.id, 'client', req.body.events);
+    }
+    res.json({ success: true, data: submitSession(assessment, attempt, req.body.answers) });
+  } catch (error) {
+    console.error('❌ Production error submitting test:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to submit test',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
 
-    const referenceEmployee = testResponses[0];
+// Department scoping goes by the directory, as for submissions; the typed department is the candidate's say-so.
+// Tests started before the department was recorded are looked up in the directory now.
+function canAccessAttempt(user, session) {
+  const department = session.directoryDepartment || employeeDirectory.get(session.employeeId)?.department || session.department;
+  return canAccessResponse(user, { department });
+}
 
-    res.json({
-      success: true,
-      data: {
-        ...targetResponse,
-        referenceEmployee: referenceEmployee,
-        comparisonAnalysis: targetResponse.answers.map((answer, index) => ({
-          questionNumber: index + 1,
-          question: QUESTIONS[index],
-          userAnswer: answer.selectedAnswer,
-          referenceAnswer: CORRECT_ANSWERS[index],
-          isCorrect: answer.isCorrect,
-          referenceEmployeeName: referenceEmployee.fullName
-        })),
-        summary: {
-          totalQuestions: QUESTIONS.length,
-          correctAnswers: targetResponse.answers.filter(a => a.isCorrect).length,
-          scorePercentage: Math.round((targetResponse.score / QUESTIONS.length) * 100),
-          comparedWith: referenceEmployee.fullName,
-          status: targetResponse.score >= 6 ? 'PASSED' : 'FAILED'
-        },
-        metadata: {
-          renderUrl: RENDER_URL,
-          sheetId: SHEET_ID,
-          sheetGid: SHEET_GID,
-          cacheStatus: isCacheValid() ? 'Hit' : 'Miss'
+// Timing, integrity flag and event log of an online test, for the dashboard
+app.get('/api/attempts/:attemptId/proctoring', requireAuth, requirePermission('responses:read'), (req, res) => {
+  const session = testSessions.find(req.params.attemptId);
+  if (!session || !canAccessAttempt(req.user, session)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Test not found',
+      message: `No test with ID '${req.params.attemptId}' is visible to you`
+    });
+  }
+  
+  const events = testSessions.events(session.id);
+  res.json({
+    success: true,
+    data: {
+      attemptId: session.id,
+      assessmentId: session.assessmentId,
+      employeeId: session.employeeId,
+      fullName: session.fullName,
+      status: session.status,
+      startedAt: session.startedAt,
+      expiresAt: session.expiresAt,
+      submittedAt: session.submittedAt,
+      autoSubmitted: session.autoSubmitted,
+      integrity: summarizeIntegrity(events, { dropped: session.eventsDropped }),
+      events
+    }
+  });
+});
+
+// Cancels an employee's unsubmitted online test, e.g. when it was started on a device they no longer have.
+// The test keeps its event log but gets no result; the employee can start again. ?assessment=<id>
+app.delete('/api/employees/:employeeId/attempts/in-progress', requireAuth, requirePermission('attempts:write'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  const session = testSessions.inProgress(assessment.id, req.params.employeeId);
+  if (!session || !canAccessAttempt(req.user, session)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Test not found',
+      message: `Employee '${req.params.employeeId}' has no unsubmitted test for '${assessment.id}'`
+    });
+  }
+  
+  if (!testSessions.cancel(session.id, { cancelledBy: req.user.username })) {
+    return res.status(409).json({
+      success: false,
+      error: 'Test already ended',
+      message: 'The test was submitted or cancelled in the meantime'
+    });
+  }
+  testSessions.logEvents(session.id, 'server', [{ type: 'cancelled', at: new Date().toISOString(), detail: `by ${req.user.username}` }]);
+  console.log(`📝 Production [${assessment.id}]: '${req.user.username}' cancelled test ${session.id} of ${session.employeeId}`);
+  const cancelled = testSessions.find(session.id);
+  res.json({
+    success: true,
+    data: { attemptId: cancelled.id, status: cancelled.status, cancelledAt: cancelled.cancelledAt, cancelledBy: cancelled.cancelledBy }
+  });
+});
+
+// Submits timed tests whose candidates never came back before the deadline, and abandoned untimed ones
+function startAttemptTimer() {
+  setInterval(() => {
+    try {
+      const overdue = [
+        ...testSessions.expired(new Date(Date.now() - SUBMIT_GRACE_MS)),
+        ...testSessions.abandoned(new Date(Date.now() - ABANDONED_AFTER_MS))
+      ];
+      for (const session of overdue) {
+        const assessment = assessments.get(session.assessmentId);
+        if (assessment) {
+          autoSubmit(assessment, session);
         }
       }
+    } catch (error) {
+      console.log('⚠️ Production attempt timer failed:', error.message);
+    }
+  }, ATTEMPT_TIMER_INTERVAL);
+  
+  console.log(`✅ Production attempt timer started (checks for expired tests every ${ATTEMPT_TIMER_INTERVAL / 1000}s)`);
+}
+
+// Public certificate verification - no authentication, no date of birth or answers
+app.get('/api/certificates/verify/:certificateNumber', (req, res) => {
+  const certificate = certificates.find(req.params.certificateNumber);
+  
+  if (!certificate) {
+    console.log(`📜 Production: Verification failed for unknown certificate '${req.params.certificateNumber}'`);
+    return res.status(404).json({
+      success: false,
+      valid: false,
+      error: 'Certificate not found',
+      message: `No certificate with number '${req.params.certificateNumber}' has been issued`
+    });
+  }
+  
+  console.log(`📜 Production: Verified certificate ${certificate.certificateNumber} (${certificate.revokedAt ? 'revoked' : 'valid'})`);
+  res.setHeader('Cache-Control', 'no-cache');
+  res.json({
+    success: true,
+    data: publicCertificate(certificate)
+  });
+});
+
+// PDF certificate for a passing attempt of an employee (see certificateAttempt)
+app.get('/api/certificates/:employeeId', requireAuth, requirePermission('responses:read'), resolveAssessment, async (req, res) => {
+  const { assessment } = req;
+  try {
+    const employeeId = req.params.employeeId;
+    console.log('📜 Production: Generating certificate for employee:', employeeId);
+    
+    // Every attempt, not only the counted one: under the 'first' policy a later pass still earns the certificate
+    const testResponses = scopeResponses(req.user, await loadAllResponses(assessment));
+    
+    if (assessment.cache.dataSource === 'sample') {
+      return res.status(503).json({
+        success: false,
+        error: 'Certificates unavailable',
+        message: 'Production: Certificates cannot be issued from sample data while the data source is unavailable',
+        renderUrl: RENDER_URL
+      });
+    }
+    
+    const employeeResponses = testResponses.filter(r => r.employeeId === employeeId);
+    if (employeeResponses.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Production: Employee with ID '${employeeId}' not found`,
+        renderUrl: RENDER_URL
+      });
+    }
+    
+    const passedResponse = certificateAttempt(employeeResponses, assessment.duplicatePolicy || DEFAULT_DUPLICATE_POLICY);
+    
+    if (!passedResponse) {
+      const best = employeeResponses.reduce((a, b) => (b.score > a.score ? b : a));
+      return res.status(403).json({
+        success: false,
+        error: 'Not eligible for a certificate',
+        message: `Production: Best attempt ${best.score}/${best.maxScore} did not pass - ${best.passReasons.join('; ')}`,
+        renderUrl: RENDER_URL
+      });
+    }
+    
+    const { certificate } = certificates.issue(assessment, passedResponse, req.user.username);
+    const pdf = await renderCertificatePdf(certificate, {
+      verifyUrl: `${PUBLIC_APP_URL}/verify/${certificate.certificateNumber}`
     });
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificateNumber}.pdf"`);
+    res.setHeader('X-Certificate-Number', certificate.certificateNumber);
+    res.send(pdf);
 
   } catch (error) {
-    console.error('❌ Production error fetching employee data:', error);
+    console.error('❌ Production error generating certificate:', error);
     res.status(500).json({
       success: false,
-      error: 'Production failed to fetch employee data',
+      error: 'Production failed to generate certificate',
       message: error.message,
       renderUrl: RENDER_URL
     });
   }
 });
 
-app.get('/api/debug/raw-data', async (req, res) => {
+app.get('/api/debug/raw-data', requireAuth, requirePermission('debug:read'), resolveAssessment, async (req, res) => {
+  const { assessment } = req;
   try {
     console.log('🔍 Production debug: Fetching raw data via Render...');
     
-    const rows = await fetchDataFromCSV();
+    const rows = await fetchDataFromCSV(assessment);
     
     res.json({
       success: true,
@@ -821,26 +2311,22 @@ app.get('/api/debug/raw-data', async (req, res) => {
         method: 'Production Render-Optimized CSV Debug',
         renderUrl: RENDER_URL,
         environment: 'production',
-        sheetId: SHEET_ID,
-        sheetGid: SHEET_GID,
+        assessment: assessment.id,
+        dataSource: assessment.dataSource.describe(),
         totalRows: rows.length,
         headerRow: rows[0] || [],
         firstEmployeeRow: rows[1] || [],
         sampleDataRows: rows.slice(1, 6),
-        extractedQuestions: QUESTIONS,
-        extractedCorrectAnswers: CORRECT_ANSWERS,
+        extractedQuestions: assessment.questions,
+        answerKey: assessment.answerKey.current(),
         allRows: rows,
-        cacheStatus: isCacheValid() ? 'Hit' : 'Miss',
-        cacheAge: CACHE_TIMESTAMP ? Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000) : 0,
+        cacheStatus: isCacheValid(assessment) ? 'Hit' : 'Miss',
+        cacheAge: cacheAgeSeconds(assessment),
         memoryUsage: {
           used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
           total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
         },
-        uptime: Math.floor(process.uptime()),
-        config: {
-          csvUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${SHEET_GID}`,
-          sheetUrl: `https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`
-        }
+        uptime: Math.floor(process.uptime())
       }
     });
 
@@ -853,44 +2339,367 @@ app.get('/api/debug/raw-data', async (req, res) => {
       message: error.message,
       renderUrl: RENDER_URL,
       config: {
-        sheetId: SHEET_ID,
-        sheetGid: SHEET_GID
+        assessment: assessment.id,
+        dataSource: assessment.dataSource.describe()
       }
     });
   }
 });
 
-// Production cache management endpoints
-app.post('/api/clear-cache', (req, res) => {
-  const oldCacheAge = CACHE_TIMESTAMP ? Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000) : 0;
+// Answer key management endpoints
+app.get('/api/answer-key', requireAuth, requirePermission('answer-key:write'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  res.json({
+    success: true,
+    data: assessment.answerKey.current()
+  });
+});
+
+app.get('/api/answer-key/history', requireAuth, requirePermission('answer-key:write'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  res.json({
+    success: true,
+    data: assessment.answerKey.history()
+  });
+});
+
+app.put('/api/answer-key', requireAuth, requirePermission('answer-key:write'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  const { questions, expectedVersion } = req.body || {};
+  
+  const validationError = validateQuestions(questions);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid answer key',
+      message: validationError
+    });
+  }
+  
+  // Optimistic concurrency: reject edits made against an outdated version
+  const currentVersion = assessment.answerKey.current().version;
+  if (expectedVersion !== undefined && Number(expectedVersion) !== currentVersion) {
+    return res.status(409).json({
+      success: false,
+      error: 'Answer key version conflict',
+      message: `Expected version ${expectedVersion} but the current version is ${currentVersion}`,
+      data: assessment.answerKey.current()
+    });
+  }
+  
+  const result = assessment.answerKey.update(questions, req.user.username);
+  if (result.changed) {
+    events.publish('answerKey.updated', {
+      assessment: assessment.id,
+      version: result.key.version,
+      updatedBy: req.user.username
+    }, { assessmentId: assessment.id });
+  }
+  res.json({
+    success: true,
+    message: result.changed ? `Answer key updated to version ${result.key.version}` : 'Answer key unchanged',
+    data: result.key
+  });
+});
+
+// Question bank - multiple-choice questions that online papers are drawn from
+app.get('/api/question-bank', requireAuth, requirePermission('responses:read'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  const includeArchived = req.query.includeArchived === 'true';
+  res.json({
+    success: true,
+    data: questionBank.list(assessment.id, { includeArchived }),
+    metadata: {
+      assessment: assessment.id,
+      topics: questionBank.topics(assessment.id),
+      paper: assessment.paper || null,
+      questionCount: assessment.questionCount
+    }
+  });
+});
+
+// A sample paper as a candidate would get it, with the correct options; ?seed= reproduces a paper
+app.get('/api/question-bank/paper', requireAuth, requirePermission('question-bank:write'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  const seed = String(req.query.seed || Date.now());
+  const { paper, error } = paperFor(assessment, seed);
+  if (error) {
+    return res.status(409).json({
+      success: false,
+      error: 'Cannot build a paper',
+      message: error
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: paper.map(question => {
+      const bankQuestion = question.questionId ? questionBank.find(question.questionId) : null;
+      return {
+        ...question,
+        correctOption: bankQuestion ? question.optionOrder.indexOf(bankQuestion.correctOption) : null
+      };
+    }),
+    metadata: { assessment: assessment.id, seed }
+  });
+});
+
+function bankQuestionChanged(assessment, question, action, username) {
+  console.log(`🗃️ Production [${assessment.id}]: Question ${question.id} ${action} by '${username}'`);
+  events.publish('questionBank.updated', {
+    assessment: assessment.id,
+    questionId: question.id,
+    action,
+    updatedBy: username
+  }, { assessmentId: assessment.id });
+}
+
+app.post('/api/question-bank', requireAuth, requirePermission('question-bank:write'), resolveAssessment, (req, res) => {
+  const { assessment } = req;
+  const validationError = validateBankQuestion(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid question',
+      message: validationError
+    });
+  }
+  
+  const question = questionBank.create(assessment.id, req.body, req.user.username);
+  bankQuestionChanged(assessment, question, 'created', req.user.username);
+  res.status(201).json({ success: true, data: question });
+});
+
+// Finds the question in :questionId and its assessment, or answers 404
+function resolveBankQuestion(req, res, next) {
+  const question = questionBank.find(req.params.questionId);
+  const assessment = question && assessments.get(question.assessmentId);
+  if (!question || !assessment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Question not found',
+      message: `No question with ID '${req.params.questionId}' is in the question bank`
+    });
+  }
+  req.bankQuestion = question;
+  req.assessment = assessment;
+  next();
+}
+
+// Editing a question re-scores the online submissions that drew it; their options are fixed once drawn
+app.put('/api/question-bank/:questionId', requireAuth, requirePermission('question-bank:write'), resolveBankQuestion, (req, res) => {
+  const { assessment, bankQuestion } = req;
+  if (bankQuestion.archivedAt) {
+    return res.status(409).json({
+      success: false,
+      error: 'Question archived',
+      message: `The question was deleted on ${bankQuestion.archivedAt}`
+    });
+  }
+  
+  const validationError = validateBankQuestion(req.body);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid question',
+      message: validationError
+    });
+  }
+  
+  const editError = validateQuestionEdit(bankQuestion, req.body, { drawn: testSessions.drewQuestion(bankQuestion.id) });
+  if (editError) {
+    return res.status(409).json({
+      success: false,
+      error: 'Question in use',
+      message: editError
+    });
+  }
+  
+  const question = questionBank.update(bankQuestion.id, req.body, req.user.username);
+  bankQuestionChanged(assessment, question, 'updated', req.user.username);
+  res.json({ success: true, data: question });
+});
+
+// Archived, not deleted: submitted tests still refer to the question
+app.delete('/api/question-bank/:questionId', requireAuth, requirePermission('question-bank:write'), resolveBankQuestion, (req, res) => {
+  const { assessment, bankQuestion } = req;
+  const question = questionBank.archive(bankQuestion.id, req.user.username);
+  if (!bankQuestion.archivedAt) {
+    bankQuestionChanged(assessment, question, 'archived', req.user.username);
+  }
+  res.json({ success: true, data: question });
+});
+
+// Assessment endpoints
+app.get('/api/assessments', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: assessments.list().map(assessments.summaryOf),
+    defaultAssessment: assessments.defaultId
+  });
+});
+
+// The most points a paper can be worth with the current question weights: the heaviest questionCount
+// questions of the bank, or the answer key's questions. Questions without a weight count 1.
+function maxScoreFor(config) {
+  const bank = questionBank.list(config.id);
+  const answerKey = assessments.get(config.id)?.answerKey;
+  const weights = bank.length > 0
+    ? bank.map(question => question.weight).sort((a, b) => b - a)
+    : Array.from({ length: config.questionCount }, (value, index) => answerKey?.question(index).weight ?? 1);
+  const total = Array.from({ length: config.questionCount }, (value, index) => weights[index] ?? 1)
+    .reduce((sum, weight) => sum + weight, 0);
+  return Math.round(total * 100) / 100;
+}
+
+app.put('/api/assessments/:assessmentId', requireAuth, requirePermission('assessments:write'), (req, res) => {
+  const config = { ...req.body, id: req.params.assessmentId };
   
-  CACHED_DATA = null;
-  CACHE_TIMESTAMP = null;
-  QUESTIONS = [];
-  CORRECT_ANSWERS = [];
+  const validationError = validateAssessment(config, { maxScore: maxScoreFor(config) });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid assessment',
+      message: validationError
+    });
+  }
+  
+  try {
+    const assessment = assessments.upsert(config);
+    clearAssessmentCache(assessment);
+    console.log(`📚 Production: Assessment '${assessment.id}' saved by '${req.user.username}'`);
+    res.json({
+      success: true,
+      data: assessments.summaryOf(assessment)
+    });
+  } catch (error) {
+    // e.g. an unknown data source type
+    res.status(400).json({
+      success: false,
+      error: 'Invalid assessment',
+      message: error.message
+    });
+  }
+});
+
+// Recomputes every stored result under the current answer key, question bank and scoring rules.
+// Changed rules are picked up on the next load anyway; this does it now and reports what changed.
+app.post('/api/assessments/:assessmentId/rescore', requireAuth, requirePermission('assessments:write'), resolveAssessment, async (req, res) => {
+  const { assessment } = req;
+  try {
+    // Map the columns without syncing, so the stored scores are still the ones from before the change
+    const rows = await fetchDataFromCSV(assessment);
+    if (assessment.cache.dataSource === 'sample' || !initializeQuestions(assessment, rows)) {
+      return res.status(503).json({
+        success: false,
+        error: 'Rescore unavailable',
+        message: 'Production: Stored results can only be rescored while the data source is available',
+        renderUrl: RENDER_URL
+      });
+    }
+    
+    const startTime = Date.now();
+    const result = responseStore.rescoreAll(assessment.id, {
+      score: (row, origin) => (origin === 'online' ? scoreOnlineRow(assessment, row) : mapRowToTestResponse(assessment, row)),
+      scoringSignature: origin => (origin === 'online' ? onlineScoringSignature(assessment) : scoringSignature(assessment))
+    });
+    // Picks up rows added to the source since the last load
+    await loadScoredResponses(assessment);
+    
+    const changes = result.changed
+      .map(({ responseKey, before, after }) => {
+        const [previous, current] = withPassStatus(assessment, [before, after]);
+        return {
+          responseKey,
+          employeeId: current.employeeId,
+          fullName: current.fullName,
+          before: { score: previous.score, maxScore: previous.maxScore ?? previous.answers.length, passed: previous.passed },
+          after: { score: current.score, maxScore: current.maxScore, passed: current.passed }
+        };
+      })
+      .filter(change => change.before.score !== change.after.score || change.before.maxScore !== change.after.maxScore ||
+        change.before.passed !== change.after.passed);
+    const passChanges = changes.filter(change => change.before.passed !== change.after.passed).length;
+    
+    console.log(`🧮 Production [${assessment.id}]: '${req.user.username}' rescored ${result.rescored} responses in ` +
+      `${Date.now() - startTime}ms - ${changes.length} score change(s), ${passChanges} pass/fail change(s)`);
+    events.publish('responses.rescored', {
+      assessment: assessment.id,
+      rescored: result.rescored,
+      changed: changes.length,
+      rescoredBy: req.user.username
+    }, { assessmentId: assessment.id });
+    
+    res.json({
+      success: true,
+      message: `Rescored ${result.rescored} responses: ${changes.length} score change(s), ${passChanges} pass/fail change(s)`,
+      data: {
+        rescored: result.rescored,
+        scoreChanges: changes.length,
+        passChanges,
+        changes,
+        scoring: scoringRules(assessment),
+        passRule: describePassRule(assessment)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Production error rescoring responses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Production failed to rescore responses',
+      message: error.message,
+      renderUrl: RENDER_URL
+    });
+  }
+});
+
+// Production cache management endpoints - ?assessment=<id> limits the action to one assessment
+app.post('/api/clear-cache', requireAuth, requirePermission('cache:clear'), (req, res) => {
+  const targets = req.query.assessment
+    ? [assessments.get(String(req.query.assessment))].filter(Boolean)
+    : assessments.list();
   
-  console.log(`🗑️ Production cache cleared (was ${oldCacheAge}s old)`);
+  // Questions stay loaded; they are re-read from the header on the next fetch
+  const cleared = targets.map(assessment => {
+    const oldCacheAge = cacheAgeSeconds(assessment);
+    const entries = clearAssessmentCache(assessment);
+    console.log(`🗑️ Production cache cleared [${assessment.id}] (was ${oldCacheAge}s old, ${entries} entries)`);
+    return { assessment: assessment.id, previousCacheAge: `${oldCacheAge}s`, entriesCleared: entries };
+  });
   
   res.json({
     success: true,
     message: 'Production cache cleared successfully',
-    previousCacheAge: `${oldCacheAge}s`,
+    cleared,
     renderUrl: RENDER_URL,
     timestamp: new Date().toISOString()
   });
 });
 
-app.get('/api/cache-status', (req, res) => {
+app.get('/api/cache-status', requireAuth, (req, res) => {
   res.json({
     success: true,
-    cache: {
-      isValid: isCacheValid(),
-      hasData: !!CACHED_DATA,
-      timestamp: CACHE_TIMESTAMP ? new Date(CACHE_TIMESTAMP).toISOString() : null,
-      ageSeconds: CACHE_TIMESTAMP ? Math.floor((Date.now() - CACHE_TIMESTAMP) / 1000) : 0,
+    cache: assessments.list().map(assessment => ({
+      assessment: assessment.id,
+      isValid: isCacheValid(assessment),
+      ...dataCache.peek(`rows:${assessment.id}`),
+      hasData: !!assessment.cache.rows,
+      timestamp: assessment.cache.timestamp ? new Date(assessment.cache.timestamp).toISOString() : null,
+      ageSeconds: cacheAgeSeconds(assessment),
       durationMs: CACHE_DURATION,
-      questionsLoaded: QUESTIONS.length,
-      correctAnswersLoaded: CORRECT_ANSWERS.length
+      staleDurationMs: CACHE_STALE_DURATION,
+      dataSource: assessment.cache.dataSource || null,
+      sourceError: assessment.cache.sourceError || null,
+      questionsLoaded: assessment.questions.length,
+      missingColumns: assessment.columnMap?.missing || [],
+      malformedRows: assessment.cache.issues || [],
+      answerKeyVersion: assessment.answerKey.current().version,
+      store: responseStore.status(assessment.id)
+    })),
+    // Hits, stale hits and misses per entry type: rows, scored, reconciled, counted, stats
+    metrics: {
+      ...dataCache.stats(),
+      conditionalRequests: conditionalStats
     },
     renderUrl: RENDER_URL,
     mode: 'production-only'
@@ -920,12 +2729,45 @@ app.use('*', (req, res) => {
     availableEndpoints: [
       'GET /api/health - Production service health check',
       'GET /api/ping - Production keep-alive endpoint', 
+      'GET /api/events - Live updates as Server-Sent Events (?access_token=<token>)',
+      'POST /api/auth/login - Sign in and receive a session token',
+      'POST /api/auth/logout - End the current session',
       'GET /api/test-connection - Test production Google Sheets connection',
       'GET /api/dashboard-stats - Get production dashboard statistics',
-      'GET /api/test-responses - Get all production test responses',
+      'GET /api/test-responses - Filtered, sorted and paginated production test responses',
       'GET /api/questions - Get production questions and correct answers',
+      'GET /api/analytics/questions - Per-question item analysis',
+      'GET /api/analytics/trends - Pass rate and average score by week or month',
+      'GET /api/analytics/distribution - Score percentiles, spread, histogram and percentile ranks',
+      'GET /api/export/:format - Filtered results report (xlsx or pdf)',
+      'GET /api/data-quality - Validation findings and duplicate attempts',
       'GET /api/response/:employeeId - Get specific production employee response',
+      'GET /api/response/:employeeId/history - Get stored revisions of an employee response',
+      'GET /api/employees/:employeeId/attempts - Every attempt by an employee with retake eligibility',
+      'GET /api/employees - List the employee directory',
+      'POST /api/employees/import - Import the employee master from CSV (admin)',
+      'GET /api/employees/not-attempted - Directory employees without a submission, per department',
+      'GET /api/attempts/assessments - Assessments that can be taken online',
+      'POST /api/attempts/start - Start or resume an online test',
+      'PUT /api/attempts/:attemptId/answers - Save the answers of an online test so far',
+      'POST /api/attempts/:attemptId/events - Record proctoring events of an online test',
+      'POST /api/attempts/:attemptId/submit - Submit an online test for scoring',
+      'GET /api/attempts/:attemptId/proctoring - Timing, integrity flag and event log of an online test',
+      'GET /api/certificates/:employeeId - Download a PDF certificate for a passed employee',
+      'GET /api/certificates/verify/:certificateNumber - Publicly verify a certificate',
+      'GET /api/question-bank - List the question bank',
+      'GET /api/question-bank/paper - Preview a randomised paper (admin)',
+      'POST /api/question-bank - Add a question (admin)',
+      'PUT /api/question-bank/:questionId - Edit a question (admin)',
+      'DELETE /api/question-bank/:questionId - Archive a question (admin)',
+      'GET /api/assessments - List assessments',
+      'PUT /api/assessments/:assessmentId - Create or update an assessment (admin)',
+      'POST /api/assessments/:assessmentId/rescore - Recompute stored results under the current scoring rules (admin)',
+      'GET /api/answer-key - Get the current answer key',
+      'PUT /api/answer-key - Update the answer key (admin)',
+      'GET /api/answer-key/history - Answer key audit trail (admin)',
       'GET /api/debug/raw-data - Production debug raw data',
+      '(data endpoints accept ?assessment=<id>, default: first assessment)',
       'GET /api/cache-status - Check production cache status',
       'POST /api/clear-cache - Clear production data cache'
     ],
@@ -941,7 +2783,6 @@ function startProductionKeepAliveSystem() {
   // Production self-ping every 14 minutes to prevent sleeping
   setInterval(async () => {
     try {
-      const fetch = (await import('node-fetch')).default;
       const response = await fetch(`${RENDER_URL}/api/ping`);
       const data = await response.json();
       console.log(`🔔 Production keep-alive ping successful: uptime ${data.uptime}s`);
@@ -953,22 +2794,13 @@ function startProductionKeepAliveSystem() {
   console.log('✅ Production keep-alive system started (14 minute intervals)');
 }
 
-// Production node-fetch availability check
-async function ensureProductionNodeFetch() {
-  try {
-    await import('node-fetch');
-    console.log('✅ Production node-fetch is available');
-    return true;
-  } catch (error) {
-    console.log('⚠️ Production node-fetch not found - enhanced fallback data will be used');
-    return false;
-  }
-}
-
 // Production server startup
-app.listen(PORT, async () => {
-  const fetchAvailable = await ensureProductionNodeFetch();
-  startProductionKeepAliveSystem();
+app.listen(PORT, () => {
+  if (config.keepAlive) {
+    startProductionKeepAliveSystem();
+  }
+  startSubmissionWatcher();
+  startAttemptTimer();
   
   console.log('\n🚀 KRISHNA MARUTI BACKEND - PRODUCTION RENDER DEPLOYMENT');
   console.log('='.repeat(60));
@@ -976,16 +2808,29 @@ app.listen(PORT, async () => {
   console.log(`🔌 Port: ${PORT}`);
   console.log(`📦 Environment: production`);
   console.log(`⏱️ Started: ${new Date().toISOString()}`);
-  console.log(`📊 Sheet ID: ${SHEET_ID}`);
-  console.log(`🏷️ Sheet GID: ${SHEET_GID}`);
-  console.log(`📄 CSV URL: https://docs.google.com/spreadsheets/d/${SHEET_ID}/export?format=csv&gid=${SHEET_GID}`);
-  console.log(`🔗 Sheet URL: https://docs.google.com/spreadsheets/d/${SHEET_ID}/edit#gid=${SHEET_GID}`);
+  console.log(`⚙️ Configuration: ${configFile || 'environment variables and defaults'}`);
+  Object.entries(describeConfig(config))
+    .filter(([, value]) => !value.endsWith('[default]'))
+    .forEach(([name, value]) => console.log(`   • ${name}: ${value}`));
+  console.log(`📚 Assessments: ${assessments.list().length}`);
+  assessments.list().forEach(assessment => {
+    const source = assessment.dataSource.describe();
+    console.log(`   • ${assessment.id} - ${assessment.name} (${assessment.questionCount} questions, pass: ${describePassRule(assessment)}, source: ${source.type})`);
+    if (source.sheetUrl) {
+      console.log(`     🔗 Sheet URL: ${source.sheetUrl}`);
+    }
+  });
   
   console.log('\n✨ PRODUCTION FEATURES ENABLED:');
   console.log('   ✅ Production-only CORS for Vercel deployment');
-  console.log('   ✅ 15-minute caching system optimized for production');
+  console.log('   ✅ Token authentication on all data endpoints');
+  console.log('   ✅ Role-based access (admin, hr-viewer, department-head)');
+  console.log(`   ✅ ${CACHE_DURATION / 60000}-minute caching system optimized for production`);
+  console.log(`   ✅ Persistent SQLite response store (${responseStore.path})`);
   console.log('   ✅ 20-second timeout handling for production reliability');
-  console.log('   ✅ Enhanced fallback data system with 10 sample records');
+  console.log('   ✅ Online test taking with server-side scoring');
+  console.log(`   ✅ Last-known-good snapshots when a data source fails (${snapshots.dir})`);
+  console.log(`   ${DEMO_MODE ? '🎭 Demo mode: sample data when no snapshot exists' : '✅ Sample data disabled (DEMO_MODE=true to enable)'}`);
   console.log('   ✅ Production keep-alive system');
   console.log('   ✅ Comprehensive production logging');
   console.log('   ✅ Production error recovery mechanisms');
@@ -994,11 +2839,43 @@ app.listen(PORT, async () => {
   console.log('\n📋 PRODUCTION API ENDPOINTS:');
   console.log(`  🟢 GET  ${RENDER_URL}/api/health`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/ping`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/events`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/auth/login`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/auth/logout`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/test-connection`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/dashboard-stats`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/test-responses`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/questions`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/analytics/questions`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/analytics/trends`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/analytics/distribution`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/export/:format`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/data-quality`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/response/:employeeId`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/response/:employeeId/history`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/employees/:employeeId/attempts`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/employees`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/employees/import`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/employees/not-attempted`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/attempts/assessments`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/attempts/start`);
+  console.log(`  🟡 PUT  ${RENDER_URL}/api/attempts/:attemptId/answers`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/attempts/:attemptId/events`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/attempts/:attemptId/submit`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/attempts/:attemptId/proctoring`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/certificates/:employeeId`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/certificates/verify/:certificateNumber`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/question-bank`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/question-bank/paper`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/question-bank`);
+  console.log(`  🟡 PUT  ${RENDER_URL}/api/question-bank/:questionId`);
+  console.log(`  🟡 DEL  ${RENDER_URL}/api/question-bank/:questionId`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/assessments`);
+  console.log(`  🟡 PUT  ${RENDER_URL}/api/assessments/:assessmentId`);
+  console.log(`  🟡 POST ${RENDER_URL}/api/assessments/:assessmentId/rescore`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/answer-key`);
+  console.log(`  🟡 PUT  ${RENDER_URL}/api/answer-key`);
+  console.log(`  🟢 GET  ${RENDER_URL}/api/answer-key/history`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/debug/raw-data`);
   console.log(`  🟢 GET  ${RENDER_URL}/api/cache-status`);
   console.log(`  🟡 POST ${RENDER_URL}/api/clear-cache`);
@@ -1008,14 +2885,12 @@ app.listen(PORT, async () => {
   console.log(`  curl ${RENDER_URL}/api/test-connection`);
   
   console.log('\n📱 PRODUCTION CORS ORIGINS:');
-  console.log('   • https://krishna-maruti.vercel.app (production)');
-  console.log('   • https://krishna-maruti-*.vercel.app (preview deployments)');
-  console.log('   • Self-reference for keep-alive');
+  config.corsOrigins.forEach(origin => console.log(`   • ${origin}`));
   
   console.log('\n⚠️ PRODUCTION REQUIREMENTS:');
   console.log('   • Google Sheet must be publicly accessible');
   console.log('   • Share settings: "Anyone with the link can view"');
-  console.log(`   • node-fetch: ${fetchAvailable ? 'Available' : 'Using enhanced fallback'}` );
+  console.log('   • Node.js 18 or later (built-in fetch)');
   
   console.log('\n🎯 PRODUCTION RENDER DEPLOYMENT READY!');
   console.log('='.repeat(60));
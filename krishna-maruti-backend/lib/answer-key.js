@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { validateQuestionScoring } = require('./scoring');
+
+// Versioned answer key, persisted as JSON:
+// {
+//   version, updatedAt, updatedBy,
+//   questions: [{ question, acceptedAnswers: [...], weight?, topic?, partialCredit?: [{ answer, credit }] }],
+//   history: [{ version, changedAt, changedBy, changes: [{ questionIndex, before, after }] }]
+// }
+
+function validateQuestions(questions) {
+  if (!Array.isArray(questions) || questions.length === 0) {
+    return 'questions must be a non-empty array';
+  }
+  for (let i = 0; i < questions.length; i++) {
+    const accepted = questions[i]?.acceptedAnswers;
+    if (!Array.isArray(accepted) || accepted.filter(a => String(a || '').trim()).length === 0) {
+      return `questions[${i}].acceptedAnswers must contain at least one answer`;
+    }
+    const scoringError = validateQuestionScoring(questions[i], `questions[${i}]`);
+    if (scoringError) return scoringError;
+  }
+  return null;
+}
+
+function createAnswerKeyStore({ filePath, defaultQuestions = [] }) {
+  const resolvedPath = path.resolve(filePath);
+  let key = load();
+
+  function load() {
+    if (fs.existsSync(resolvedPath)) {
+      return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    }
+
+    console.log(`🔑 Production: No answer key at ${resolvedPath} - seeding version 1 from defaults`);
+    const now = new Date().toISOString();
+    const seeded = {
+      version: 1,
+      updatedAt: now,
+      updatedBy: 'system',
+      questions: defaultQuestions,
+      history: [{ version: 1, changedAt: now, changedBy: 'system', changes: [] }]
+    };
+    save(seeded);
+    return seeded;
+  }
+
+  function save(data) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(resolvedPath, JSON.stringify(data, null, 2));
+  }
+
+  function current() {
+    const { history, ...rest } = key;
+    return rest;
+  }
+
+  function acceptedAnswers(questionIndex) {
+    return key.questions[questionIndex]?.acceptedAnswers || [];
+  }
+
+  // Display form of the key: one string per question, alternatives joined by " / "
+  function correctAnswers() {
+    return key.questions.map(q => q.acceptedAnswers.join(' / '));
+  }
+
+  // Full question entry, including its optional scoring fields (see lib/scoring.js)
+  function question(questionIndex) {
+    return key.questions[questionIndex] || { acceptedAnswers: [] };
+  }
+
+  function update(questions, changedBy) {
+    const cleaned = questions.map((q, index) => ({
+      question: String(q.question || key.questions[index]?.question || '').trim(),
+      acceptedAnswers: [...new Set(q.acceptedAnswers.map(a => String(a || '').trim()).filter(Boolean))],
+      ...(q.weight !== undefined && q.weight !== 1 && { weight: q.weight }),
+      ...(String(q.topic || '').trim() && { topic: q.topic.trim() }),
+      ...(q.partialCredit?.length > 0 && {
+        partialCredit: q.partialCredit.map(entry => ({ answer: String(entry.answer).trim(), credit: entry.credit }))
+      })
+    }));
+
+    const changes = [];
+    const length = Math.max(cleaned.length, key.questions.length);
+    for (let i = 0; i < length; i++) {
+      const before = key.questions[i] || null;
+      const after = cleaned[i] || null;
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ questionIndex: i, before, after });
+      }
+    }
+
+    if (changes.length === 0) {
+      return { changed: false, key: current() };
+    }
+
+    const now = new Date().toISOString();
+    const version = key.version + 1;
+    key = {
+      version,
+      updatedAt: now,
+      updatedBy: changedBy,
+      questions: cleaned,
+      history: [...key.history, { version, changedAt: now, changedBy, changes }]
+    };
+    save(key);
+
+    console.log(`🔑 Production: Answer key updated to version ${version} by '${changedBy}' (${changes.length} question(s) changed)`);
+    return { changed: true, key: current() };
+  }
+
+  return {
+    path: resolvedPath,
+    current,
+    history: () => key.history,
+    acceptedAnswers,
+    question,
+    correctAnswers,
+    update
+  };
+}
+
+module.exports = { createAnswerKeyStore, validateQuestions };
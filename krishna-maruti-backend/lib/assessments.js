@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { createDataSource } = require('./data-sources');
+const { createAnswerKeyStore } = require('./answer-key');
+const { validateColumns } = require('./columns');
+const { DUPLICATE_POLICIES, DEFAULT_DUPLICATE_POLICY } = require('./data-quality');
+const { validateRetake, retakeRules } = require('./attempts');
+const { validatePaperRules } = require('./question-bank');
+const { validateScoring, validatePassRule, scoringRules } = require('./scoring');
+
+// Assessment registry. Each assessment (trade test) has its own response source,
+// question count, answer key and pass mark. Definitions are persisted as JSON:
+// [{
+//   id, name, description, questionCount, passMark,
+//   source: { type, sheetId, sheetGid, filePath },
+//   columns,        // optional header-name overrides, see lib/columns.js
+//   duplicatePolicy // which attempt counts when an employee submits twice: first, best or latest (default)
+//   retake,         // optional { cooldownDays, maxAttempts }, see lib/attempts.js
+//   paper,          // optional online paper rules { perTopic, shuffleOptions }, see lib/question-bank.js
+//   scoring,        // optional { negativeMarking, fuzzyMatching }, see lib/scoring.js
+//   passRule,       // optional { percentage, topicMinimums }; without it the pass mark (in points) applies
+//   timeLimitMinutes, // optional time limit for tests taken in the app; untimed when absent
+//   answerKeyFile   // optional, defaults to answer-keys/<id>.json in the data directory
+// }]
+// Runtime state (cached rows, column map and questions parsed from the header, last store sync)
+// lives on the assessment object.
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_TIME_LIMIT_MINUTES = 600;
+
+// maxScore: the most points a paper can be worth with its question weights (questionCount when every weight is 1)
+function validateAssessment(config, { maxScore = config?.questionCount } = {}) {
+  if (!config || !ID_PATTERN.test(String(config.id || ''))) {
+    return 'id must be lowercase letters, digits and dashes';
+  }
+  if (!String(config.name || '').trim()) {
+    return 'name is required';
+  }
+  if (!Number.isInteger(config.questionCount) || config.questionCount < 1) {
+    return 'questionCount must be a positive integer';
+  }
+  if (typeof config.passMark !== 'number' || config.passMark < 0 || config.passMark > maxScore) {
+    return `passMark must be a number between 0 and the maximum score (${maxScore})`;
+  }
+  if (!config.source?.type) {
+    return 'source.type is required';
+  }
+  if (config.timeLimitMinutes !== undefined &&
+      !(Number.isInteger(config.timeLimitMinutes) && config.timeLimitMinutes >= 1 && config.timeLimitMinutes <= MAX_TIME_LIMIT_MINUTES)) {
+    return `timeLimitMinutes must be a whole number of minutes from 1 to ${MAX_TIME_LIMIT_MINUTES}`;
+  }
+  if (config.duplicatePolicy !== undefined && !DUPLICATE_POLICIES.includes(config.duplicatePolicy)) {
+    return `duplicatePolicy must be one of: ${DUPLICATE_POLICIES.join(', ')}`;
+  }
+  return validateColumns(config.columns) || validateRetake(config.retake) ||
+    validatePaperRules(config.paper, config.questionCount) || validateScoring(config.scoring) ||
+    validatePassRule(config.passRule);
+}
+
+function createAssessmentRegistry({ filePath, dataDir, defaultAssessments = [], fixtureRows = [] }) {
+  const resolvedPath = path.resolve(filePath);
+  let assessments = new Map();
+
+  function build(config, previous) {
+    const dataSource = createDataSource({ ...config.source, rows: fixtureRows });
+    const answerKey = createAnswerKeyStore({
+      filePath: path.resolve(dataDir, config.answerKeyFile || path.join('answer-keys', `${config.id}.json`)),
+      defaultQuestions: config.defaultAnswerKey || []
+    });
+    const { defaultAnswerKey, ...definition } = config;
+
+    return {
+      ...definition,
+      dataSource,
+      answerKey,
+      questions: [],
+      columnMap: null,
+      syncState: null,
+      cache: previous?.cache && JSON.stringify(previous.source) === JSON.stringify(config.source)
+        ? previous.cache
+        : { rows: null, timestamp: null }
+    };
+  }
+
+  function load() {
+    let configs;
+    if (fs.existsSync(resolvedPath)) {
+      configs = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } else {
+      console.log(`📚 Production: No assessments at ${resolvedPath} - seeding ${defaultAssessments.length} default assessment(s)`);
+      configs = defaultAssessments;
+      save(configs.map(({ defaultAnswerKey, ...definition }) => definition));
+    }
+
+    // Answer key seeds only apply on first start, but keep them in case a key file is missing
+    const seeds = new Map(defaultAssessments.map(a => [a.id, a.defaultAnswerKey]));
+    assessments = new Map(configs.map(config => [
+      config.id,
+      build({ ...config, defaultAnswerKey: seeds.get(config.id) })
+    ]));
+  }
+
+  function save(configs) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(resolvedPath, JSON.stringify(configs, null, 2));
+  }
+
+  function definitionOf(assessment) {
+    const { dataSource, answerKey, questions, columnMap, cache, syncState, ...definition } = assessment;
+    return definition;
+  }
+
+  function summaryOf(assessment) {
+    const definition = definitionOf(assessment);
+    return {
+      id: definition.id,
+      name: definition.name,
+      description: definition.description || '',
+      questionCount: definition.questionCount,
+      passMark: definition.passMark,
+      duplicatePolicy: definition.duplicatePolicy || DEFAULT_DUPLICATE_POLICY,
+      retake: retakeRules(definition),
+      paper: definition.paper || null,
+      scoring: scoringRules(definition),
+      passRule: definition.passRule || null,
+      timeLimitMinutes: definition.timeLimitMinutes || null,
+      answerKeyVersion: assessment.answerKey.current().version,
+      dataSource: assessment.dataSource.describe()
+    };
+  }
+
+  function upsert(config) {
+    const previous = assessments.get(config.id);
+    assessments.set(config.id, build(config, previous));
+    save([...assessments.values()].map(definitionOf));
+    return assessments.get(config.id);
+  }
+
+  load();
+
+  return {
+    path: resolvedPath,
+    list: () => [...assessments.values()],
+    get: (id) => assessments.get(id) || null,
+    get defaultId() {
+      return assessments.keys().next().value;
+    },
+    summaryOf,
+    upsert
+  };
+}
+
+module.exports = { createAssessmentRegistry, validateAssessment };
@@ -0,0 +1,119 @@
+const { countedAttempt } = require('./data-quality');
+
+// Attempt history per employee and the retake rule.
+// An assessment definition can set "retake": { cooldownDays, maxAttempts }
+//   cooldownDays - days to wait after a failed attempt before the next one (default 0, no wait)
+//   maxAttempts  - attempts allowed in total, null for no limit
+// Employees who have passed are not offered a retake.
+
+const DEFAULT_RETAKE = { cooldownDays: 0, maxAttempts: null };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retakeRules(assessment) {
+  return { ...DEFAULT_RETAKE, ...assessment.retake };
+}
+
+function validateRetake(retake) {
+  if (retake === undefined) return null;
+  if (!retake || typeof retake !== 'object' || Array.isArray(retake)) {
+    return 'retake must be an object';
+  }
+  if (retake.cooldownDays !== undefined && !(Number.isInteger(retake.cooldownDays) && retake.cooldownDays >= 0)) {
+    return 'retake.cooldownDays must be a non-negative integer';
+  }
+  if (retake.maxAttempts !== undefined && retake.maxAttempts !== null &&
+      !(Number.isInteger(retake.maxAttempts) && retake.maxAttempts >= 1)) {
+    return 'retake.maxAttempts must be a positive integer or null';
+  }
+  return null;
+}
+
+// attempts: oldest first
+function retakeEligibility(attempts, { cooldownDays, maxAttempts }, now) {
+  if (attempts.length === 0) {
+    return { eligible: true, reason: 'No attempts yet', availableFrom: null };
+  }
+  if (attempts.some(attempt => attempt.passed)) {
+    return { eligible: false, reason: 'Already passed', availableFrom: null };
+  }
+  if (maxAttempts && attempts.length >= maxAttempts) {
+    return { eligible: false, reason: `All ${maxAttempts} attempts used`, availableFrom: null };
+  }
+
+  if (!cooldownDays) {
+    return { eligible: true, reason: 'Retake allowed', availableFrom: null };
+  }
+  const last = attempts[attempts.length - 1];
+  const availableFrom = new Date(new Date(last.submissionDate).getTime() + cooldownDays * DAY_MS);
+  if (now < availableFrom) {
+    const daysLeft = Math.ceil((availableFrom - now) / DAY_MS);
+    return {
+      eligible: false,
+      reason: `Cool-down after a failed attempt: ${daysLeft} day${daysLeft === 1 ? '' : 's'} left`,
+      availableFrom: availableFrom.toISOString()
+    };
+  }
+  return { eligible: true, reason: 'Cool-down complete', availableFrom: availableFrom.toISOString() };
+}
+
+// Weighted scores are fractional; keep differences free of floating-point noise
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The attempt a certificate is for: the counted one if it passed, otherwise the latest one that passed,
+// so an employee who passed keeps their certificate whichever attempt the duplicate policy counts.
+// -> null when no attempt passed
+function certificateAttempt(responses, duplicatePolicy) {
+  if (responses.length === 0) return null;
+  const counted = countedAttempt(responses, duplicatePolicy);
+  if (counted.passed) return counted;
+  return responses.filter(response => response.passed)
+    .sort((a, b) => new Date(b.submissionDate) - new Date(a.submissionDate))[0] || null;
+}
+
+// Every attempt by one employee with the change from the previous attempt, plus the retake rule
+function attemptHistory(responses, { duplicatePolicy, retake, now = new Date() }) {
+  const ordered = [...responses].sort((a, b) => new Date(a.submissionDate) - new Date(b.submissionDate));
+  const counted = ordered.length > 0 ? countedAttempt(ordered, duplicatePolicy) : null;
+
+  const attempts = ordered.map((response, index) => ({
+    attemptNumber: index + 1,
+    responseKey: response.responseKey || null,
+    submissionDate: response.submissionDate,
+    score: response.score,
+    maxScore: response.maxScore,
+    percentage: Math.round(response.percentage),
+    passed: response.passed,
+    improvement: index > 0 ? roundPoints(response.score - ordered[index - 1].score) : null,
+    counted: response === counted
+  }));
+
+  const scores = attempts.map(attempt => attempt.score);
+  const firstPass = attempts.find(attempt => attempt.passed);
+
+  return {
+    attempts,
+    summary: {
+      totalAttempts: attempts.length,
+      firstScore: attempts.length > 0 ? scores[0] : null,
+      latestScore: attempts.length > 0 ? scores[scores.length - 1] : null,
+      bestScore: attempts.length > 0 ? Math.max(...scores) : null,
+      totalImprovement: attempts.length > 1 ? roundPoints(scores[scores.length - 1] - scores[0]) : null,
+      passedOnAttempt: firstPass ? firstPass.attemptNumber : null
+    },
+    retake: {
+      ...retake,
+      ...retakeEligibility(ordered, retake, now)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RETAKE,
+  retakeRules,
+  validateRetake,
+  retakeEligibility,
+  certificateAttempt,
+  attemptHistory
+};
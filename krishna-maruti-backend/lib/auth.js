@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { ROLES, permissionsFor } = require('./roles');
+
+// Server-side user store with scrypt-hashed passwords and signed session tokens.
+// Users live in a JSON file: [{ username, name, employeeId, role, department, passwordHash }]
+
+const SCRYPT_KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function createUserStore(usersFile) {
+  const resolvedPath = path.resolve(usersFile);
+
+  function readUsers() {
+    if (!fs.existsSync(resolvedPath)) return [];
+    return JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  }
+
+  function writeUsers(users) {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(resolvedPath, JSON.stringify(users, null, 2));
+  }
+
+  return {
+    path: resolvedPath,
+    list: () => readUsers(),
+    find: (username) => readUsers().find(u => normalizeUsername(u.username) === normalizeUsername(username)) || null,
+    upsert(user) {
+      const users = readUsers().filter(u => normalizeUsername(u.username) !== normalizeUsername(user.username));
+      users.push(user);
+      writeUsers(users);
+      return user;
+    }
+  };
+}
+
+function createAuth({ usersFile, secret, tokenTtl = '12h' }) {
+  const users = createUserStore(usersFile);
+  // jti -> expiry (ms) of tokens revoked through /api/auth/logout
+  const revokedTokens = new Map();
+
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    console.log('⚠️ Production: AUTH_SECRET not set - using a random secret, sessions end on restart');
+  }
+
+  function publicUser(user) {
+    return {
+      username: user.username,
+      name: user.name || user.username,
+      employeeId: user.employeeId || null,
+      // Accounts created before roles existed are read-only HR viewers
+      role: user.role || ROLES.HR_VIEWER,
+      department: user.department || null
+    };
+  }
+
+  function login(username, password) {
+    const user = users.find(username);
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+      return null;
+    }
+
+    const payload = publicUser(user);
+    const token = jwt.sign(payload, secret, {
+      subject: user.username,
+      expiresIn: tokenTtl,
+      jwtid: crypto.randomUUID()
+    });
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      user: { ...payload, permissions: permissionsFor(payload.role) }
+    };
+  }
+
+  function verifyToken(token) {
+    const claims = jwt.verify(token, secret);
+    if (revokedTokens.has(claims.jti)) {
+      throw new Error('Token has been revoked');
+    }
+    return claims;
+  }
+
+  // Whether a session verified earlier is still valid, for connections that outlive the request
+  function isActive(claims) {
+    return !revokedTokens.has(claims.jti) && claims.exp * 1000 > Date.now();
+  }
+
+  function logout(claims) {
+    revokedTokens.set(claims.jti, claims.exp * 1000);
+
+    // Drop revocations for tokens that have expired anyway
+    const now = Date.now();
+    for (const [jti, expiresAt] of revokedTokens) {
+      if (expiresAt < now) revokedTokens.delete(jti);
+    }
+  }
+
+  function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  }
+
+  // Express middleware: rejects requests without a valid Bearer token
+  function requireAuth(req, res, next) {
+    authenticate(req, res, next, bearerToken(req));
+  }
+
+  // EventSource can't set headers, so event streams may pass the token as ?access_token=
+  function requireStreamAuth(req, res, next) {
+    authenticate(req, res, next, bearerToken(req) || String(req.query.access_token || '').trim());
+  }
+
+  function authenticate(req, res, next, token) {
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Missing Bearer token'
+      });
+    }
+
+    try {
+      req.user = verifyToken(token);
+      next();
+    } catch (error) {
+      console.log(`🔒 Production: Rejected token for ${req.method} ${req.path}: ${error.message}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: 'Invalid or expired token'
+      });
+    }
+  }
+
+  return { users, login, logout, isActive, verifyToken, requireAuth, requireStreamAuth };
+}
+
+module.exports = { createAuth, createUserStore, hashPassword, verifyPassword };
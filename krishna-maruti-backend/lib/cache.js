@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+
+// In-memory cache with stale-while-revalidate, plus versioned entries for derived data.
+//   get(key, loader)           - fresh entries are served as-is. Stale entries (older than ttlMs but within
+//                                staleMs more) are served at once while one background refresh runs. Missing
+//                                or expired entries wait for the loader. Concurrent loads of a key share one call.
+//   memo(key, version, compute) - values derived from cached data, recomputed only when the version changes
+// Hits, stale hits, misses and refreshes are counted per key prefix (the part before the first ':').
+// onRefresh(key, entry) runs after every successful load, foreground or background.
+
+function createCache({ ttlMs, staleMs = 0, name = 'cache', onRefresh = null }) {
+  const entries = new Map();
+  const metrics = new Map();
+
+  function metricsFor(key) {
+    const group = key.split(':')[0];
+    if (!metrics.has(group)) {
+      metrics.set(group, { hits: 0, staleHits: 0, misses: 0, refreshes: 0, backgroundRefreshes: 0, errors: 0, lastRefreshMs: null });
+    }
+    return metrics.get(group);
+  }
+
+  function stateOf(entry, now = Date.now()) {
+    if (!entry || entry.fetchedAt === null) return 'empty';
+    const age = now - entry.fetchedAt;
+    if (age < ttlMs) return 'fresh';
+    return age < ttlMs + staleMs ? 'stale' : 'expired';
+  }
+
+  // One refresh per key at a time; callers arriving mid-refresh share its promise
+  function refresh(key, loader, background) {
+    const entry = entries.get(key) || { value: undefined, fetchedAt: null, refreshing: null, lastError: null };
+    entries.set(key, entry);
+    if (entry.refreshing) return entry.refreshing;
+
+    const stats = metricsFor(key);
+    const startTime = Date.now();
+    stats.refreshes++;
+    if (background) stats.backgroundRefreshes++;
+
+    entry.refreshing = (async () => {
+      try {
+        entry.value = await loader();
+        entry.fetchedAt = Date.now();
+        entry.lastError = null;
+        stats.lastRefreshMs = Date.now() - startTime;
+        if (onRefresh) onRefresh(key, entry);
+        return entry;
+      } catch (error) {
+        stats.errors++;
+        entry.lastError = { message: error.message, at: new Date().toISOString() };
+        throw error;
+      } finally {
+        entry.refreshing = null;
+      }
+    })();
+    return entry.refreshing;
+  }
+
+  // Resolves to the entry { value, fetchedAt }; rejects only when there is nothing usable to serve
+  async function get(key, loader, { force = false } = {}) {
+    const entry = entries.get(key);
+    const state = force ? 'forced' : stateOf(entry);
+    const stats = metricsFor(key);
+
+    if (state === 'fresh') {
+      stats.hits++;
+      return entry;
+    }
+    if (state === 'stale') {
+      stats.staleHits++;
+      console.log(`♻️ Production ${name} [${key}]: Serving stale data (${Math.floor((Date.now() - entry.fetchedAt) / 1000)}s old) while refreshing`);
+      refresh(key, loader, true).catch(error => {
+        console.log(`⚠️ Production ${name} [${key}]: Background refresh failed, keeping stale data: ${error.message}`);
+      });
+      return entry;
+    }
+
+    stats.misses++;
+    return refresh(key, loader, false);
+  }
+
+  function memo(key, version, compute) {
+    const entry = entries.get(key);
+    const stats = metricsFor(key);
+    if (entry && entry.version === version) {
+      stats.hits++;
+      return entry.value;
+    }
+
+    stats.misses++;
+    const startTime = Date.now();
+    const value = compute();
+    stats.refreshes++;
+    stats.lastRefreshMs = Date.now() - startTime;
+    entries.set(key, { value, version, fetchedAt: Date.now(), refreshing: null, lastError: null });
+    return value;
+  }
+
+  function peek(key) {
+    const entry = entries.get(key);
+    return {
+      state: stateOf(entry),
+      fetchedAt: entry?.fetchedAt ?? null,
+      ageSeconds: entry?.fetchedAt ? Math.floor((Date.now() - entry.fetchedAt) / 1000) : 0,
+      refreshing: !!entry?.refreshing,
+      lastError: entry?.lastError || null
+    };
+  }
+
+  // Drops the entries whose key matches, or every entry
+  function clear(matches = () => true) {
+    let cleared = 0;
+    for (const key of [...entries.keys()]) {
+      if (matches(key)) {
+        entries.delete(key);
+        cleared++;
+      }
+    }
+    return cleared;
+  }
+
+  function stats() {
+    const groups = Object.fromEntries([...metrics].map(([group, counts]) => {
+      const lookups = counts.hits + counts.staleHits + counts.misses;
+      return [group, { ...counts, hitRate: lookups > 0 ? Math.round(((counts.hits + counts.staleHits) / lookups) * 100) : null }];
+    }));
+    return { entries: entries.size, ttlMs, staleMs, groups };
+  }
+
+  return { get, memo, peek, clear, stats };
+}
+
+// Weak ETag over the parts that determine a response body
+function etagOf(...parts) {
+  return `W/"${crypto.createHash('sha1').update(JSON.stringify(parts)).digest('base64url').slice(0, 27)}"`;
+}
+
+module.exports = { createCache, etagOf };
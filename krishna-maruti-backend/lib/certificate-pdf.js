@@ -0,0 +1,92 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+// Renders an issued certificate as a single landscape A4 page.
+// The QR code and the printed URL both point at the public verification page.
+
+const COLORS = {
+  primary: '#1e3a8a',
+  accent: '#b45309',
+  text: '#111827',
+  muted: '#6b7280'
+};
+
+function formatDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+async function renderCertificatePdf(certificate, { verifyUrl, organization = 'Krishna Maruti Ltd.' }) {
+  const qrCode = await QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: {
+        Title: `Certificate ${certificate.certificateNumber}`,
+        Author: organization,
+        Subject: certificate.assessmentName
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 200;
+
+    // Double border
+    doc.lineWidth(4).strokeColor(COLORS.primary).rect(25, 25, width - 50, height - 50).stroke();
+    doc.lineWidth(1).strokeColor(COLORS.accent).rect(35, 35, width - 70, height - 70).stroke();
+
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(16)
+      .text(organization.toUpperCase(), 100, 70, { width: contentWidth, align: 'center', characterSpacing: 2 });
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(34)
+      .text('Certificate of Achievement', 100, 110, { width: contentWidth, align: 'center' });
+
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(14)
+      .text('This is to certify that', 100, 175, { width: contentWidth, align: 'center' });
+
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(28)
+      .text(certificate.fullName, 100, 205, { width: contentWidth, align: 'center' });
+
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(13)
+      .text(`Employee ID ${certificate.employeeId}  ·  ${certificate.department || 'No department'}`, 100, 245, { width: contentWidth, align: 'center' });
+
+    doc.fillColor(COLORS.muted).fontSize(14)
+      .text('has successfully passed the', 100, 280, { width: contentWidth, align: 'center' });
+
+    doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(20)
+      .text(certificate.assessmentName, 100, 305, { width: contentWidth, align: 'center' });
+
+    const percentage = Math.round((certificate.score / certificate.maxScore) * 100);
+    doc.font('Helvetica').fontSize(14)
+      .text(`with a score of ${certificate.score}/${certificate.maxScore} (${percentage}%) on ${formatDate(certificate.assessmentDate)}`,
+        100, 340, { width: contentWidth, align: 'center' });
+
+    // Footer: certificate details on the left, verification QR code on the right
+    const footerTop = height - 170;
+    doc.fillColor(COLORS.muted).fontSize(10)
+      .text('Certificate number', 70, footerTop)
+      .fillColor(COLORS.text).font('Helvetica-Bold').fontSize(14)
+      .text(certificate.certificateNumber, 70, footerTop + 14)
+      .fillColor(COLORS.muted).font('Helvetica').fontSize(10)
+      .text('Issued on', 70, footerTop + 45)
+      .fillColor(COLORS.text).fontSize(12)
+      .text(formatDate(certificate.issuedAt), 70, footerTop + 59)
+      .fillColor(COLORS.muted).fontSize(9)
+      .text(`Verify at ${verifyUrl}`, 70, footerTop + 90, { width: width - 300 });
+
+    doc.image(qrCode, width - 180, footerTop - 10, { width: 110 });
+    doc.fillColor(COLORS.muted).fontSize(8)
+      .text('Scan to verify', width - 180, footerTop + 104, { width: 110, align: 'center' });
+
+    doc.end();
+  });
+}
+
+module.exports = { renderCertificatePdf };
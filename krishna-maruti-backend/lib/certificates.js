@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Issued certificates, kept in the same SQLite file as the response store so they can be verified later.
+// One active certificate per response: downloading again returns the same number. If the response is
+// re-scored (edited in the source or a new answer key), the old certificate is revoked and a new one issued.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS certificates (
+    certificate_number TEXT PRIMARY KEY,
+    assessment_id      TEXT NOT NULL,
+    assessment_name    TEXT NOT NULL,
+    response_key       TEXT NOT NULL,
+    employee_id        TEXT NOT NULL,
+    full_name          TEXT NOT NULL,
+    department         TEXT NOT NULL,
+    score              REAL NOT NULL,
+    total_questions    INTEGER NOT NULL,
+    max_score          REAL,
+    pass_mark          REAL NOT NULL,
+    assessment_date    TEXT NOT NULL,
+    issued_at          TEXT NOT NULL,
+    issued_by          TEXT NOT NULL,
+    revoked_at         TEXT
+  );
+  CREATE INDEX IF NOT EXISTS certificates_response ON certificates (assessment_id, response_key);
+`;
+
+function toCertificate(row) {
+  return row && {
+    certificateNumber: row.certificate_number,
+    assessmentId: row.assessment_id,
+    assessmentName: row.assessment_name,
+    responseKey: row.response_key,
+    employeeId: row.employee_id,
+    fullName: row.full_name,
+    department: row.department,
+    score: row.score,
+    totalQuestions: row.total_questions,
+    // Certificates issued before weighted scoring have one point per question
+    maxScore: row.max_score ?? row.total_questions,
+    passMark: row.pass_mark,
+    assessmentDate: row.assessment_date,
+    issuedAt: row.issued_at,
+    issuedBy: row.issued_by,
+    revokedAt: row.revoked_at
+  };
+}
+
+// Public score bands - verification shows the band, never the exact answers
+const SCORE_BANDS = [
+  { name: 'Distinction', minPercent: 90 },
+  { name: 'Merit', minPercent: 75 },
+  { name: 'Pass', minPercent: 0 }
+];
+
+function scoreBandOf(certificate) {
+  const percent = Math.round((certificate.score / certificate.maxScore) * 100);
+  const index = SCORE_BANDS.findIndex(band => percent >= band.minPercent);
+  const band = SCORE_BANDS[index];
+  const above = SCORE_BANDS[index - 1];
+
+  let range = `${band.minPercent}-${above ? above.minPercent - 1 : 100}%`;
+  if (index === SCORE_BANDS.length - 1) {
+    range = `Below ${above.minPercent}%`;
+  }
+  return { name: band.name, range };
+}
+
+// What a public verification may reveal: no date of birth, answers or exact score
+function publicCertificate(certificate) {
+  return {
+    certificateNumber: certificate.certificateNumber,
+    status: certificate.revokedAt ? 'revoked' : 'valid',
+    valid: !certificate.revokedAt,
+    issuedTo: {
+      fullName: certificate.fullName,
+      employeeId: certificate.employeeId,
+      department: certificate.department
+    },
+    assessment: certificate.assessmentName,
+    scoreBand: scoreBandOf(certificate),
+    assessmentDate: certificate.assessmentDate,
+    issuedAt: certificate.issuedAt,
+    revokedAt: certificate.revokedAt
+  };
+}
+
+// e.g. KM-MECH-2025-3F9A0C1B
+function newCertificateNumber(assessmentId, date) {
+  const prefix = assessmentId.replace(/[^a-z0-9]/gi, '').slice(0, 4).toUpperCase() || 'TEST';
+  return `KM-${prefix}-${date.getUTCFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+// Databases created before a column existed get it added
+function migrate(db) {
+  const columns = db.prepare('PRAGMA table_info(certificates)').all().map(column => column.name);
+  if (!columns.includes('max_score')) {
+    db.exec('ALTER TABLE certificates ADD COLUMN max_score REAL');
+  }
+}
+
+function createCertificateStore({ filePath }) {
+  const resolvedPath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+  if (resolvedPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const db = new Database(resolvedPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const statements = {
+    active: db.prepare('SELECT * FROM certificates WHERE assessment_id = ? AND response_key = ? AND revoked_at IS NULL'),
+    find: db.prepare('SELECT * FROM certificates WHERE certificate_number = ?'),
+    revoke: db.prepare('UPDATE certificates SET revoked_at = ? WHERE certificate_number = ?'),
+    insert: db.prepare(`
+      INSERT INTO certificates (certificate_number, assessment_id, assessment_name, response_key, employee_id, full_name,
+                                department, score, total_questions, max_score, pass_mark, assessment_date, issued_at, issued_by)
+      VALUES (@certificateNumber, @assessmentId, @assessmentName, @responseKey, @employeeId, @fullName,
+              @department, @score, @totalQuestions, @maxScore, @passMark, @assessmentDate, @issuedAt, @issuedBy)
+    `)
+  };
+
+  // assessment: { id, name, passMark }, response: a scored response with responseKey
+  const issue = db.transaction((assessment, response, issuedBy) => {
+    const current = toCertificate(statements.active.get(assessment.id, response.responseKey));
+    const totalQuestions = response.answers.length;
+    if (current && current.score === response.score && current.maxScore === response.maxScore &&
+        current.totalQuestions === totalQuestions &&
+        current.fullName === response.fullName && current.department === response.department) {
+      return { certificate: current, issued: false };
+    }
+
+    const now = new Date();
+    if (current) {
+      statements.revoke.run(now.toISOString(), current.certificateNumber);
+      console.log(`📜 Production: Revoked certificate ${current.certificateNumber} - response was re-scored`);
+    }
+
+    const certificate = {
+      certificateNumber: newCertificateNumber(assessment.id, now),
+      assessmentId: assessment.id,
+      assessmentName: assessment.name,
+      responseKey: response.responseKey,
+      employeeId: response.employeeId,
+      fullName: response.fullName,
+      department: response.department || '',
+      score: response.score,
+      totalQuestions,
+      maxScore: response.maxScore,
+      passMark: assessment.passMark,
+      assessmentDate: new Date(response.submissionDate).toISOString(),
+      issuedAt: now.toISOString(),
+      issuedBy
+    };
+    statements.insert.run(certificate);
+    console.log(`📜 Production: Issued certificate ${certificate.certificateNumber} to ${certificate.fullName} (${certificate.employeeId})`);
+    return { certificate: { ...certificate, revokedAt: null }, issued: true };
+  });
+
+  return {
+    path: resolvedPath,
+    issue,
+    find: (certificateNumber) => toCertificate(statements.find.get(String(certificateNumber).trim().toUpperCase())),
+    close: () => db.close()
+  };
+}
+
+module.exports = { createCertificateStore, publicCertificate, scoreBandOf };
@@ -0,0 +1,114 @@
+// Maps response fields to source columns by header name, so the sheet's column order doesn't matter.
+// An assessment definition can override any field with a header name or a list of accepted names:
+//   "columns": { "employeeId": ["Employee ID", "Emp Code"], "questions": ["Q1", "Q2"] }
+// Without "questions", every column that isn't mapped to a field is a question, in sheet order.
+// Header names match case-insensitively, ignoring surrounding and repeated whitespace.
+
+const DEFAULT_COLUMNS = {
+  timestamp: 'Timestamp',
+  score: 'Score',
+  fullName: 'Full Name',
+  employeeId: 'Employee ID',
+  dateOfBirth: ['Date of Birth (DD/MM/YYYY)', 'Date of Birth'],
+  department: 'Department'
+};
+
+const FIELDS = Object.keys(DEFAULT_COLUMNS);
+const REQUIRED_FIELDS = ['timestamp', 'fullName', 'employeeId'];
+
+function normalizeHeader(name) {
+  return String(name ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function namesOf(value) {
+  return (Array.isArray(value) ? value : [value]).map(normalizeHeader);
+}
+
+function validateColumns(columns) {
+  if (columns === undefined) return null;
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    return 'columns must be an object of header names';
+  }
+
+  const isName = (value) => typeof value === 'string' && value.trim() !== '';
+  for (const [field, value] of Object.entries(columns)) {
+    if (field === 'questions') {
+      if (!Array.isArray(value) || value.length === 0 || !value.every(isName)) {
+        return 'columns.questions must be a non-empty array of header names';
+      }
+    } else if (!FIELDS.includes(field)) {
+      return `Unknown column '${field}'. Expected one of: ${[...FIELDS, 'questions'].join(', ')}`;
+    } else if (!(isName(value) || (Array.isArray(value) && value.length > 0 && value.every(isName)))) {
+      return `columns.${field} must be a header name or an array of header names`;
+    }
+  }
+  return null;
+}
+
+// -> { fields: { timestamp: 0, ... } (-1 when absent), questions: [column indexes], missing: [messages] }
+function resolveColumns(header, columns = {}) {
+  const normalized = header.map(normalizeHeader);
+  const used = new Set();
+  const missing = [];
+
+  const find = (names) => normalized.findIndex((name, index) => !used.has(index) && names.includes(name));
+
+  const fields = {};
+  FIELDS.forEach(field => {
+    const configured = columns[field] ?? DEFAULT_COLUMNS[field];
+    const index = find(namesOf(configured));
+    fields[field] = index;
+    if (index >= 0) {
+      used.add(index);
+    } else if (REQUIRED_FIELDS.includes(field)) {
+      missing.push(`No '${[].concat(configured)[0]}' column for ${field}`);
+    }
+  });
+
+  let questions;
+  if (columns.questions) {
+    questions = [];
+    columns.questions.forEach(name => {
+      const index = find([normalizeHeader(name)]);
+      if (index < 0) {
+        missing.push(`No '${name}' question column`);
+        return;
+      }
+      used.add(index);
+      questions.push(index);
+    });
+  } else {
+    questions = header.map((_, index) => index).filter(index => !used.has(index));
+  }
+
+  return { fields, questions, missing };
+}
+
+// Field values of a data row; absent columns read as ''
+function readFields(row, columnMap) {
+  const values = {};
+  FIELDS.forEach(field => {
+    const index = columnMap.fields[field];
+    values[field] = index >= 0 ? String(row[index] ?? '').trim() : '';
+  });
+  return values;
+}
+
+// Header name each field and question was mapped to, for diagnostics
+function describeColumns(header, columnMap) {
+  return {
+    fields: Object.fromEntries(FIELDS.map(field => [field, header[columnMap.fields[field]] ?? null])),
+    questions: columnMap.questions.map(index => header[index]),
+    missing: columnMap.missing
+  };
+}
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  REQUIRED_FIELDS,
+  normalizeHeader,
+  validateColumns,
+  resolveColumns,
+  readFields,
+  describeColumns
+};
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_SOURCE_TYPES } = require('./data-sources');
+
+// Deployment settings, read once at startup. Each setting comes from, in order of precedence:
+//   1. its environment variable
+//   2. the JSON config file (CONFIG_FILE, default config.json next to app.js), keyed by setting name
+//   3. the default below
+// loadConfig() validates everything and reports every problem at once, so a bad deployment fails
+// at startup with a list of what to fix instead of misbehaving later.
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(BACKEND_DIR, 'config.json');
+
+// type: string | integer | boolean | url | list | origins | pattern | enum
+const SETTINGS = {
+  port: { env: 'PORT', type: 'integer', default: 3000, min: 1, max: 65535 },
+  // Public URL of this backend, used for keep-alive pings and in API metadata
+  renderUrl: { env: 'RENDER_URL', type: 'url', default: 'https://krishna-maruti-backend.onrender.com' },
+  // Dashboard URL, used for certificate verification links
+  publicAppUrl: { env: 'PUBLIC_APP_URL', type: 'url', default: 'https://krishna-maruti.vercel.app' },
+  // Browser origins allowed to call the API; '*' in an origin matches any characters
+  corsOrigins: {
+    env: 'CORS_ORIGINS',
+    type: 'origins',
+    default: [
+      'https://krishna-maruti.vercel.app',
+      'https://krishna-maruti-backend.onrender.com',
+      'https://krishna-maruti*.vercel.app',
+      'https://krishna-maruti-backend*.onrender.com'
+    ]
+  },
+  keepAlive: { env: 'KEEP_ALIVE', type: 'boolean', default: true },
+
+  // Seed for the default assessment; assessments.json takes over once it exists
+  sheetId: { env: 'SHEET_ID', type: 'string', default: '1yjOEf3aBN-MBKuUY1ypyrxRo5x2mqH3WAFZlz3aPbls' },
+  sheetGid: { env: 'SHEET_GID', type: 'string', default: '1666091753' },
+  passMark: { env: 'PASS_MARK', type: 'integer', default: 6, min: 0 },
+  dataSource: { env: 'DATA_SOURCE', type: 'enum', values: DATA_SOURCE_TYPES, default: 'google-sheets' },
+  dataSourcePath: { env: 'DATA_SOURCE_PATH', type: 'string', default: null },
+  answerKeyFile: { env: 'ANSWER_KEY_FILE', type: 'string', default: 'answer-key.json' },
+
+  cacheSeconds: { env: 'CACHE_SECONDS', type: 'integer', default: 15 * 60, min: 1 },
+  cacheStaleSeconds: { env: 'CACHE_STALE_SECONDS', type: 'integer', default: 24 * 60 * 60, min: 0 },
+  eventsPollInterval: { env: 'EVENTS_POLL_INTERVAL', type: 'integer', default: 60, min: 1 },
+  demoMode: { env: 'DEMO_MODE', type: 'boolean', default: false },
+
+  departments: {
+    env: 'DEPARTMENTS',
+    type: 'list',
+    default: ['Mechanical', 'Electrical', 'Production', 'Quality', 'Design', 'Testing', 'Maintenance', 'IT', 'R&D']
+  },
+  employeeIdPattern: { env: 'EMPLOYEE_ID_PATTERN', type: 'pattern', default: '^[A-Za-z0-9][A-Za-z0-9/-]*$' },
+
+  dataDir: { env: 'DATA_DIR', type: 'string', default: path.join(BACKEND_DIR, 'data') },
+  // Paths below default to files in dataDir
+  assessmentsFile: { env: 'ASSESSMENTS_FILE', type: 'string', default: null },
+  dbFile: { env: 'DB_FILE', type: 'string', default: null },
+  snapshotDir: { env: 'SNAPSHOT_DIR', type: 'string', default: null },
+  usersFile: { env: 'USERS_FILE', type: 'string', default: null },
+
+  authSecret: { env: 'AUTH_SECRET', type: 'string', default: null, secret: true },
+  authTokenTtl: { env: 'AUTH_TOKEN_TTL', type: 'string', default: '12h' },
+  // Creates the first administrator on startup when both are set
+  adminUsername: { env: 'ADMIN_USERNAME', type: 'string', default: null },
+  adminPassword: { env: 'ADMIN_PASSWORD', type: 'string', default: null, secret: true },
+  adminName: { env: 'ADMIN_NAME', type: 'string', default: null },
+  adminEmployeeId: { env: 'ADMIN_EMPLOYEE_ID', type: 'string', default: null }
+};
+
+function parseList(value) {
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// 'https://app*.vercel.app' -> /^https:\/\/app.*\.vercel\.app$/
+function originMatcher(origin) {
+  if (!origin.includes('*')) return origin;
+  const escaped = origin.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+// -> { value } or { error }; value is the raw env string or the file's JSON value
+function parseSetting(setting, value) {
+  switch (setting.type) {
+    case 'string': {
+      const text = String(value).trim();
+      return text ? { value: text } : { error: 'must not be empty' };
+    }
+    case 'integer': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isInteger(number)) return { error: `must be a whole number, got '${value}'` };
+      if (setting.min !== undefined && number < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && number > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value: number };
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes'].includes(text)) return { value: true };
+      if (['false', '0', 'no'].includes(text)) return { value: false };
+      return { error: `must be true or false, got '${value}'` };
+    }
+    case 'url': {
+      try {
+        const url = new URL(String(value).trim());
+        if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+        return { value: url.href.replace(/\/+$/, '') };
+      } catch (error) {
+        return { error: `must be a URL, got '${value}'` };
+      }
+    }
+    case 'list': {
+      const items = parseList(value);
+      return items.length > 0 ? { value: items } : { error: 'must list at least one value' };
+    }
+    case 'origins': {
+      const origins = parseList(value);
+      const invalid = origins.filter(origin => !/^https?:\/\/[^/\s]+$/.test(origin));
+      if (invalid.length > 0) return { error: `must be origins like https://example.com, got '${invalid.join("', '")}'` };
+      return origins.length > 0 ? { value: origins } : { error: 'must list at least one origin' };
+    }
+    case 'pattern':
+      try {
+        return { value: new RegExp(String(value)) };
+      } catch (error) {
+        return { error: `must be a valid regular expression: ${error.message}` };
+      }
+    case 'enum':
+      return setting.values.includes(value)
+        ? { value }
+        : { error: `must be one of ${setting.values.join(', ')}, got '${value}'` };
+    default:
+      throw new Error(`Unknown setting type '${setting.type}'`);
+  }
+}
+
+function readConfigFile(filePath, explicit, errors) {
+  if (!fs.existsSync(filePath)) {
+    if (explicit) errors.push(`CONFIG_FILE: ${filePath} does not exist`);
+    return {};
+  }
+  try {
+    const values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${filePath}: must contain a JSON object of settings`);
+      return {};
+    }
+    Object.keys(values)
+      .filter(key => !SETTINGS[key])
+      .forEach(key => errors.push(`${filePath}: unknown setting '${key}'`));
+    return values;
+  } catch (error) {
+    errors.push(`${filePath}: ${error.message}`);
+    return {};
+  }
+}
+
+// -> { config, errors: [messages], file } where file is the config file that was read, if any
+function loadConfig(env = process.env) {
+  const errors = [];
+  const filePath = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+  const fileValues = readConfigFile(filePath, !!env.CONFIG_FILE, errors);
+
+  const config = {};
+  const sources = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    let raw;
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      raw = env[setting.env];
+      sources[name] = `env ${setting.env}`;
+    } else if (fileValues[name] !== undefined && fileValues[name] !== null) {
+      raw = fileValues[name];
+      sources[name] = 'file';
+    } else {
+      config[name] = setting.default;
+      sources[name] = 'default';
+      continue;
+    }
+
+    const { value, error } = parseSetting(setting, raw);
+    if (error) {
+      errors.push(`${setting.env} (${name}) ${error}`);
+    } else {
+      config[name] = value;
+    }
+  }
+
+  // The default pattern is a string like an environment value
+  config.employeeIdPattern = config.employeeIdPattern instanceof RegExp
+    ? config.employeeIdPattern
+    : new RegExp(config.employeeIdPattern);
+
+  if (['csv-file', 'json-file'].includes(config.dataSource) && !config.dataSourcePath) {
+    errors.push(`DATA_SOURCE_PATH (dataSourcePath) is required for the ${config.dataSource} data source`);
+  }
+  if (config.adminUsername && !config.adminPassword) {
+    errors.push('ADMIN_PASSWORD (adminPassword) is required when ADMIN_USERNAME is set');
+  }
+
+  config.assessmentsFile = config.assessmentsFile || path.join(config.dataDir, 'assessments.json');
+  config.dbFile = config.dbFile || path.join(config.dataDir, 'responses.db');
+  config.snapshotDir = config.snapshotDir || path.join(path.dirname(config.dbFile), 'snapshots');
+  config.usersFile = config.usersFile || path.join(config.dataDir, 'users.json');
+
+  Object.defineProperty(config, 'sources', { value: sources, enumerable: false });
+  return { config: Object.freeze(config), errors, file: fs.existsSync(filePath) ? filePath : null };
+}
+
+// Where each setting came from, with secrets hidden; for startup logs and diagnostics
+function describeConfig(config) {
+  return Object.fromEntries(Object.keys(SETTINGS).map(name => {
+    const value = config[name];
+    const shown = SETTINGS[name].secret
+      ? (value ? '(set)' : '(not set)')
+      : (Array.isArray(value) ? value.map(String).join(', ') : String(value));
+    return [name, `${shown} [${config.sources[name]}]`];
+  }));
+}
+
+// True when the origin is on the allow-list (exact or wildcard)
+function isAllowedOrigin(config, origin) {
+  return config.corsOrigins.map(originMatcher).some(allowed => (allowed instanceof RegExp ? allowed.test(origin) : allowed === origin));
+}
+
+module.exports = {
+  SETTINGS,
+  loadConfig,
+  describeConfig,
+  isAllowedOrigin
+};
@@ -0,0 +1,177 @@
+// Production CSV parsing (RFC 4180)
+// The parser is incremental: feed it text as it arrives and it returns the records completed so far,
+// each with the line number it started on. Quoted fields may contain commas, doubled quotes and line
+// breaks. CRLF, LF and a lone CR all end a record, blank lines are ignored and a leading UTF-8 BOM is dropped.
+// Malformed records are reported as { line, message } issues instead of being returned.
+
+function createCsvParser() {
+  const issues = [];
+  let records = [];
+  let fields = [];
+  let field = '';
+  let state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteClosed
+  let recordError = null;
+  let line = 1;
+  let recordLine = 1;
+  let started = false;
+  let afterCR = false;
+
+  function fail(message) {
+    if (!recordError) recordError = message;
+  }
+
+  function endField() {
+    fields.push(field);
+    field = '';
+    state = 'fieldStart';
+  }
+
+  function endRecord() {
+    endField();
+    if (recordError) {
+      issues.push({ line: recordLine, message: recordError });
+    } else if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    recordError = null;
+    recordLine = line;
+  }
+
+  function write(text) {
+    if (!started && text.length > 0) {
+      started = true;
+      if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      // The LF of a CRLF pair: the line (and any record) already ended at the CR
+      if (afterCR) {
+        afterCR = false;
+        if (char === '\n') {
+          if (state === 'quoted') field += char;
+          continue;
+        }
+      }
+
+      const isNewline = char === '\n' || char === '\r';
+      if (isNewline) {
+        line++;
+        afterCR = char === '\r';
+      }
+
+      switch (state) {
+        case 'quoted':
+          if (char === '"') {
+            state = 'quoteClosed';
+          } else {
+            field += char;
+          }
+          break;
+
+        case 'quoteClosed':
+          if (char === '"') {
+            field += '"';
+            state = 'quoted';
+          } else if (char === ',') {
+            endField();
+          } else if (isNewline) {
+            endRecord();
+          } else {
+            fail(`Unexpected character '${char}' after a closing quote`);
+            field += char;
+            state = 'unquoted';
+          }
+          break;
+
+        default: // fieldStart | unquoted
+          if (char === ',') {
+            endField();
+          } else if (isNewline) {
+            endRecord();
+          } else if (char === '"' && state === 'fieldStart') {
+            state = 'quoted';
+          } else {
+            if (char === '"') fail('Unexpected quote in an unquoted field');
+            field += char;
+            state = 'unquoted';
+          }
+      }
+    }
+
+    const completed = records;
+    records = [];
+    return completed;
+  }
+
+  function end() {
+    if (state === 'quoted') {
+      issues.push({ line: recordLine, message: 'Unterminated quoted field' });
+    } else if (state !== 'fieldStart' || fields.length > 0) {
+      endRecord();
+    }
+
+    const completed = records;
+    records = [];
+    return completed;
+  }
+
+  return { write, end, issues };
+}
+
+// Collects parser output into { rows, issues }: the header row followed by data rows.
+// Data rows must have as many fields as the header.
+function createRowCollector() {
+  const rows = [];
+  const issues = [];
+
+  function add(records) {
+    records.forEach(({ line, fields }) => {
+      if (rows.length > 0 && fields.length !== rows[0].length) {
+        issues.push({ line, message: `Expected ${rows[0].length} fields but found ${fields.length}` });
+        return;
+      }
+      rows.push(fields);
+    });
+  }
+
+  return { rows, issues, add };
+}
+
+function finish(parser, collector) {
+  collector.add(parser.end());
+  const issues = [...parser.issues, ...collector.issues].sort((a, b) => a.line - b.line);
+
+  issues.forEach(issue => console.log(`⚠️ Production CSV line ${issue.line}: ${issue.message}`));
+  console.log(`✅ Production CSV parsing completed: ${collector.rows.length} rows, ${issues.length} malformed`);
+  if (collector.rows.length > 0) {
+    console.log('📋 Production header row:', collector.rows[0].slice(0, 6).join(' | '));
+  }
+
+  return { rows: collector.rows, issues };
+}
+
+// Parses a complete CSV document
+function parseCSV(csvData) {
+  const parser = createCsvParser();
+  const collector = createRowCollector();
+  collector.add(parser.write(csvData));
+  return finish(parser, collector);
+}
+
+// Parses an async iterable of text or byte chunks, e.g. a file read stream or a fetch response body
+async function parseCSVStream(chunks) {
+  const parser = createCsvParser();
+  const collector = createRowCollector();
+  const decoder = new TextDecoder('utf-8');
+
+  for await (const chunk of chunks) {
+    collector.add(parser.write(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true })));
+  }
+  collector.add(parser.write(decoder.decode()));
+  return finish(parser, collector);
+}
+
+module.exports = { createCsvParser, parseCSV, parseCSVStream };
@@ -0,0 +1,207 @@
+// Validation of scored responses and the duplicate-attempt policy.
+// Each finding is { type, severity, responseKey, employeeId, fullName, department, field, value, message }.
+//   invalid-timestamp   - submission timestamp missing, unparseable or in the future
+//   invalid-dob         - date of birth not a real DD/MM/YYYY date
+//   invalid-employee-id - employee ID blank or not matching the configured pattern
+//   unknown-department  - department not in the configured list
+//   blank-answers       - one or more questions left unanswered
+//   duplicate-attempt   - employee submitted more than once; only one attempt counts (see DUPLICATE_POLICIES)
+//   unknown-employee    - employee ID not in the employee directory
+//   name-mismatch       - submitted name differs from the directory name
+//   department-mismatch - submitted department differs from the directory department
+// The directory findings need responses reconciled by lib/employee-directory.
+
+const DUPLICATE_POLICIES = ['first', 'best', 'latest'];
+const DEFAULT_DUPLICATE_POLICY = 'latest';
+
+const DOB_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/;
+const MIN_BIRTH_YEAR = 1900;
+
+function realDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+// Returns an error message, or null for a valid DD/MM/YYYY date of birth
+function checkDateOfBirth(value, now) {
+  const match = DOB_PATTERN.exec(value);
+  if (!match) {
+    return value ? `'${value}' is not in DD/MM/YYYY format` : 'Date of birth is blank';
+  }
+
+  const [first, second, year] = match.slice(1).map(Number);
+  const date = realDate(year, second, first);
+  if (!date) {
+    // Google Forms timestamps are M/D/YYYY, so candidates sometimes enter their DOB the same way
+    return realDate(year, first, second)
+      ? `'${value}' looks like MM/DD/YYYY; expected DD/MM/YYYY`
+      : `'${value}' is not a real date`;
+  }
+  if (year < MIN_BIRTH_YEAR || date > now) {
+    return `'${value}' is out of range`;
+  }
+  return null;
+}
+
+function checkTimestamp(value, now) {
+  if (!value) return 'Submission timestamp is blank';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return `'${value}' is not a valid timestamp`;
+  if (date > now) return `'${value}' is in the future`;
+  return null;
+}
+
+function identityOf(response) {
+  return response.responseKey || `${response.timestamp}|${response.employeeId}`;
+}
+
+function submittedAt(response) {
+  return new Date(response.submissionDate).getTime();
+}
+
+// Picks the attempt that counts from one employee's attempts
+function countedAttempt(attempts, policy) {
+  const byDate = [...attempts].sort((a, b) => submittedAt(a) - submittedAt(b));
+  switch (policy) {
+    case 'first':
+      return byDate[0];
+    case 'best':
+      // Highest percentage, as papers drawn from a weighted bank can differ in maximum score;
+      // the earliest attempt wins a tie
+      return byDate.reduce((best, attempt) => (attempt.percentage > best.percentage ? attempt : best));
+    default:
+      return byDate[byDate.length - 1];
+  }
+}
+
+function groupByEmployee(responses) {
+  const groups = new Map();
+  responses.forEach(response => {
+    // Without an employee ID there is nothing to match attempts on
+    const key = response.employeeId ? response.employeeId.toLowerCase() : null;
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(response);
+  });
+  return groups;
+}
+
+// One response per employee according to the policy, in the original order.
+// Counted responses carry attemptCount.
+function applyDuplicatePolicy(responses, policy = DEFAULT_DUPLICATE_POLICY) {
+  const counted = new Map();
+  for (const attempts of groupByEmployee(responses).values()) {
+    counted.set(countedAttempt(attempts, policy), attempts.length);
+  }
+
+  return responses
+    .filter(response => !response.employeeId || counted.has(response))
+    .map(response => ({ ...response, attemptCount: counted.get(response) || 1 }));
+}
+
+// rules: { departments, employeeIdPattern, duplicatePolicy, now }
+function checkDataQuality(responses, { departments = [], employeeIdPattern = null, duplicatePolicy = DEFAULT_DUPLICATE_POLICY, now = new Date() } = {}) {
+  const knownDepartments = new Set(departments.map(d => d.trim().toLowerCase()));
+  const findings = [];
+
+  const add = (response, type, severity, field, value, message) => findings.push({
+    type,
+    severity,
+    responseKey: identityOf(response),
+    employeeId: response.employeeId,
+    fullName: response.fullName,
+    department: response.department,
+    field,
+    value,
+    message
+  });
+
+  responses.forEach(response => {
+    const timestampError = checkTimestamp(response.timestamp, now);
+    if (timestampError) add(response, 'invalid-timestamp', 'error', 'timestamp', response.timestamp, timestampError);
+
+    const dobError = checkDateOfBirth(response.dateOfBirth, now);
+    if (dobError) add(response, 'invalid-dob', 'error', 'dateOfBirth', response.dateOfBirth, dobError);
+
+    if (!response.employeeId) {
+      add(response, 'invalid-employee-id', 'error', 'employeeId', '', 'Employee ID is blank');
+    } else if (employeeIdPattern && !employeeIdPattern.test(response.employeeId)) {
+      add(response, 'invalid-employee-id', 'error', 'employeeId', response.employeeId,
+        `'${response.employeeId}' does not match the employee ID format`);
+    }
+
+    if (knownDepartments.size > 0 && !knownDepartments.has(String(response.department || '').trim().toLowerCase())) {
+      add(response, 'unknown-department', 'warning', 'department', response.department,
+        response.department ? `'${response.department}' is not a known department` : 'Department is blank');
+    }
+
+    const reconciliation = response.reconciliation;
+    if (reconciliation?.status === 'unknown-employee' && response.employeeId) {
+      add(response, 'unknown-employee', 'warning', 'employeeId', response.employeeId,
+        `'${response.employeeId}' is not in the employee directory`);
+    } else if (reconciliation?.status === 'matched') {
+      if (!reconciliation.nameMatches) {
+        add(response, 'name-mismatch', 'warning', 'fullName', reconciliation.submittedName,
+          `Submitted as '${reconciliation.submittedName}'; the directory has '${reconciliation.directoryName}'`);
+      }
+      if (!reconciliation.departmentMatches) {
+        add(response, 'department-mismatch', 'warning', 'department', reconciliation.submittedDepartment,
+          `Submitted as '${reconciliation.submittedDepartment}'; the directory has '${response.department}'`);
+      }
+    }
+
+    const blank = response.answers.filter(a => !a.selectedAnswer).map(a => a.questionIndex + 1);
+    if (blank.length > 0) {
+      add(response, 'blank-answers', 'warning', 'answers', blank.join(', '),
+        `${blank.length} unanswered question${blank.length === 1 ? '' : 's'}: Q${blank.join(', Q')}`);
+    }
+  });
+
+  const duplicates = [];
+  for (const attempts of groupByEmployee(responses).values()) {
+    if (attempts.length < 2) continue;
+    const counted = countedAttempt(attempts, duplicatePolicy);
+    const ordered = [...attempts].sort((a, b) => submittedAt(a) - submittedAt(b));
+
+    duplicates.push({
+      employeeId: counted.employeeId,
+      fullName: counted.fullName,
+      department: counted.department,
+      attempts: ordered.map(attempt => ({
+        responseKey: identityOf(attempt),
+        submissionDate: attempt.submissionDate,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        counted: attempt === counted
+      }))
+    });
+    ordered.filter(attempt => attempt !== counted).forEach(attempt => {
+      add(attempt, 'duplicate-attempt', 'info', 'employeeId', attempt.employeeId,
+        `Attempt ${ordered.indexOf(attempt) + 1} of ${ordered.length}; not counted (${duplicatePolicy} attempt policy)`);
+    });
+  }
+
+  const byType = {};
+  findings.forEach(finding => {
+    byType[finding.type] = (byType[finding.type] || 0) + 1;
+  });
+
+  return {
+    summary: {
+      totalResponses: responses.length,
+      responsesWithIssues: new Set(findings.filter(f => f.severity !== 'info').map(f => f.responseKey)).size,
+      duplicateEmployees: duplicates.length,
+      byType
+    },
+    findings,
+    duplicates
+  };
+}
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY,
+  countedAttempt,
+  applyDuplicatePolicy,
+  checkDataQuality
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCSVStream } = require('./csv');
+
+// Interchangeable response providers. Every provider exposes the same shape:
+//   { type, describe(), fetchRows() }
+// where fetchRows() resolves to { rows, issues }: rows is a header row followed by data rows
+// (array of trimmed string arrays), issues lists malformed records that were left out as { line, message }.
+// fetchRows() rejects when the source cannot be read.
+
+const DATA_SOURCE_TYPES = ['google-sheets', 'csv-file', 'json-file', 'memory'];
+
+// Google Sheets CSV export provider
+function createGoogleSheetsSource({ sheetId, sheetGid, timeoutMs = 20000 }) {
+  const csvUrls = [
+    `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=${sheetGid}`,
+    `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv&gid=0`,
+    `https://docs.google.com/spreadsheets/d/${sheetId}/export?format=csv`,
+    `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:csv&gid=${sheetGid}`,
+  ];
+
+  async function fetchRows() {
+    console.log('📥 Production: Fetching data from Google Sheets via Render...');
+    console.log('📊 Sheet ID:', sheetId);
+    console.log('🏷️ Sheet GID:', sheetGid);
+
+    // Production-optimized fetching with longer timeouts
+    for (let i = 0; i < csvUrls.length; i++) {
+      // The time limit covers the whole download, so a sheet that stalls mid-body is abandoned too
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => {
+        controller.abort();
+        console.log(`⏰ Production request ${i + 1} timed out after ${timeoutMs / 1000} seconds`);
+      }, timeoutMs);
+
+      try {
+        console.log(`🔗 Production attempt ${i + 1}/${csvUrls.length}: ${csvUrls[i]}`);
+
+        const startTime = Date.now();
+        const response = await fetch(csvUrls[i], {
+          headers: {
+            'User-Agent': 'Krishna-Maruti-Production-Backend/4.0.0 (Render)',
+            'Accept': 'text/csv,application/csv,text/plain,*/*',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Cache-Control': 'no-cache',
+            'Pragma': 'no-cache'
+          },
+          signal: controller.signal
+        });
+
+        const requestTime = Date.now() - startTime;
+
+        console.log(`📊 Production response ${i + 1}: ${response.status} ${response.statusText} (${requestTime}ms)`);
+
+        if (response.ok) {
+          // A sheet that isn't shared publicly answers with a sign-in page
+          const contentType = response.headers.get('content-type') || '';
+          if (!contentType.includes('text/html')) {
+            const { rows, issues } = await parseCSVStream(response.body);
+            console.log(`✅ Production: Successfully parsed ${rows.length} rows from attempt ${i + 1}`);
+
+            if (rows.length > 1) {
+              return { rows: trimRows(rows), issues };
+            }
+          } else {
+            console.log(`⚠️ Production: Invalid CSV data received (${contentType})`);
+          }
+        } else {
+          console.log(`❌ Production request ${i + 1} failed: ${response.status} ${response.statusText}`);
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          console.log(`⏰ Production request ${i + 1} was aborted due to timeout`);
+        } else {
+          console.log(`❌ Production request ${i + 1} error: ${error.message}`);
+        }
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+
+    throw new Error(`All ${csvUrls.length} Google Sheets CSV export URLs failed`);
+  }
+
+  return {
+    type: 'google-sheets',
+    describe: () => ({
+      type: 'google-sheets',
+      sheetId,
+      sheetGid,
+      sheetUrl: `https://docs.google.com/spreadsheets/d/${sheetId}/edit#gid=${sheetGid}`,
+      csvUrl: csvUrls[0]
+    }),
+    fetchRows
+  };
+}
+
+// Local CSV file provider - same format as the Google Sheets export
+function createCsvFileSource({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+
+  return {
+    type: 'csv-file',
+    describe: () => ({ type: 'csv-file', path: resolvedPath }),
+    async fetchRows() {
+      console.log('📂 Production: Reading responses from local CSV file:', resolvedPath);
+      const { rows, issues } = await parseCSVStream(fs.createReadStream(resolvedPath));
+      return { rows: trimRows(rows), issues };
+    }
+  };
+}
+
+// Local JSON file provider. Accepts either an array of rows (header first)
+// or an array of objects keyed by header name.
+function createJsonFileSource({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+
+  return {
+    type: 'json-file',
+    describe: () => ({ type: 'json-file', path: resolvedPath }),
+    async fetchRows() {
+      console.log('📂 Production: Reading responses from local JSON file:', resolvedPath);
+      const json = JSON.parse(await fs.promises.readFile(resolvedPath, 'utf8'));
+      return { rows: jsonToRows(json), issues: [] };
+    }
+  };
+}
+
+// In-memory fixture provider, mainly for offline runs and tests
+function createMemorySource({ rows }) {
+  return {
+    type: 'memory',
+    describe: () => ({ type: 'memory', rows: rows.length }),
+    async fetchRows() {
+      return { rows: rows.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell)))), issues: [] };
+    }
+  };
+}
+
+// Cells are trimmed like the JSON source's, so stored row hashes don't depend on stray whitespace
+function trimRows(rows) {
+  return rows.map(row => row.map(cell => cell.trim()));
+}
+
+function jsonToRows(json) {
+  const records = Array.isArray(json) ? json : json?.rows;
+  if (!Array.isArray(records)) {
+    throw new Error('JSON data source must contain an array of rows');
+  }
+  if (records.length === 0 || Array.isArray(records[0])) {
+    return records.map(row => row.map(cell => (cell === null || cell === undefined ? '' : String(cell).trim())));
+  }
+
+  const header = Object.keys(records[0]);
+  return [
+    header,
+    ...records.map(record => header.map(key => (record[key] === null || record[key] === undefined ? '' : String(record[key]).trim())))
+  ];
+}
+
+function createDataSource(options) {
+  switch (options.type) {
+    case 'google-sheets':
+      return createGoogleSheetsSource(options);
+    case 'csv-file':
+      if (!options.filePath) throw new Error('DATA_SOURCE_PATH is required for the csv-file data source');
+      return createCsvFileSource(options);
+    case 'json-file':
+      if (!options.filePath) throw new Error('DATA_SOURCE_PATH is required for the json-file data source');
+      return createJsonFileSource(options);
+    case 'memory':
+      return createMemorySource(options);
+    default:
+      throw new Error(`Unknown data source '${options.type}'. Expected one of: ${DATA_SOURCE_TYPES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  DATA_SOURCE_TYPES,
+  createDataSource,
+  createGoogleSheetsSource,
+  createCsvFileSource,
+  createJsonFileSource,
+  createMemorySource
+};
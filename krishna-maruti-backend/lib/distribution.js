@@ -0,0 +1,129 @@
+// Score distribution: median, quartiles, standard deviation, a histogram and each candidate's
+// percentile rank, overall and per department. Weighted papers differ in maximum score, so everything
+// is computed on the percentage score.
+//
+// Percentile rank is the share of the other candidates who scored lower, so the top scorer of a group
+// is "better than 100%" and ties don't beat each other. A group of one has no rank (null).
+
+const DEFAULT_BINS = 10;
+const MIN_BINS = 2;
+const MAX_BINS = 20;
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function validateBins(bins) {
+  return Number.isInteger(bins) && bins >= MIN_BINS && bins <= MAX_BINS
+    ? null
+    : `bins must be a whole number from ${MIN_BINS} to ${MAX_BINS}`;
+}
+
+// Linear interpolation between the closest ranks, as spreadsheets' PERCENTILE/QUARTILE do
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Number of values in sorted that are below value
+function countBelow(sorted, value) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+function describe(sorted) {
+  const count = sorted.length;
+  if (count === 0) {
+    return { count: 0, mean: null, median: null, q1: null, q3: null, iqr: null, min: null, max: null, standardDeviation: null };
+  }
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / count;
+  // Population standard deviation: the candidates are the whole group, not a sample of it
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / count;
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  return {
+    count,
+    mean: round(mean),
+    median: round(quantile(sorted, 0.5)),
+    q1: round(q1),
+    q3: round(q3),
+    iqr: round(q3 - q1),
+    min: sorted[0],
+    max: sorted[count - 1],
+    standardDeviation: round(Math.sqrt(variance))
+  };
+}
+
+// Equal-width bins over 0-100%; every bin includes its lower bound, the last one also 100
+function histogram(responses, bins) {
+  const width = 100 / bins;
+  const counts = Array.from({ length: bins }, (_, i) => ({
+    from: round(i * width),
+    to: round((i + 1) * width),
+    count: 0,
+    passed: 0
+  }));
+  responses.forEach(response => {
+    const bin = counts[Math.min(bins - 1, Math.max(0, Math.floor(response.percentage / width)))];
+    bin.count++;
+    if (response.passed) bin.passed++;
+  });
+  return counts;
+}
+
+function summarizeGroup(responses, bins) {
+  const sorted = responses.map(r => r.percentage).sort((a, b) => a - b);
+  return { stats: describe(sorted), histogram: histogram(responses, bins), sorted };
+}
+
+function percentileRank(sorted, value) {
+  return sorted.length > 1 ? Math.round((countBelow(sorted, value) / (sorted.length - 1)) * 100) : null;
+}
+
+// responses: counted, scored responses -> { overall, departments, candidates }
+function scoreDistribution(responses, { bins = DEFAULT_BINS } = {}) {
+  const overall = summarizeGroup(responses, bins);
+  const departments = [...new Set(responses.map(r => r.department).filter(d => d))].sort()
+    .map(department => ({ department, ...summarizeGroup(responses.filter(r => r.department === department), bins) }));
+  const byDepartment = new Map(departments.map(group => [group.department, group]));
+
+  const { mean, standardDeviation } = overall.stats;
+  const candidates = responses.map(response => ({
+    responseKey: response.responseKey,
+    employeeId: response.employeeId,
+    fullName: response.fullName,
+    department: response.department,
+    score: response.score,
+    percentage: response.percentage,
+    percentileRank: percentileRank(overall.sorted, response.percentage),
+    departmentPercentileRank: byDepartment.has(response.department)
+      ? percentileRank(byDepartment.get(response.department).sorted, response.percentage)
+      : null,
+    // Standard score: how many standard deviations above (or below) the mean
+    zScore: standardDeviation > 0 ? round((response.percentage - mean) / standardDeviation, 2) : null
+  })).sort((a, b) => b.percentage - a.percentage);
+
+  return {
+    measure: 'percentage',
+    bins,
+    overall: { ...overall.stats, histogram: overall.histogram },
+    departments: departments.map(group => ({ department: group.department, ...group.stats, histogram: group.histogram })),
+    candidates
+  };
+}
+
+module.exports = {
+  DEFAULT_BINS,
+  validateBins,
+  scoreDistribution
+};
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { parseCSV } = require('./csv');
+const { normalizeHeader } = require('./columns');
+
+// Employee master, imported from CSV and kept in the same SQLite file as the response store.
+// Submissions are reconciled against it by employee ID: the master's department replaces the typed one,
+// and names or departments that don't match the master are flagged.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS employees (
+    employee_id   TEXT PRIMARY KEY COLLATE NOCASE,
+    full_name     TEXT NOT NULL,
+    department    TEXT NOT NULL,
+    plant         TEXT NOT NULL DEFAULT '',
+    date_of_birth TEXT NOT NULL DEFAULT '',
+    imported_at   TEXT NOT NULL,
+    imported_by   TEXT NOT NULL
+  );
+`;
+
+// Accepted header names for each column of an import file
+const IMPORT_COLUMNS = {
+  employeeId: ['Employee ID', 'ID', 'Emp ID', 'Employee Code'],
+  fullName: ['Name', 'Full Name', 'Employee Name'],
+  department: ['Department', 'Dept'],
+  plant: ['Plant', 'Location'],
+  dateOfBirth: ['DOB', 'Date of Birth', 'Date of Birth (DD/MM/YYYY)']
+};
+const REQUIRED_IMPORT_COLUMNS = ['employeeId', 'fullName', 'department'];
+
+function collapse(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function departmentKey(department) {
+  return collapse(department).toLowerCase();
+}
+
+// Word order, case and punctuation are ignored: "KUMAR, Shubham" matches "Shubham Kumar"
+function nameKey(name) {
+  return collapse(name).toLowerCase().replace(/[^\p{L}\p{N} ]/gu, '').split(' ').filter(Boolean).sort().join(' ');
+}
+
+// -> { employees, issues } or { error } when a required column is missing
+function parseDirectoryCsv(csvData) {
+  const { rows, issues: parseIssues } = parseCSV(csvData);
+  if (rows.length === 0) {
+    return { error: 'The file is empty' };
+  }
+
+  const header = rows[0].map(normalizeHeader);
+  const columns = {};
+  for (const [field, names] of Object.entries(IMPORT_COLUMNS)) {
+    columns[field] = header.findIndex(name => names.map(normalizeHeader).includes(name));
+  }
+  const missing = REQUIRED_IMPORT_COLUMNS.filter(field => columns[field] < 0);
+  if (missing.length > 0) {
+    return { error: `Missing column(s): ${missing.map(field => IMPORT_COLUMNS[field][0]).join(', ')}` };
+  }
+
+  const issues = parseIssues.map(issue => ({ row: issue.line, message: issue.message }));
+  const seen = new Set();
+  const employees = [];
+
+  rows.slice(1).forEach((row, index) => {
+    const value = (field) => (columns[field] >= 0 ? collapse(row[columns[field]]) : '');
+    const employee = {
+      employeeId: value('employeeId'),
+      fullName: value('fullName'),
+      department: value('department'),
+      plant: value('plant'),
+      dateOfBirth: value('dateOfBirth')
+    };
+    const rowNumber = index + 2;
+
+    const blank = REQUIRED_IMPORT_COLUMNS.filter(field => !employee[field]);
+    if (blank.length > 0) {
+      issues.push({ row: rowNumber, message: `Blank ${blank.map(field => IMPORT_COLUMNS[field][0]).join(', ')}` });
+      return;
+    }
+    if (seen.has(employee.employeeId.toLowerCase())) {
+      issues.push({ row: rowNumber, message: `Duplicate employee ID '${employee.employeeId}'; the first row was kept` });
+      return;
+    }
+    seen.add(employee.employeeId.toLowerCase());
+    employees.push(employee);
+  });
+
+  return { employees, issues };
+}
+
+function createEmployeeDirectory({ filePath }) {
+  const resolvedPath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+  if (resolvedPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const db = new Database(resolvedPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    all: db.prepare('SELECT * FROM employees ORDER BY department, full_name'),
+    clear: db.prepare('DELETE FROM employees'),
+    upsert: db.prepare(`
+      INSERT INTO employees (employee_id, full_name, department, plant, date_of_birth, imported_at, imported_by)
+      VALUES (@employeeId, @fullName, @department, @plant, @dateOfBirth, @importedAt, @importedBy)
+      ON CONFLICT (employee_id) DO UPDATE SET
+        full_name = excluded.full_name, department = excluded.department, plant = excluded.plant,
+        date_of_birth = excluded.date_of_birth, imported_at = excluded.imported_at, imported_by = excluded.imported_by
+    `)
+  };
+
+  // Reconciliation runs on every response load, so the directory is also held in memory
+  let employees = [];
+  let byId = new Map();
+  // Bumped on every import, so cached reconciliations can tell they are out of date
+  let version = 0;
+
+  function reload() {
+    employees = statements.all.all().map(row => ({
+      employeeId: row.employee_id,
+      fullName: row.full_name,
+      department: row.department,
+      plant: row.plant,
+      dateOfBirth: row.date_of_birth,
+      importedAt: row.imported_at,
+      importedBy: row.imported_by
+    }));
+    byId = new Map(employees.map(employee => [employee.employeeId.toLowerCase(), employee]));
+    version++;
+  }
+
+  // mode: 'replace' drops employees missing from the file, 'merge' keeps them
+  const importEmployees = db.transaction((records, { mode, importedBy }) => {
+    const importedAt = new Date().toISOString();
+    if (mode === 'replace') {
+      statements.clear.run();
+    }
+    records.forEach(record => statements.upsert.run({ ...record, importedAt, importedBy }));
+  });
+
+  reload();
+
+  return {
+    path: resolvedPath,
+    import(records, options) {
+      importEmployees(records, options);
+      reload();
+      return { imported: records.length, total: employees.length };
+    },
+    list: () => employees,
+    get: (employeeId) => byId.get(String(employeeId || '').toLowerCase()) || null,
+    get size() {
+      return employees.length;
+    },
+    get version() {
+      return version;
+    },
+    departments: () => [...new Set(employees.map(employee => employee.department))],
+    close: () => db.close()
+  };
+}
+
+// Adds the master's view to each response. Departments are mapped to one spelling: the master's
+// department for known employees, otherwise the first known or seen spelling that matches ignoring
+// case and spacing. The typed values are kept as submittedName / submittedDepartment.
+function reconcileResponses(responses, directory, knownDepartments = []) {
+  const spellings = new Map();
+  [...directory.departments(), ...knownDepartments].forEach(department => {
+    if (!spellings.has(departmentKey(department))) spellings.set(departmentKey(department), department);
+  });
+  const canonical = (department) => {
+    const key = departmentKey(department);
+    if (!key) return '';
+    if (!spellings.has(key)) spellings.set(key, collapse(department));
+    return spellings.get(key);
+  };
+
+  return responses.map(response => {
+    const employee = directory.size > 0 ? directory.get(response.employeeId) : null;
+    const submittedDepartment = response.department;
+
+    if (!employee) {
+      return {
+        ...response,
+        department: canonical(submittedDepartment),
+        reconciliation: {
+          status: directory.size > 0 ? 'unknown-employee' : 'no-directory',
+          submittedName: response.fullName,
+          submittedDepartment
+        }
+      };
+    }
+
+    return {
+      ...response,
+      department: employee.department,
+      plant: employee.plant,
+      reconciliation: {
+        status: 'matched',
+        submittedName: response.fullName,
+        submittedDepartment,
+        directoryName: employee.fullName,
+        nameMatches: nameKey(response.fullName) === nameKey(employee.fullName),
+        departmentMatches: departmentKey(submittedDepartment) === departmentKey(employee.department)
+      }
+    };
+  });
+}
+
+// Directory employees with no submission for an assessment, grouped by department
+function notAttempted(employees, responses) {
+  const attempted = new Set(responses.map(response => String(response.employeeId).toLowerCase()));
+  const departments = new Map();
+
+  employees.forEach(employee => {
+    if (!departments.has(employee.department)) {
+      departments.set(employee.department, { department: employee.department, totalEmployees: 0, attempted: 0, notAttempted: [] });
+    }
+    const group = departments.get(employee.department);
+    group.totalEmployees++;
+    if (attempted.has(employee.employeeId.toLowerCase())) {
+      group.attempted++;
+    } else {
+      group.notAttempted.push({ employeeId: employee.employeeId, fullName: employee.fullName, plant: employee.plant });
+    }
+  });
+
+  return [...departments.values()];
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  parseDirectoryCsv,
+  createEmployeeDirectory,
+  reconcileResponses,
+  notAttempted
+};
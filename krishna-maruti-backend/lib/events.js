@@ -0,0 +1,92 @@
+// Server-Sent Events hub for open dashboards.
+// Each event has an increasing id; the most recent ones are kept so a reconnecting EventSource
+// (which sends Last-Event-ID) gets what it missed. A comment line is sent every heartbeatMs so
+// proxies don't close idle connections.
+// A stream is authenticated when it opens; isActive() is asked again before every write so a stream
+// ends once its session does (logout or token expiry), and closeInactive() ends such streams at once.
+
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_REPLAY_SIZE = 100;
+
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventHub({ heartbeatMs = DEFAULT_HEARTBEAT_MS, replaySize = DEFAULT_REPLAY_SIZE } = {}) {
+  const clients = new Set();
+  const recent = [];
+  let lastId = 0;
+
+  // -> false when the client's session has ended and its stream was closed
+  function checkActive(client) {
+    if (client.isActive()) return true;
+    console.log(`🔒 Production: Closed the event stream of '${client.user.username}', the session has ended`);
+    clients.delete(client);
+    client.res.end();
+    return false;
+  }
+
+  // Each client only gets what its user may see: scope(user) returns the data to send, or null to skip
+  function deliver(client, event) {
+    if (event.assessmentId && client.assessmentId && event.assessmentId !== client.assessmentId) return;
+    if (!checkActive(client)) return;
+    const data = event.scope ? event.scope(client.user) : event.data;
+    if (data === null) return;
+    client.res.write(formatEvent({ id: event.id, type: event.type, data }));
+  }
+
+  // Keeps the response open until the client disconnects or isActive() turns false
+  function subscribe(req, res, { user, assessmentId = null, isActive = () => true }) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Render and nginx buffer responses unless told not to
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const client = { res, user, assessmentId, isActive };
+    clients.add(client);
+
+    const since = Number(req.headers['last-event-id']);
+    if (Number.isInteger(since) && since > 0) {
+      recent.filter(event => event.id > since).forEach(event => deliver(client, event));
+    }
+
+    const heartbeat = setInterval(() => {
+      if (checkActive(client)) res.write(`: heartbeat ${Date.now()}\n\n`);
+    }, heartbeatMs);
+    // Fires for both sides: the client going away and checkActive() ending the response
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  // options: { assessmentId, scope(user) -> data | null }
+  function publish(type, data, { assessmentId = null, scope = null } = {}) {
+    const event = { id: ++lastId, type, data, assessmentId, scope };
+    recent.push(event);
+    if (recent.length > replaySize) recent.shift();
+
+    clients.forEach(client => deliver(client, event));
+    console.log(`📡 Production: Sent '${type}' event #${event.id} to ${clients.size} client(s)`);
+    return event.id;
+  }
+
+  function closeInactive() {
+    clients.forEach(checkActive);
+  }
+
+  return {
+    subscribe,
+    publish,
+    closeInactive,
+    get clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { createEventHub };
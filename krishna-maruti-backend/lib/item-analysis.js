@@ -0,0 +1,68 @@
+// Per-question item analysis over scored responses:
+//   percentCorrect       - share of candidates who answered the question correctly
+//   discriminationIndex  - percent correct in the top 27% of scorers minus the bottom 27%, from -1 to 1;
+//                          low or negative values flag questions that do not separate strong and weak candidates
+//   answerDistribution   - how often each answer was chosen
+//   mostCommonWrongAnswer
+
+const GROUP_FRACTION = 0.27;
+const NO_ANSWER = '(No answer)';
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function correctShare(group, questionIndex) {
+  if (group.length === 0) return 0;
+  return group.filter(r => r.answers[questionIndex]?.isCorrect).length / group.length;
+}
+
+function analyzeItems(responses, questions, acceptedAnswersFor) {
+  const total = responses.length;
+
+  // Upper and lower groups by total score; ties keep sheet order
+  const ranked = [...responses].sort((a, b) => b.score - a.score);
+  const groupSize = total >= 2 ? Math.max(1, Math.round(total * GROUP_FRACTION)) : 0;
+  const upper = ranked.slice(0, groupSize);
+  const lower = ranked.slice(total - groupSize);
+
+  return questions.map((question, questionIndex) => {
+    const counts = new Map();
+    let correct = 0;
+
+    responses.forEach(response => {
+      const answer = response.answers[questionIndex];
+      const selected = answer?.selectedAnswer?.trim() || NO_ANSWER;
+      const entry = counts.get(selected) || { answer: selected, count: 0, isCorrect: !!answer?.isCorrect };
+      entry.count++;
+      counts.set(selected, entry);
+      if (answer?.isCorrect) correct++;
+    });
+
+    const answerDistribution = [...counts.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(entry => ({ ...entry, percent: total > 0 ? Math.round((entry.count / total) * 100) : 0 }));
+
+    const mostCommonWrong = answerDistribution.find(entry => !entry.isCorrect && entry.answer !== NO_ANSWER) || null;
+
+    return {
+      questionIndex,
+      questionNumber: questionIndex + 1,
+      question,
+      acceptedAnswers: acceptedAnswersFor(questionIndex),
+      totalResponses: total,
+      correctCount: correct,
+      percentCorrect: total > 0 ? Math.round((correct / total) * 100) : 0,
+      discriminationIndex: groupSize > 0
+        ? round(correctShare(upper, questionIndex) - correctShare(lower, questionIndex))
+        : null,
+      answerDistribution,
+      mostCommonWrongAnswer: mostCommonWrong
+        ? { answer: mostCommonWrong.answer, count: mostCommonWrong.count, percent: mostCommonWrong.percent }
+        : null
+    };
+  });
+}
+
+module.exports = { analyzeItems, GROUP_FRACTION };
@@ -0,0 +1,80 @@
+// Proctoring signals for tests taken in the app. The test page reports what the browser saw (focus and
+// tab changes, copy and paste); the server adds its own (started, resumed, submitted, auto-submitted, cancelled).
+// Signals are for a reviewer: an attempt that crosses a threshold is flagged for review, never failed.
+//
+// Event: { type, at, questionIndex?, detail? } - at is the client's ISO timestamp
+
+const CLIENT_EVENT_TYPES = ['focus-lost', 'focus-regained', 'tab-hidden', 'tab-visible', 'copy', 'cut', 'paste'];
+const SERVER_EVENT_TYPES = ['started', 'resumed', 'submitted', 'auto-submitted', 'cancelled'];
+
+const MAX_EVENTS_PER_BATCH = 50;
+const MAX_EVENTS_PER_ATTEMPT = 500;
+const MAX_DETAIL_LENGTH = 200;
+
+// An attempt is flagged once any count reaches its threshold
+const REVIEW_THRESHOLDS = {
+  tabSwitches: 2,
+  focusLosses: 3,
+  copyPaste: 1,
+  resumes: 2
+};
+
+function validateEvents(events) {
+  if (!Array.isArray(events)) {
+    return 'events must be an array of { type, at }';
+  }
+  if (events.length > MAX_EVENTS_PER_BATCH) {
+    return `at most ${MAX_EVENTS_PER_BATCH} events can be sent at once`;
+  }
+  for (const [i, event] of events.entries()) {
+    if (!CLIENT_EVENT_TYPES.includes(event?.type)) {
+      return `events[${i}].type must be one of: ${CLIENT_EVENT_TYPES.join(', ')}`;
+    }
+    if (typeof event.at !== 'string' || isNaN(new Date(event.at).getTime())) {
+      return `events[${i}].at must be an ISO timestamp`;
+    }
+    if (event.questionIndex !== undefined && event.questionIndex !== null && !Number.isInteger(event.questionIndex)) {
+      return `events[${i}].questionIndex must be an integer`;
+    }
+    if (event.detail !== undefined && (typeof event.detail !== 'string' || event.detail.length > MAX_DETAIL_LENGTH)) {
+      return `events[${i}].detail must be text of at most ${MAX_DETAIL_LENGTH} characters`;
+    }
+  }
+  return null;
+}
+
+// events: as stored, oldest first; dropped: client events refused once the attempt hit its limit
+// -> { status: 'clean' | 'review', counts, reasons }
+function summarizeIntegrity(events, { dropped = 0 } = {}) {
+  const count = (...types) => events.filter(event => types.includes(event.type)).length;
+  const counts = {
+    tabSwitches: count('tab-hidden'),
+    focusLosses: count('focus-lost'),
+    copyPaste: count('copy', 'cut', 'paste'),
+    resumes: count('resumed')
+  };
+
+  const labels = {
+    tabSwitches: 'tab switch(es)',
+    focusLosses: 'time(s) the test window lost focus',
+    copyPaste: 'copy, cut or paste action(s)',
+    resumes: 'resume(s) after leaving the test'
+  };
+  const reasons = Object.entries(REVIEW_THRESHOLDS)
+    .filter(([name, threshold]) => counts[name] >= threshold)
+    .map(([name]) => `${counts[name]} ${labels[name]}`);
+  if (dropped > 0) {
+    reasons.push(`${dropped} further event(s) not recorded after the limit of ${MAX_EVENTS_PER_ATTEMPT}`);
+  }
+
+  return { status: reasons.length > 0 ? 'review' : 'clean', counts, reasons };
+}
+
+module.exports = {
+  CLIENT_EVENT_TYPES,
+  SERVER_EVENT_TYPES,
+  MAX_EVENTS_PER_ATTEMPT,
+  REVIEW_THRESHOLDS,
+  validateEvents,
+  summarizeIntegrity
+};
@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Multiple-choice question bank per assessment, kept in the same SQLite file as the response store.
+// Each question has options, the index of the correct option, a topic, a difficulty and a weight.
+// Deleting a question archives it: submitted tests keep pointing at it, new papers don't draw it.
+// Tests record the chosen option by its position, so once a question has been drawn its options
+// can't be changed; the correct option, text, topic, difficulty and weight still can.
+//
+// Papers are drawn from the active questions by the assessment's "paper" rules:
+//   "paper": { "perTopic": { "Thermodynamics": 3, "Materials": 2 }, "shuffleOptions": true }
+//   perTopic       - questions to draw from each topic, adding up to questionCount; without it,
+//                    questionCount questions are drawn from the whole bank
+//   shuffleOptions - show each question's options in a random order (default true)
+// Drawing is seeded, so the same seed (the test ID) always gives the same paper.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 8;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS bank_questions (
+    id             TEXT PRIMARY KEY,
+    assessment_id  TEXT NOT NULL,
+    text           TEXT NOT NULL,
+    options_json   TEXT NOT NULL,
+    correct_option INTEGER NOT NULL,
+    topic          TEXT NOT NULL,
+    difficulty     TEXT NOT NULL,
+    weight         REAL NOT NULL DEFAULT 1,
+    created_at     TEXT NOT NULL,
+    created_by     TEXT NOT NULL,
+    updated_at     TEXT NOT NULL,
+    updated_by     TEXT NOT NULL,
+    archived_at    TEXT
+  );
+  CREATE INDEX IF NOT EXISTS bank_questions_assessment ON bank_questions (assessment_id, topic);
+`;
+
+function toQuestion(row) {
+  return row && {
+    id: row.id,
+    assessmentId: row.assessment_id,
+    text: row.text,
+    options: JSON.parse(row.options_json),
+    correctOption: row.correct_option,
+    topic: row.topic,
+    difficulty: row.difficulty,
+    weight: row.weight,
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by,
+    archivedAt: row.archived_at
+  };
+}
+
+function validateBankQuestion(question) {
+  if (!question || typeof question !== 'object') {
+    return 'question must be an object';
+  }
+  if (!String(question.text || '').trim()) {
+    return 'text is required';
+  }
+  const { options } = question;
+  if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return `options must be an array of ${MIN_OPTIONS} to ${MAX_OPTIONS} answers`;
+  }
+  const texts = options.map(option => String(option ?? '').trim());
+  if (texts.some(text => !text)) {
+    return 'options must not be blank';
+  }
+  if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+    return 'options must all be different';
+  }
+  if (!Number.isInteger(question.correctOption) || question.correctOption < 0 || question.correctOption >= options.length) {
+    return 'correctOption must be the index of one of the options';
+  }
+  if (!String(question.topic || '').trim()) {
+    return 'topic is required';
+  }
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    return `difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  if (question.weight !== undefined && !(typeof question.weight === 'number' && question.weight > 0)) {
+    return 'weight must be a positive number';
+  }
+  return null;
+}
+
+// current: the stored question, edit: validated with validateBankQuestion, drawn: a test has drawn it
+function validateQuestionEdit(current, edit, { drawn }) {
+  const options = edit.options.map(option => String(option).trim());
+  const unchanged = options.length === current.options.length && options.every((option, i) => option === current.options[i]);
+  if (drawn && !unchanged) {
+    return 'options cannot be changed once the question has been drawn for a test, because answers refer to them by position. ' +
+      'Delete the question and add a new one instead';
+  }
+  return null;
+}
+
+function validatePaperRules(paper, questionCount) {
+  if (paper === undefined) return null;
+  if (!paper || typeof paper !== 'object' || Array.isArray(paper)) {
+    return 'paper must be an object';
+  }
+  if (paper.perTopic !== undefined) {
+    if (!paper.perTopic || typeof paper.perTopic !== 'object' || Array.isArray(paper.perTopic)) {
+      return 'paper.perTopic must map topics to question counts';
+    }
+    const counts = Object.values(paper.perTopic);
+    if (counts.length === 0 || !counts.every(count => Number.isInteger(count) && count >= 1)) {
+      return 'paper.perTopic counts must be positive integers';
+    }
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total !== questionCount) {
+      return `paper.perTopic adds up to ${total} questions but questionCount is ${questionCount}`;
+    }
+  }
+  if (paper.shuffleOptions !== undefined && typeof paper.shuffleOptions !== 'boolean') {
+    return 'paper.shuffleOptions must be true or false';
+  }
+  return null;
+}
+
+// Deterministic random numbers in [0, 1) from a text seed (mulberry32)
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// questions: the active bank questions. -> { paper } or { error } when the bank is too small.
+// Each paper question: { questionIndex, questionId, text, topic, difficulty, weight, options, optionOrder }
+// where options are in display order and optionOrder[i] is the bank index of the option shown at i.
+function generatePaper(questions, { questionCount, paper: rules = {} }, seed) {
+  const random = seededRandom(seed);
+  const byTopic = new Map();
+  questions.forEach(question => {
+    const key = question.topic.toLowerCase();
+    if (!byTopic.has(key)) byTopic.set(key, []);
+    byTopic.get(key).push(question);
+  });
+
+  let drawn = [];
+  if (rules.perTopic) {
+    for (const [topic, count] of Object.entries(rules.perTopic)) {
+      const available = byTopic.get(topic.toLowerCase()) || [];
+      if (available.length < count) {
+        return { error: `Topic '${topic}' needs ${count} question(s) but the bank has ${available.length}` };
+      }
+      drawn.push(...shuffle(available, random).slice(0, count));
+    }
+  } else {
+    if (questions.length < questionCount) {
+      return { error: `The paper needs ${questionCount} question(s) but the bank has ${questions.length}` };
+    }
+    drawn = shuffle(questions, random).slice(0, questionCount);
+  }
+
+  const shuffleOptions = rules.shuffleOptions !== false;
+  return {
+    paper: shuffle(drawn, random).map((question, questionIndex) => {
+      const order = question.options.map((option, index) => index);
+      const optionOrder = shuffleOptions ? shuffle(order, random) : order;
+      return {
+        questionIndex,
+        questionId: question.id,
+        text: question.text,
+        topic: question.topic,
+        difficulty: question.difficulty,
+        weight: question.weight,
+        options: optionOrder.map(index => question.options[index]),
+        optionOrder
+      };
+    })
+  };
+}
+
+function createQuestionBank({ filePath }) {
+  const resolvedPath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+  if (resolvedPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const db = new Database(resolvedPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const statements = {
+    list: db.prepare('SELECT * FROM bank_questions WHERE assessment_id = ? AND archived_at IS NULL ORDER BY topic, created_at'),
+    listAll: db.prepare('SELECT * FROM bank_questions WHERE assessment_id = ? ORDER BY topic, created_at'),
+    find: db.prepare('SELECT * FROM bank_questions WHERE id = ?'),
+    version: db.prepare('SELECT COUNT(*) AS total, MAX(updated_at) AS updatedAt FROM bank_questions WHERE assessment_id = ?'),
+    insert: db.prepare(`
+      INSERT INTO bank_questions (id, assessment_id, text, options_json, correct_option, topic, difficulty, weight,
+                                  created_at, created_by, updated_at, updated_by)
+      VALUES (@id, @assessmentId, @text, @optionsJson, @correctOption, @topic, @difficulty, @weight,
+              @now, @by, @now, @by)
+    `),
+    update: db.prepare(`
+      UPDATE bank_questions
+      SET text = @text, options_json = @optionsJson, correct_option = @correctOption, topic = @topic,
+          difficulty = @difficulty, weight = @weight, updated_at = @now, updated_by = @by
+      WHERE id = @id
+    `),
+    archive: db.prepare('UPDATE bank_questions SET archived_at = @now, updated_at = @now, updated_by = @by WHERE id = @id AND archived_at IS NULL')
+  };
+
+  function paramsOf(question, by) {
+    return {
+      text: String(question.text).trim(),
+      optionsJson: JSON.stringify(question.options.map(option => String(option).trim())),
+      correctOption: question.correctOption,
+      topic: String(question.topic).trim(),
+      difficulty: question.difficulty,
+      weight: question.weight ?? 1,
+      now: new Date().toISOString(),
+      by
+    };
+  }
+
+  // question: validated with validateBankQuestion
+  function create(assessmentId, question, createdBy) {
+    const id = crypto.randomUUID();
+    statements.insert.run({ id, assessmentId, ...paramsOf(question, createdBy) });
+    return toQuestion(statements.find.get(id));
+  }
+
+  function update(id, question, updatedBy) {
+    statements.update.run({ id, ...paramsOf(question, updatedBy) });
+    return toQuestion(statements.find.get(id));
+  }
+
+  function archive(id, archivedBy) {
+    statements.archive.run({ id, now: new Date().toISOString(), by: archivedBy });
+    return toQuestion(statements.find.get(id));
+  }
+
+  // Changes whenever a question of the assessment is added, edited or archived
+  function version(assessmentId) {
+    const { total, updatedAt } = statements.version.get(assessmentId);
+    return `${total}@${updatedAt || '-'}`;
+  }
+
+  return {
+    path: resolvedPath,
+    list: (assessmentId, { includeArchived = false } = {}) =>
+      (includeArchived ? statements.listAll : statements.list).all(assessmentId).map(toQuestion),
+    find: (id) => toQuestion(statements.find.get(String(id))),
+    topics: (assessmentId) => [...new Set(statements.list.all(assessmentId).map(row => row.topic))],
+    version,
+    create,
+    update,
+    archive,
+    close: () => db.close()
+  };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  createQuestionBank,
+  validateBankQuestion,
+  validateQuestionEdit,
+  validatePaperRules,
+  generatePaper
+};
@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+
+// Printable one-page summary (A4 portrait): KPIs, score distribution and pass/fail by department charts,
+// and the department table. Charts are drawn with pdfkit primitives so no browser is needed.
+
+const COLORS = {
+  primary: '#1e3a8a',
+  passed: '#16a34a',
+  failed: '#dc2626',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#e5e7eb'
+};
+
+const MARGIN = 40;
+
+function drawKpis(doc, report, top) {
+  const { summary, assessment } = report;
+  const kpis = [
+    ['Total Responses', String(summary.totalResponses), COLORS.primary],
+    [`Passed (${assessment.passRule})`, String(summary.passedCount), COLORS.passed],
+    ['Failed', String(summary.failedCount), COLORS.failed],
+    ['Pass Rate', `${summary.passPercentage}%`, COLORS.primary],
+    ['Average Score', `${summary.averageScore}/${assessment.questionCount}`, COLORS.primary]
+  ];
+
+  const gap = 8;
+  const boxWidth = (doc.page.width - MARGIN * 2 - gap * (kpis.length - 1)) / kpis.length;
+  kpis.forEach(([label, value, color], index) => {
+    const x = MARGIN + index * (boxWidth + gap);
+    doc.lineWidth(1).strokeColor(COLORS.border).roundedRect(x, top, boxWidth, 56, 4).stroke();
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(8).text(label, x + 8, top + 8, { width: boxWidth - 16 });
+    doc.fillColor(color).font('Helvetica-Bold').fontSize(18).text(value, x + 8, top + 26, { width: boxWidth - 16 });
+  });
+  return top + 56;
+}
+
+function drawChartFrame(doc, title, x, top, width) {
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text(title, x, top, { width });
+  return top + 20;
+}
+
+function drawScoreDistribution(doc, report, x, top, width, height) {
+  const plotTop = drawChartFrame(doc, 'Score Distribution', x, top, width);
+  const plotHeight = height - (plotTop - top) - 16;
+  const distribution = report.summary.scoreDistribution;
+  const maxCount = Math.max(1, ...distribution.map(d => d.count));
+  const slot = width / distribution.length;
+  const baseline = plotTop + plotHeight;
+
+  distribution.forEach(({ score, count, passed }, index) => {
+    const barHeight = (count / maxCount) * (plotHeight - 12);
+    const barX = x + index * slot + slot * 0.15;
+    const barWidth = slot * 0.7;
+    const color = passed === count ? COLORS.passed : COLORS.failed;
+
+    if (barHeight > 0) {
+      doc.fillColor(color).rect(barX, baseline - barHeight, barWidth, barHeight).fill();
+    }
+    if (count > 0) {
+      doc.fillColor(COLORS.text).font('Helvetica').fontSize(7)
+        .text(String(count), barX - 4, baseline - barHeight - 10, { width: barWidth + 8, align: 'center' });
+    }
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(7)
+      .text(String(score), barX - 4, baseline + 4, { width: barWidth + 8, align: 'center' });
+  });
+
+  doc.lineWidth(0.5).strokeColor(COLORS.muted).moveTo(x, baseline).lineTo(x + width, baseline).stroke();
+}
+
+// Horizontal stacked bars, one per department (largest first)
+function drawDepartmentBars(doc, report, x, top, width, height) {
+  const plotTop = drawChartFrame(doc, 'Pass / Fail by Department', x, top, width);
+  const departments = [...report.summary.departmentStats]
+    .sort((a, b) => b.totalCandidates - a.totalCandidates)
+    .slice(0, 8);
+
+  if (departments.length === 0) {
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text('No responses', x, plotTop);
+    return;
+  }
+
+  const labelWidth = 70;
+  const barAreaWidth = width - labelWidth - 6;
+  const rowHeight = Math.min(18, (height - (plotTop - top)) / departments.length);
+  const maxTotal = Math.max(...departments.map(d => d.totalCandidates));
+
+  departments.forEach((dept, index) => {
+    const y = plotTop + index * rowHeight;
+    const passedWidth = (dept.passed / maxTotal) * barAreaWidth;
+    const failedWidth = (dept.failed / maxTotal) * barAreaWidth;
+    const barX = x + labelWidth + 6;
+
+    doc.fillColor(COLORS.text).font('Helvetica').fontSize(8)
+      .text(dept.name, x, y + 3, { width: labelWidth, align: 'right', lineBreak: false, ellipsis: true });
+    if (passedWidth > 0) doc.fillColor(COLORS.passed).rect(barX, y + 2, passedWidth, rowHeight - 6).fill();
+    if (failedWidth > 0) doc.fillColor(COLORS.failed).rect(barX + passedWidth, y + 2, failedWidth, rowHeight - 6).fill();
+  });
+
+  const legendY = plotTop + departments.length * rowHeight + 4;
+  doc.fillColor(COLORS.passed).rect(x + labelWidth + 6, legendY, 8, 8).fill();
+  doc.fillColor(COLORS.muted).fontSize(8).text('Passed', x + labelWidth + 18, legendY);
+  doc.fillColor(COLORS.failed).rect(x + labelWidth + 60, legendY, 8, 8).fill();
+  doc.fillColor(COLORS.muted).fontSize(8).text('Failed', x + labelWidth + 72, legendY);
+}
+
+function drawDepartmentTable(doc, report, top) {
+  const columns = [
+    { header: 'Department', width: 165, value: d => d.name, align: 'left' },
+    { header: 'Candidates', width: 70, value: d => String(d.totalCandidates) },
+    { header: 'Passed', width: 60, value: d => String(d.passed) },
+    { header: 'Failed', width: 60, value: d => String(d.failed) },
+    { header: 'Avg Score', width: 80, value: d => String(d.averageScore) },
+    { header: 'Pass Rate', width: 80, value: d => `${d.passPercentage}%` }
+  ];
+  const rowHeight = 18;
+  const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+
+  doc.fillColor(COLORS.text).font('Helvetica-Bold').fontSize(11).text('Department Performance', MARGIN, top);
+  let y = top + 20;
+
+  const drawRow = (cells, { header = false, shaded = false } = {}) => {
+    if (y + rowHeight > doc.page.height - MARGIN) {
+      doc.addPage();
+      y = MARGIN;
+    }
+    if (header || shaded) {
+      doc.fillColor(header ? COLORS.primary : '#f9fafb').rect(MARGIN, y, tableWidth, rowHeight).fill();
+    }
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      doc.fillColor(header ? '#ffffff' : COLORS.text).font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+        .text(cells[index], x + 6, y + 5, { width: column.width - 12, align: column.align || 'right', lineBreak: false, ellipsis: true });
+      x += column.width;
+    });
+    y += rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), { header: true });
+  report.summary.departmentStats.forEach((dept, index) => {
+    drawRow(columns.map(column => column.value(dept)), { shaded: index % 2 === 1 });
+  });
+  if (report.summary.departmentStats.length === 0) {
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9).text('No responses match the selected filters.', MARGIN + 6, y + 5);
+  }
+}
+
+function renderReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      info: {
+        Title: `${report.assessment.name} - Results Summary`,
+        Author: report.organization
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const contentWidth = doc.page.width - MARGIN * 2;
+
+    doc.fillColor(COLORS.primary).font('Helvetica-Bold').fontSize(18)
+      .text(`${report.assessment.name} - Results Summary`, MARGIN, MARGIN, { width: contentWidth });
+    doc.fillColor(COLORS.muted).font('Helvetica').fontSize(9)
+      .text(`${report.organization}  ·  Generated ${report.generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC by ${report.generatedBy}`)
+      .text(`Scope: ${report.accessScope === 'all' ? 'All departments' : `${report.accessScope} department`}  ·  ` +
+        `Filters: ${report.filters.length > 0 ? report.filters.join('; ') : 'None'}`, { width: contentWidth });
+
+    let y = drawKpis(doc, report, doc.y + 14) + 24;
+
+    const chartHeight = 190;
+    const chartWidth = (contentWidth - 24) / 2;
+    drawScoreDistribution(doc, report, MARGIN, y, chartWidth, chartHeight);
+    drawDepartmentBars(doc, report, MARGIN + chartWidth + 24, y, chartWidth, chartHeight);
+    y += chartHeight + 24;
+
+    drawDepartmentTable(doc, report, y);
+
+    doc.end();
+  });
+}
+
+module.exports = { renderReportPdf };
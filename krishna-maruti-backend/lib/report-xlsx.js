@@ -0,0 +1,157 @@
+const ExcelJS = require('exceljs');
+
+// Excel report: Summary, Departments, Answer Matrix (one row per candidate, one column per question)
+// and Questions (item analysis). The report object is assembled in app.js from the filtered responses.
+
+const FILLS = {
+  header: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1E3A8A' } },
+  correct: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDCFCE7' } },
+  wrong: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFEE2E2' } }
+};
+
+function styleHeaderRow(row) {
+  row.eachCell(cell => {
+    cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    cell.fill = FILLS.header;
+    cell.alignment = { vertical: 'middle', wrapText: true };
+  });
+  row.height = 30;
+}
+
+function addSummarySheet(workbook, report) {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 28 }, { width: 50 }];
+
+  sheet.addRow([`${report.organization} - ${report.assessment.name}`]).font = { bold: true, size: 14 };
+  sheet.addRow(['Generated', `${report.generatedAt.toISOString()} by ${report.generatedBy}`]);
+  sheet.addRow(['Access scope', report.accessScope === 'all' ? 'All departments' : `${report.accessScope} department`]);
+  sheet.addRow(['Filters', report.filters.length > 0 ? report.filters.join('; ') : 'None']);
+  sheet.addRow([]);
+
+  const { summary, assessment } = report;
+  const kpis = [
+    ['Total responses', summary.totalResponses],
+    [`Passed (${assessment.passRule})`, summary.passedCount],
+    ['Failed', summary.failedCount],
+    ['Pass rate', summary.passPercentage / 100, '0%'],
+    ['Average score', summary.averageScore],
+    ['Questions', assessment.questionCount],
+    ['Answer key version', report.answerKeyVersion]
+  ];
+  styleHeaderRow(sheet.addRow(['Metric', 'Value']));
+  kpis.forEach(([label, value, numFmt]) => {
+    const row = sheet.addRow([label, value]);
+    if (numFmt) row.getCell(2).numFmt = numFmt;
+  });
+
+  sheet.addRow([]);
+  styleHeaderRow(sheet.addRow(['Score', 'Candidates']));
+  summary.scoreDistribution.forEach(({ score, count }) => sheet.addRow([`${score}/${assessment.questionCount}`, count]));
+}
+
+function addDepartmentSheet(workbook, report) {
+  const sheet = workbook.addWorksheet('Departments');
+  sheet.columns = [
+    { header: 'Department', key: 'name', width: 24 },
+    { header: 'Candidates', key: 'totalCandidates', width: 12 },
+    { header: 'Passed', key: 'passed', width: 10 },
+    { header: 'Failed', key: 'failed', width: 10 },
+    { header: 'Average Score', key: 'averageScore', width: 14 },
+    { header: 'Pass Rate', key: 'passRate', width: 12 }
+  ];
+  styleHeaderRow(sheet.getRow(1));
+
+  report.summary.departmentStats.forEach(dept => {
+    sheet.addRow({ ...dept, passRate: dept.passPercentage / 100 });
+  });
+  sheet.getColumn('passRate').numFmt = '0%';
+}
+
+function addAnswerMatrixSheet(workbook, report) {
+  const sheet = workbook.addWorksheet('Answer Matrix', { views: [{ state: 'frozen', xSplit: 2, ySplit: 1 }] });
+  const questionColumns = report.questions.map((question, index) => ({
+    header: `Q${index + 1}. ${question}`,
+    key: `q${index}`,
+    width: 22
+  }));
+
+  sheet.columns = [
+    { header: 'Name', key: 'fullName', width: 24 },
+    { header: 'Employee ID', key: 'employeeId', width: 14 },
+    { header: 'Department', key: 'department', width: 16 },
+    { header: 'DOB', key: 'dateOfBirth', width: 12 },
+    { header: 'Score', key: 'score', width: 8 },
+    { header: 'Status', key: 'status', width: 10 },
+    { header: 'Submitted', key: 'submissionDate', width: 20 },
+    ...questionColumns
+  ];
+  styleHeaderRow(sheet.getRow(1));
+
+  const firstQuestionColumn = 8;
+  report.responses.forEach(response => {
+    const row = sheet.addRow({
+      fullName: response.fullName,
+      employeeId: response.employeeId,
+      department: response.department,
+      dateOfBirth: response.dateOfBirth,
+      score: response.score,
+      status: response.passed ? 'Passed' : 'Failed',
+      submissionDate: new Date(response.submissionDate),
+      ...Object.fromEntries(response.answers.map(answer => [`q${answer.questionIndex}`, answer.selectedAnswer]))
+    });
+
+    response.answers.forEach(answer => {
+      row.getCell(firstQuestionColumn + answer.questionIndex).fill = answer.isCorrect ? FILLS.correct : FILLS.wrong;
+    });
+  });
+  sheet.getColumn('submissionDate').numFmt = 'yyyy-mm-dd hh:mm';
+
+  // Key row at the bottom
+  const keyRow = sheet.addRow({
+    fullName: 'Accepted answers',
+    ...Object.fromEntries(report.questions.map((_, index) => [`q${index}`, report.acceptedAnswers(index).join(' / ')]))
+  });
+  keyRow.font = { bold: true };
+}
+
+function addQuestionSheet(workbook, report) {
+  const sheet = workbook.addWorksheet('Questions');
+  sheet.columns = [
+    { header: '#', key: 'questionNumber', width: 5 },
+    { header: 'Question', key: 'question', width: 60 },
+    { header: 'Accepted Answers', key: 'acceptedAnswers', width: 30 },
+    { header: '% Correct', key: 'percentCorrect', width: 11 },
+    { header: 'Discrimination', key: 'discriminationIndex', width: 14 },
+    { header: 'Most Common Wrong Answer', key: 'mostCommonWrongAnswer', width: 30 }
+  ];
+  styleHeaderRow(sheet.getRow(1));
+
+  report.items.forEach(item => {
+    sheet.addRow({
+      questionNumber: item.questionNumber,
+      question: item.question,
+      acceptedAnswers: item.acceptedAnswers.join(' / '),
+      percentCorrect: item.percentCorrect / 100,
+      discriminationIndex: item.discriminationIndex,
+      mostCommonWrongAnswer: item.mostCommonWrongAnswer
+        ? `${item.mostCommonWrongAnswer.answer} (${item.mostCommonWrongAnswer.count})`
+        : ''
+    });
+  });
+  sheet.getColumn('percentCorrect').numFmt = '0%';
+}
+
+async function renderReportXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = report.organization;
+  workbook.created = report.generatedAt;
+
+  addSummarySheet(workbook, report);
+  addDepartmentSheet(workbook, report);
+  addAnswerMatrixSheet(workbook, report);
+  addQuestionSheet(workbook, report);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = { renderReportXlsx };
@@ -0,0 +1,197 @@
+// Server-side filtering, sorting and pagination of processed test responses.
+// Query parameters (all optional):
+//   department, status (passed|failed), scoreMin, scoreMax, q (name / employee ID search),
+//   from, to (submission date, YYYY-MM-DD or ISO timestamp), sort (field, '-' prefix for descending),
+//   page, pageSize
+
+const SORT_FIELDS = ['submissionDate', 'score', 'fullName', 'employeeId', 'department'];
+const STATUSES = ['passed', 'failed'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 500;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseNumber(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    errors.push(`${name} must be a number`);
+    return null;
+  }
+  return number;
+}
+
+function parseDate(value, name, errors, endOfDay) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(DATE_ONLY_PATTERN.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be a date (YYYY-MM-DD or ISO timestamp)`);
+    return null;
+  }
+  return date;
+}
+
+function parseInteger(value, name, min, max, fallback, errors) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    errors.push(`${name} must be an integer between ${min} and ${max}`);
+    return fallback;
+  }
+  return number;
+}
+
+// Returns { query } or { error } for an Express req.query object
+function parseResponseQuery(params = {}) {
+  const errors = [];
+  const first = (value) => (Array.isArray(value) ? value[0] : value);
+  const get = (name) => {
+    const value = first(params[name]);
+    return value === undefined ? undefined : String(value).trim();
+  };
+
+  const status = get('status') ? get('status').toLowerCase() : null;
+  if (status && !STATUSES.includes(status)) {
+    errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  let sort = null;
+  if (get('sort')) {
+    const raw = get('sort');
+    const field = raw.replace(/^[-+]/, '');
+    if (!SORT_FIELDS.includes(field)) {
+      errors.push(`sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with '-' for descending)`);
+    } else {
+      sort = { field, direction: raw.startsWith('-') ? 'desc' : 'asc' };
+    }
+  }
+
+  const query = {
+    department: get('department') || null,
+    status,
+    scoreMin: parseNumber(get('scoreMin'), 'scoreMin', errors),
+    scoreMax: parseNumber(get('scoreMax'), 'scoreMax', errors),
+    q: get('q') || null,
+    from: parseDate(get('from'), 'from', errors, false),
+    to: parseDate(get('to'), 'to', errors, true),
+    sort,
+    page: parseInteger(get('page'), 'page', 1, Number.MAX_SAFE_INTEGER, 1, errors),
+    pageSize: parseInteger(get('pageSize'), 'pageSize', 1, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE, errors)
+  };
+
+  if (query.scoreMin !== null && query.scoreMax !== null && query.scoreMin > query.scoreMax) {
+    errors.push('scoreMin must not be greater than scoreMax');
+  }
+  if (query.from && query.to && query.from > query.to) {
+    errors.push('from must not be after to');
+  }
+
+  return errors.length > 0 ? { error: errors.join('; ') } : { query };
+}
+
+function matches(response, query) {
+  if (query.department && String(response.department || '').toLowerCase() !== query.department.toLowerCase()) {
+    return false;
+  }
+  if (query.status && (query.status === 'passed') !== !!response.passed) {
+    return false;
+  }
+  if (query.scoreMin !== null && response.score < query.scoreMin) return false;
+  if (query.scoreMax !== null && response.score > query.scoreMax) return false;
+
+  if (query.q) {
+    const search = query.q.toLowerCase();
+    if (!String(response.fullName || '').toLowerCase().includes(search) &&
+        !String(response.employeeId || '').toLowerCase().includes(search)) {
+      return false;
+    }
+  }
+
+  if (query.from || query.to) {
+    const submitted = new Date(response.submissionDate);
+    if (query.from && submitted < query.from) return false;
+    if (query.to && submitted > query.to) return false;
+  }
+
+  return true;
+}
+
+function compare(a, b, field) {
+  if (field === 'score') return a.score - b.score;
+  if (field === 'submissionDate') return new Date(a.submissionDate) - new Date(b.submissionDate);
+  return String(a[field] || '').localeCompare(String(b[field] || ''), undefined, { sensitivity: 'base' });
+}
+
+// All matching responses in the requested order, without paging
+function filterResponses(responses, query) {
+  const matched = responses.filter(response => matches(response, query));
+
+  // Without a sort the sheet order is kept; Array.prototype.sort is stable for ties
+  if (query.sort) {
+    const sign = query.sort.direction === 'desc' ? -1 : 1;
+    matched.sort((a, b) => sign * compare(a, b, query.sort.field));
+  }
+  return matched;
+}
+
+function queryResponses(responses, query) {
+  const matched = filterResponses(responses, query);
+  const totalPages = Math.max(1, Math.ceil(matched.length / query.pageSize));
+  const start = (query.page - 1) * query.pageSize;
+  const passed = matched.filter(r => r.passed).length;
+
+  return {
+    items: matched.slice(start, start + query.pageSize),
+    pagination: {
+      page: query.page,
+      pageSize: query.pageSize,
+      totalPages,
+      totalCount: matched.length
+    },
+    counts: {
+      total: responses.length,
+      matched: matched.length,
+      passed,
+      failed: matched.length - passed
+    }
+  };
+}
+
+// Echo of the applied query, for response metadata
+function describeQuery(query) {
+  return {
+    department: query.department,
+    status: query.status,
+    scoreMin: query.scoreMin,
+    scoreMax: query.scoreMax,
+    q: query.q,
+    from: query.from ? query.from.toISOString() : null,
+    to: query.to ? query.to.toISOString() : null,
+    sort: query.sort ? `${query.sort.direction === 'desc' ? '-' : ''}${query.sort.field}` : null
+  };
+}
+
+// Human-readable filter lines for reports, e.g. ['Department: IT', 'Score: 6-10']
+function formatFilters(query) {
+  const lines = [];
+  if (query.department) lines.push(`Department: ${query.department}`);
+  if (query.status) lines.push(`Status: ${query.status === 'passed' ? 'Passed' : 'Failed'}`);
+  if (query.scoreMin !== null || query.scoreMax !== null) {
+    lines.push(`Score: ${query.scoreMin ?? 'any'}-${query.scoreMax ?? 'any'}`);
+  }
+  if (query.q) lines.push(`Search: "${query.q}"`);
+  if (query.from || query.to) {
+    const day = (date) => (date ? date.toISOString().split('T')[0] : 'any');
+    lines.push(`Submitted: ${day(query.from)} to ${day(query.to)}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  parseResponseQuery,
+  filterResponses,
+  queryResponses,
+  describeQuery,
+  formatFilters
+};
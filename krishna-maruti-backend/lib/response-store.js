@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Persistent store of scored responses (SQLite), keyed by assessment + submission timestamp + employee ID.
+// sync() ingests a full fetch from the data source but only re-scores rows that are new, edited in the
+// source, or scored under an older answer key / question count. Edited rows keep their previous
+// versions in response_revisions; rows deleted from the source are flagged, not dropped.
+// Tests taken in the app are recorded directly (origin 'online') and are never touched by sync().
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS responses (
+    assessment_id     TEXT NOT NULL,
+    response_key      TEXT NOT NULL,
+    employee_id       TEXT NOT NULL,
+    submitted_at      TEXT NOT NULL,
+    row_index         INTEGER NOT NULL,
+    row_hash          TEXT NOT NULL,
+    row_json          TEXT NOT NULL,
+    response_json     TEXT NOT NULL,
+    scoring_signature TEXT NOT NULL,
+    revision          INTEGER NOT NULL DEFAULT 1,
+    first_seen_at     TEXT NOT NULL,
+    updated_at        TEXT NOT NULL,
+    removed_at        TEXT,
+    origin            TEXT NOT NULL DEFAULT 'source',
+    PRIMARY KEY (assessment_id, response_key)
+  );
+  CREATE INDEX IF NOT EXISTS responses_employee ON responses (assessment_id, employee_id);
+
+  CREATE TABLE IF NOT EXISTS response_revisions (
+    assessment_id TEXT NOT NULL,
+    response_key  TEXT NOT NULL,
+    revision      INTEGER NOT NULL,
+    row_json      TEXT NOT NULL,
+    response_json TEXT NOT NULL,
+    recorded_at   TEXT NOT NULL,
+    PRIMARY KEY (assessment_id, response_key, revision)
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_state (
+    assessment_id TEXT PRIMARY KEY,
+    header_json   TEXT NOT NULL,
+    synced_at     TEXT NOT NULL,
+    result_json   TEXT NOT NULL
+  );
+`;
+
+function hashRow(row) {
+  return crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex');
+}
+
+// Databases created before a column existed get it added
+function migrate(db) {
+  const columns = db.prepare('PRAGMA table_info(responses)').all().map(column => column.name);
+  if (!columns.includes('origin')) {
+    db.exec("ALTER TABLE responses ADD COLUMN origin TEXT NOT NULL DEFAULT 'source'");
+  }
+}
+
+function createResponseStore({ filePath }) {
+  const resolvedPath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+  if (resolvedPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const db = new Database(resolvedPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const statements = {
+    existing: db.prepare(`
+      SELECT response_key, row_hash, scoring_signature, revision, row_json, response_json, removed_at
+      FROM responses WHERE assessment_id = ? AND origin = 'source'
+    `),
+    insert: db.prepare(`
+      INSERT INTO responses (assessment_id, response_key, employee_id, submitted_at, row_index, row_hash, row_json,
+                             response_json, scoring_signature, revision, first_seen_at, updated_at)
+      VALUES (@assessmentId, @responseKey, @employeeId, @submittedAt, @rowIndex, @rowHash, @rowJson,
+              @responseJson, @scoringSignature, 1, @now, @now)
+    `),
+    insertOnline: db.prepare(`
+      INSERT INTO responses (assessment_id, response_key, employee_id, submitted_at, row_index, row_hash, row_json,
+                             response_json, scoring_signature, revision, first_seen_at, updated_at, origin)
+      VALUES (@assessmentId, @responseKey, @employeeId, @submittedAt, 0, @rowHash, @rowJson,
+              @responseJson, @scoringSignature, 1, @now, @now, 'online')
+    `),
+    staleOnline: db.prepare(`
+      SELECT response_key, row_json FROM responses
+      WHERE assessment_id = ? AND origin = 'online' AND scoring_signature != ?
+    `),
+    stored: db.prepare(`
+      SELECT response_key, row_json, response_json, origin FROM responses WHERE assessment_id = ? AND removed_at IS NULL
+    `),
+    rescore: db.prepare(`
+      UPDATE responses SET response_json = @responseJson, scoring_signature = @scoringSignature, updated_at = @now
+      WHERE assessment_id = @assessmentId AND response_key = @responseKey
+    `),
+    update: db.prepare(`
+      UPDATE responses
+      SET row_index = @rowIndex, row_hash = @rowHash, row_json = @rowJson, response_json = @responseJson,
+          scoring_signature = @scoringSignature, revision = @revision, updated_at = @now, removed_at = NULL
+      WHERE assessment_id = @assessmentId AND response_key = @responseKey
+    `),
+    touch: db.prepare(`
+      UPDATE responses SET row_index = @rowIndex, removed_at = NULL
+      WHERE assessment_id = @assessmentId AND response_key = @responseKey
+    `),
+    markRemoved: db.prepare(`
+      UPDATE responses SET removed_at = @now
+      WHERE assessment_id = @assessmentId AND response_key = @responseKey AND removed_at IS NULL
+    `),
+    insertRevision: db.prepare(`
+      INSERT INTO response_revisions (assessment_id, response_key, revision, row_json, response_json, recorded_at)
+      VALUES (@assessmentId, @responseKey, @revision, @rowJson, @responseJson, @now)
+    `),
+    saveSyncState: db.prepare(`
+      INSERT INTO sync_state (assessment_id, header_json, synced_at, result_json)
+      VALUES (@assessmentId, @headerJson, @now, @resultJson)
+      ON CONFLICT (assessment_id) DO UPDATE SET
+        header_json = excluded.header_json, synced_at = excluded.synced_at, result_json = excluded.result_json
+    `),
+    // Source rows in sheet order, then online submissions in the order they were taken
+    list: db.prepare(`
+      SELECT response_key, response_json, origin FROM responses
+      WHERE assessment_id = ? AND removed_at IS NULL
+      ORDER BY origin = 'online', row_index, submitted_at
+    `),
+    syncState: db.prepare('SELECT header_json, synced_at, result_json FROM sync_state WHERE assessment_id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS total, SUM(removed_at IS NOT NULL) AS removed FROM responses WHERE assessment_id = ?'),
+    revisionsForEmployee: db.prepare(`
+      SELECT r.response_key, r.revision, r.row_json, r.response_json, r.recorded_at
+      FROM response_revisions r
+      JOIN responses c ON c.assessment_id = r.assessment_id AND c.response_key = r.response_key
+      WHERE r.assessment_id = ? AND c.employee_id = ?
+      ORDER BY r.response_key, r.revision
+    `)
+  };
+
+  // rows: header first, as returned by a data source
+  // keyOf(row) -> { responseKey, employeeId, submittedAt } or null for rows that are not responses
+  // score(row) -> scored response object or null
+  const sync = db.transaction((assessmentId, { rows, keyOf, score, scoringSignature }) => {
+    const startTime = Date.now();
+    const now = new Date().toISOString();
+    const existing = new Map(statements.existing.all(assessmentId).map(r => [r.response_key, r]));
+    const seen = new Set();
+    const result = { inserted: 0, updated: 0, rescored: 0, unchanged: 0, removed: 0, skipped: 0, duplicates: 0 };
+    const insertedKeys = [];
+
+    rows.slice(1).forEach((row, rowIndex) => {
+      const identity = keyOf(row);
+      if (!identity) {
+        result.skipped++;
+        return;
+      }
+      if (seen.has(identity.responseKey)) {
+        result.duplicates++;
+        return;
+      }
+      seen.add(identity.responseKey);
+
+      const rowHash = hashRow(row);
+      const stored = existing.get(identity.responseKey);
+      const params = { assessmentId, responseKey: identity.responseKey, rowIndex, now };
+
+      if (stored && stored.row_hash === rowHash && stored.scoring_signature === scoringSignature) {
+        statements.touch.run(params);
+        result.unchanged++;
+        return;
+      }
+
+      const response = score(row);
+      if (!response) {
+        result.skipped++;
+        return;
+      }
+
+      const record = {
+        ...params,
+        employeeId: identity.employeeId,
+        submittedAt: identity.submittedAt,
+        rowHash,
+        rowJson: JSON.stringify(row),
+        responseJson: JSON.stringify(response),
+        scoringSignature
+      };
+
+      if (!stored) {
+        statements.insert.run(record);
+        statements.insertRevision.run({ ...record, revision: 1 });
+        result.inserted++;
+        insertedKeys.push(identity.responseKey);
+      } else if (stored.row_hash !== rowHash) {
+        // Edited in the source: keep the old version and record a new revision
+        const revision = stored.revision + 1;
+        statements.update.run({ ...record, revision });
+        statements.insertRevision.run({ ...record, revision });
+        result.updated++;
+      } else {
+        // Same row, scored against a newer answer key
+        statements.update.run({ ...record, revision: stored.revision });
+        result.rescored++;
+      }
+    });
+
+    for (const [responseKey, stored] of existing) {
+      if (!seen.has(responseKey) && !stored.removed_at) {
+        statements.markRemoved.run({ assessmentId, responseKey, now });
+        result.removed++;
+      }
+    }
+
+    result.durationMs = Date.now() - startTime;
+    statements.saveSyncState.run({
+      assessmentId,
+      headerJson: JSON.stringify(rows[0] || []),
+      now,
+      resultJson: JSON.stringify(result)
+    });
+    return { ...result, insertedKeys };
+  });
+
+  // Bumped whenever record(), rescoreOnline() or rescoreAll() changes stored responses outside a sync
+  const versions = new Map();
+  const bump = (assessmentId) => versions.set(assessmentId, (versions.get(assessmentId) || 0) + 1);
+
+  // One submission taken in the app; row is what the candidate entered, response its scored form.
+  // Fails on a duplicate responseKey, so a submission can't be recorded twice.
+  const record = db.transaction((assessmentId, { responseKey, employeeId, submittedAt, row, response, scoringSignature }) => {
+    const params = {
+      assessmentId,
+      responseKey,
+      employeeId,
+      submittedAt,
+      rowHash: hashRow(row),
+      rowJson: JSON.stringify(row),
+      responseJson: JSON.stringify(response),
+      scoringSignature,
+      now: new Date().toISOString()
+    };
+    statements.insertOnline.run(params);
+    statements.insertRevision.run({ ...params, revision: 1 });
+    bump(assessmentId);
+  });
+
+  // Online submissions have no source to re-read, so they are re-scored here when the scoring changes
+  const rescoreOnline = db.transaction((assessmentId, { score, scoringSignature }) => {
+    const now = new Date().toISOString();
+    const stale = statements.staleOnline.all(assessmentId, scoringSignature);
+    stale.forEach(r => {
+      const response = score(JSON.parse(r.row_json));
+      statements.rescore.run({ assessmentId, responseKey: r.response_key, responseJson: JSON.stringify(response), scoringSignature, now });
+    });
+    if (stale.length > 0) bump(assessmentId);
+    return stale.length;
+  });
+
+  // Re-scores every stored response, whatever its signature, e.g. after the scoring rules change.
+  // Rows removed from the source are left alone; sync() re-scores them if they come back.
+  // score(row, origin) -> response, or null to keep the stored one; scoringSignature(origin) -> signature.
+  // Returns the responses whose scored form changed, before and after.
+  const rescoreAll = db.transaction((assessmentId, { score, scoringSignature }) => {
+    const now = new Date().toISOString();
+    const stored = statements.stored.all(assessmentId);
+    const changed = [];
+    let rescored = 0;
+    stored.forEach(r => {
+      const response = score(JSON.parse(r.row_json), r.origin);
+      if (!response) return;
+      rescored++;
+      const responseJson = JSON.stringify(response);
+      statements.rescore.run({
+        assessmentId, responseKey: r.response_key, responseJson, scoringSignature: scoringSignature(r.origin), now
+      });
+      if (responseJson !== r.response_json) {
+        changed.push({ responseKey: r.response_key, before: JSON.parse(r.response_json), after: response });
+      }
+    });
+    bump(assessmentId);
+    return { rescored, changed };
+  });
+
+  function list(assessmentId) {
+    return statements.list.all(assessmentId).map(r => ({
+      ...JSON.parse(r.response_json),
+      responseKey: r.response_key,
+      origin: r.origin
+    }));
+  }
+
+  function header(assessmentId) {
+    const state = statements.syncState.get(assessmentId);
+    return state ? JSON.parse(state.header_json) : null;
+  }
+
+  function status(assessmentId) {
+    const state = statements.syncState.get(assessmentId);
+    const { total, removed } = statements.count.get(assessmentId);
+    return {
+      lastSyncAt: state?.synced_at || null,
+      lastSync: state ? JSON.parse(state.result_json) : null,
+      storedResponses: total - (removed || 0),
+      removedResponses: removed || 0
+    };
+  }
+
+  function revisions(assessmentId, employeeId) {
+    return statements.revisionsForEmployee.all(assessmentId, employeeId).map(r => ({
+      responseKey: r.response_key,
+      revision: r.revision,
+      recordedAt: r.recorded_at,
+      row: JSON.parse(r.row_json),
+      response: JSON.parse(r.response_json)
+    }));
+  }
+
+  return {
+    path: resolvedPath,
+    sync,
+    record,
+    rescoreOnline,
+    rescoreAll,
+    version: (assessmentId) => versions.get(assessmentId) || 0,
+    list,
+    header,
+    status,
+    revisions,
+    close: () => db.close()
+  };
+}
+
+module.exports = { createResponseStore };
@@ -0,0 +1,83 @@
+// Role-based access control for dashboard users.
+//   admin           - everything, including cache and debug tools
+//   hr-viewer       - read and export results for every department
+//   department-head - read results for their own department only
+
+const ROLES = {
+  ADMIN: 'admin',
+  HR_VIEWER: 'hr-viewer',
+  DEPARTMENT_HEAD: 'department-head'
+};
+
+const PERMISSIONS = {
+  'responses:read': [ROLES.ADMIN, ROLES.HR_VIEWER, ROLES.DEPARTMENT_HEAD],
+  'responses:read-all-departments': [ROLES.ADMIN, ROLES.HR_VIEWER],
+  'responses:export': [ROLES.ADMIN, ROLES.HR_VIEWER],
+  'data-quality:read': [ROLES.ADMIN, ROLES.HR_VIEWER],
+  'employees:write': [ROLES.ADMIN],
+  'answer-key:write': [ROLES.ADMIN],
+  'question-bank:write': [ROLES.ADMIN],
+  'assessments:write': [ROLES.ADMIN],
+  'attempts:write': [ROLES.ADMIN],
+  'cache:clear': [ROLES.ADMIN],
+  'debug:read': [ROLES.ADMIN]
+};
+
+function isValidRole(role) {
+  return Object.values(ROLES).includes(role);
+}
+
+function permissionsFor(role) {
+  return Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].includes(role));
+}
+
+function hasPermission(user, permission) {
+  return !!user && (PERMISSIONS[permission] || []).includes(user.role);
+}
+
+function normalizeDepartment(department) {
+  return String(department || '').trim().toLowerCase();
+}
+
+// Department heads only ever see responses from their own department
+function scopeResponses(user, responses) {
+  if (hasPermission(user, 'responses:read-all-departments')) {
+    return responses;
+  }
+  if (user?.role === ROLES.DEPARTMENT_HEAD && user.department) {
+    const department = normalizeDepartment(user.department);
+    return responses.filter(r => normalizeDepartment(r.department) === department);
+  }
+  return [];
+}
+
+function canAccessResponse(user, response) {
+  return scopeResponses(user, [response]).length === 1;
+}
+
+// Express middleware: must run after requireAuth
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+      return next();
+    }
+
+    console.log(`⛔ Production: '${req.user?.username}' (${req.user?.role}) denied ${permission} on ${req.method} ${req.path}`);
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: `Your role does not allow '${permission}'`
+    });
+  };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  permissionsFor,
+  hasPermission,
+  scopeResponses,
+  canAccessResponse,
+  requirePermission
+};
@@ -0,0 +1,246 @@
+// Scoring engine: weighted questions, partial credit, negative marking, tolerant free-text matching
+// and pass rules. An assessment definition can set:
+//   "scoring":  { "negativeMarking": 0.25, "fuzzyMatching": true }
+//     negativeMarking - share of a question's weight deducted for a wrong answer; blank answers cost nothing (default 0)
+//     fuzzyMatching   - accept free-text answers with a small typo, e.g. "Hookes Lwa" (default false, so
+//                       turning it on is a choice to re-score the assessment's history)
+//   "passRule": { "percentage": 60, "topicMinimums": { "Materials": 50 } }
+//     percentage      - overall percentage needed; without it the pass mark, in points, applies
+//     topicMinimums   - percentage needed in each listed topic
+// Weights, topics and partial-credit answers belong to the questions: the answer key for sheet and
+// free-text questions, the question bank for multiple-choice ones. Every weight defaults to 1, so with
+// no settings the score is the number of correct answers.
+
+const DEFAULT_SCORING = { negativeMarking: 0, fuzzyMatching: false };
+const DEFAULT_TOPIC = 'General';
+
+function scoringRules(assessment) {
+  return { ...DEFAULT_SCORING, ...assessment.scoring };
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPercentage(value) {
+  return typeof value === 'number' && value >= 0 && value <= 100;
+}
+
+function validateScoring(scoring) {
+  if (scoring === undefined) return null;
+  if (!isPlainObject(scoring)) {
+    return 'scoring must be an object';
+  }
+  if (scoring.negativeMarking !== undefined &&
+      !(typeof scoring.negativeMarking === 'number' && scoring.negativeMarking >= 0 && scoring.negativeMarking <= 1)) {
+    return 'scoring.negativeMarking must be a number from 0 to 1';
+  }
+  if (scoring.fuzzyMatching !== undefined && typeof scoring.fuzzyMatching !== 'boolean') {
+    return 'scoring.fuzzyMatching must be true or false';
+  }
+  return null;
+}
+
+function validatePassRule(passRule) {
+  if (passRule === undefined) return null;
+  if (!isPlainObject(passRule)) {
+    return 'passRule must be an object';
+  }
+  if (passRule.percentage !== undefined && !isPercentage(passRule.percentage)) {
+    return 'passRule.percentage must be a number from 0 to 100';
+  }
+  if (passRule.topicMinimums !== undefined) {
+    if (!isPlainObject(passRule.topicMinimums) || !Object.values(passRule.topicMinimums).every(isPercentage)) {
+      return 'passRule.topicMinimums must map topics to percentages from 0 to 100';
+    }
+  }
+  return null;
+}
+
+// Optional scoring fields of a question: weight, topic and partialCredit [{ answer, credit }]
+function validateQuestionScoring(question, label) {
+  if (question.weight !== undefined && !(typeof question.weight === 'number' && question.weight > 0)) {
+    return `${label}.weight must be a positive number`;
+  }
+  if (question.topic !== undefined && typeof question.topic !== 'string') {
+    return `${label}.topic must be text`;
+  }
+  if (question.partialCredit !== undefined) {
+    if (!Array.isArray(question.partialCredit)) {
+      return `${label}.partialCredit must be an array of { answer, credit }`;
+    }
+    for (const [i, entry] of question.partialCredit.entries()) {
+      if (!String(entry?.answer || '').trim() || !(typeof entry.credit === 'number' && entry.credit > 0 && entry.credit < 1)) {
+        return `${label}.partialCredit[${i}] needs an answer and a credit between 0 and 1`;
+      }
+    }
+  }
+  return null;
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// Case, accents, apostrophes, punctuation and spacing are ignored: "Hooke's Law" -> "hookes law"
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Edits (insert, delete, substitute, swap two neighbours) needed to turn a into b
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Short answers such as units ("J/K", "Watt") must match exactly; longer ones may have a typo or two
+function allowedTypos(length) {
+  if (length >= 12) return 2;
+  if (length >= 5) return 1;
+  return 0;
+}
+
+// question: { acceptedAnswers, partialCredit } -> { credit: 0..1, match }
+// match: exact | normalized | fuzzy | partial | wrong | blank
+function matchFreeText(answer, question, { fuzzyMatching }) {
+  const given = String(answer ?? '').trim();
+  if (!given) return { credit: 0, match: 'blank' };
+
+  // Full-credit answers first, then partial credit from highest to lowest
+  const candidates = [
+    ...(question.acceptedAnswers || []).map(accepted => ({ answer: accepted, credit: 1 })),
+    ...[...(question.partialCredit || [])].sort((a, b) => b.credit - a.credit)
+  ];
+  const matched = (candidate, match) => ({ credit: candidate.credit, match: candidate.credit === 1 ? match : 'partial' });
+
+  const exact = candidates.find(candidate => String(candidate.answer).toLowerCase().trim() === given.toLowerCase());
+  if (exact) return matched(exact, 'exact');
+
+  const normalized = normalizeText(given);
+  if (!normalized) return { credit: 0, match: 'wrong' };
+  const same = candidates.find(candidate => normalizeText(candidate.answer) === normalized);
+  if (same) return matched(same, 'normalized');
+
+  if (fuzzyMatching) {
+    // The nearest answer within its typo allowance; on a tie the one listed first (full credit before partial)
+    let closest = null;
+    candidates.forEach(candidate => {
+      const target = normalizeText(candidate.answer);
+      const distance = editDistance(normalized, target);
+      if (distance <= allowedTypos(target.length) && (!closest || distance < closest.distance)) {
+        closest = { candidate, distance };
+      }
+    });
+    if (closest) return matched(closest.candidate, 'fuzzy');
+  }
+  return { credit: 0, match: 'wrong' };
+}
+
+// items: one per question { questionIndex, selectedAnswer, credit, match, weight, topic, ... }
+// -> { answers, score, maxScore, percentage, correctCount, breakdown }
+function scoreItems(items, { negativeMarking }) {
+  const answers = items.map(item => {
+    const weight = item.weight ?? 1;
+    const penalty = item.match === 'wrong' ? negativeMarking * weight : 0;
+    return {
+      ...item,
+      topic: item.topic || DEFAULT_TOPIC,
+      weight,
+      isCorrect: item.credit === 1,
+      points: round(item.credit * weight - penalty),
+      penalty: round(penalty)
+    };
+  });
+
+  const total = (list, field) => round(list.reduce((sum, answer) => sum + answer[field], 0));
+  const summarize = (list) => {
+    const maxScore = total(list, 'weight');
+    const score = Math.max(0, total(list, 'points'));
+    return { score, maxScore, percentage: maxScore > 0 ? round((score / maxScore) * 100, 1) : 0 };
+  };
+
+  const topics = new Map();
+  answers.forEach(answer => {
+    if (!topics.has(answer.topic)) topics.set(answer.topic, []);
+    topics.get(answer.topic).push(answer);
+  });
+
+  return {
+    answers,
+    ...summarize(answers),
+    correctCount: answers.filter(answer => answer.isCorrect).length,
+    breakdown: {
+      topics: [...topics].map(([topic, list]) => ({
+        topic,
+        ...summarize(list),
+        questions: list.length,
+        correct: list.filter(answer => answer.isCorrect).length
+      })),
+      negativeMarks: total(answers, 'penalty'),
+      partialCredits: answers.filter(answer => answer.match === 'partial').length,
+      fuzzyMatches: answers.filter(answer => answer.match === 'fuzzy' || answer.match === 'normalized').length
+    }
+  };
+}
+
+// Applied on read, so changing the pass rule needs no re-score. -> { passed, reasons }
+function passCheck(assessment, response) {
+  const rule = assessment.passRule || {};
+  const reasons = [];
+
+  if (rule.percentage !== undefined) {
+    if (response.percentage < rule.percentage) {
+      reasons.push(`${response.percentage}% is below the required ${rule.percentage}%`);
+    }
+  } else if (response.score < assessment.passMark) {
+    reasons.push(`Score ${response.score} is below the pass mark of ${assessment.passMark}`);
+  }
+
+  Object.entries(rule.topicMinimums || {}).forEach(([topic, minimum]) => {
+    const result = (response.breakdown?.topics || []).find(t => t.topic.toLowerCase() === topic.toLowerCase());
+    const percentage = result ? result.percentage : 0;
+    if (percentage < minimum) {
+      reasons.push(`${topic}: ${percentage}% is below the required ${minimum}%`);
+    }
+  });
+
+  return { passed: reasons.length === 0, reasons };
+}
+
+// e.g. "60% overall and at least 50% in Materials"
+function describePassRule(assessment) {
+  const rule = assessment.passRule || {};
+  const overall = rule.percentage !== undefined ? `${rule.percentage}% overall` : `${assessment.passMark} points`;
+  const topics = Object.entries(rule.topicMinimums || {}).map(([topic, minimum]) => `${minimum}% in ${topic}`);
+  return topics.length > 0 ? `${overall} and at least ${topics.join(', ')}` : overall;
+}
+
+module.exports = {
+  DEFAULT_SCORING,
+  scoringRules,
+  validateScoring,
+  validatePassRule,
+  validateQuestionScoring,
+  normalizeText,
+  matchFreeText,
+  scoreItems,
+  passCheck,
+  describePassRule
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Last-known-good source rows, one JSON file per assessment: { assessmentId, fetchedAt, rows, issues }.
+// Written after every successful fetch and served, flagged as a snapshot, while the data source fails.
+
+function createSnapshotStore({ dir }) {
+  const resolvedDir = path.resolve(dir);
+
+  const fileOf = (assessmentId) => path.join(resolvedDir, `${assessmentId}.json`);
+
+  // A failed write must not fail the fetch it follows
+  function save(assessmentId, { rows, issues, fetchedAt }) {
+    const filePath = fileOf(assessmentId);
+    try {
+      fs.mkdirSync(resolvedDir, { recursive: true });
+      // Written aside and renamed, so a crash mid-write never leaves a truncated snapshot
+      fs.writeFileSync(`${filePath}.tmp`, JSON.stringify({ assessmentId, fetchedAt, rows, issues }));
+      fs.renameSync(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      console.log(`⚠️ Production [${assessmentId}]: Could not save snapshot to ${filePath}: ${error.message}`);
+    }
+  }
+
+  // -> { rows, issues, fetchedAt } or null when there is no readable snapshot
+  function load(assessmentId) {
+    const filePath = fileOf(assessmentId);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      const { rows, issues = [], fetchedAt } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return Array.isArray(rows) && rows.length > 1 ? { rows, issues, fetchedAt } : null;
+    } catch (error) {
+      console.log(`⚠️ Production [${assessmentId}]: Ignoring unreadable snapshot ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  return { dir: resolvedDir, save, load };
+}
+
+module.exports = { createSnapshotStore };
@@ -0,0 +1,49 @@
+// Aggregate statistics over scored responses, shared by the dashboard and report exports
+
+function average(responses, field = 'score') {
+  return responses.length > 0 ? responses.reduce((sum, r) => sum + r[field], 0) / responses.length : 0;
+}
+
+function summarizeResponses(responses, questionCount) {
+  const totalResponses = responses.length;
+  const passedCount = responses.filter(r => r.passed).length;
+  const departments = [...new Set(responses.map(r => r.department).filter(d => d))];
+
+  const departmentStats = departments.map(dept => {
+    const deptResponses = responses.filter(r => r.department === dept);
+    const deptPassed = deptResponses.filter(r => r.passed).length;
+
+    return {
+      name: dept,
+      totalCandidates: deptResponses.length,
+      passed: deptPassed,
+      failed: deptResponses.length - deptPassed,
+      averageScore: Math.round(average(deptResponses) * 10) / 10,
+      // Weighted papers differ in maximum score, so compare departments by percentage
+      averagePercentage: Math.round(average(deptResponses, 'percentage')),
+      passPercentage: Math.round((deptPassed / deptResponses.length) * 100)
+    };
+  });
+
+  // Number of candidates per whole score, 0..questionCount (or the highest weighted score, if above that).
+  // passed counts how many of them passed, as pass rules may look beyond the total score.
+  const highest = Math.max(questionCount, ...responses.map(r => Math.floor(r.score)));
+  const scoreDistribution = Array.from({ length: highest + 1 }, (_, score) => {
+    const inBucket = responses.filter(r => Math.floor(r.score) === score);
+    return { score, count: inBucket.length, passed: inBucket.filter(r => r.passed).length };
+  });
+
+  return {
+    totalResponses,
+    passedCount,
+    failedCount: totalResponses - passedCount,
+    averageScore: Math.round(average(responses) * 10) / 10,
+    averagePercentage: Math.round(average(responses, 'percentage')),
+    passPercentage: totalResponses > 0 ? Math.round((passedCount / totalResponses) * 100) : 0,
+    departments,
+    departmentStats,
+    scoreDistribution
+  };
+}
+
+module.exports = { summarizeResponses };
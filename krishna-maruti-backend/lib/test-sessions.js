@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { MAX_EVENTS_PER_ATTEMPT } = require('./proctoring');
+
+// Tests taken in the app, kept in the same SQLite file as the response store.
+// Starting a test records the candidate and the paper they were given; the candidate gets a token that
+// must accompany every later request, including a restart, which gives back the same test with the
+// answers saved so far. Timed tests have a deadline; proctoring events are kept per test.
+// An administrator can cancel an unsubmitted test, e.g. when the candidate lost the token, so they can start again.
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS test_sessions (
+    id            TEXT PRIMARY KEY,
+    assessment_id TEXT NOT NULL,
+    employee_id   TEXT NOT NULL COLLATE NOCASE,
+    full_name     TEXT NOT NULL,
+    department    TEXT NOT NULL,
+    directory_department TEXT,
+    date_of_birth TEXT NOT NULL,
+    token_hash    TEXT NOT NULL,
+    paper_json    TEXT NOT NULL,
+    started_at    TEXT NOT NULL,
+    submitted_at  TEXT,
+    response_key  TEXT,
+    expires_at    TEXT,
+    answers_json  TEXT,
+    answers_saved_at TEXT,
+    auto_submitted INTEGER NOT NULL DEFAULT 0,
+    events_dropped INTEGER NOT NULL DEFAULT 0,
+    cancelled_at  TEXT,
+    cancelled_by  TEXT
+  );
+  CREATE INDEX IF NOT EXISTS test_sessions_employee ON test_sessions (assessment_id, employee_id);
+
+  CREATE TABLE IF NOT EXISTS test_session_events (
+    session_id     TEXT NOT NULL,
+    seq            INTEGER NOT NULL,
+    source         TEXT NOT NULL,
+    type           TEXT NOT NULL,
+    occurred_at    TEXT NOT NULL,
+    received_at    TEXT NOT NULL,
+    question_index INTEGER,
+    detail         TEXT,
+    PRIMARY KEY (session_id, seq)
+  );
+`;
+
+// Databases created before a column existed get it added
+const ADDED_COLUMNS = {
+  expires_at: 'TEXT',
+  answers_json: 'TEXT',
+  answers_saved_at: 'TEXT',
+  auto_submitted: 'INTEGER NOT NULL DEFAULT 0',
+  events_dropped: 'INTEGER NOT NULL DEFAULT 0',
+  directory_department: 'TEXT',
+  cancelled_at: 'TEXT',
+  cancelled_by: 'TEXT'
+};
+
+function migrate(db) {
+  const columns = db.prepare('PRAGMA table_info(test_sessions)').all().map(column => column.name);
+  Object.entries(ADDED_COLUMNS)
+    .filter(([name]) => !columns.includes(name))
+    .forEach(([name, definition]) => db.exec(`ALTER TABLE test_sessions ADD COLUMN ${name} ${definition}`));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toSession(row) {
+  return row && {
+    id: row.id,
+    assessmentId: row.assessment_id,
+    employeeId: row.employee_id,
+    fullName: row.full_name,
+    department: row.department,
+    directoryDepartment: row.directory_department,
+    dateOfBirth: row.date_of_birth,
+    paper: JSON.parse(row.paper_json),
+    startedAt: row.started_at,
+    expiresAt: row.expires_at,
+    savedAnswers: row.answers_json ? JSON.parse(row.answers_json) : [],
+    answersSavedAt: row.answers_saved_at,
+    submittedAt: row.submitted_at,
+    responseKey: row.response_key,
+    autoSubmitted: row.auto_submitted === 1,
+    eventsDropped: row.events_dropped,
+    cancelledAt: row.cancelled_at,
+    cancelledBy: row.cancelled_by,
+    status: row.submitted_at ? 'submitted' : row.cancelled_at ? 'cancelled' : 'in-progress'
+  };
+}
+
+function toEvent(row) {
+  return {
+    source: row.source,
+    type: row.type,
+    at: row.occurred_at,
+    receivedAt: row.received_at,
+    questionIndex: row.question_index,
+    detail: row.detail
+  };
+}
+
+function createTestSessionStore({ filePath }) {
+  const resolvedPath = filePath === ':memory:' ? filePath : path.resolve(filePath);
+  if (resolvedPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  }
+
+  const db = new Database(resolvedPath);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrate(db);
+
+  const statements = {
+    find: db.prepare('SELECT * FROM test_sessions WHERE id = ?'),
+    inProgress: db.prepare(`
+      SELECT * FROM test_sessions
+      WHERE assessment_id = ? AND employee_id = ? AND submitted_at IS NULL AND cancelled_at IS NULL
+      ORDER BY started_at DESC LIMIT 1
+    `),
+    insert: db.prepare(`
+      INSERT INTO test_sessions (id, assessment_id, employee_id, full_name, department, directory_department, date_of_birth,
+                                 token_hash, paper_json, started_at, expires_at)
+      VALUES (@id, @assessmentId, @employeeId, @fullName, @department, @directoryDepartment, @dateOfBirth,
+              @tokenHash, @paperJson, @startedAt, @expiresAt)
+    `),
+    // Unsubmitted timed tests whose deadline passed before the cutoff
+    expired: db.prepare(`
+      SELECT * FROM test_sessions
+      WHERE submitted_at IS NULL AND cancelled_at IS NULL AND expires_at IS NOT NULL AND expires_at < ?
+      ORDER BY expires_at
+    `),
+    // Unsubmitted untimed tests last started or saved before the cutoff
+    abandoned: db.prepare(`
+      SELECT * FROM test_sessions
+      WHERE submitted_at IS NULL AND cancelled_at IS NULL AND expires_at IS NULL
+        AND COALESCE(answers_saved_at, started_at) < ?
+      ORDER BY started_at
+    `),
+    saveAnswers: db.prepare(`
+      UPDATE test_sessions SET answers_json = @answersJson, answers_saved_at = @savedAt
+      WHERE id = @id AND submitted_at IS NULL AND cancelled_at IS NULL
+    `),
+    eventCount: db.prepare('SELECT COUNT(*) AS count, MAX(seq) AS lastSeq FROM test_session_events WHERE session_id = ?'),
+    insertEvent: db.prepare(`
+      INSERT INTO test_session_events (session_id, seq, source, type, occurred_at, received_at, question_index, detail)
+      VALUES (@sessionId, @seq, @source, @type, @occurredAt, @receivedAt, @questionIndex, @detail)
+    `),
+    dropEvents: db.prepare('UPDATE test_sessions SET events_dropped = events_dropped + ? WHERE id = ?'),
+    events: db.prepare('SELECT * FROM test_session_events WHERE session_id = ? ORDER BY occurred_at, seq'),
+    tokenHash: db.prepare('SELECT token_hash FROM test_sessions WHERE id = ?'),
+    // Any test, submitted or not, whose paper includes the bank question
+    drewQuestion: db.prepare(`
+      SELECT 1 FROM test_sessions, json_each(test_sessions.paper_json) AS question
+      WHERE cancelled_at IS NULL AND json_extract(question.value, '$.questionId') = ?
+      LIMIT 1
+    `),
+    complete: db.prepare(`
+      UPDATE test_sessions SET submitted_at = @submittedAt, response_key = @responseKey, auto_submitted = @autoSubmitted
+      WHERE id = @id AND submitted_at IS NULL AND cancelled_at IS NULL
+    `),
+    cancel: db.prepare(`
+      UPDATE test_sessions SET cancelled_at = @cancelledAt, cancelled_by = @cancelledBy
+      WHERE id = @id AND submitted_at IS NULL AND cancelled_at IS NULL
+    `)
+  };
+
+  // candidate: { employeeId, fullName, department, dateOfBirth, directoryDepartment? } - department as typed,
+  // directoryDepartment from the employee directory; paper: the questions as shown,
+  // timeLimitMinutes: null for untimed tests -> { session, token }; only the token's hash is stored
+  function start(assessmentId, candidate, paper, { timeLimitMinutes = null } = {}) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const id = crypto.randomUUID();
+    const startedAt = new Date();
+    statements.insert.run({
+      id,
+      assessmentId,
+      ...candidate,
+      directoryDepartment: candidate.directoryDepartment || null,
+      tokenHash: hashToken(token),
+      paperJson: JSON.stringify(paper),
+      startedAt: startedAt.toISOString(),
+      expiresAt: timeLimitMinutes ? new Date(startedAt.getTime() + timeLimitMinutes * 60 * 1000).toISOString() : null
+    });
+    return { session: toSession(statements.find.get(id)), token };
+  }
+
+  function verifyToken(id, token) {
+    const stored = statements.tokenHash.get(id);
+    if (!stored || !token) return false;
+    const expected = Buffer.from(stored.token_hash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // answers: as they would be submitted; -> false when the session was already submitted or cancelled
+  function saveAnswers(id, answers) {
+    return statements.saveAnswers.run({ id, answersJson: JSON.stringify(answers), savedAt: new Date().toISOString() }).changes === 1;
+  }
+
+  // source: 'client' or 'server'. Client events beyond MAX_EVENTS_PER_ATTEMPT are counted, not stored.
+  // -> { recorded, dropped }
+  const logEvents = db.transaction((id, source, events) => {
+    const { count, lastSeq } = statements.eventCount.get(id);
+    const room = source === 'server' ? events.length : Math.max(0, MAX_EVENTS_PER_ATTEMPT - count);
+    const receivedAt = new Date().toISOString();
+    const recorded = events.slice(0, room);
+    recorded.forEach((event, index) => statements.insertEvent.run({
+      sessionId: id,
+      seq: (lastSeq || 0) + index + 1,
+      source,
+      type: event.type,
+      occurredAt: new Date(event.at || receivedAt).toISOString(),
+      receivedAt,
+      questionIndex: Number.isInteger(event.questionIndex) ? event.questionIndex : null,
+      detail: event.detail || null
+    }));
+    const dropped = events.length - recorded.length;
+    if (dropped > 0) statements.dropEvents.run(dropped, id);
+    return { recorded: recorded.length, dropped };
+  });
+
+  // -> false when the session was already submitted or cancelled
+  function complete(id, { submittedAt, responseKey, autoSubmitted = false }) {
+    return statements.complete.run({ id, submittedAt, responseKey, autoSubmitted: autoSubmitted ? 1 : 0 }).changes === 1;
+  }
+
+  // The test is closed without a result; the candidate can start a new one. -> false when it had already ended
+  function cancel(id, { cancelledBy }) {
+    return statements.cancel.run({ id, cancelledAt: new Date().toISOString(), cancelledBy }).changes === 1;
+  }
+
+  return {
+    path: resolvedPath,
+    start,
+    verifyToken,
+    complete,
+    cancel,
+    saveAnswers,
+    logEvents,
+    events: (id) => statements.events.all(String(id)).map(toEvent),
+    expired: (cutoff) => statements.expired.all(cutoff.toISOString()).map(toSession),
+    abandoned: (cutoff) => statements.abandoned.all(cutoff.toISOString()).map(toSession),
+    find: (id) => toSession(statements.find.get(String(id))),
+    drewQuestion: (questionId) => !!statements.drewQuestion.get(String(questionId)),
+    inProgress: (assessmentId, employeeId) => toSession(statements.inProgress.get(assessmentId, String(employeeId))),
+    close: () => db.close()
+  };
+}
+
+module.exports = { createTestSessionStore };
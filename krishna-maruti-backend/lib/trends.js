@@ -0,0 +1,108 @@
+// Pass rate and average score over time, bucketed by submission date.
+// Weeks start on Monday and months on the 1st, both in UTC. Periods between the first and last
+// submission are always present, so empty weeks or months show as gaps rather than being skipped.
+
+const INTERVALS = ['week', 'month'];
+const DEFAULT_INTERVAL = 'week';
+// A stray timestamp years in the past must not produce thousands of empty periods
+const MAX_PERIODS = 260;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function periodStart(date, interval) {
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const sinceMonday = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - sinceMonday * DAY_MS);
+}
+
+function nextPeriod(start, interval) {
+  return interval === 'month'
+    ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+    : new Date(start.getTime() + 7 * DAY_MS);
+}
+
+// '2025-08' for months, ISO week '2025-W34' for weeks
+function periodLabel(start, interval) {
+  if (interval === 'month') {
+    return start.toISOString().slice(0, 7);
+  }
+  const thursday = new Date(start.getTime() + 3 * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.floor((thursday.getTime() - yearStart) / DAY_MS / 7) + 1;
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function summarizePeriod(start, interval, responses) {
+  const passed = responses.filter(r => r.passed).length;
+  const total = responses.length;
+  return {
+    period: periodLabel(start, interval),
+    start: start.toISOString().split('T')[0],
+    end: new Date(nextPeriod(start, interval).getTime() - DAY_MS).toISOString().split('T')[0],
+    totalResponses: total,
+    passed,
+    failed: total - passed,
+    // null for an empty period, so charts show a gap instead of a drop to zero
+    passRate: total > 0 ? Math.round((passed / total) * 100) : null,
+    averageScore: total > 0 ? Math.round((responses.reduce((sum, r) => sum + r.score, 0) / total) * 10) / 10 : null
+  };
+}
+
+// Consecutive periods from the earliest to the latest submission (the latest MAX_PERIODS at most)
+function buildPeriods(dated, interval) {
+  if (dated.length === 0) return { starts: [], truncated: false };
+
+  const times = dated.map(({ date }) => date.getTime());
+  const last = periodStart(new Date(Math.max(...times)), interval);
+  const starts = [];
+  for (let start = periodStart(new Date(Math.min(...times)), interval); start <= last; start = nextPeriod(start, interval)) {
+    starts.push(start);
+  }
+  return starts.length > MAX_PERIODS
+    ? { starts: starts.slice(-MAX_PERIODS), truncated: true }
+    : { starts, truncated: false };
+}
+
+function series(starts, interval, dated) {
+  const byPeriod = new Map(starts.map(start => [start.getTime(), []]));
+  dated.forEach(({ response, date }) => {
+    byPeriod.get(periodStart(date, interval).getTime())?.push(response);
+  });
+  return starts.map(start => summarizePeriod(start, interval, byPeriod.get(start.getTime())));
+}
+
+// -> { interval, periods, departments: [{ department, periods }], truncated, undated }
+function trendSeries(responses, interval = DEFAULT_INTERVAL) {
+  const dated = [];
+  let undated = 0;
+  responses.forEach(response => {
+    const date = new Date(response.submissionDate);
+    if (isNaN(date.getTime())) {
+      undated++;
+    } else {
+      dated.push({ response, date });
+    }
+  });
+
+  const { starts, truncated } = buildPeriods(dated, interval);
+  const departments = [...new Set(dated.map(({ response }) => response.department).filter(d => d))];
+
+  return {
+    interval,
+    periods: series(starts, interval, dated),
+    departments: departments.map(department => ({
+      department,
+      periods: series(starts, interval, dated.filter(({ response }) => response.department === department))
+    })),
+    truncated,
+    undated
+  };
+}
+
+module.exports = {
+  INTERVALS,
+  DEFAULT_INTERVAL,
+  trendSeries
+};
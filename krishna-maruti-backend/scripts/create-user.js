@@ -0,0 +1,42 @@
+// Create or update a dashboard user in the server-side user store.
+// Usage: node scripts/create-user.js <username> <password> [--role=admin|hr-viewer|department-head]
+//          [--department=<name>] [--employee-id=<id>] [--name=<full name>]
+const { loadConfig } = require('../lib/config');
+const { createUserStore, hashPassword } = require('../lib/auth');
+const { ROLES, isValidRole } = require('../lib/roles');
+
+const args = process.argv.slice(2);
+const [username, password] = args.filter(arg => !arg.startsWith('--'));
+const options = Object.fromEntries(
+  args.filter(arg => arg.startsWith('--')).map(arg => {
+    const [key, ...value] = arg.slice(2).split('=');
+    return [key, value.join('=')];
+  })
+);
+const role = options.role || ROLES.HR_VIEWER;
+
+if (!username || !password) {
+  console.error('Usage: node scripts/create-user.js <username> <password> [--role=admin|hr-viewer|department-head] [--department=<name>] [--employee-id=<id>] [--name=<full name>]');
+  process.exit(1);
+}
+if (!isValidRole(role)) {
+  console.error(`❌ Unknown role '${role}'. Expected one of: ${Object.values(ROLES).join(', ')}`);
+  process.exit(1);
+}
+if (role === ROLES.DEPARTMENT_HEAD && !options.department) {
+  console.error('❌ --department is required for department-head users');
+  process.exit(1);
+}
+
+// Same users file as the server: USERS_FILE, config.json or the data directory
+const users = createUserStore(loadConfig().config.usersFile);
+users.upsert({
+  username,
+  name: options.name || username,
+  employeeId: options['employee-id'] || null,
+  role,
+  department: options.department || null,
+  passwordHash: hashPassword(password)
+});
+
+console.log(`✅ User '${username}' (${role}) saved to ${users.path}`);
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { retakeRules, validateRetake, retakeEligibility, attemptHistory, certificateAttempt } = require('../lib/attempts');
+
+const attempt = (day, percentage, passed) => ({
+  employeeId: 'KM0042',
+  submissionDate: `2026-03-0${day}T09:00:00.000Z`,
+  score: percentage / 10,
+  maxScore: 10,
+  percentage,
+  passed
+});
+
+const NOW = new Date('2026-03-05T09:00:00.000Z');
+
+test('retakes are unlimited and immediate unless an assessment sets a rule', () => {
+  assert.deepEqual(retakeRules({}), { cooldownDays: 0, maxAttempts: null });
+  assert.deepEqual(retakeRules({ retake: { maxAttempts: 3 } }), { cooldownDays: 0, maxAttempts: 3 });
+});
+
+test('validateRetake', () => {
+  assert.equal(validateRetake(undefined), null);
+  assert.equal(validateRetake({ cooldownDays: 7, maxAttempts: null }), null);
+  assert.equal(validateRetake([]), 'retake must be an object');
+  assert.equal(validateRetake({ cooldownDays: 1.5 }), 'retake.cooldownDays must be a non-negative integer');
+  assert.equal(validateRetake({ maxAttempts: 0 }), 'retake.maxAttempts must be a positive integer or null');
+});
+
+test('an employee who passed is not offered a retake', () => {
+  const result = retakeEligibility([attempt(1, 40, false), attempt(2, 80, true)], { cooldownDays: 0, maxAttempts: null }, NOW);
+  assert.deepEqual(result, { eligible: false, reason: 'Already passed', availableFrom: null });
+});
+
+test('the attempt limit counts every attempt', () => {
+  const attempts = [attempt(1, 40, false), attempt(2, 50, false)];
+  assert.equal(retakeEligibility(attempts, { cooldownDays: 0, maxAttempts: 2 }, NOW).reason, 'All 2 attempts used');
+  assert.equal(retakeEligibility(attempts, { cooldownDays: 0, maxAttempts: 3 }, NOW).eligible, true);
+});
+
+test('the cool-down runs from the last failed attempt', () => {
+  const attempts = [attempt(1, 40, false), attempt(4, 50, false)];
+  const rules = { cooldownDays: 3, maxAttempts: null };
+
+  assert.deepEqual(retakeEligibility(attempts, rules, NOW), {
+    eligible: false,
+    reason: 'Cool-down after a failed attempt: 2 days left',
+    availableFrom: '2026-03-07T09:00:00.000Z'
+  });
+  assert.equal(retakeEligibility(attempts, rules, new Date('2026-03-06T10:00:00.000Z')).reason,
+    'Cool-down after a failed attempt: 1 day left');
+  assert.deepEqual(retakeEligibility(attempts, rules, new Date('2026-03-07T09:00:00.000Z')), {
+    eligible: true,
+    reason: 'Cool-down complete',
+    availableFrom: '2026-03-07T09:00:00.000Z'
+  });
+});
+
+test('attemptHistory orders the attempts and marks the counted one', () => {
+  const history = attemptHistory([attempt(3, 85, true), attempt(1, 40, false), attempt(2, 55, false)], {
+    duplicatePolicy: 'best',
+    retake: { cooldownDays: 0, maxAttempts: null },
+    now: NOW
+  });
+
+  assert.deepEqual(history.attempts.map(a => [a.attemptNumber, a.score, a.improvement, a.counted]), [
+    [1, 4, null, false],
+    [2, 5.5, 1.5, false],
+    [3, 8.5, 3, true]
+  ]);
+  assert.deepEqual(history.summary, {
+    totalAttempts: 3,
+    firstScore: 4,
+    latestScore: 8.5,
+    bestScore: 8.5,
+    totalImprovement: 4.5,
+    passedOnAttempt: 3
+  });
+  assert.equal(history.retake.reason, 'Already passed');
+});
+
+test('attemptHistory of an employee with no attempts', () => {
+  const history = attemptHistory([], { duplicatePolicy: 'latest', retake: { cooldownDays: 0, maxAttempts: 1 }, now: NOW });
+  assert.deepEqual(history.attempts, []);
+  assert.equal(history.summary.bestScore, null);
+  assert.deepEqual(history.retake, { cooldownDays: 0, maxAttempts: 1, eligible: true, reason: 'No attempts yet', availableFrom: null });
+});
+
+test('a certificate goes to the counted attempt when it passed', () => {
+  const first = attempt(1, 70, true);
+  const second = attempt(2, 90, true);
+  assert.equal(certificateAttempt([second, first], 'first'), first);
+  assert.equal(certificateAttempt([first, second], 'latest'), second);
+  assert.equal(certificateAttempt([first, second], 'best'), second);
+});
+
+test('an employee who failed and then passed is certified under the first policy', () => {
+  const failed = attempt(1, 40, false);
+  const passed = attempt(2, 80, true);
+  assert.equal(certificateAttempt([failed, passed], 'first'), passed);
+});
+
+test('a later failure does not take back a pass', () => {
+  const passed = attempt(1, 80, true);
+  const failed = attempt(2, 40, false);
+  assert.equal(certificateAttempt([passed, failed], 'latest'), passed);
+});
+
+test('when the counted attempt failed the most recent pass is used', () => {
+  const older = attempt(1, 70, true);
+  const newer = attempt(3, 65, true);
+  // 'best' counts a high score that still failed, for example on a topic minimum
+  const bestFailed = attempt(2, 95, false);
+  assert.equal(certificateAttempt([older, bestFailed, newer], 'best'), newer);
+});
+
+test('no certificate without a passing attempt', () => {
+  assert.equal(certificateAttempt([attempt(1, 40, false), attempt(2, 50, false)], 'latest'), null);
+  assert.equal(certificateAttempt([], 'latest'), null);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createAuth, hashPassword, verifyPassword } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+let dir;
+let auth;
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+  auth = createAuth({ usersFile: path.join(dir, 'users.json'), secret: SECRET });
+  auth.users.upsert({
+    username: 'Asha',
+    name: 'Asha Rao',
+    role: 'department-head',
+    department: 'Welding',
+    passwordHash: hashPassword('s3cret-pass')
+  });
+});
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Runs the middleware and reports whether it let the request through
+function authenticate(middleware, req) {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+  middleware({ headers: {}, query: {}, method: 'GET', path: '/api/test', ...req }, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('passwords are stored as salted scrypt hashes', () => {
+  const hash = hashPassword('s3cret-pass');
+  assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(hashPassword('s3cret-pass'), hash);
+
+  assert.equal(verifyPassword('s3cret-pass', hash), true);
+  assert.equal(verifyPassword('S3cret-pass', hash), false);
+  assert.equal(verifyPassword('s3cret-pass', 'plain$text'), false);
+  assert.equal(verifyPassword('s3cret-pass', undefined), false);
+});
+
+test('login checks the password and ignores username case', () => {
+  assert.equal(auth.login('asha', 'wrong'), null);
+  assert.equal(auth.login('nobody', 's3cret-pass'), null);
+
+  const session = auth.login(' ASHA ', 's3cret-pass');
+  assert.deepEqual(session.user, {
+    username: 'Asha',
+    name: 'Asha Rao',
+    employeeId: null,
+    role: 'department-head',
+    department: 'Welding',
+    permissions: ['responses:read']
+  });
+
+  const claims = auth.verifyToken(session.token);
+  assert.equal(claims.sub, 'Asha');
+  assert.ok(claims.jti);
+  assert.equal(new Date(claims.exp * 1000).toISOString(), session.expiresAt);
+});
+
+test('accounts without a role are read-only HR viewers', () => {
+  auth.users.upsert({ username: 'old', passwordHash: hashPassword('s3cret-pass') });
+  assert.equal(auth.login('old', 's3cret-pass').user.role, 'hr-viewer');
+});
+
+test('a token signed with another secret is refused', () => {
+  const forged = jwt.sign({ role: 'admin' }, 'other-secret', { subject: 'Asha', jwtid: 'x' });
+  assert.throws(() => auth.verifyToken(forged), /invalid signature/);
+});
+
+test('logout revokes only that token', () => {
+  const first = auth.login('asha', 's3cret-pass');
+  const second = auth.login('asha', 's3cret-pass');
+  const claims = auth.verifyToken(first.token);
+
+  assert.equal(auth.isActive(claims), true);
+  auth.logout(claims);
+  assert.throws(() => auth.verifyToken(first.token), /Token has been revoked/);
+  assert.equal(auth.isActive(claims), false);
+  assert.ok(auth.verifyToken(second.token));
+});
+
+test('an expired session is no longer active', () => {
+  const claims = auth.verifyToken(auth.login('asha', 's3cret-pass').token);
+  assert.equal(auth.isActive({ ...claims, exp: Math.floor(Date.now() / 1000) - 1 }), false);
+});
+
+test('requireAuth takes a Bearer token and nothing else', () => {
+  const { token } = auth.login('asha', 's3cret-pass');
+
+  const ok = authenticate(auth.requireAuth, { headers: { authorization: `Bearer ${token}` } });
+  assert.equal(ok.passed, true);
+
+  const missing = authenticate(auth.requireAuth, { query: { access_token: token } });
+  assert.equal(missing.passed, false);
+  assert.equal(missing.res.statusCode, 401);
+  assert.equal(missing.res.body.message, 'Missing Bearer token');
+
+  const invalid = authenticate(auth.requireAuth, { headers: { authorization: 'Bearer nonsense' } });
+  assert.equal(invalid.res.body.message, 'Invalid or expired token');
+});
+
+test('event streams may pass the token in the query string', () => {
+  const { token } = auth.login('asha', 's3cret-pass');
+  assert.equal(authenticate(auth.requireStreamAuth, { query: { access_token: token } }).passed, true);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateColumns, resolveColumns, readFields, describeColumns } = require('../lib/columns');
+
+const HEADER = ['Timestamp', 'Full Name', 'Employee ID', 'Date of Birth (DD/MM/YYYY)', 'Department', 'Score', 'Q1', 'Q2'];
+
+test('fields are found by header name, whatever the column order', () => {
+  const header = ['Q1', 'Department', 'Employee ID', 'Timestamp', 'Q2', 'Full Name'];
+  const { fields, questions, missing } = resolveColumns(header);
+  assert.deepEqual(fields, { timestamp: 3, score: -1, fullName: 5, employeeId: 2, dateOfBirth: -1, department: 1 });
+  assert.deepEqual(questions, [0, 4]);
+  assert.deepEqual(missing, []);
+});
+
+test('header names match ignoring case and extra whitespace', () => {
+  const { fields, missing } = resolveColumns(['  TIMESTAMP ', 'full   name', 'employee id', 'Date of Birth']);
+  assert.equal(fields.timestamp, 0);
+  assert.equal(fields.fullName, 1);
+  assert.equal(fields.employeeId, 2);
+  assert.equal(fields.dateOfBirth, 3);
+  assert.deepEqual(missing, []);
+});
+
+test('missing required columns are reported; missing optional ones are not', () => {
+  const { fields, missing } = resolveColumns(['Timestamp', 'Name', 'Q1']);
+  assert.equal(fields.fullName, -1);
+  assert.equal(fields.score, -1);
+  assert.deepEqual(missing, ["No 'Full Name' column for fullName", "No 'Employee ID' column for employeeId"]);
+});
+
+test('renamed headers are mapped through the assessment columns setting', () => {
+  const header = ['When', 'Name', 'Emp Code', 'Dept', 'Q1'];
+  const { fields, questions, missing } = resolveColumns(header, {
+    timestamp: 'When',
+    fullName: 'Name',
+    employeeId: ['Employee ID', 'Emp Code'],
+    department: 'Dept'
+  });
+  assert.deepEqual([fields.timestamp, fields.fullName, fields.employeeId, fields.department], [0, 1, 2, 3]);
+  assert.deepEqual(questions, [4]);
+  assert.deepEqual(missing, []);
+});
+
+test('configured questions pick their columns in the given order and report absent ones', () => {
+  const { questions, missing } = resolveColumns(HEADER, { questions: ['Q2', 'Q1', 'Q3'] });
+  assert.deepEqual(questions, [7, 6]);
+  assert.deepEqual(missing, ["No 'Q3' question column"]);
+});
+
+test('a column is used for one field only', () => {
+  const { fields } = resolveColumns(['Timestamp', 'Full Name', 'Employee ID'], { fullName: 'Employee ID' });
+  assert.equal(fields.fullName, 2);
+  assert.equal(fields.employeeId, -1);
+});
+
+test('readFields trims values and reads absent columns as empty', () => {
+  const columnMap = resolveColumns(['Timestamp', 'Full Name', 'Employee ID']);
+  assert.deepEqual(readFields(['8/16/2025 14:10:59', '  Asha Rao ', '123'], columnMap), {
+    timestamp: '8/16/2025 14:10:59',
+    score: '',
+    fullName: 'Asha Rao',
+    employeeId: '123',
+    dateOfBirth: '',
+    department: ''
+  });
+});
+
+test('describeColumns names the header behind each field and question', () => {
+  const columnMap = resolveColumns(HEADER);
+  const described = describeColumns(HEADER, columnMap);
+  assert.equal(described.fields.dateOfBirth, 'Date of Birth (DD/MM/YYYY)');
+  assert.deepEqual(described.questions, ['Q1', 'Q2']);
+});
+
+test('validateColumns accepts names and lists of names and rejects the rest', () => {
+  assert.equal(validateColumns(undefined), null);
+  assert.equal(validateColumns({ employeeId: ['Employee ID', 'Emp Code'], questions: ['Q1'] }), null);
+  assert.equal(validateColumns([]), 'columns must be an object of header names');
+  assert.match(validateColumns({ plant: 'Plant' }), /^Unknown column 'plant'/);
+  assert.equal(validateColumns({ fullName: '' }), 'columns.fullName must be a header name or an array of header names');
+  assert.equal(validateColumns({ questions: [] }), 'columns.questions must be a non-empty array of header names');
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, describeConfig, isAllowedOrigin } = require('../lib/config');
+
+let dir;
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+});
+test.afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// Loads the config with a config file holding values, so the repo's own config.json never leaks in
+function load(env = {}, values = {}) {
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify(values));
+  return loadConfig({ CONFIG_FILE: file, ...env });
+}
+
+test('the environment wins over the config file, which wins over the default', () => {
+  const { config, errors } = load({ PORT: '8080', CACHE_SECONDS: '' }, { port: 9090, cacheSeconds: 60, passMark: 7 });
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.port, 8080);
+  assert.equal(config.cacheSeconds, 60);
+  assert.equal(config.passMark, 7);
+  assert.equal(config.eventsPollInterval, 60);
+  assert.deepEqual(
+    [config.sources.port, config.sources.cacheSeconds, config.sources.eventsPollInterval],
+    ['env PORT', 'file', 'default']
+  );
+});
+
+test('values are parsed by type', () => {
+  const { config, errors } = load({
+    KEEP_ALIVE: 'no',
+    DEPARTMENTS: ' Welding, Paint Shop ,,',
+    RENDER_URL: 'https://example.com/',
+    EMPLOYEE_ID_PATTERN: '^KM\\d{4}$'
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(config.keepAlive, false);
+  assert.deepEqual(config.departments, ['Welding', 'Paint Shop']);
+  assert.equal(config.renderUrl, 'https://example.com');
+  assert.equal(config.employeeIdPattern.test('KM0042'), true);
+  assert.equal(config.employeeIdPattern.test('KM42'), false);
+});
+
+test('file paths default to the data directory', () => {
+  const dataDir = path.join(dir, 'data');
+  const { config } = load({ DATA_DIR: dataDir, DB_FILE: path.join(dir, 'db', 'responses.db') });
+
+  assert.equal(config.assessmentsFile, path.join(dataDir, 'assessments.json'));
+  assert.equal(config.usersFile, path.join(dataDir, 'users.json'));
+  assert.equal(config.snapshotDir, path.join(dir, 'db', 'snapshots'));
+});
+
+test('every problem is reported at once', () => {
+  const { errors } = load({
+    PORT: '70000',
+    PASS_MARK: 'six',
+    KEEP_ALIVE: 'maybe',
+    CORS_ORIGINS: 'example.com',
+    DATA_SOURCE: 'csv-file',
+    ADMIN_USERNAME: 'admin'
+  }, { cacheSecond: 60 });
+
+  assert.deepEqual(errors, [
+    `${path.join(dir, 'config.json')}: unknown setting 'cacheSecond'`,
+    'PORT (port) must be at most 65535',
+    "CORS_ORIGINS (corsOrigins) must be origins like https://example.com, got 'example.com'",
+    "KEEP_ALIVE (keepAlive) must be true or false, got 'maybe'",
+    "PASS_MARK (passMark) must be a whole number, got 'six'",
+    'DATA_SOURCE_PATH (dataSourcePath) is required for the csv-file data source',
+    'ADMIN_PASSWORD (adminPassword) is required when ADMIN_USERNAME is set'
+  ]);
+});
+
+test('a CONFIG_FILE that does not exist or is not an object is an error', () => {
+  const missing = path.join(dir, 'missing.json');
+  assert.deepEqual(loadConfig({ CONFIG_FILE: missing }).errors, [`CONFIG_FILE: ${missing} does not exist`]);
+
+  const list = path.join(dir, 'list.json');
+  fs.writeFileSync(list, '[]');
+  assert.deepEqual(loadConfig({ CONFIG_FILE: list }).errors, [`${list}: must contain a JSON object of settings`]);
+});
+
+test('describeConfig hides secrets', () => {
+  const { config } = load({ AUTH_SECRET: 'very-secret', ADMIN_USERNAME: 'admin', ADMIN_PASSWORD: 'pw' });
+  const described = describeConfig(config);
+
+  assert.equal(described.authSecret, '(set) [env AUTH_SECRET]');
+  assert.equal(described.adminPassword, '(set) [env ADMIN_PASSWORD]');
+  assert.equal(described.adminUsername, 'admin [env ADMIN_USERNAME]');
+  assert.equal(described.adminName, 'null [default]');
+  assert.ok(!JSON.stringify(described).includes('very-secret'));
+});
+
+test('allowed origins match exactly or by wildcard', () => {
+  const { config } = load({ CORS_ORIGINS: 'https://app.example.com, https://app-*.vercel.app' });
+
+  assert.equal(isAllowedOrigin(config, 'https://app.example.com'), true);
+  assert.equal(isAllowedOrigin(config, 'https://app-pr-12.vercel.app'), true);
+  assert.equal(isAllowedOrigin(config, 'https://app-pr-12.vercel.app.evil.com'), false);
+  assert.equal(isAllowedOrigin(config, 'https://other.example.com'), false);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
+const { createCsvParser, parseCSV, parseCSVStream } = require('../lib/csv');
+
+// parseCSV reports its progress on the console
+test.beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+test('quoted fields keep commas, doubled quotes and line breaks', () => {
+  const { rows, issues } = parseCSV('Name,Answer\n"Sharma, Rajesh","He said ""Watt""\nthen left"\n');
+  assert.deepEqual(rows, [
+    ['Name', 'Answer'],
+    ['Sharma, Rajesh', 'He said "Watt"\nthen left']
+  ]);
+  assert.deepEqual(issues, []);
+});
+
+test('CRLF, LF and a lone CR all end a record, and blank lines are skipped', () => {
+  const { rows } = parseCSV('a,b\r\n1,2\n\n3,4\r5,6');
+  assert.deepEqual(rows, [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+});
+
+test('a CRLF inside quotes is kept as part of the field', () => {
+  const { rows } = parseCSV('a\r\n"x\r\ny"\r\n');
+  assert.deepEqual(rows, [['a'], ['x\r\ny']]);
+});
+
+test('a leading BOM is dropped from the first header', () => {
+  const { rows } = parseCSV('\uFEFFTimestamp,Score\n1,2\n');
+  assert.equal(rows[0][0], 'Timestamp');
+});
+
+test('empty fields are kept', () => {
+  const { rows } = parseCSV('a,b,c\n,,\n1,,3\n');
+  assert.deepEqual(rows.slice(1), [['', '', ''], ['1', '', '3']]);
+});
+
+test('malformed records are reported with their line and left out', () => {
+  const { rows, issues } = parseCSV('a,b\n"x"y,1\nsay "hi",2\n1,2,3\nok,fine\n');
+  assert.deepEqual(rows, [['a', 'b'], ['ok', 'fine']]);
+  assert.deepEqual(issues, [
+    { line: 2, message: "Unexpected character 'y' after a closing quote" },
+    { line: 3, message: 'Unexpected quote in an unquoted field' },
+    { line: 4, message: 'Expected 2 fields but found 3' }
+  ]);
+});
+
+test('an unterminated quote is reported at the line its record started', () => {
+  const { rows, issues } = parseCSV('a,b\n1,2\n3,"open\nstill open\n');
+  assert.deepEqual(rows, [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(issues, [{ line: 3, message: 'Unterminated quoted field' }]);
+});
+
+test('line numbers count the line breaks inside quoted fields', () => {
+  const { issues } = parseCSV('a,b\n"multi\nline",1\n1,2,3\n');
+  assert.deepEqual(issues, [{ line: 4, message: 'Expected 2 fields but found 3' }]);
+});
+
+test('the incremental parser returns records as they complete, whatever the chunk boundaries', () => {
+  const parser = createCsvParser();
+  assert.deepEqual(parser.write('a,"b'), []);
+  assert.deepEqual(parser.write('""c"\r'), [{ line: 1, fields: ['a', 'b"c'] }]);
+  assert.deepEqual(parser.write('\n1,2'), []);
+  assert.deepEqual(parser.end(), [{ line: 2, fields: ['1', '2'] }]);
+  assert.deepEqual(parser.issues, []);
+});
+
+test('streams of bytes are decoded across chunk boundaries', async () => {
+  const bytes = Buffer.from('\uFEFFName,City\n"Kumar, S",Pune\nÅsa,Köln\n');
+  // Split inside the BOM, the 'Å' (bytes 29-30) and the 'ö' (bytes 35-36)
+  const chunks = [bytes.subarray(0, 1), bytes.subarray(1, 30), bytes.subarray(30, 36), bytes.subarray(36)];
+  const { rows, issues } = await parseCSVStream(Readable.from(chunks));
+  assert.deepEqual(rows, [['Name', 'City'], ['Kumar, S', 'Pune'], ['Åsa', 'Köln']]);
+  assert.deepEqual(issues, []);
+});
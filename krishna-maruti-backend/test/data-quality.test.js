@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { countedAttempt, applyDuplicatePolicy, checkDataQuality } = require('../lib/data-quality');
+
+const NOW = new Date('2026-03-10T00:00:00Z');
+
+function response(overrides = {}) {
+  return {
+    responseKey: 'r1',
+    timestamp: '3/1/2026 09:00:00',
+    submissionDate: '2026-03-01T09:00:00.000Z',
+    employeeId: 'KM0042',
+    fullName: 'Asha Rao',
+    dateOfBirth: '05/03/1999',
+    department: 'Welding',
+    score: 8,
+    maxScore: 10,
+    percentage: 80,
+    answers: [{ questionIndex: 0, selectedAnswer: 'Argon' }, { questionIndex: 1, selectedAnswer: 'TIG' }],
+    ...overrides
+  };
+}
+
+const first = response({ responseKey: 'r1', submissionDate: '2026-03-01T09:00:00.000Z', percentage: 40 });
+const best = response({ responseKey: 'r2', submissionDate: '2026-03-02T09:00:00.000Z', percentage: 90 });
+const latest = response({ responseKey: 'r3', submissionDate: '2026-03-03T09:00:00.000Z', percentage: 70 });
+
+test('each policy counts its own attempt', () => {
+  assert.equal(countedAttempt([latest, first, best], 'first'), first);
+  assert.equal(countedAttempt([latest, first, best], 'best'), best);
+  assert.equal(countedAttempt([latest, first, best], 'latest'), latest);
+});
+
+test('the earliest attempt wins a tie on the best policy', () => {
+  const tie = response({ responseKey: 'r4', submissionDate: '2026-03-04T09:00:00.000Z', percentage: 90 });
+  assert.equal(countedAttempt([tie, best], 'best'), best);
+});
+
+test('applyDuplicatePolicy keeps one response per employee, ignoring ID case, in the original order', () => {
+  const other = response({ responseKey: 'r5', employeeId: 'KM0043' });
+  const upper = { ...latest, employeeId: 'km0042' };
+  const counted = applyDuplicatePolicy([first, other, best, upper], 'latest');
+
+  assert.deepEqual(counted.map(r => [r.responseKey, r.attemptCount]), [['r5', 1], ['r3', 3]]);
+});
+
+test('responses without an employee ID are all kept', () => {
+  const anonymous = [response({ responseKey: 'a', employeeId: '' }), response({ responseKey: 'b', employeeId: '' })];
+  assert.deepEqual(applyDuplicatePolicy(anonymous).map(r => r.responseKey), ['a', 'b']);
+});
+
+test('a clean response has no findings', () => {
+  const report = checkDataQuality([response()], { departments: ['Welding'], employeeIdPattern: /^KM\d{4}$/, now: NOW });
+  assert.deepEqual(report.findings, []);
+  assert.deepEqual(report.summary, { totalResponses: 1, responsesWithIssues: 0, duplicateEmployees: 0, byType: {} });
+});
+
+test('dates of birth must be real DD/MM/YYYY dates', () => {
+  const messages = ['', '5-3-1999', '31/02/1999', '12/25/1999', '01/01/1890', '01/01/2027'].map(dateOfBirth =>
+    checkDataQuality([response({ dateOfBirth })], { now: NOW }).findings.find(f => f.type === 'invalid-dob')?.message);
+
+  assert.deepEqual(messages, [
+    'Date of birth is blank',
+    "'5-3-1999' is not in DD/MM/YYYY format",
+    "'31/02/1999' is not a real date",
+    "'12/25/1999' looks like MM/DD/YYYY; expected DD/MM/YYYY",
+    "'01/01/1890' is out of range",
+    "'01/01/2027' is out of range"
+  ]);
+});
+
+test('timestamps, IDs, departments and blank answers are checked', () => {
+  const report = checkDataQuality([
+    response({ responseKey: 'a', timestamp: '4/1/2026 09:00:00' }),
+    response({ responseKey: 'b', employeeId: 'X-1' }),
+    response({ responseKey: 'c', employeeId: '' }),
+    response({ responseKey: 'd', employeeId: 'KM0044', department: 'Paint Shop' }),
+    response({
+      responseKey: 'e',
+      employeeId: 'KM0045',
+      answers: [{ questionIndex: 0, selectedAnswer: '' }, { questionIndex: 1, selectedAnswer: '' }]
+    })
+  ], { departments: ['welding'], employeeIdPattern: /^KM\d{4}$/, now: NOW });
+
+  assert.deepEqual(report.findings.map(f => [f.responseKey, f.type, f.severity]), [
+    ['a', 'invalid-timestamp', 'error'],
+    ['b', 'invalid-employee-id', 'error'],
+    ['c', 'invalid-employee-id', 'error'],
+    ['d', 'unknown-department', 'warning'],
+    ['e', 'blank-answers', 'warning']
+  ]);
+  assert.equal(report.findings[4].message, '2 unanswered questions: Q1, Q2');
+  assert.equal(report.summary.responsesWithIssues, 5);
+});
+
+test('directory mismatches are reported from the reconciliation', () => {
+  const report = checkDataQuality([
+    response({ responseKey: 'a', employeeId: 'KM0099', reconciliation: { status: 'unknown-employee' } }),
+    response({
+      responseKey: 'b',
+      department: 'Welding',
+      reconciliation: {
+        status: 'matched',
+        submittedName: 'A Rao',
+        directoryName: 'Asha Rao',
+        nameMatches: false,
+        submittedDepartment: 'Weld',
+        departmentMatches: false
+      }
+    })
+  ], { now: NOW });
+
+  assert.deepEqual(report.findings.map(f => [f.responseKey, f.type]), [
+    ['a', 'unknown-employee'],
+    ['b', 'name-mismatch'],
+    ['b', 'department-mismatch']
+  ]);
+  assert.equal(report.findings[2].message, "Submitted as 'Weld'; the directory has 'Welding'");
+});
+
+test('attempts that do not count are listed as info, not as issues', () => {
+  const report = checkDataQuality([first, best, latest], { duplicatePolicy: 'best', now: NOW });
+
+  assert.deepEqual(report.duplicates[0].attempts.map(a => [a.responseKey, a.counted]), [['r1', false], ['r2', true], ['r3', false]]);
+  assert.deepEqual(report.findings.map(f => [f.responseKey, f.type, f.severity]), [
+    ['r1', 'duplicate-attempt', 'info'],
+    ['r3', 'duplicate-attempt', 'info']
+  ]);
+  assert.equal(report.findings[1].message, 'Attempt 3 of 3; not counted (best attempt policy)');
+  assert.deepEqual(report.summary, { totalResponses: 3, responsesWithIssues: 0, duplicateEmployees: 1, byType: { 'duplicate-attempt': 2 } });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateBins, scoreDistribution } = require('../lib/distribution');
+
+const response = (employeeId, percentage, department, passed = percentage >= 60) => ({
+  responseKey: `r-${employeeId}`,
+  employeeId,
+  fullName: employeeId,
+  department,
+  score: percentage / 10,
+  percentage,
+  passed
+});
+
+const RESPONSES = [
+  response('KM01', 40, 'Welding'),
+  response('KM02', 60, 'Welding'),
+  response('KM03', 80, 'Welding'),
+  response('KM04', 60, 'Paint Shop'),
+  response('KM05', 100, 'Paint Shop')
+];
+
+test('overall statistics are computed on the percentage', () => {
+  const { measure, overall } = scoreDistribution(RESPONSES, { bins: 5 });
+  const { histogram, ...stats } = overall;
+
+  assert.equal(measure, 'percentage');
+  assert.deepEqual(stats, {
+    count: 5,
+    mean: 68,
+    median: 60,
+    q1: 60,
+    q3: 80,
+    iqr: 20,
+    min: 40,
+    max: 100,
+    standardDeviation: 20.4
+  });
+  // 100% falls in the last bin
+  assert.deepEqual(histogram.map(bin => [bin.from, bin.to, bin.count, bin.passed]), [
+    [0, 20, 0, 0],
+    [20, 40, 0, 0],
+    [40, 60, 1, 0],
+    [60, 80, 2, 2],
+    [80, 100, 2, 2]
+  ]);
+});
+
+test('quartiles interpolate between the closest ranks', () => {
+  const { overall } = scoreDistribution([10, 20, 30, 40].map((p, i) => response(`KM${i}`, p, 'Welding')));
+  assert.deepEqual([overall.q1, overall.median, overall.q3], [17.5, 25, 32.5]);
+});
+
+test('percentile rank is the share of the others who scored lower; ties do not beat each other', () => {
+  const { candidates } = scoreDistribution(RESPONSES);
+
+  assert.deepEqual(candidates.map(c => [c.employeeId, c.percentileRank, c.departmentPercentileRank, c.zScore]), [
+    ['KM05', 100, 100, 1.57],
+    ['KM03', 75, 100, 0.59],
+    ['KM02', 25, 50, -0.39],
+    ['KM04', 25, 0, -0.39],
+    ['KM01', 0, 0, -1.37]
+  ]);
+});
+
+test('departments are sorted and each gets its own statistics', () => {
+  const { departments } = scoreDistribution(RESPONSES, { bins: 2 });
+  assert.deepEqual(departments.map(d => [d.department, d.count, d.median, d.histogram.map(bin => bin.count)]), [
+    ['Paint Shop', 2, 80, [0, 2]],
+    ['Welding', 3, 60, [1, 2]]
+  ]);
+});
+
+test('a group of one has no rank and no standard score', () => {
+  const { overall, candidates } = scoreDistribution([response('KM01', 70, '')]);
+  assert.equal(overall.standardDeviation, 0);
+  assert.deepEqual(candidates.map(c => [c.percentileRank, c.departmentPercentileRank, c.zScore]), [[null, null, null]]);
+});
+
+test('no responses', () => {
+  const result = scoreDistribution([]);
+  assert.equal(result.bins, 10);
+  assert.equal(result.overall.count, 0);
+  assert.equal(result.overall.median, null);
+  assert.equal(result.overall.histogram.length, 10);
+  assert.deepEqual(result.candidates, []);
+});
+
+test('validateBins', () => {
+  assert.equal(validateBins(10), null);
+  assert.equal(validateBins(1), 'bins must be a whole number from 2 to 20');
+  assert.equal(validateBins(2.5), 'bins must be a whole number from 2 to 20');
+  assert.equal(validateBins(21), 'bins must be a whole number from 2 to 20');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { createEventHub } = require('../lib/events');
+
+// Just enough of a request and a streaming response to subscribe
+function fakeStream() {
+  const req = Object.assign(new EventEmitter(), { headers: {} });
+  const res = Object.assign(new EventEmitter(), {
+    written: '',
+    ended: false,
+    writeHead() {},
+    write(chunk) {
+      this.written += chunk;
+    },
+    end() {
+      this.ended = true;
+      this.emit('close');
+    }
+  });
+  return { req, res };
+}
+
+const USER = { username: 'asha', role: 'admin' };
+
+let hub;
+let streams;
+test.beforeEach(() => {
+  hub = createEventHub({ heartbeatMs: 60 * 1000 });
+  streams = [];
+});
+// Ends the heartbeats of streams the test left open
+test.afterEach(() => streams.forEach(({ res }) => res.emit('close')));
+
+function subscribe(options) {
+  const stream = fakeStream();
+  streams.push(stream);
+  hub.subscribe(stream.req, stream.res, { user: USER, ...options });
+  return stream.res;
+}
+
+test('events reach the streams of their assessment', () => {
+  const weld = subscribe({ assessmentId: 'weld-101' });
+  const paint = subscribe({ assessmentId: 'paint-201' });
+
+  hub.publish('submission.created', { responseKey: 'r1' }, { assessmentId: 'weld-101' });
+  assert.match(weld.written, /event: submission\.created\ndata: {"responseKey":"r1"}/);
+  assert.doesNotMatch(paint.written, /submission\.created/);
+  assert.equal(hub.clientCount, 2);
+});
+
+test('a stream whose session has ended is closed instead of written to', () => {
+  let active = true;
+  const res = subscribe({ assessmentId: 'weld-101', isActive: () => active });
+
+  active = false;
+  hub.publish('submission.created', { responseKey: 'r1' }, { assessmentId: 'weld-101' });
+  assert.equal(res.ended, true);
+  assert.doesNotMatch(res.written, /submission\.created/);
+  assert.equal(hub.clientCount, 0);
+});
+
+test('closeInactive ends the streams of ended sessions only', () => {
+  const loggedOut = { active: true };
+  const ended = subscribe({ isActive: () => loggedOut.active });
+  const open = subscribe({});
+
+  loggedOut.active = false;
+  hub.closeInactive();
+  assert.equal(ended.ended, true);
+  assert.equal(open.ended, false);
+  assert.equal(hub.clientCount, 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeItems } = require('../lib/item-analysis');
+
+const QUESTIONS = ['Shielding gas for MIG?', 'Which process uses a tungsten electrode?'];
+const ACCEPTED = [['Argon'], ['TIG']];
+
+const answer = (questionIndex, selectedAnswer) => ({
+  questionIndex,
+  selectedAnswer,
+  isCorrect: ACCEPTED[questionIndex].includes(selectedAnswer)
+});
+const response = (score, answers) => ({ score, answers: answers.map((selected, index) => answer(index, selected)) });
+
+// Four candidates, so the top and bottom groups hold one each
+const RESPONSES = [
+  response(9, ['Argon', 'MIG']),
+  response(6, ['Argon', 'TIG']),
+  response(5, ['Oxygen', '']),
+  response(2, ['Oxygen', 'TIG'])
+];
+
+test('percent correct, answer distribution and the most common wrong answer', () => {
+  const [gas] = analyzeItems(RESPONSES, QUESTIONS, index => ACCEPTED[index]);
+
+  assert.equal(gas.questionNumber, 1);
+  assert.equal(gas.question, QUESTIONS[0]);
+  assert.deepEqual(gas.acceptedAnswers, ['Argon']);
+  assert.deepEqual([gas.totalResponses, gas.correctCount, gas.percentCorrect], [4, 2, 50]);
+  assert.deepEqual(gas.answerDistribution, [
+    { answer: 'Argon', count: 2, isCorrect: true, percent: 50 },
+    { answer: 'Oxygen', count: 2, isCorrect: false, percent: 50 }
+  ]);
+  assert.deepEqual(gas.mostCommonWrongAnswer, { answer: 'Oxygen', count: 2, percent: 50 });
+});
+
+test('discrimination compares the top and bottom scorers', () => {
+  const [gas, tungsten] = analyzeItems(RESPONSES, QUESTIONS, index => ACCEPTED[index]);
+
+  // The top scorer got the first question right and the bottom one wrong; the second the other way round
+  assert.equal(gas.discriminationIndex, 1);
+  assert.equal(tungsten.discriminationIndex, -1);
+});
+
+test('a blank answer is listed but is never the most common wrong answer', () => {
+  const [, tungsten] = analyzeItems(RESPONSES, QUESTIONS, index => ACCEPTED[index]);
+
+  assert.deepEqual(tungsten.answerDistribution.map(entry => [entry.answer, entry.count]), [
+    ['TIG', 2],
+    ['MIG', 1],
+    ['(No answer)', 1]
+  ]);
+  assert.deepEqual(tungsten.mostCommonWrongAnswer, { answer: 'MIG', count: 1, percent: 25 });
+
+  const blankOnly = analyzeItems([response(3, ['', 'TIG'])], QUESTIONS, index => ACCEPTED[index]);
+  assert.equal(blankOnly[0].mostCommonWrongAnswer, null);
+});
+
+test('one candidate has no discrimination index, and no candidates give 0% correct', () => {
+  assert.equal(analyzeItems([RESPONSES[0]], QUESTIONS, index => ACCEPTED[index])[0].discriminationIndex, null);
+
+  const [empty] = analyzeItems([], QUESTIONS, index => ACCEPTED[index]);
+  assert.deepEqual([empty.percentCorrect, empty.discriminationIndex, empty.answerDistribution], [0, null, []]);
+});
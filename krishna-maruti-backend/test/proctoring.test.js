@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_EVENTS_PER_ATTEMPT, validateEvents, summarizeIntegrity } = require('../lib/proctoring');
+
+const AT = '2026-03-01T09:00:00.000Z';
+const events = (...types) => types.map(type => ({ type, at: AT }));
+
+test('validateEvents accepts the browser signals', () => {
+  assert.equal(validateEvents([]), null);
+  assert.equal(validateEvents([
+    { type: 'tab-hidden', at: AT, questionIndex: 3 },
+    { type: 'paste', at: AT, questionIndex: null, detail: '12 characters' }
+  ]), null);
+});
+
+test('validateEvents refuses server events, bad timestamps and oversized input', () => {
+  assert.equal(validateEvents({ type: 'copy', at: AT }), 'events must be an array of { type, at }');
+  assert.equal(validateEvents(events('copy', 'submitted')),
+    'events[1].type must be one of: focus-lost, focus-regained, tab-hidden, tab-visible, copy, cut, paste');
+  assert.equal(validateEvents([{ type: 'copy', at: 'yesterday' }]), 'events[0].at must be an ISO timestamp');
+  assert.equal(validateEvents([{ type: 'copy', at: AT, questionIndex: '2' }]), 'events[0].questionIndex must be an integer');
+  assert.equal(validateEvents([{ type: 'copy', at: AT, detail: 'x'.repeat(201) }]),
+    'events[0].detail must be text of at most 200 characters');
+  assert.equal(validateEvents(events(...Array(51).fill('copy'))), 'at most 50 events can be sent at once');
+});
+
+test('an attempt below every threshold is clean', () => {
+  const summary = summarizeIntegrity(events(
+    'started', 'tab-hidden', 'tab-visible', 'focus-lost', 'focus-lost', 'resumed', 'submitted'
+  ));
+  assert.deepEqual(summary, {
+    status: 'clean',
+    counts: { tabSwitches: 1, focusLosses: 2, copyPaste: 0, resumes: 1 },
+    reasons: []
+  });
+});
+
+test('each threshold reached flags the attempt for review', () => {
+  const summary = summarizeIntegrity(events(
+    'tab-hidden', 'tab-hidden', 'focus-lost', 'focus-lost', 'focus-lost', 'paste', 'resumed', 'resumed'
+  ));
+  assert.equal(summary.status, 'review');
+  assert.deepEqual(summary.reasons, [
+    '2 tab switch(es)',
+    '3 time(s) the test window lost focus',
+    '1 copy, cut or paste action(s)',
+    '2 resume(s) after leaving the test'
+  ]);
+});
+
+test('events refused after the limit flag the attempt', () => {
+  const summary = summarizeIntegrity([], { dropped: 4 });
+  assert.equal(summary.status, 'review');
+  assert.deepEqual(summary.reasons, [`4 further event(s) not recorded after the limit of ${MAX_EVENTS_PER_ATTEMPT}`]);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateQuestionEdit, validatePaperRules, generatePaper } = require('../lib/question-bank');
+
+const QUESTION = {
+  id: 'q1',
+  text: 'Which gas shields a MIG weld?',
+  options: ['Argon', 'Oxygen', 'Hydrogen'],
+  correctOption: 0,
+  topic: 'Welding',
+  difficulty: 'easy',
+  weight: 1
+};
+
+test('reordering the options of a drawn question is refused', () => {
+  const reordered = { ...QUESTION, options: ['Oxygen', 'Argon', 'Hydrogen'], correctOption: 1 };
+  assert.match(validateQuestionEdit(QUESTION, reordered, { drawn: true }), /options cannot be changed once the question has been drawn/);
+  assert.equal(validateQuestionEdit(QUESTION, reordered, { drawn: false }), null);
+});
+
+test('adding, removing or rewording an option of a drawn question is refused', () => {
+  for (const options of [['Argon', 'Oxygen', 'Hydrogen', 'Helium'], ['Argon', 'Oxygen'], ['Argon gas', 'Oxygen', 'Hydrogen']]) {
+    assert.notEqual(validateQuestionEdit(QUESTION, { ...QUESTION, options }, { drawn: true }), null, options.join());
+  }
+});
+
+test('a drawn question can still be re-keyed and reworded', () => {
+  const edit = { ...QUESTION, text: 'Which shielding gas suits MIG welding?', correctOption: 2, weight: 2, options: [' Argon', 'Oxygen ', 'Hydrogen'] };
+  assert.equal(validateQuestionEdit(QUESTION, edit, { drawn: true }), null);
+});
+
+// Three welding and two safety questions, three options each
+const BANK = ['w1', 'w2', 'w3', 's1', 's2'].map(id => ({
+  ...QUESTION,
+  id,
+  text: `Question ${id}`,
+  topic: id.startsWith('w') ? 'Welding' : 'Safety',
+  options: [`${id}-a`, `${id}-b`, `${id}-c`]
+}));
+
+test('validatePaperRules', () => {
+  assert.equal(validatePaperRules(undefined, 4), null);
+  assert.equal(validatePaperRules({ perTopic: { welding: 3, safety: 1 }, shuffleOptions: false }, 4), null);
+  assert.equal(validatePaperRules([], 4), 'paper must be an object');
+  assert.equal(validatePaperRules({ perTopic: [] }, 4), 'paper.perTopic must map topics to question counts');
+  assert.equal(validatePaperRules({ perTopic: {} }, 4), 'paper.perTopic counts must be positive integers');
+  assert.equal(validatePaperRules({ perTopic: { welding: 0 } }, 4), 'paper.perTopic counts must be positive integers');
+  assert.equal(validatePaperRules({ perTopic: { welding: 2, safety: 1 } }, 4),
+    'paper.perTopic adds up to 3 questions but questionCount is 4');
+  assert.equal(validatePaperRules({ shuffleOptions: 'no' }, 4), 'paper.shuffleOptions must be true or false');
+});
+
+test('the same seed always draws the same paper', () => {
+  const first = generatePaper(BANK, { questionCount: 4 }, 'test-1');
+  assert.deepEqual(generatePaper(BANK, { questionCount: 4 }, 'test-1'), first);
+
+  const papers = ['test-2', 'test-3', 'test-4', 'test-5'].map(seed => generatePaper(BANK, { questionCount: 4 }, seed).paper);
+  assert.ok(papers.some(paper => JSON.stringify(paper) !== JSON.stringify(first.paper)));
+});
+
+test('paper questions are numbered in order and their options map back to the bank', () => {
+  const { paper } = generatePaper(BANK, { questionCount: 5 }, 'test-1');
+
+  assert.deepEqual(paper.map(q => q.questionIndex), [0, 1, 2, 3, 4]);
+  assert.deepEqual(paper.map(q => q.questionId).sort(), ['s1', 's2', 'w1', 'w2', 'w3']);
+  paper.forEach(question => {
+    const bankQuestion = BANK.find(q => q.id === question.questionId);
+    assert.deepEqual(question.optionOrder.map(index => bankQuestion.options[index]), question.options);
+    assert.deepEqual([...question.optionOrder].sort(), [0, 1, 2]);
+  });
+});
+
+test('perTopic draws that many questions from each topic, ignoring case', () => {
+  const { paper } = generatePaper(BANK, { questionCount: 3, paper: { perTopic: { WELDING: 2, safety: 1 } } }, 'test-1');
+  assert.deepEqual(paper.map(q => q.topic).sort(), ['Safety', 'Welding', 'Welding']);
+});
+
+test('options keep the bank order when shuffleOptions is off', () => {
+  const { paper } = generatePaper(BANK, { questionCount: 5, paper: { shuffleOptions: false } }, 'test-1');
+  assert.ok(paper.every(question => question.optionOrder.join() === '0,1,2'));
+});
+
+test('a bank too small for the paper is reported, not drawn', () => {
+  assert.deepEqual(generatePaper(BANK, { questionCount: 6 }, 'test-1'), {
+    error: 'The paper needs 6 question(s) but the bank has 5'
+  });
+  assert.deepEqual(generatePaper(BANK, { questionCount: 3, paper: { perTopic: { Safety: 3 } } }, 'test-1'), {
+    error: "Topic 'Safety' needs 3 question(s) but the bank has 2"
+  });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createResponseStore } = require('../lib/response-store');
+
+const HEADER = ['Timestamp', 'Employee ID', 'Answer'];
+
+// Rows are [timestamp, employeeId, answer]; the score is 1 for 'Argon'
+function syncOptions(rows, { scoringSignature = 'key-v1', score } = {}) {
+  return {
+    rows: [HEADER, ...rows],
+    keyOf: (row) => (row[1] ? { responseKey: `${row[0]}|${row[1]}`, employeeId: row[1], submittedAt: row[0] } : null),
+    score: score || ((row) => ({ employeeId: row[1], answer: row[2], score: row[2] === 'Argon' ? 1 : 0 })),
+    scoringSignature
+  };
+}
+
+const ROW_A = ['2026-03-01 09:00', 'KM0042', 'Argon'];
+const ROW_B = ['2026-03-01 09:05', 'KM0043', 'Oxygen'];
+
+let store;
+test.beforeEach(() => {
+  store = createResponseStore({ filePath: ':memory:' });
+});
+test.afterEach(() => store.close());
+
+test('sync inserts new rows and skips rows without an identity or seen twice', () => {
+  const result = store.sync('weld-101', syncOptions([ROW_A, ROW_B, ['2026-03-01 09:10', '', 'Argon'], ROW_A]));
+
+  assert.equal(result.inserted, 2);
+  assert.equal(result.skipped, 1);
+  assert.equal(result.duplicates, 1);
+  assert.deepEqual(result.insertedKeys, ['2026-03-01 09:00|KM0042', '2026-03-01 09:05|KM0043']);
+  assert.deepEqual(store.list('weld-101').map(r => [r.employeeId, r.score, r.origin]), [
+    ['KM0042', 1, 'source'],
+    ['KM0043', 0, 'source']
+  ]);
+  assert.deepEqual(store.header('weld-101'), HEADER);
+  assert.equal(store.status('weld-101').storedResponses, 2);
+});
+
+test('an unchanged row is not scored again', () => {
+  store.sync('weld-101', syncOptions([ROW_A]));
+  let scored = 0;
+  const result = store.sync('weld-101', syncOptions([ROW_A], { score: () => { scored++; return { score: 0 }; } }));
+
+  assert.equal(result.unchanged, 1);
+  assert.equal(scored, 0);
+  assert.equal(store.list('weld-101')[0].score, 1);
+});
+
+test('a row edited in the source gets a new revision and keeps the old one', () => {
+  store.sync('weld-101', syncOptions([ROW_A]));
+  const result = store.sync('weld-101', syncOptions([[ROW_A[0], ROW_A[1], 'Oxygen']]));
+
+  assert.equal(result.updated, 1);
+  assert.equal(store.list('weld-101')[0].score, 0);
+  const revisions = store.revisions('weld-101', 'KM0042');
+  assert.deepEqual(revisions.map(r => [r.revision, r.row[2], r.response.score]), [[1, 'Argon', 1], [2, 'Oxygen', 0]]);
+  assert.deepEqual(store.revisions('weld-101', 'KM0043'), []);
+});
+
+test('a new answer key re-scores the same row without a new revision', () => {
+  store.sync('weld-101', syncOptions([ROW_A]));
+  const result = store.sync('weld-101', syncOptions([ROW_A], {
+    scoringSignature: 'key-v2',
+    score: (row) => ({ employeeId: row[1], score: 0 })
+  }));
+
+  assert.equal(result.rescored, 1);
+  assert.equal(store.list('weld-101')[0].score, 0);
+  assert.equal(store.revisions('weld-101', 'KM0042').length, 1);
+});
+
+test('rows deleted from the source are flagged and come back when restored', () => {
+  store.sync('weld-101', syncOptions([ROW_A, ROW_B]));
+  assert.equal(store.sync('weld-101', syncOptions([ROW_A])).removed, 1);
+  assert.deepEqual(store.list('weld-101').map(r => r.employeeId), ['KM0042']);
+  const { storedResponses, removedResponses } = store.status('weld-101');
+  assert.deepEqual([storedResponses, removedResponses], [1, 1]);
+
+  store.sync('weld-101', syncOptions([ROW_A, ROW_B]));
+  assert.deepEqual(store.list('weld-101').map(r => r.employeeId), ['KM0042', 'KM0043']);
+});
+
+test('online submissions are listed after source rows and left alone by sync', () => {
+  const version = store.version('weld-101');
+  store.record('weld-101', {
+    responseKey: 'online:t1',
+    employeeId: 'KM0044',
+    submittedAt: '2026-03-01 08:00',
+    row: { answers: ['Argon'] },
+    response: { employeeId: 'KM0044', score: 1 },
+    scoringSignature: 'key-v1'
+  });
+  assert.equal(store.version('weld-101'), version + 1);
+
+  store.sync('weld-101', syncOptions([ROW_A]));
+  assert.deepEqual(store.list('weld-101').map(r => [r.employeeId, r.origin]), [['KM0042', 'source'], ['KM0044', 'online']]);
+  assert.equal(store.sync('weld-101', syncOptions([])).removed, 1);
+  assert.deepEqual(store.list('weld-101').map(r => r.employeeId), ['KM0044']);
+});
+
+test('rescoreAll re-scores every stored response and reports the ones that changed', () => {
+  store.sync('weld-101', syncOptions([ROW_A, ROW_B]));
+  store.record('weld-101', {
+    responseKey: 'online:t1',
+    employeeId: 'KM0044',
+    submittedAt: '2026-03-01 10:00',
+    row: { answers: ['Oxygen'] },
+    response: { employeeId: 'KM0044', score: 0 },
+    scoringSignature: 'online-v1'
+  });
+
+  // Oxygen is now accepted too; the online submission keeps its stored score
+  const { rescored, changed } = store.rescoreAll('weld-101', {
+    score: (row, origin) => (origin === 'online' ? null : { employeeId: row[1], answer: row[2], score: 1 }),
+    scoringSignature: (origin) => `${origin}-v2`
+  });
+
+  assert.equal(rescored, 2);
+  assert.deepEqual(changed.map(c => [c.responseKey, c.before.score, c.after.score]), [['2026-03-01 09:05|KM0043', 0, 1]]);
+  assert.deepEqual(store.list('weld-101').map(r => r.score), [1, 1, 0]);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  permissionsFor,
+  hasPermission,
+  scopeResponses,
+  canAccessResponse,
+  requirePermission
+} = require('../lib/roles');
+
+const ADMIN = { username: 'admin', role: ROLES.ADMIN };
+const HR = { username: 'hr', role: ROLES.HR_VIEWER };
+const HEAD = { username: 'head', role: ROLES.DEPARTMENT_HEAD, department: ' welding ' };
+
+const RESPONSES = [
+  { employeeId: 'KM01', department: 'Welding' },
+  { employeeId: 'KM02', department: 'Paint Shop' }
+];
+
+test('permission matrix', () => {
+  assert.deepEqual(permissionsFor(ROLES.ADMIN), Object.keys(PERMISSIONS));
+  assert.deepEqual(permissionsFor(ROLES.HR_VIEWER),
+    ['responses:read', 'responses:read-all-departments', 'responses:export', 'data-quality:read']);
+  assert.deepEqual(permissionsFor(ROLES.DEPARTMENT_HEAD), ['responses:read']);
+  assert.deepEqual(permissionsFor('guest'), []);
+});
+
+test('hasPermission refuses unknown permissions and missing users', () => {
+  assert.equal(hasPermission(ADMIN, 'answer-key:write'), true);
+  assert.equal(hasPermission(HR, 'answer-key:write'), false);
+  assert.equal(hasPermission(ADMIN, 'no-such:permission'), false);
+  assert.equal(hasPermission(null, 'responses:read'), false);
+});
+
+test('isValidRole', () => {
+  assert.equal(isValidRole('department-head'), true);
+  assert.equal(isValidRole('Admin'), false);
+});
+
+test('department heads only see their own department, ignoring case and spacing', () => {
+  assert.deepEqual(scopeResponses(ADMIN, RESPONSES), RESPONSES);
+  assert.deepEqual(scopeResponses(HR, RESPONSES), RESPONSES);
+  assert.deepEqual(scopeResponses(HEAD, RESPONSES), [RESPONSES[0]]);
+  assert.equal(canAccessResponse(HEAD, RESPONSES[0]), true);
+  assert.equal(canAccessResponse(HEAD, RESPONSES[1]), false);
+});
+
+test('a department head without a department sees nothing', () => {
+  assert.deepEqual(scopeResponses({ ...HEAD, department: null }, RESPONSES), []);
+  assert.deepEqual(scopeResponses(undefined, RESPONSES), []);
+});
+
+test('requirePermission answers 403 for roles without the permission', () => {
+  const middleware = requirePermission('responses:export');
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    }
+  };
+
+  let passed = false;
+  middleware({ user: HR, method: 'GET', path: '/api/export/xlsx' }, res, () => { passed = true; });
+  assert.equal(passed, true);
+
+  passed = false;
+  middleware({ user: HEAD, method: 'GET', path: '/api/export/xlsx' }, res, () => { passed = true; });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body, { success: false, error: 'Forbidden', message: "Your role does not allow 'responses:export'" });
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  scoringRules,
+  validateScoring,
+  validatePassRule,
+  validateQuestionScoring,
+  normalizeText,
+  matchFreeText,
+  scoreItems,
+  passCheck,
+  describePassRule
+} = require('../lib/scoring');
+
+const FUZZY = { fuzzyMatching: true };
+const STRICT = { fuzzyMatching: false };
+
+test('fuzzy matching is off unless an assessment turns it on', () => {
+  assert.deepEqual(scoringRules({}), { negativeMarking: 0, fuzzyMatching: false });
+  assert.deepEqual(scoringRules({ scoring: { fuzzyMatching: true } }), { negativeMarking: 0, fuzzyMatching: true });
+});
+
+test('normalizeText ignores case, accents, apostrophes, punctuation and spacing', () => {
+  assert.equal(normalizeText("  Hooke's   LAW! "), 'hookes law');
+  assert.equal(normalizeText('Vickers—Hardness'), 'vickers hardness');
+  assert.equal(normalizeText('Café'), 'cafe');
+  assert.equal(normalizeText(null), '');
+});
+
+test('matchFreeText: exact, normalized, blank and wrong answers', () => {
+  const question = { acceptedAnswers: ["Hooke's Law"] };
+  assert.deepEqual(matchFreeText(" hooke's law ", question, STRICT), { credit: 1, match: 'exact' });
+  assert.deepEqual(matchFreeText('Hookes law.', question, STRICT), { credit: 1, match: 'normalized' });
+  assert.deepEqual(matchFreeText('   ', question, STRICT), { credit: 0, match: 'blank' });
+  assert.deepEqual(matchFreeText('?!', question, STRICT), { credit: 0, match: 'wrong' });
+  assert.deepEqual(matchFreeText('Newton', question, STRICT), { credit: 0, match: 'wrong' });
+});
+
+test('matchFreeText only accepts typos with fuzzy matching on', () => {
+  const question = { acceptedAnswers: ["Hooke's Law"] };
+  assert.deepEqual(matchFreeText('Hookes Lwa', question, STRICT), { credit: 0, match: 'wrong' });
+  assert.deepEqual(matchFreeText('Hookes Lwa', question, FUZZY), { credit: 1, match: 'fuzzy' });
+});
+
+test('allowed typos depend on the answer length', () => {
+  // Under 5 characters: exact only
+  assert.equal(matchFreeText('Wat', { acceptedAnswers: ['Watt'] }, FUZZY).match, 'wrong');
+  assert.equal(matchFreeText('J/Kg', { acceptedAnswers: ['J/K'] }, FUZZY).match, 'wrong');
+  // 5 to 11 characters: one edit
+  assert.equal(matchFreeText('Quenchng', { acceptedAnswers: ['Quenching'] }, FUZZY).match, 'fuzzy');
+  assert.equal(matchFreeText('Quenchnig', { acceptedAnswers: ['Quenching'] }, FUZZY).match, 'fuzzy');
+  assert.equal(matchFreeText('Qenchng', { acceptedAnswers: ['Quenching'] }, FUZZY).match, 'wrong');
+  // 12 or more: two edits
+  assert.equal(matchFreeText('Alumnium Aloy', { acceptedAnswers: ['Aluminium Alloy'] }, FUZZY).match, 'fuzzy');
+  assert.equal(matchFreeText('Alumnum Aloy', { acceptedAnswers: ['Aluminium Alloy'] }, FUZZY).match, 'wrong');
+});
+
+test('partial credit goes to the best listed partial answer, after full-credit answers', () => {
+  const question = {
+    acceptedAnswers: ['Bevel Gear'],
+    partialCredit: [{ answer: 'Gear', credit: 0.25 }, { answer: 'Bevel', credit: 0.5 }]
+  };
+  assert.deepEqual(matchFreeText('bevel gear', question, STRICT), { credit: 1, match: 'exact' });
+  assert.deepEqual(matchFreeText('Bevel', question, STRICT), { credit: 0.5, match: 'partial' });
+  assert.deepEqual(matchFreeText('gear', question, STRICT), { credit: 0.25, match: 'partial' });
+});
+
+test('a typo matches the closest answer, not the first one within reach', () => {
+  const question = {
+    acceptedAnswers: ['Tempering'],
+    partialCredit: [{ answer: 'Temperin', credit: 0.5 }]
+  };
+  // One edit from the partial answer, two from the full one
+  assert.deepEqual(matchFreeText('Tempern', question, FUZZY), { credit: 0.5, match: 'partial' });
+
+  const closer = { acceptedAnswers: ['Annealing', 'Anodising'], partialCredit: [] };
+  // 'Anodisng' is one edit from 'Anodising' and further from 'Annealing'
+  assert.deepEqual(matchFreeText('Anodisng', closer, FUZZY), { credit: 1, match: 'fuzzy' });
+});
+
+test('on an equal distance the full-credit answer wins', () => {
+  const question = { acceptedAnswers: ['Carbide'], partialCredit: [{ answer: 'Carbine', credit: 0.5 }] };
+  assert.deepEqual(matchFreeText('Carbie', question, FUZZY), { credit: 1, match: 'fuzzy' });
+});
+
+test('scoreItems weights questions and totals per topic', () => {
+  const result = scoreItems([
+    { questionIndex: 0, credit: 1, match: 'exact', weight: 2, topic: 'Materials' },
+    { questionIndex: 1, credit: 0.5, match: 'partial', topic: 'Materials' },
+    { questionIndex: 2, credit: 0, match: 'wrong', weight: 3 },
+    { questionIndex: 3, credit: 1, match: 'fuzzy' }
+  ], { negativeMarking: 0 });
+
+  assert.equal(result.score, 3.5);
+  assert.equal(result.maxScore, 7);
+  assert.equal(result.percentage, 50);
+  assert.equal(result.correctCount, 2);
+  assert.deepEqual(result.answers.map(a => a.points), [2, 0.5, 0, 1]);
+  assert.deepEqual(result.breakdown.topics, [
+    { topic: 'Materials', score: 2.5, maxScore: 3, percentage: 83.3, questions: 2, correct: 1 },
+    { topic: 'General', score: 1, maxScore: 4, percentage: 25, questions: 2, correct: 1 }
+  ]);
+  assert.equal(result.breakdown.partialCredits, 1);
+  assert.equal(result.breakdown.fuzzyMatches, 1);
+});
+
+test('negative marking deducts for wrong answers only, never below zero in total', () => {
+  const items = [
+    { questionIndex: 0, credit: 1, match: 'exact' },
+    { questionIndex: 1, credit: 0, match: 'wrong', weight: 2 },
+    { questionIndex: 2, credit: 0, match: 'blank' }
+  ];
+  const marked = scoreItems(items, { negativeMarking: 0.25 });
+  assert.deepEqual(marked.answers.map(a => a.penalty), [0, 0.5, 0]);
+  assert.equal(marked.score, 0.5);
+  assert.equal(marked.breakdown.negativeMarks, 0.5);
+
+  const allWrong = scoreItems([
+    { questionIndex: 0, credit: 0, match: 'wrong' },
+    { questionIndex: 1, credit: 0, match: 'wrong' }
+  ], { negativeMarking: 1 });
+  assert.equal(allWrong.score, 0);
+  assert.equal(allWrong.percentage, 0);
+  assert.deepEqual(allWrong.answers.map(a => a.points), [-1, -1]);
+});
+
+test('an empty paper scores 0%', () => {
+  const result = scoreItems([], { negativeMarking: 0 });
+  assert.deepEqual([result.score, result.maxScore, result.percentage], [0, 0, 0]);
+});
+
+test('passCheck uses the pass mark in points without a percentage rule', () => {
+  const assessment = { passMark: 6 };
+  assert.deepEqual(passCheck(assessment, { score: 6, percentage: 60 }), { passed: true, reasons: [] });
+  assert.deepEqual(passCheck(assessment, { score: 5.5, percentage: 55 }), {
+    passed: false,
+    reasons: ['Score 5.5 is below the pass mark of 6']
+  });
+});
+
+test('passCheck applies the overall percentage and every topic minimum', () => {
+  const assessment = { passMark: 6, passRule: { percentage: 60, topicMinimums: { materials: 50, Safety: 80 } } };
+  const response = {
+    score: 4,
+    percentage: 65,
+    breakdown: { topics: [{ topic: 'Materials', percentage: 40 }, { topic: 'General', percentage: 90 }] }
+  };
+  // The pass mark in points doesn't apply next to a percentage rule; topics match ignoring case
+  // and a topic the paper didn't cover counts as 0%
+  assert.deepEqual(passCheck(assessment, response), {
+    passed: false,
+    reasons: ['materials: 40% is below the required 50%', 'Safety: 0% is below the required 80%']
+  });
+  assert.deepEqual(passCheck({ passMark: 6, passRule: { percentage: 70 } }, response), {
+    passed: false,
+    reasons: ['65% is below the required 70%']
+  });
+});
+
+test('describePassRule', () => {
+  assert.equal(describePassRule({ passMark: 6 }), '6 points');
+  assert.equal(describePassRule({ passMark: 6, passRule: { percentage: 60, topicMinimums: { Materials: 50 } } }),
+    '60% overall and at least 50% in Materials');
+});
+
+test('validators', () => {
+  assert.equal(validateScoring(undefined), null);
+  assert.equal(validateScoring({ negativeMarking: 0.25, fuzzyMatching: true }), null);
+  assert.equal(validateScoring({ negativeMarking: 1.5 }), 'scoring.negativeMarking must be a number from 0 to 1');
+  assert.equal(validateScoring({ fuzzyMatching: 'yes' }), 'scoring.fuzzyMatching must be true or false');
+  assert.equal(validatePassRule({ percentage: 101 }), 'passRule.percentage must be a number from 0 to 100');
+  assert.equal(validatePassRule({ topicMinimums: { Materials: -1 } }),
+    'passRule.topicMinimums must map topics to percentages from 0 to 100');
+  assert.equal(validateQuestionScoring({ weight: 0 }, 'questions[0]'), 'questions[0].weight must be a positive number');
+  assert.equal(validateQuestionScoring({ partialCredit: [{ answer: 'Gear', credit: 1 }] }, 'questions[1]'),
+    'questions[1].partialCredit[0] needs an answer and a credit between 0 and 1');
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestSessionStore } = require('../lib/test-sessions');
+const { MAX_EVENTS_PER_ATTEMPT } = require('../lib/proctoring');
+
+const CANDIDATE = { employeeId: 'KM0042', fullName: 'Asha Rao', department: 'Welding', dateOfBirth: '05/03/1999' };
+const PAPER = [{ questionIndex: 0, text: 'Shielding gas for MIG?' }];
+
+const later = (ms) => new Date(Date.now() + ms);
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let store;
+test.beforeEach(() => {
+  store = createTestSessionStore({ filePath: ':memory:' });
+});
+test.afterEach(() => store.close());
+
+test('only the token a test was started with opens it', () => {
+  const { session, token } = store.start('weld-101', CANDIDATE, PAPER);
+  const other = store.start('weld-101', { ...CANDIDATE, employeeId: 'KM0043' }, PAPER);
+
+  assert.equal(store.verifyToken(session.id, token), true);
+  assert.equal(store.verifyToken(session.id, other.token), false);
+  assert.equal(store.verifyToken(session.id, undefined), false);
+  assert.equal(store.verifyToken('no-such-test', token), false);
+});
+
+test('the directory department is kept next to the typed one', () => {
+  const { session } = store.start('weld-101', { ...CANDIDATE, department: 'Paint Shop', directoryDepartment: 'Welding' }, PAPER);
+  assert.equal(session.department, 'Paint Shop');
+  assert.equal(session.directoryDepartment, 'Welding');
+  assert.equal(store.start('weld-101', { ...CANDIDATE, employeeId: 'KM0043' }, PAPER).session.directoryDepartment, null);
+});
+
+test('the unsubmitted test of an employee is found ignoring ID case', () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER);
+
+  assert.equal(store.inProgress('weld-101', 'km0042').id, session.id);
+  assert.equal(store.inProgress('paint-201', 'KM0042'), undefined);
+
+  store.complete(session.id, { submittedAt: new Date().toISOString(), responseKey: `online:${session.id}` });
+  assert.equal(store.inProgress('weld-101', 'KM0042'), undefined);
+  assert.equal(store.find(session.id).status, 'submitted');
+});
+
+test('a timed test expires at its time limit', () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER, { timeLimitMinutes: 30 });
+  const expiresAt = new Date(session.expiresAt);
+  assert.equal(expiresAt - new Date(session.startedAt), 30 * 60 * 1000);
+
+  assert.deepEqual(store.expired(expiresAt), []);
+  assert.deepEqual(store.expired(new Date(expiresAt.getTime() + 1)).map(s => s.id), [session.id]);
+  assert.equal(store.start('weld-101', { ...CANDIDATE, employeeId: 'KM0043' }, PAPER).session.expiresAt, null);
+});
+
+test('saved answers are kept until the test is submitted', () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER, { timeLimitMinutes: 30 });
+  const answers = [{ questionIndex: 0, answer: 'Argon' }];
+
+  assert.equal(store.saveAnswers(session.id, answers), true);
+  assert.deepEqual(store.find(session.id).savedAnswers, answers);
+  assert.ok(store.find(session.id).answersSavedAt);
+
+  const submittedAt = new Date().toISOString();
+  assert.equal(store.complete(session.id, { submittedAt, responseKey: 'online:x', autoSubmitted: true }), true);
+  assert.equal(store.saveAnswers(session.id, []), false);
+  assert.equal(store.complete(session.id, { submittedAt, responseKey: 'online:y' }), false);
+
+  const submitted = store.find(session.id);
+  assert.deepEqual([submitted.status, submitted.autoSubmitted, submitted.responseKey], ['submitted', true, 'online:x']);
+  assert.deepEqual(store.expired(later(60 * 60 * 1000)), []);
+});
+
+test('client events beyond the limit are counted, server events are always kept', () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER);
+  const at = new Date().toISOString();
+  const clientEvents = Array.from({ length: MAX_EVENTS_PER_ATTEMPT + 2 }, () => ({ type: 'copy', at, questionIndex: 0 }));
+
+  assert.deepEqual(store.logEvents(session.id, 'client', clientEvents), { recorded: MAX_EVENTS_PER_ATTEMPT, dropped: 2 });
+  assert.deepEqual(store.logEvents(session.id, 'server', [{ type: 'submitted', at }]), { recorded: 1, dropped: 0 });
+  assert.equal(store.find(session.id).eventsDropped, 2);
+
+  const events = store.events(session.id);
+  assert.equal(events.length, MAX_EVENTS_PER_ATTEMPT + 1);
+  assert.deepEqual(events[events.length - 1], {
+    source: 'server', type: 'submitted', at, receivedAt: events[events.length - 1].receivedAt, questionIndex: null, detail: null
+  });
+});
+
+test('an untimed test counts as abandoned from its last saved answers', async () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER);
+  const startedAt = new Date(session.startedAt);
+  assert.deepEqual(store.abandoned(startedAt), []);
+  assert.deepEqual(store.abandoned(later(1000)).map(s => s.id), [session.id]);
+
+  await pause(5);
+  store.saveAnswers(session.id, [{ questionIndex: 0, answer: 'Argon' }]);
+  assert.deepEqual(store.abandoned(new Date(startedAt.getTime() + 1)), []);
+  assert.deepEqual(store.abandoned(later(1000)).map(s => s.id), [session.id]);
+});
+
+test('timed tests are never abandoned, only expired', () => {
+  store.start('weld-101', CANDIDATE, PAPER, { timeLimitMinutes: 30 });
+  assert.deepEqual(store.abandoned(later(60 * 60 * 1000)), []);
+});
+
+test('a cancelled test frees the employee to start again and accepts nothing more', () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER);
+
+  assert.equal(store.cancel(session.id, { cancelledBy: 'admin' }), true);
+  const cancelled = store.find(session.id);
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(cancelled.cancelledBy, 'admin');
+  assert.ok(cancelled.cancelledAt);
+
+  assert.equal(store.inProgress('weld-101', 'KM0042'), undefined);
+  assert.deepEqual(store.abandoned(later(1000)), []);
+  assert.equal(store.saveAnswers(session.id, []), false);
+  assert.equal(store.complete(session.id, { submittedAt: new Date().toISOString(), responseKey: 'online:x' }), false);
+  assert.equal(store.cancel(session.id, { cancelledBy: 'admin' }), false);
+
+  const restarted = store.start('weld-101', CANDIDATE, PAPER);
+  assert.equal(store.inProgress('weld-101', 'KM0042').id, restarted.session.id);
+});
+
+test('a submitted test cannot be cancelled', () => {
+  const { session } = store.start('weld-101', CANDIDATE, PAPER);
+  store.complete(session.id, { submittedAt: new Date().toISOString(), responseKey: `online:${session.id}` });
+  assert.equal(store.cancel(session.id, { cancelledBy: 'admin' }), false);
+  assert.equal(store.find(session.id).status, 'submitted');
+});
+
+test('a bank question counts as drawn once any test that was not cancelled has it on its paper', () => {
+  const paper = [{ questionIndex: 0, questionId: 'q1', text: 'Shielding gas for MIG?', options: ['Argon', 'Oxygen'], optionOrder: [1, 0] }];
+  assert.equal(store.drewQuestion('q1'), false);
+
+  const { session } = store.start('weld-101', CANDIDATE, paper);
+  assert.equal(store.drewQuestion('q1'), true);
+  assert.equal(store.drewQuestion('q2'), false);
+
+  store.cancel(session.id, { cancelledBy: 'admin' });
+  assert.equal(store.drewQuestion('q1'), false);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trendSeries } = require('../lib/trends');
+
+const response = (submissionDate, score, passed, department = 'Welding') => ({ submissionDate, score, passed, department });
+
+test('weeks start on Monday and carry ISO week labels', () => {
+  // Sunday 8 March 2026 still belongs to the week of Monday 2 March
+  const { periods } = trendSeries([
+    response('2026-03-02T08:00:00Z', 8, true),
+    response('2026-03-08T23:00:00Z', 4, false)
+  ], 'week');
+
+  assert.deepEqual(periods, [{
+    period: '2026-W10',
+    start: '2026-03-02',
+    end: '2026-03-08',
+    totalResponses: 2,
+    passed: 1,
+    failed: 1,
+    passRate: 50,
+    averageScore: 6
+  }]);
+});
+
+test('empty periods between submissions are kept as gaps', () => {
+  const { periods } = trendSeries([
+    response('2026-01-15T08:00:00Z', 7, true),
+    response('2026-03-20T08:00:00Z', 9, true)
+  ], 'month');
+
+  assert.deepEqual(periods.map(p => [p.period, p.totalResponses, p.passRate, p.averageScore]), [
+    ['2026-01', 1, 100, 7],
+    ['2026-02', 0, null, null],
+    ['2026-03', 1, 100, 9]
+  ]);
+  assert.equal(periods[1].end, '2026-02-28');
+});
+
+test('each department gets the same periods', () => {
+  const { departments } = trendSeries([
+    response('2026-01-15T08:00:00Z', 7, true, 'Welding'),
+    response('2026-02-15T08:00:00Z', 3, false, 'Paint Shop'),
+    response('2026-02-16T08:00:00Z', 5, false, '')
+  ], 'month');
+
+  assert.deepEqual(departments.map(d => [d.department, d.periods.map(p => p.totalResponses)]), [
+    ['Welding', [1, 0]],
+    ['Paint Shop', [0, 1]]
+  ]);
+});
+
+test('undated responses are counted but not placed', () => {
+  const result = trendSeries([response('not a date', 5, false), response('2026-01-15T08:00:00Z', 7, true)]);
+  assert.equal(result.interval, 'week');
+  assert.equal(result.undated, 1);
+  assert.equal(result.periods.length, 1);
+});
+
+test('a stray old timestamp keeps only the latest 260 periods', () => {
+  const result = trendSeries([response('2001-01-01T00:00:00Z', 5, false), response('2026-01-15T08:00:00Z', 7, true)], 'week');
+  assert.equal(result.truncated, true);
+  assert.equal(result.periods.length, 260);
+  assert.equal(result.periods[259].totalResponses, 1);
+});
+
+test('no responses, no periods', () => {
+  assert.deepEqual(trendSeries([], 'month'), { interval: 'month', periods: [], departments: [], truncated: false, undated: 0 });
+});
@@ -1,16 +1,18 @@
 import { ApplicationConfig, provideBrowserGlobalErrorListeners, provideZoneChangeDetection, isDevMode } from '@angular/core';
 import { provideRouter } from '@angular/router';
-import { provideHttpClient } from '@angular/common/http'; // Add this import
+import { provideHttpClient, withInterceptors } from '@angular/common/http'; // Add this import
 
 import { routes } from './app.routes';
 import { provideServiceWorker } from '@angular/service-worker';
+import { authInterceptor } from '../auth/auth-interceptor';
+import { etagInterceptor } from '../http-cache/etag-interceptor';
 
 export const appConfig: ApplicationConfig = {
   providers: [
     provideBrowserGlobalErrorListeners(),
     provideZoneChangeDetection({ eventCoalescing: true }),
     provideRouter(routes),
-    provideHttpClient(), // Add this line
+    provideHttpClient(withInterceptors([authInterceptor, etagInterceptor])), // Add this line
     provideServiceWorker('ngsw-worker.js', {
       enabled: !isDevMode(),
       registrationStrategy: 'registerWhenStable:30000'
@@ -1,19 +1,37 @@
 import { Routes } from '@angular/router';
 import { LandingPage } from '../landing-page/landing-page';
+import { VerifyCertificate } from '../verify-certificate/verify-certificate';
+import { TakeTest } from '../take-test/take-test';
 import { Login } from '../login/login';
 import { Dashboard } from '../dashboard/dashboard';
+import { QuestionBank } from '../question-bank/question-bank';
+import { authGuard } from '../auth/auth-guard';
 
 export const routes: Routes = [
   {
     path: '',
     component: LandingPage
   },
+  {
+    path: 'verify/:code',
+    component: VerifyCertificate
+  },
+  {
+    path: 'take-test',
+    component: TakeTest
+  },
   {
     path: 'login',
     component: Login
   },
   {
     path: 'dashboard',
-    component: Dashboard
+    component: Dashboard,
+    canActivate: [authGuard]
+  },
+  {
+    path: 'question-bank',
+    component: QuestionBank,
+    canActivate: [authGuard]
   }
 ];
\ No newline at end of file
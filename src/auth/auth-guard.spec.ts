@@ -0,0 +1,35 @@
+import { TestBed } from '@angular/core/testing';
+import { ActivatedRouteSnapshot, CanActivateFn, Router, RouterStateSnapshot, UrlTree, provideRouter } from '@angular/router';
+import { provideHttpClient } from '@angular/common/http';
+
+import { authGuard } from './auth-guard';
+import { Auth } from './auth';
+
+describe('authGuard', () => {
+  const executeGuard: CanActivateFn = (...guardParameters) =>
+      TestBed.runInInjectionContext(() => authGuard(...guardParameters));
+
+  const route = {} as ActivatedRouteSnapshot;
+  const state = { url: '/dashboard?assessment=weld-101' } as RouterStateSnapshot;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [provideHttpClient(), provideRouter([])]
+    });
+  });
+
+  it('lets a signed-in user through', () => {
+    spyOn(TestBed.inject(Auth), 'isAuthenticated').and.returnValue(true);
+    expect(executeGuard(route, state)).toBeTrue();
+  });
+
+  it('redirects to the login page with the requested URL to return to', () => {
+    spyOn(TestBed.inject(Auth), 'isAuthenticated').and.returnValue(false);
+
+    const result = executeGuard(route, state) as UrlTree;
+
+    expect(result instanceof UrlTree).toBeTrue();
+    expect(TestBed.inject(Router).serializeUrl(result))
+      .toBe('/login?returnUrl=%2Fdashboard%3Fassessment%3Dweld-101');
+  });
+});
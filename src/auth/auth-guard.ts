@@ -0,0 +1,13 @@
+import { inject } from '@angular/core';
+import { CanActivateFn, Router } from '@angular/router';
+import { Auth } from './auth';
+
+export const authGuard: CanActivateFn = (route, state) => {
+  const auth = inject(Auth);
+
+  if (auth.isAuthenticated()) {
+    return true;
+  }
+
+  return inject(Router).createUrlTree(['/login'], { queryParams: { returnUrl: state.url } });
+};
@@ -0,0 +1,75 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClient, provideHttpClient, withInterceptors } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { provideRouter } from '@angular/router';
+
+import { authInterceptor } from './auth-interceptor';
+import { Auth } from './auth';
+
+describe('authInterceptor', () => {
+  let http: HttpClient;
+  let httpMock: HttpTestingController;
+  let auth: Auth;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [
+        provideHttpClient(withInterceptors([authInterceptor])),
+        provideHttpClientTesting(),
+        provideRouter([])
+      ]
+    });
+    http = TestBed.inject(HttpClient);
+    httpMock = TestBed.inject(HttpTestingController);
+    auth = TestBed.inject(Auth);
+  });
+
+  afterEach(() => httpMock.verify());
+
+  it('adds the bearer token to backend requests', () => {
+    spyOnProperty(auth, 'token').and.returnValue('abc123');
+    http.get(`${auth.API_URL}/responses`).subscribe();
+
+    const req = httpMock.expectOne(`${auth.API_URL}/responses`);
+    expect(req.request.headers.get('Authorization')).toBe('Bearer abc123');
+    req.flush({});
+  });
+
+  it('sends requests without a header when signed out', () => {
+    spyOnProperty(auth, 'token').and.returnValue(null);
+    http.get(`${auth.API_URL}/responses`).subscribe();
+
+    const req = httpMock.expectOne(`${auth.API_URL}/responses`);
+    expect(req.request.headers.has('Authorization')).toBeFalse();
+    req.flush({});
+  });
+
+  it('never sends the token to other hosts', () => {
+    spyOnProperty(auth, 'token').and.returnValue('abc123');
+    http.get('https://example.com/data.json').subscribe();
+
+    const req = httpMock.expectOne('https://example.com/data.json');
+    expect(req.request.headers.has('Authorization')).toBeFalse();
+    req.flush({});
+  });
+
+  it('signs out when the backend rejects the token', () => {
+    const handleUnauthorized = spyOn(auth, 'handleUnauthorized');
+    let status = 0;
+    http.get(`${auth.API_URL}/responses`).subscribe({ error: error => status = error.status });
+
+    httpMock.expectOne(`${auth.API_URL}/responses`).flush({}, { status: 401, statusText: 'Unauthorized' });
+
+    expect(status).toBe(401);
+    expect(handleUnauthorized).toHaveBeenCalled();
+  });
+
+  it('leaves a failed login to the login form', () => {
+    const handleUnauthorized = spyOn(auth, 'handleUnauthorized');
+    http.post(`${auth.API_URL}/auth/login`, {}).subscribe({ error: () => {} });
+
+    httpMock.expectOne(`${auth.API_URL}/auth/login`).flush({}, { status: 401, statusText: 'Unauthorized' });
+
+    expect(handleUnauthorized).not.toHaveBeenCalled();
+  });
+});
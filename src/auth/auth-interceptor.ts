@@ -0,0 +1,28 @@
+import { inject } from '@angular/core';
+import { HttpErrorResponse, HttpInterceptorFn } from '@angular/common/http';
+import { throwError } from 'rxjs';
+import { catchError } from 'rxjs/operators';
+import { Auth } from './auth';
+
+export const authInterceptor: HttpInterceptorFn = (req, next) => {
+  const auth = inject(Auth);
+
+  // Only our own backend gets the token
+  if (!req.url.startsWith(auth.API_URL)) {
+    return next(req);
+  }
+
+  const token = auth.token;
+  const authorizedReq = token
+    ? req.clone({ setHeaders: { Authorization: `Bearer ${token}` } })
+    : req;
+
+  return next(authorizedReq).pipe(
+    catchError((error: HttpErrorResponse) => {
+      if (error.status === 401 && !req.url.endsWith('/auth/login')) {
+        auth.handleUnauthorized();
+      }
+      return throwError(() => error);
+    })
+  );
+};
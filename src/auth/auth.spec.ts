@@ -0,0 +1,123 @@
+import { TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { Router, provideRouter } from '@angular/router';
+
+import { Auth, AuthUser } from './auth';
+
+const SESSION_KEY = 'krishna-maruti-session';
+
+const user: AuthUser = {
+  username: 'hr.viewer',
+  name: 'HR Viewer',
+  employeeId: null,
+  role: 'hr-viewer',
+  department: null,
+  permissions: ['responses:read', 'responses:export']
+};
+
+function session(expiresInMs = 60 * 60 * 1000) {
+  return { token: 'abc123', expiresAt: new Date(Date.now() + expiresInMs).toISOString(), user };
+}
+
+describe('Auth', () => {
+  let httpMock: HttpTestingController;
+
+  function createService(): Auth {
+    TestBed.configureTestingModule({
+      providers: [provideHttpClient(), provideHttpClientTesting(), provideRouter([])]
+    });
+    httpMock = TestBed.inject(HttpTestingController);
+    return TestBed.inject(Auth);
+  }
+
+  beforeEach(() => {
+    localStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(SESSION_KEY);
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    localStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(SESSION_KEY);
+  });
+
+  it('starts signed out without a stored session', () => {
+    const service = createService();
+    expect(service.isAuthenticated()).toBeFalse();
+    expect(service.user).toBeNull();
+    expect(service.token).toBeNull();
+    expect(service.can('responses:read')).toBeFalse();
+  });
+
+  it('restores a stored session and ignores an expired one', () => {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session()));
+    expect(createService().token).toBe('abc123');
+
+    TestBed.resetTestingModule();
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session(-1000)));
+    const expired = createService();
+    expect(expired.isAuthenticated()).toBeFalse();
+    expect(expired.user).toBeNull();
+  });
+
+  it('logs in, keeps the session for the tab and mirrors permissions', () => {
+    const service = createService();
+    let loggedIn: AuthUser | undefined;
+    service.login('hr.viewer', 'secret').subscribe(result => loggedIn = result);
+
+    const req = httpMock.expectOne(`${service.API_URL}/auth/login`);
+    expect(req.request.method).toBe('POST');
+    expect(req.request.body).toEqual({ username: 'hr.viewer', password: 'secret' });
+    req.flush({ success: true, data: session() });
+
+    expect(loggedIn).toEqual(user);
+    expect(service.token).toBe('abc123');
+    expect(service.can('responses:export')).toBeTrue();
+    expect(service.can('assessments:write')).toBeFalse();
+    expect(sessionStorage.getItem(SESSION_KEY)).not.toBeNull();
+    expect(localStorage.getItem(SESSION_KEY)).toBeNull();
+  });
+
+  it('remembers the session across browser restarts when asked', () => {
+    const service = createService();
+    service.login('hr.viewer', 'secret', true).subscribe();
+    httpMock.expectOne(`${service.API_URL}/auth/login`).flush({ success: true, data: session() });
+
+    expect(localStorage.getItem(SESSION_KEY)).not.toBeNull();
+    expect(sessionStorage.getItem(SESSION_KEY)).toBeNull();
+  });
+
+  it('clears the session on logout even when the server call fails', () => {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session()));
+    const service = createService();
+    let done = false;
+    service.logout().subscribe(() => done = true);
+
+    httpMock.expectOne(`${service.API_URL}/auth/logout`).flush('down', { status: 503, statusText: 'Unavailable' });
+
+    expect(done).toBeTrue();
+    expect(service.isAuthenticated()).toBeFalse();
+    expect(sessionStorage.getItem(SESSION_KEY)).toBeNull();
+  });
+
+  it('skips the server call when logging out without a session', () => {
+    const service = createService();
+    let done = false;
+    service.logout().subscribe(() => done = true);
+
+    httpMock.expectNone(`${service.API_URL}/auth/logout`);
+    expect(done).toBeTrue();
+  });
+
+  it('sends the user to the login page after the backend rejects the token', () => {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session()));
+    const service = createService();
+    const navigate = spyOn(TestBed.inject(Router), 'navigate').and.resolveTo(true);
+
+    service.handleUnauthorized();
+
+    expect(service.isAuthenticated()).toBeFalse();
+    expect(navigate).toHaveBeenCalledWith(['/login'], { queryParams: { returnUrl: '/' } });
+  });
+});
@@ -0,0 +1,111 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { Router } from '@angular/router';
+import { Observable, of } from 'rxjs';
+import { catchError, map, tap } from 'rxjs/operators';
+import { environment } from '../environments/environment';
+
+export type Role = 'admin' | 'hr-viewer' | 'department-head';
+
+export type Permission =
+  | 'responses:read'
+  | 'responses:read-all-departments'
+  | 'responses:export'
+  | 'data-quality:read'
+  | 'employees:write'
+  | 'answer-key:write'
+  | 'question-bank:write'
+  | 'assessments:write'
+  | 'attempts:write'
+  | 'cache:clear'
+  | 'debug:read';
+
+export interface AuthUser {
+  username: string;
+  name: string;
+  employeeId: string | null;
+  role: Role;
+  department: string | null;
+  permissions: Permission[];
+}
+
+interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+}
+
+const SESSION_KEY = 'krishna-maruti-session';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class Auth {
+  readonly API_URL = environment.apiUrl;
+
+  private session: AuthSession | null = this.restoreSession();
+
+  constructor(private http: HttpClient, private router: Router) {}
+
+  get user(): AuthUser | null {
+    return this.isAuthenticated() ? this.session!.user : null;
+  }
+
+  get token(): string | null {
+    return this.isAuthenticated() ? this.session!.token : null;
+  }
+
+  // UI mirror of the backend role checks - the backend still enforces them
+  can(permission: Permission): boolean {
+    return !!this.user?.permissions?.includes(permission);
+  }
+
+  isAuthenticated(): boolean {
+    return !!this.session && new Date(this.session.expiresAt).getTime() > Date.now();
+  }
+
+  login(username: string, password: string, remember = false): Observable<AuthUser> {
+    return this.http.post<{ success: boolean; data: AuthSession }>(`${this.API_URL}/auth/login`, { username, password }).pipe(
+      map(response => response.data),
+      tap(session => this.storeSession(session, remember)),
+      map(session => session.user)
+    );
+  }
+
+  logout(): Observable<void> {
+    const request = this.token
+      ? this.http.post(`${this.API_URL}/auth/logout`, {}).pipe(catchError(() => of(null)))
+      : of(null);
+
+    return request.pipe(
+      tap(() => this.clearSession()),
+      map(() => undefined)
+    );
+  }
+
+  // Called when the backend rejects our token (expired or revoked)
+  handleUnauthorized() {
+    this.clearSession();
+    this.router.navigate(['/login'], { queryParams: { returnUrl: this.router.url } });
+  }
+
+  private storeSession(session: AuthSession, remember: boolean) {
+    this.session = session;
+    (remember ? localStorage : sessionStorage).setItem(SESSION_KEY, JSON.stringify(session));
+  }
+
+  private clearSession() {
+    this.session = null;
+    localStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+
+  private restoreSession(): AuthSession | null {
+    try {
+      const stored = sessionStorage.getItem(SESSION_KEY) || localStorage.getItem(SESSION_KEY);
+      return stored ? JSON.parse(stored) : null;
+    } catch {
+      return null;
+    }
+  }
+}
@@ -1,10 +1,14 @@
-import { Component, OnInit, ViewChild, ElementRef, AfterViewInit } from '@angular/core';
+import { Component, OnInit, OnDestroy, ViewChild, ElementRef, AfterViewInit } from '@angular/core';
 import { CommonModule } from '@angular/common';
 import { FormsModule } from '@angular/forms';
 import { HttpClient, HttpErrorResponse } from '@angular/common/http';
 import { Chart, registerables } from 'chart.js';
 import { timeout, retry, catchError } from 'rxjs/operators';
-import { of, throwError } from 'rxjs';
+import { of, throwError, Subscription } from 'rxjs';
+import { Router, RouterLink } from '@angular/router';
+import { Auth, Permission } from '../auth/auth';
+import { LiveEvent, LiveEvents } from '../live-events/live-events';
+import { environment } from '../environments/environment';
 
 Chart.register(...registerables);
 
@@ -14,14 +18,43 @@ interface TestResponse {
   dateOfBirth: string;
   department: string;
   score: number;
+  maxScore?: number;
+  percentage?: number;
+  correctCount?: number;
   answers: Array<{
     questionIndex: number;
     selectedAnswer: string;
     isCorrect: boolean;
+    match?: 'exact' | 'normalized' | 'fuzzy' | 'partial' | 'wrong' | 'blank';
+    weight?: number;
+    points?: number;
+    penalty?: number;
   }>;
+  breakdown?: ScoreBreakdown;
+  passReasons?: string[];
   submissionDate: Date;
   timestamp?: string;
+  responseKey?: string;
   originalScore?: string;
+  passed?: boolean;
+  attemptCount?: number;
+  plant?: string;
+  reconciliation?: {
+    status: 'matched' | 'unknown-employee' | 'no-directory';
+    submittedName: string;
+    submittedDepartment: string;
+    directoryName?: string;
+    nameMatches?: boolean;
+    departmentMatches?: boolean;
+  };
+}
+
+// Per-topic scores and scoring adjustments, computed by the backend for every response
+interface ScoreBreakdown {
+  topics: Array<{ topic: string; score: number; maxScore: number; percentage: number; questions: number; correct: number }>;
+  negativeMarks: number;
+  partialCredits: number;
+  fuzzyMatches: number;
 }
 
 interface DepartmentStats {
@@ -30,9 +63,188 @@ interface DepartmentStats {
   passed: number;
   failed: number;
   averageScore: number;
+  averagePercentage: number;
   passPercentage: number;
 }
 
+interface ItemAnalysis {
+  questionIndex: number;
+  questionNumber: number;
+  question: string;
+  acceptedAnswers?: string[];
+  totalResponses: number;
+  correctCount: number;
+  percentCorrect: number;
+  discriminationIndex: number | null;
+  answerDistribution: Array<{ answer: string; count: number; percent: number; isCorrect: boolean }>;
+  mostCommonWrongAnswer: { answer: string; count: number; percent: number } | null;
+}
+
+interface DataQualityFinding {
+  type: string;
+  severity: 'error' | 'warning' | 'info';
+  responseKey: string;
+  employeeId: string;
+  fullName: string;
+  department: string;
+  field: string;
+  value: string;
+  message: string;
+}
+
+interface DataQualityReport {
+  summary: {
+    totalResponses: number;
+    responsesWithIssues: number;
+    duplicateEmployees: number;
+    byType: { [type: string]: number };
+  };
+  findings: DataQualityFinding[];
+  duplicates: Array<{
+    employeeId: string;
+    fullName: string;
+    department: string;
+    attempts: Array<{ responseKey: string; submissionDate: string; score: number; maxScore: number; counted: boolean }>;
+  }>;
+  malformedRows: Array<{ line: number; message: string }>;
+  missingColumns: string[];
+  skippedRows: number;
+}
+
+interface TrendPeriod {
+  period: string;
+  start: string;
+  end: string;
+  totalResponses: number;
+  passed: number;
+  failed: number;
+  passRate: number | null;
+  averageScore: number | null;
+}
+
+// Where the backend's data came from: the live source, its last snapshot, or demo sample data
+interface DataFreshness {
+  dataSource: 'live' | 'snapshot' | 'sample' | null;
+  fetchedAt: string | null;
+  ageSeconds: number;
+  sourceError: string | null;
+}
+
+interface NotAttemptedGroup {
+  department: string;
+  totalEmployees: number;
+  attempted: number;
+  notAttempted: Array<{ employeeId: string; fullName: string; plant: string }>;
+}
+
+interface AttemptHistory {
+  employeeId: string;
+  fullName: string;
+  attempts: Array<{
+    attemptNumber: number;
+    submissionDate: string;
+    score: number;
+    maxScore: number;
+    percentage: number;
+    passed: boolean;
+    improvement: number | null;
+    counted: boolean;
+  }>;
+  summary: {
+    totalAttempts: number;
+    firstScore: number | null;
+    latestScore: number | null;
+    bestScore: number | null;
+    totalImprovement: number | null;
+    passedOnAttempt: number | null;
+  };
+  retake: {
+    cooldownDays: number;
+    maxAttempts: number | null;
+    eligible: boolean;
+    reason: string;
+    availableFrom: string | null;
+  };
+}
+
+// Spread of the percentage scores, computed by the backend over the counted responses
+interface DistributionStats {
+  count: number;
+  mean: number | null;
+  median: number | null;
+  q1: number | null;
+  q3: number | null;
+  iqr: number | null;
+  min: number | null;
+  max: number | null;
+  standardDeviation: number | null;
+  histogram: Array<{ from: number; to: number; count: number; passed: number }>;
+}
+
+interface ScoreDistribution {
+  bins: number;
+  overall: DistributionStats;
+  departments: Array<DistributionStats & { department: string }>;
+  candidates: DistributionCandidate[];
+}
+
+// percentileRank: share of the other candidates who scored lower (null in a group of one)
+interface DistributionCandidate {
+  responseKey?: string;
+  employeeId: string;
+  department: string;
+  percentage: number;
+  percentileRank: number | null;
+  departmentPercentileRank: number | null;
+  zScore: number | null;
+}
+
+// Timing and proctoring signals of a test taken in the app
+interface ProctoringReport {
+  attemptId: string;
+  startedAt: string;
+  expiresAt: string | null;
+  submittedAt: string | null;
+  autoSubmitted: boolean;
+  integrity: {
+    status: 'clean' | 'review';
+    counts: { tabSwitches: number; focusLosses: number; copyPaste: number; resumes: number };
+    reasons: string[];
+  };
+  events: Array<{
+    source: 'client' | 'server';
+    type: string;
+    at: string;
+    questionIndex: number | null;
+  }>;
+}
+
+interface AssessmentSummary {
+  id: string;
+  name: string;
+  description: string;
+  questionCount: number;
+  passMark: number;
+  passRule: { percentage?: number; topicMinimums?: { [topic: string]: number } } | null;
+  scoring: { negativeMarking: number; fuzzyMatching: boolean };
+  duplicatePolicy: 'first' | 'best' | 'latest';
+  retake: { cooldownDays: number; maxAttempts: number | null };
+  answerKeyVersion: number;
+}
+
+interface PagedResponses {
+  success: boolean;
+  data: TestResponse[];
+  pagination: {
+    page: number;
+    pageSize: number;
+    totalPages: number;
+    totalCount: number;
+  };
+  message?: string;
+  error?: string;
+}
+
 interface ApiResponse {
   success: boolean;
   data: any;
@@ -43,30 +255,46 @@ interface ApiResponse {
 
 @Component({
   selector: 'app-dashboard',
-  imports: [CommonModule, FormsModule],
+  imports: [CommonModule, FormsModule, RouterLink],
   templateUrl: './dashboard.html',
   styleUrl: './dashboard.css'
 })
-export class Dashboard implements OnInit, AfterViewInit {
+export class Dashboard implements OnInit, AfterViewInit, OnDestroy {
   @ViewChild('scoreChart') scoreChartRef!: ElementRef;
   @ViewChild('passFailChart') passFailChartRef!: ElementRef;
+  @ViewChild('itemChart') itemChartRef!: ElementRef;
+  @ViewChild('trendChart') trendChartRef!: ElementRef;
 
   // Production-only backend URL
-  private readonly API_URL = 'https://krishna-maruti-backend.onrender.com/api';
+  private readonly API_URL = environment.apiUrl;
 
-  responses: TestResponse[] = [];
-  filteredResponses: TestResponse[] = [];
+  // Current page of the results table, filtered and paged by the backend
+  pageResponses: TestResponse[] = [];
+  matchedCount = 0;
+  isLoadingPage = false;
   selectedResponse: TestResponse | null = null;
   isLoading: boolean = false;
   errorMessage: string = '';
   connectionAttempts = 0;
   maxRetries = 5; // Increased for Render cold starts
 
+  // Assessments (each has its own questions, answer key and pass rule). Pass/fail is decided by the
+  // backend; the pass mark only scales the score range filter and passRule describes the rule.
+  assessments: AssessmentSummary[] = [];
+  selectedAssessmentId = '';
+  passMark = 0;
+  passRule = '';
+  totalQuestions = 10;
+
   // Filter properties
   selectedDepartment = '';
   selectedScoreRange = '';
   selectedStatus = '';
   searchTerm = '';
+  dateFrom = '';
+  dateTo = '';
+  selectedSort = '';
+  private searchDebounce: ReturnType<typeof setTimeout> | null = null;
 
   // Pagination
   currentPage = 1;
@@ -78,12 +306,52 @@ export class Dashboard implements OnInit, AfterViewInit {
   passedCount = 0;
   failedCount = 0;
   averageScore = 0;
+  averagePercentage = 0;
   departments: string[] = [];
   departmentStats: DepartmentStats[] = [];
+  distribution: ScoreDistribution | null = null;
+  // Percentile ranks by response key (employee ID for responses without one)
+  private standings = new Map<string, DistributionCandidate>();
 
   // Charts
   scoreChart: Chart | null = null;
   passFailChart: Chart | null = null;
+  itemChart: Chart | null = null;
+  trendChart: Chart | null = null;
+
+  // Trends over time, with their own interval, department and date range
+  trendPeriods: TrendPeriod[] = [];
+  trendInterval: 'week' | 'month' = 'week';
+  trendDepartment = '';
+  trendFrom = '';
+  trendTo = '';
+  isLoadingTrends = false;
+
+  // Employee ID whose certificate is being generated
+  downloadingCertificateFor: string | null = null;
+  exportingReport: 'xlsx' | 'pdf' | null = null;
+
+  // Per-question item analysis
+  itemAnalysis: ItemAnalysis[] = [];
+
+  // Data issues (validation findings and duplicate attempts)
+  dataQuality: DataQualityReport | null = null;
+  showDataIssues = false;
+  dataIssueType = '';
+
+  // Employee directory: who hasn't attempted the selected assessment yet
+  notAttempted: NotAttemptedGroup[] = [];
+  directorySize = 0;
+  employeeImportMode: 'replace' | 'merge' = 'replace';
+  importingEmployees = false;
+  employeeImportMessage = '';
+
+  // Attempts by the candidate open in the details modal
+  attemptHistory: AttemptHistory | null = null;
+  isLoadingAttempts = false;
+  // Only for tests taken in the app (response keys online:<attemptId>)
+  proctoring: ProctoringReport | null = null;
+  isLoadingProctoring = false;
 
   // Questions and correct answers (loaded from backend only)
   questions: string[] = [];
@@ -97,13 +365,26 @@ export class Dashboard implements OnInit, AfterViewInit {
 
   // Backend metadata
   backendMetadata: any = null;
+  dataFreshness: DataFreshness | null = null;
 
-  constructor(private http: HttpClient) {}
+  // Live updates pushed by the backend (GET /api/events)
+  liveStatus: 'off' | 'live' | 'offline' = 'off';
+  newSubmissionCount = 0;
+  newResponseKeys = new Set<string>();
+  private liveSubscription: Subscription | null = null;
+  private liveAssessmentId: string | null = null;
+  private liveRefreshTimer: ReturnType<typeof setTimeout> | null = null;
+
+  constructor(private http: HttpClient, private auth: Auth, private router: Router, private liveEvents: LiveEvents) {}
 
   ngOnInit() {
     this.initializeConnection();
   }
 
+  ngOnDestroy() {
+    this.disconnectLiveUpdates();
+  }
+
   ngAfterViewInit() {
     // Charts will be created after data is loaded from backend
   }
@@ -119,6 +400,7 @@ export class Dashboard implements OnInit, AfterViewInit {
     // Wake up server and load data
     await this.wakeUpServer();
     await this.checkApiHealth();
+    await this.loadAssessments();
     await this.loadQuestions();
     await this.loadDashboardData();
   }
@@ -175,12 +457,70 @@ export class Dashboard implements OnInit, AfterViewInit {
     }
   }
 
+  async loadAssessments() {
+    try {
+      console.log('📚 Loading assessments from production backend...');
+      
+      const response = await this.http.get<ApiResponse & { defaultAssessment?: string }>(`${this.API_URL}/assessments`).pipe(
+        timeout(30000),
+        retry(3),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
+      
+      if (response?.success && response.data) {
+        this.assessments = response.data;
+        if (!this.assessments.some(a => a.id === this.selectedAssessmentId)) {
+          this.selectedAssessmentId = response.defaultAssessment || this.assessments[0]?.id || '';
+        }
+        this.applyAssessmentSettings();
+        console.log('✅ Assessments loaded from production:', this.assessments.length);
+      }
+      
+    } catch (error) {
+      // The backend falls back to its default assessment when none is selected
+      console.error('❌ Error loading assessments from production backend:', error);
+    }
+  }
+
+  async onAssessmentChange() {
+    console.log('📚 Switching to assessment:', this.selectedAssessmentId);
+    this.applyAssessmentSettings();
+    this.selectedScoreRange = '';
+    this.dataIssueType = '';
+    this.currentPage = 1;
+    this.selectedResponse = null;
+    this.connectionAttempts = 0;
+    
+    try {
+      await this.loadQuestions();
+    } catch (error) {
+      console.log('⚠️ Failed to load questions for assessment, continuing with dashboard data...');
+    }
+    await this.loadDashboardData();
+  }
+
+  private applyAssessmentSettings() {
+    const assessment = this.getSelectedAssessment();
+    if (assessment) {
+      this.passMark = assessment.passMark;
+      this.totalQuestions = assessment.questionCount;
+    }
+  }
+
+  private assessmentParams(): { [param: string]: string } {
+    return this.selectedAssessmentId ? { assessment: this.selectedAssessmentId } : {};
+  }
+
+  getSelectedAssessment(): AssessmentSummary | null {
+    return this.assessments.find(a => a.id === this.selectedAssessmentId) || null;
+  }
+
   async loadQuestions() {
     try {
       console.log('📚 Loading questions from production backend...');
       this.serverStatus = 'Loading questions from server...';
       
-      const response = await this.http.get<ApiResponse>(`${this.API_URL}/questions`).pipe(
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/questions`, { params: this.assessmentParams() }).pipe(
         timeout(30000),
         retry(3),
         catchError(this.handleError.bind(this))
@@ -210,7 +550,9 @@ export class Dashboard implements OnInit, AfterViewInit {
       console.log('📊 Fetching dashboard data from production backend...');
       this.serverStatus = 'Loading dashboard data...';
       
-      const response = await this.http.get<ApiResponse>(`${this.API_URL}/dashboard-stats`).pipe(
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/dashboard-stats`, {
+        params: { ...this.assessmentParams(), includeResponses: 'false' }
+      }).pipe(
         timeout(60000), // 60 seconds timeout for dashboard data
         retry(3),
         catchError(this.handleError.bind(this))
@@ -218,31 +560,7 @@ export class Dashboard implements OnInit, AfterViewInit {
       
       if (response?.success && response.data) {
         const data = response.data;
-        
-        // Process responses with proper date conversion
-        this.responses = (data.responses || []).map((r: any) => ({
-          ...r,
-          submissionDate: new Date(r.submissionDate || r.timestamp || new Date())
-        }));
-        
-        // Update statistics from backend
-        this.totalResponses = data.totalResponses || 0;
-        this.passedCount = data.passedCount || 0;
-        this.failedCount = data.failedCount || 0;
-        this.averageScore = data.averageScore || 0;
-        this.departments = data.departments || [];
-        this.departmentStats = data.departmentStats || [];
-        
-        // Update questions from metadata if available
-        if (data.metadata?.questions) {
-          this.questions = data.metadata.questions;
-        }
-        if (data.metadata?.correctAnswers) {
-          this.correctAnswers = data.metadata.correctAnswers;
-        }
-        
-        // Store backend metadata
-        this.backendMetadata = data.metadata;
+        this.applyDashboardStats(data);
         
         this.lastUpdateTime = new Date();
         this.apiConnected = true;
@@ -252,12 +570,20 @@ export class Dashboard implements OnInit, AfterViewInit {
         console.log('✅ Production dashboard data loaded successfully:', {
           totalResponses: this.totalResponses,
           departments: this.departments.length,
-          responses: this.responses.length,
           cacheStatus: data.metadata?.cacheStatus,
           renderUrl: data.metadata?.renderUrl
         });
         
-        this.applyFilters();
+        this.currentPage = 1;
+        await this.loadResponsesPage();
+        await this.loadItemAnalysis();
+        await this.loadTrends();
+        await this.loadDistribution();
+        if (this.can('data-quality:read')) {
+          await this.loadDataQuality();
+        }
+        await this.loadNotAttempted();
+        this.connectLiveUpdates();
         
         // Create charts after DOM is ready
         setTimeout(() => {
@@ -297,6 +623,147 @@ export class Dashboard implements OnInit, AfterViewInit {
     }
   }
 
+  private applyDashboardStats(data: any) {
+    // Update statistics from backend
+    this.totalResponses = data.totalResponses || 0;
+    this.passedCount = data.passedCount || 0;
+    this.failedCount = data.failedCount || 0;
+    this.averageScore = data.averageScore || 0;
+    this.averagePercentage = data.averagePercentage || 0;
+    this.departments = data.departments || [];
+    this.departmentStats = data.departmentStats || [];
+    
+    // Update questions from metadata if available
+    if (data.metadata?.questions) {
+      this.questions = data.metadata.questions;
+    }
+    if (data.metadata?.correctAnswers) {
+      this.correctAnswers = data.metadata.correctAnswers;
+    }
+    if (typeof data.metadata?.passMark === 'number') {
+      this.passMark = data.metadata.passMark;
+    }
+    if (data.metadata?.passRule) {
+      this.passRule = data.metadata.passRule;
+    }
+    if (data.metadata?.totalQuestions) {
+      this.totalQuestions = data.metadata.totalQuestions;
+    }
+    
+    // Store backend metadata
+    this.backendMetadata = data.metadata;
+    this.dataFreshness = data.metadata?.freshness || null;
+  }
+
+  // One stream per selected assessment; switching assessment replaces the stream
+  connectLiveUpdates() {
+    const assessmentId = this.selectedAssessmentId || null;
+    if (this.liveSubscription && this.liveAssessmentId === assessmentId) return;
+
+    this.disconnectLiveUpdates();
+    this.dismissNewSubmissions();
+    this.liveAssessmentId = assessmentId;
+    this.liveSubscription = this.liveEvents.connect(assessmentId).subscribe({
+      next: event => this.onLiveEvent(event),
+      error: error => {
+        console.error('❌ Live updates stopped:', error);
+        this.liveStatus = 'offline';
+        this.liveSubscription = null;
+      }
+    });
+    this.liveStatus = 'live';
+    console.log('📡 Subscribed to live updates');
+  }
+
+  private disconnectLiveUpdates() {
+    this.liveSubscription?.unsubscribe();
+    this.liveSubscription = null;
+    if (this.liveRefreshTimer) {
+      clearTimeout(this.liveRefreshTimer);
+      this.liveRefreshTimer = null;
+    }
+  }
+
+  private onLiveEvent(event: LiveEvent) {
+    console.log('📡 Live event:', event.type, event.data);
+    switch (event.type) {
+      case 'submission.created':
+        this.newSubmissionCount += event.data.count;
+        event.data.submissions.forEach((submission: { responseKey: string }) => this.newResponseKeys.add(submission.responseKey));
+        this.scheduleLiveRefresh();
+        break;
+      case 'answerKey.updated':
+      case 'responses.rescored':
+        // Scores change with the answer key and the scoring rules
+        this.scheduleLiveRefresh();
+        break;
+      case 'cache.refreshed':
+        this.lastUpdateTime = new Date(event.data.refreshedAt);
+        // The source failed or recovered - reload so the banner and data match
+        if (event.data.dataSource !== this.dataFreshness?.dataSource) {
+          this.scheduleLiveRefresh();
+        }
+        break;
+    }
+  }
+
+  // Several events in quick succession trigger a single refresh
+  private scheduleLiveRefresh() {
+    if (this.liveRefreshTimer) {
+      clearTimeout(this.liveRefreshTimer);
+    }
+    this.liveRefreshTimer = setTimeout(() => {
+      this.liveRefreshTimer = null;
+      this.refreshLive();
+    }, 1000);
+  }
+
+  // Reloads stats, charts and the current table page in place - no cache clear, no reset to page 1
+  private async refreshLive() {
+    if (this.isLoading) return;
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/dashboard-stats`, {
+        params: { ...this.assessmentParams(), includeResponses: 'false' }
+      }).pipe(
+        timeout(30000),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
+
+      if (response?.success && response.data) {
+        this.applyDashboardStats(response.data);
+        this.lastUpdateTime = new Date();
+      }
+      await this.loadResponsesPage();
+      await this.loadItemAnalysis();
+      await this.loadTrends();
+      await this.loadDistribution();
+      if (this.can('data-quality:read')) {
+        await this.loadDataQuality();
+      }
+      await this.loadNotAttempted();
+      setTimeout(() => this.createCharts(), 0);
+      console.log('✅ Live refresh complete:', this.totalResponses, 'responses');
+    } catch (error) {
+      console.error('❌ Live refresh failed:', error);
+    }
+  }
+
+  // Jumps to the newest submissions and clears the indicator
+  showNewSubmissions() {
+    this.selectedSort = '-submissionDate';
+    this.newSubmissionCount = 0;
+    this.applyFilters();
+  }
+
+  dismissNewSubmissions() {
+    this.newSubmissionCount = 0;
+    this.newResponseKeys.clear();
+  }
+
+  isNewSubmission(response: TestResponse): boolean {
+    return !!response.responseKey && this.newResponseKeys.has(response.responseKey);
+  }
+
   private handleError(error: HttpErrorResponse) {
     console.error('Production HTTP Error:', error);
     
@@ -317,64 +784,294 @@ export class Dashboard implements OnInit, AfterViewInit {
     this.errorMessage = '';
     this.serverStatus = 'Refreshing...';
     
-    // Clear cache on backend first
+    // Clear cache on backend first (admins only)
+    if (this.can('cache:clear')) {
+      try {
+        await this.http.post(`${this.API_URL}/clear-cache`, {}).pipe(
+          timeout(10000),
+          catchError(() => of(null))
+        ).toPromise();
+        console.log('🗑️ Backend cache cleared');
+      } catch (error) {
+        console.log('⚠️ Cache clear failed, but continuing...');
+      }
+    }
+    
+    await this.initializeConnection();
+  }
+
+  async loadItemAnalysis() {
     try {
-      await this.http.post(`${this.API_URL}/clear-cache`, {}).pipe(
-        timeout(10000),
-        catchError(() => of(null))
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/analytics/questions`, {
+        params: this.assessmentParams()
+      }).pipe(
+        timeout(30000),
+        retry(2),
+        catchError(this.handleError.bind(this))
       ).toPromise();
-      console.log('🗑️ Backend cache cleared');
+
+      this.itemAnalysis = response?.success ? response.data || [] : [];
+      console.log('✅ Item analysis loaded:', this.itemAnalysis.length, 'questions');
     } catch (error) {
-      console.log('⚠️ Cache clear failed, but continuing...');
+      // The rest of the dashboard stays usable without item analysis
+      console.error('❌ Error loading item analysis:', error);
+      this.itemAnalysis = [];
     }
-    
-    await this.initializeConnection();
   }
 
-  applyFilters() {
-    this.filteredResponses = this.responses.filter(response => {
-      let matches = true;
+  async loadTrends() {
+    const params: { [param: string]: string } = { ...this.assessmentParams(), interval: this.trendInterval };
+    if (this.trendDepartment) params['department'] = this.trendDepartment;
+    if (this.trendFrom) params['from'] = this.trendFrom;
+    if (this.trendTo) params['to'] = this.trendTo;
 
-      if (this.selectedDepartment && response.department !== this.selectedDepartment) {
-        matches = false;
-      }
+    this.isLoadingTrends = true;
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/analytics/trends`, { params }).pipe(
+        timeout(30000),
+        retry(2),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
 
-      if (this.selectedScoreRange) {
-        const [min, max] = this.selectedScoreRange.split('-').map(Number);
-        if (response.score < min || response.score > max) {
-          matches = false;
-        }
-      }
+      this.trendPeriods = response?.success ? response.data?.periods || [] : [];
+      console.log('✅ Trends loaded:', this.trendPeriods.length, 'periods');
+    } catch (error) {
+      console.error('❌ Error loading trends:', error);
+      this.trendPeriods = [];
+    } finally {
+      this.isLoadingTrends = false;
+    }
+  }
 
-      if (this.selectedStatus) {
-        const passed = response.score >= 6;
-        if ((this.selectedStatus === 'passed' && !passed) || 
-            (this.selectedStatus === 'failed' && passed)) {
-          matches = false;
-        }
-      }
+  async loadDistribution() {
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/analytics/distribution`, {
+        // Five 20% bins, one per score chart colour
+        params: { ...this.assessmentParams(), bins: '5' }
+      }).pipe(
+        timeout(30000),
+        retry(2),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
 
-      if (this.searchTerm) {
-        const searchLower = this.searchTerm.toLowerCase();
-        if (!response.fullName.toLowerCase().includes(searchLower) && 
-            !response.employeeId.toLowerCase().includes(searchLower)) {
-          matches = false;
-        }
-      }
+      this.distribution = response?.success ? response.data : null;
+      this.standings = new Map((this.distribution?.candidates || []).map(c => [c.responseKey || c.employeeId, c]));
+      console.log('✅ Score distribution loaded:', this.distribution?.overall.count ?? 0, 'candidates');
+    } catch (error) {
+      console.error('❌ Error loading score distribution:', error);
+      this.distribution = null;
+      this.standings = new Map();
+    }
+  }
 
-      return matches;
-    });
+  getStanding(response: TestResponse): DistributionCandidate | null {
+    return this.standings.get(response.responseKey || response.employeeId) || null;
+  }
+
+  async onTrendOptionsChange() {
+    await this.loadTrends();
+    setTimeout(() => this.createTrendChart(), 0);
+  }
+
+  async loadDataQuality() {
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/data-quality`, {
+        params: this.assessmentParams()
+      }).pipe(
+        timeout(30000),
+        retry(2),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
+
+      this.dataQuality = response?.success ? response.data : null;
+      console.log('✅ Data quality loaded:', this.dataQuality?.findings.length, 'findings');
+    } catch (error) {
+      console.error('❌ Error loading data quality:', error);
+      this.dataQuality = null;
+    }
+  }
+
+  async loadNotAttempted() {
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/employees/not-attempted`, {
+        params: this.assessmentParams()
+      }).pipe(
+        timeout(30000),
+        retry(2),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
+
+      this.notAttempted = response?.success ? response.data || [] : [];
+      this.directorySize = response?.success ? response.metadata?.directorySize || 0 : 0;
+      console.log('✅ Not-attempted list loaded:', this.getNotAttemptedCount(), 'employees');
+    } catch (error) {
+      console.error('❌ Error loading not-attempted list:', error);
+      this.notAttempted = [];
+    }
+  }
+
+  getNotAttemptedCount(): number {
+    return this.notAttempted.reduce((sum, group) => sum + group.notAttempted.length, 0);
+  }
+
+  // Uploads the employee master CSV, then reloads so departments and reconciliation use it
+  async importEmployees(event: Event) {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    if (!file) return;
+
+    this.importingEmployees = true;
+    this.employeeImportMessage = '';
+    try {
+      const response = await this.http.post<ApiResponse>(`${this.API_URL}/employees/import`, await file.text(), {
+        params: { mode: this.employeeImportMode },
+        headers: { 'Content-Type': 'text/csv' }
+      }).pipe(timeout(60000)).toPromise();
+
+      const skipped = response?.data?.skippedRows?.length || 0;
+      this.employeeImportMessage = `${response?.message}. ${response?.data?.totalEmployees} employees in the directory` +
+        (skipped > 0 ? `, ${skipped} row(s) skipped.` : '.');
+      console.log('👥 Employee directory imported:', response?.data);
+      await this.loadDashboardData();
+    } catch (error) {
+      console.error('❌ Employee import failed:', error);
+      this.employeeImportMessage = error instanceof HttpErrorResponse && error.error?.message
+        ? `Import failed: ${error.error.message}`
+        : 'Import failed. Please try again.';
+    } finally {
+      this.importingEmployees = false;
+      input.value = '';
+    }
+  }
+
+  // Problems that need fixing at the source; counted-out duplicate attempts are informational
+  getDataIssueCount(): number {
+    if (!this.dataQuality) return 0;
+    return this.dataQuality.findings.filter(f => f.severity !== 'info').length +
+      this.dataQuality.malformedRows.length +
+      this.dataQuality.missingColumns.length;
+  }
 
-    this.totalPages = Math.ceil(this.filteredResponses.length / this.itemsPerPage);
+  getDataIssueTypes(): string[] {
+    return this.dataQuality ? Object.keys(this.dataQuality.summary.byType) : [];
+  }
+
+  getFilteredDataIssues(): DataQualityFinding[] {
+    if (!this.dataQuality) return [];
+    return this.dataIssueType
+      ? this.dataQuality.findings.filter(f => f.type === this.dataIssueType)
+      : this.dataQuality.findings;
+  }
+
+  getDataIssueLabel(type: string): string {
+    const labels: Record<string, string> = {
+      'invalid-timestamp': 'Bad submission date',
+      'invalid-dob': 'Invalid date of birth',
+      'invalid-employee-id': 'Invalid employee ID',
+      'unknown-department': 'Unknown department',
+      'blank-answers': 'Blank answers',
+      'duplicate-attempt': 'Duplicate attempt',
+      'unknown-employee': 'Not in directory',
+      'name-mismatch': 'Name mismatch',
+      'department-mismatch': 'Department mismatch'
+    };
+    return labels[type] || type;
+  }
+
+  getDataIssueClass(severity: string): string {
+    if (severity === 'error') return 'bg-red-100 text-red-800';
+    if (severity === 'warning') return 'bg-yellow-100 text-yellow-800';
+    return 'bg-gray-100 text-gray-700';
+  }
+
+  getDuplicatePolicyLabel(): string {
+    const labels: Record<string, string> = {
+      first: 'First attempt counts',
+      best: 'Best attempt counts',
+      latest: 'Latest attempt counts'
+    };
+    return labels[this.getSelectedAssessment()?.duplicatePolicy || 'latest'];
+  }
+
+  // Filters, sorting and paging are applied by GET /api/test-responses
+  applyFilters() {
     this.currentPage = 1;
+    this.loadResponsesPage();
   }
 
-  createCharts() {
-    if (this.responses.length === 0) {
-      console.log('⚠️ No data available for charts');
-      return;
+  onSearchInput() {
+    if (this.searchDebounce) {
+      clearTimeout(this.searchDebounce);
+    }
+    this.searchDebounce = setTimeout(() => this.applyFilters(), 300);
+  }
+
+  private responseQueryParams(page: number, pageSize: number): { [param: string]: string } {
+    return {
+      ...this.filterParams(),
+      page: String(page),
+      pageSize: String(pageSize)
+    };
+  }
+
+  // Current dashboard filters, shared by the response list and the report exports
+  private filterParams(): { [param: string]: string } {
+    const params: { [param: string]: string } = this.assessmentParams();
+
+    if (this.selectedDepartment) params['department'] = this.selectedDepartment;
+    if (this.selectedStatus) params['status'] = this.selectedStatus;
+    if (this.selectedScoreRange) {
+      const [min, max] = this.selectedScoreRange.split('-');
+      params['scoreMin'] = min;
+      params['scoreMax'] = max;
+    }
+    if (this.searchTerm.trim()) params['q'] = this.searchTerm.trim();
+    if (this.dateFrom) params['from'] = this.dateFrom;
+    if (this.dateTo) params['to'] = this.dateTo;
+    if (this.selectedSort) params['sort'] = this.selectedSort;
+
+    return params;
+  }
+
+  private async fetchResponsesPage(page: number, pageSize: number): Promise<PagedResponses> {
+    const response = await this.http.get<PagedResponses>(`${this.API_URL}/test-responses`, {
+      params: this.responseQueryParams(page, pageSize)
+    }).pipe(
+      timeout(60000),
+      retry(2),
+      catchError(this.handleError.bind(this))
+    ).toPromise();
+
+    if (!response?.success) {
+      throw new Error(response?.error || response?.message || 'Failed to load test responses');
     }
 
+    // Process responses with proper date conversion
+    response.data = response.data.map((r: any) => ({
+      ...r,
+      submissionDate: new Date(r.submissionDate || r.timestamp || new Date())
+    }));
+    return response;
+  }
+
+  async loadResponsesPage() {
+    this.isLoadingPage = true;
+
+    try {
+      const response = await this.fetchResponsesPage(this.currentPage, this.itemsPerPage);
+      this.pageResponses = response.data;
+      this.matchedCount = response.pagination.totalCount;
+      this.totalPages = response.pagination.totalPages;
+      console.log(`✅ Loaded page ${this.currentPage}/${this.totalPages} (${this.matchedCount} matching responses)`);
+    } catch (error) {
+      console.error('❌ Error loading test responses page:', error);
+      this.errorMessage = 'Failed to load test results. Please try again.';
+    } finally {
+      this.isLoadingPage = false;
+    }
+  }
+
+  createCharts() {
     // Destroy existing charts
     if (this.scoreChart) {
       this.scoreChart.destroy();
@@ -384,9 +1081,24 @@ export class Dashboard implements OnInit, AfterViewInit {
       this.passFailChart.destroy();
       this.passFailChart = null;
     }
+    if (this.itemChart) {
+      this.itemChart.destroy();
+      this.itemChart = null;
+    }
+    if (this.trendChart) {
+      this.trendChart.destroy();
+      this.trendChart = null;
+    }
+
+    if (this.totalResponses === 0) {
+      console.log('⚠️ No data available for charts');
+      return;
+    }
     
     this.createScoreDistributionChart();
     this.createPassFailChart();
+    this.createItemAnalysisChart();
+    this.createTrendChart();
   }
 
   createScoreDistributionChart() {
@@ -397,26 +1109,16 @@ export class Dashboard implements OnInit, AfterViewInit {
     
     const ctx = this.scoreChartRef.nativeElement.getContext('2d');
     
-    // Group scores into ranges
-    const scoreRanges = {
-      '0-2': 0, '3-4': 0, '5-6': 0, '7-8': 0, '9-10': 0
-    };
-
-    this.responses.forEach(response => {
-      if (response.score <= 2) scoreRanges['0-2']++;
-      else if (response.score <= 4) scoreRanges['3-4']++;
-      else if (response.score <= 6) scoreRanges['5-6']++;
-      else if (response.score <= 8) scoreRanges['7-8']++;
-      else scoreRanges['9-10']++;
-    });
+    // Percentage bins from the backend, so weighted papers with different maximum scores share one scale
+    const histogram = this.distribution?.overall.histogram || [];
 
     this.scoreChart = new Chart(ctx, {
       type: 'bar',
       data: {
-        labels: Object.keys(scoreRanges),
+        labels: histogram.map(bin => `${bin.from}-${bin.to}%`),
         datasets: [{
           label: 'Number of Candidates',
-          data: Object.values(scoreRanges),
+          data: histogram.map(bin => bin.count),
           backgroundColor: [
             '#ef4444', '#f97316', '#eab308', '#22c55e', '#059669'
           ],
@@ -458,7 +1160,7 @@ export class Dashboard implements OnInit, AfterViewInit {
     this.passFailChart = new Chart(ctx, {
       type: 'doughnut',
       data: {
-        labels: ['Passed (≥6)', 'Failed (<6)'],
+        labels: [`Passed (${this.passRule})`, 'Failed'],
         datasets: [{
           data: [this.passedCount, this.failedCount],
           backgroundColor: ['#22c55e', '#ef4444'],
@@ -482,12 +1184,253 @@ export class Dashboard implements OnInit, AfterViewInit {
     });
   }
 
+  // Blob requests get their JSON error bodies back as a Blob
+  private async readBlobErrorMessage(error: unknown): Promise<string> {
+    if (error instanceof HttpErrorResponse && error.error instanceof Blob) {
+      try {
+        return JSON.parse(await error.error.text()).message || '';
+      } catch {
+        return '';
+      }
+    }
+    return 'Please try again.';
+  }
+
+  createItemAnalysisChart() {
+    if (!this.itemChartRef?.nativeElement || this.itemAnalysis.length === 0) {
+      console.log('Item analysis chart element or data not available');
+      return;
+    }
+    
+    const ctx = this.itemChartRef.nativeElement.getContext('2d');
+    const colors = this.itemAnalysis.map(item => this.getDifficultyColor(item.percentCorrect));
+    
+    this.itemChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: this.itemAnalysis.map(item => `Q${item.questionNumber}`),
+        datasets: [{
+          label: '% Correct',
+          data: this.itemAnalysis.map(item => item.percentCorrect),
+          backgroundColor: colors,
+          borderColor: colors,
+          borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            beginAtZero: true,
+            max: 100,
+            ticks: {
+              callback: value => `${value}%`
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            display: false
+          },
+          title: {
+            display: true,
+            text: 'Percent Correct by Question (Production Data)'
+          },
+          tooltip: {
+            callbacks: {
+              afterLabel: context => this.getQuestionText(context.dataIndex)
+            }
+          }
+        }
+      }
+    });
+  }
+
+  createTrendChart() {
+    if (this.trendChart) {
+      this.trendChart.destroy();
+      this.trendChart = null;
+    }
+    if (!this.trendChartRef?.nativeElement || this.trendPeriods.length === 0) {
+      console.log('Trend chart element or data not available');
+      return;
+    }
+
+    const ctx = this.trendChartRef.nativeElement.getContext('2d');
+
+    this.trendChart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: this.trendPeriods.map(period => period.period),
+        datasets: [
+          {
+            label: 'Pass Rate (%)',
+            data: this.trendPeriods.map(period => period.passRate),
+            borderColor: '#22c55e',
+            backgroundColor: 'rgba(34, 197, 94, 0.2)',
+            yAxisID: 'passRate',
+            tension: 0.3
+          },
+          {
+            label: 'Average Score',
+            data: this.trendPeriods.map(period => period.averageScore),
+            borderColor: '#3b82f6',
+            backgroundColor: 'rgba(59, 130, 246, 0.2)',
+            yAxisID: 'score',
+            tension: 0.3
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        // Empty periods are null; span them so the trend line stays continuous
+        spanGaps: true,
+        scales: {
+          passRate: {
+            type: 'linear',
+            position: 'left',
+            beginAtZero: true,
+            max: 100,
+            ticks: {
+              callback: value => `${value}%`
+            }
+          },
+          score: {
+            type: 'linear',
+            position: 'right',
+            beginAtZero: true,
+            max: this.totalQuestions,
+            grid: {
+              drawOnChartArea: false
+            }
+          }
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: `${this.trendInterval === 'week' ? 'Weekly' : 'Monthly'} Pass Rate and Average Score`
+          },
+          tooltip: {
+            callbacks: {
+              afterBody: items => {
+                const period = this.trendPeriods[items[0].dataIndex];
+                return `${period.start} to ${period.end}: ${period.totalResponses} submissions`;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  private getDifficultyColor(percentCorrect: number): string {
+    if (percentCorrect < 40) return '#ef4444';
+    if (percentCorrect < 70) return '#eab308';
+    return '#22c55e';
+  }
+
+  // Rule of thumb: 0.4+ separates strong and weak candidates well, below 0.2 needs review
+  getDiscriminationLabel(index: number | null): string {
+    if (index === null) return 'N/A';
+    if (index >= 0.4) return 'Good';
+    if (index >= 0.2) return 'Fair';
+    return 'Review';
+  }
+
+  getDiscriminationClass(index: number | null): string {
+    if (index === null) return 'text-gray-500';
+    if (index >= 0.4) return 'text-green-600';
+    if (index >= 0.2) return 'text-yellow-600';
+    return 'text-red-600';
+  }
+
   viewDetails(response: TestResponse) {
     this.selectedResponse = response;
+    this.loadAttemptHistory(response.employeeId);
+    this.loadProctoring(response);
   }
 
   closeDetails() {
     this.selectedResponse = null;
+    this.attemptHistory = null;
+    this.proctoring = null;
+  }
+
+  async loadProctoring(testResponse: TestResponse) {
+    this.proctoring = null;
+    const attemptId = testResponse.responseKey?.startsWith('online:') ? testResponse.responseKey.slice('online:'.length) : null;
+    if (!attemptId) {
+      return;
+    }
+    this.isLoadingProctoring = true;
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/attempts/${encodeURIComponent(attemptId)}/proctoring`).pipe(
+        timeout(30000),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
+
+      if (this.selectedResponse === testResponse) {
+        this.proctoring = response?.success ? response.data : null;
+      }
+    } catch (error) {
+      console.error('❌ Error loading proctoring log:', error);
+    } finally {
+      this.isLoadingProctoring = false;
+    }
+  }
+
+  // Minutes from start to submission, e.g. "12 min 5 s"
+  getTimeTaken(report: ProctoringReport): string {
+    if (!report.submittedAt) return 'not submitted';
+    const seconds = Math.round((new Date(report.submittedAt).getTime() - new Date(report.startedAt).getTime()) / 1000);
+    return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+  }
+
+  getEventLabel(type: string): string {
+    const labels: { [type: string]: string } = {
+      'started': 'Test started',
+      'resumed': 'Test resumed',
+      'submitted': 'Submitted',
+      'auto-submitted': 'Submitted automatically (time ran out)',
+      'focus-lost': 'Left the test window',
+      'focus-regained': 'Returned to the test window',
+      'tab-hidden': 'Switched away from the tab',
+      'tab-visible': 'Switched back to the tab',
+      'copy': 'Copied text',
+      'cut': 'Cut text',
+      'paste': 'Pasted text'
+    };
+    return labels[type] || type;
+  }
+
+  async loadAttemptHistory(employeeId: string) {
+    this.attemptHistory = null;
+    this.isLoadingAttempts = true;
+    try {
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/employees/${encodeURIComponent(employeeId)}/attempts`, {
+        params: this.assessmentParams()
+      }).pipe(
+        timeout(30000),
+        catchError(this.handleError.bind(this))
+      ).toPromise();
+
+      // Ignore a late answer for a candidate whose details were already closed
+      if (this.selectedResponse?.employeeId === employeeId) {
+        this.attemptHistory = response?.success ? response.data : null;
+      }
+    } catch (error) {
+      console.error('❌ Error loading attempt history:', error);
+    } finally {
+      this.isLoadingAttempts = false;
+    }
+  }
+
+  getImprovementLabel(improvement: number | null): string {
+    if (improvement === null) return '';
+    if (improvement === 0) return 'no change';
+    return `${improvement > 0 ? '+' : ''}${improvement}`;
   }
 
   getQuestionText(index: number): string {
@@ -498,44 +1441,111 @@ export class Dashboard implements OnInit, AfterViewInit {
     return this.departmentStats.find(d => d.name === department) || null;
   }
 
-  downloadCertificate(response: TestResponse) {
-    if (response.score >= 6) {
-      alert(`Generating certificate for ${response.fullName} (Score: ${response.score}/10)`);
-      // TODO: Implement actual certificate generation
-    } else {
-      alert(`${response.fullName} did not pass the test (Score: ${response.score}/10). Certificate not available.`);
+  async downloadCertificate(response: TestResponse) {
+    if (!this.isPassed(response)) {
+      alert(`${response.fullName} did not pass the test (Score: ${response.score}/${this.getMaxScore(response)}). Certificate not available.`);
+      return;
+    }
+
+    this.downloadingCertificateFor = response.employeeId;
+    try {
+      const result = await this.http.get(`${this.API_URL}/certificates/${encodeURIComponent(response.employeeId)}`, {
+        params: this.assessmentParams(),
+        responseType: 'blob',
+        observe: 'response'
+      }).pipe(timeout(60000)).toPromise();
+
+      const certificateNumber = result?.headers.get('X-Certificate-Number') || response.employeeId;
+      const url = window.URL.createObjectURL(result!.body!);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `certificate-${certificateNumber}.pdf`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+      console.log('📜 Certificate downloaded:', certificateNumber);
+    } catch (error) {
+      console.error('❌ Certificate download failed:', error);
+      alert(`Certificate for ${response.fullName} could not be generated. ${await this.readBlobErrorMessage(error)}`);
+    } finally {
+      this.downloadingCertificateFor = null;
     }
   }
 
-  exportData() {
-    if (this.filteredResponses.length === 0) {
+  async exportData() {
+    if (this.matchedCount === 0) {
       alert('No data available to export. Please ensure you are connected to the backend.');
       return;
     }
 
-    const csvContent = this.generateCSV();
+    // Export every response matching the current filters, not just the visible page
+    const exportPageSize = 500;
+    const responses: TestResponse[] = [];
+    try {
+      let page = 1;
+      let totalPages = 1;
+      do {
+        const response = await this.fetchResponsesPage(page, exportPageSize);
+        responses.push(...response.data);
+        totalPages = response.pagination.totalPages;
+        page++;
+      } while (page <= totalPages);
+    } catch (error) {
+      console.error('❌ Export failed:', error);
+      alert('Export failed. Please try again.');
+      return;
+    }
+
+    const csvContent = this.generateCSV(responses);
     const blob = new Blob([csvContent], { type: 'text/csv' });
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `krishna-maruti-test-results-${new Date().toISOString().split('T')[0]}.csv`;
+    a.download = `krishna-maruti-${this.selectedAssessmentId || 'test'}-results-${new Date().toISOString().split('T')[0]}.csv`;
     a.click();
     window.URL.revokeObjectURL(url);
   }
 
-  private generateCSV(): string {
+  // Excel and PDF reports are built on the server from the same filters as the table
+  async exportReport(format: 'xlsx' | 'pdf') {
+    this.exportingReport = format;
+    try {
+      const result = await this.http.get(`${this.API_URL}/export/${format}`, {
+        params: this.filterParams(),
+        responseType: 'blob',
+        observe: 'response'
+      }).pipe(timeout(60000)).toPromise();
+
+      const disposition = result?.headers.get('Content-Disposition') || '';
+      const filename = /filename="([^"]+)"/.exec(disposition)?.[1] ||
+        `krishna-maruti-${this.selectedAssessmentId || 'test'}-report-${new Date().toISOString().split('T')[0]}.${format}`;
+      const url = window.URL.createObjectURL(result!.body!);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      a.click();
+      window.URL.revokeObjectURL(url);
+      console.log('🗂️ Report downloaded:', filename);
+    } catch (error) {
+      console.error('❌ Report export failed:', error);
+      alert(`${format === 'xlsx' ? 'Excel' : 'PDF'} export failed. ${await this.readBlobErrorMessage(error)}`);
+    } finally {
+      this.exportingReport = null;
+    }
+  }
+
+  private generateCSV(responses: TestResponse[]): string {
     const headers = [
       'Name', 'Employee ID', 'Department', 'DOB', 'Score', 'Status', 
       'Submission Date', 'Detailed Answers'
     ];
     
-    const rows = this.filteredResponses.map(r => [
+    const rows = responses.map(r => [
       r.fullName,
       r.employeeId,
       r.department,
       r.dateOfBirth,
       r.score.toString(),
-      r.score >= 6 ? 'Passed' : 'Failed',
+      this.isPassed(r) ? 'Passed' : 'Failed',
       r.submissionDate.toLocaleDateString(),
       r.answers.map((a, i) => 
         `Q${i+1}: ${a.selectedAnswer} (${a.isCorrect ? 'Correct' : 'Wrong'})`
@@ -543,7 +1553,7 @@ export class Dashboard implements OnInit, AfterViewInit {
     ]);
     
     return [headers, ...rows]
-      .map(row => row.map(cell => `"${cell}"`).join(','))
+      .map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))
       .join('\n');
   }
 
@@ -553,28 +1563,27 @@ export class Dashboard implements OnInit, AfterViewInit {
   }
 
   get endIndex(): number {
-    return Math.min(this.startIndex + this.itemsPerPage, this.filteredResponses.length);
-  }
-
-  get paginatedResponses(): TestResponse[] {
-    return this.filteredResponses.slice(this.startIndex, this.endIndex);
+    return Math.min(this.startIndex + this.itemsPerPage, this.matchedCount);
   }
 
   previousPage() {
     if (this.currentPage > 1) {
       this.currentPage--;
+      this.loadResponsesPage();
     }
   }
 
   nextPage() {
     if (this.currentPage < this.totalPages) {
       this.currentPage++;
+      this.loadResponsesPage();
     }
   }
 
   goToPage(page: number) {
-    if (page >= 1 && page <= this.totalPages) {
+    if (page >= 1 && page <= this.totalPages && page !== this.currentPage) {
       this.currentPage = page;
+      this.loadResponsesPage();
     }
   }
 
@@ -599,6 +1608,48 @@ export class Dashboard implements OnInit, AfterViewInit {
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
   }
 
+  isPassed(response: TestResponse): boolean {
+    return !!response.passed;
+  }
+
+  getScorePercentage(score: number): string {
+    return this.totalQuestions > 0 ? (score / this.totalQuestions * 100).toFixed(0) : '0';
+  }
+
+  // Weighted questions make the maximum score differ from the question count
+  getMaxScore(response: TestResponse): number {
+    return response.maxScore ?? this.totalQuestions;
+  }
+
+  getResponsePercentage(response: TestResponse): string {
+    return response.percentage !== undefined ? response.percentage.toFixed(0) : this.getScorePercentage(response.score);
+  }
+
+  getMatchLabel(answer: TestResponse['answers'][number]): string {
+    switch (answer.match) {
+      case 'partial': return 'Partial';
+      case 'fuzzy': return 'Correct (close match)';
+      case 'blank': return 'Not answered';
+      default: return answer.isCorrect ? 'Correct' : 'Wrong';
+    }
+  }
+
+  // Score range filter options scaled to the selected assessment's length and pass mark
+  getScoreRanges(): Array<{ value: string; label: string }> {
+    const n = this.totalQuestions;
+    const poorMax = Math.min(Math.ceil(n * 0.4) - 1, this.passMark - 1);
+    const averageMax = Math.max(Math.ceil(n * 0.8) - 1, this.passMark);
+    const ranges = [
+      { min: 0, max: poorMax, name: 'Poor' },
+      { min: poorMax + 1, max: this.passMark - 1, name: 'Below Average' },
+      { min: this.passMark, max: averageMax, name: 'Average' },
+      { min: averageMax + 1, max: n, name: 'Excellent' }
+    ];
+    return ranges
+      .filter(r => r.min <= r.max)
+      .map(r => ({ value: `${r.min}-${r.max}`, label: `${r.min}-${r.max} (${r.name})` }));
+  }
+
   getPassPercentage(): number {
     return this.totalResponses > 0 ? Math.round((this.passedCount / this.totalResponses) * 100) : 0;
   }
@@ -612,7 +1663,7 @@ export class Dashboard implements OnInit, AfterViewInit {
     if (this.isRetrying || (this.isLoading && this.connectionAttempts > 0)) {
       return 'text-yellow-600';
     }
-    if (this.apiConnected && this.responses.length > 0) {
+    if (this.apiConnected && this.totalResponses > 0) {
       return 'text-green-600';
     }
     if (!this.apiConnected) {
@@ -626,6 +1677,18 @@ export class Dashboard implements OnInit, AfterViewInit {
     return this.backendMetadata || {};
   }
 
+  // Snapshot and sample data get a banner; only live data is shown without one
+  isDataNotLive(): boolean {
+    return !!this.dataFreshness?.dataSource && this.dataFreshness.dataSource !== 'live';
+  }
+
+  getDataAge(): string {
+    const seconds = this.dataFreshness?.ageSeconds || 0;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes`;
+    if (seconds < 48 * 3600) return `${Math.floor(seconds / 3600)} hours`;
+    return `${Math.floor(seconds / 86400)} days`;
+  }
+
   getCacheStatus(): string {
     return this.backendMetadata?.cacheStatus || 'Unknown';
   }
@@ -644,11 +1707,41 @@ export class Dashboard implements OnInit, AfterViewInit {
     return 'Never';
   }
 
+  // Session methods
+  getCurrentUserName(): string {
+    return this.auth.user?.name || '';
+  }
+
+  getCurrentUserRole(): string {
+    const roleLabels: Record<string, string> = {
+      'admin': 'Admin',
+      'hr-viewer': 'HR Viewer',
+      'department-head': 'Department Head'
+    };
+    const user = this.auth.user;
+    return user ? roleLabels[user.role] || user.role : '';
+  }
+
+  // Department heads only receive their own department from the backend
+  getDepartmentScope(): string | null {
+    return this.can('responses:read-all-departments') ? null : this.auth.user?.department || null;
+  }
+
+  can(permission: Permission): boolean {
+    return this.auth.can(permission);
+  }
+
+  logout() {
+    this.auth.logout().subscribe(() => {
+      this.router.navigate(['/login']);
+    });
+  }
+
   // Connection test method
   async testConnection() {
     try {
       this.serverStatus = 'Testing connection...';
-      const response = await this.http.get<ApiResponse>(`${this.API_URL}/test-connection`).pipe(
+      const response = await this.http.get<ApiResponse>(`${this.API_URL}/test-connection`, { params: this.assessmentParams() }).pipe(
         timeout(30000),
         retry(1)
       ).toPromise();
@@ -0,0 +1,5 @@
+// ng serve / ng build --configuration development: a backend running locally on its default port
+export const environment = {
+  production: false,
+  apiUrl: 'http://localhost:3000/api'
+};
@@ -0,0 +1,6 @@
+// ng build --configuration staging. There is no staging backend yet: the deploy step replaces the
+// placeholder with the staging API URL before building (see "API URL per environment" in the README).
+export const environment = {
+  production: true,
+  apiUrl: '__STAGING_API_URL__'
+};
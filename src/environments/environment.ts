@@ -0,0 +1,5 @@
+// Production build (the default): the Render backend
+export const environment = {
+  production: true,
+  apiUrl: 'https://krishna-maruti-backend.onrender.com/api'
+};
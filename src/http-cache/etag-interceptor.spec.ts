@@ -0,0 +1,104 @@
+import { TestBed } from '@angular/core/testing';
+import { HttpClient, provideHttpClient, withInterceptors } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { provideRouter } from '@angular/router';
+
+import { etagInterceptor } from './etag-interceptor';
+import { environment } from '../environments/environment';
+
+describe('etagInterceptor', () => {
+  let http: HttpClient;
+  let httpMock: HttpTestingController;
+
+  // The cache outlives each test, so every test uses its own URL
+  const url = (path: string) => `${environment.apiUrl}/etag-spec/${path}`;
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({
+      providers: [
+        provideHttpClient(withInterceptors([etagInterceptor])),
+        provideHttpClientTesting(),
+        provideRouter([])
+      ]
+    });
+    http = TestBed.inject(HttpClient);
+    httpMock = TestBed.inject(HttpTestingController);
+  });
+
+  afterEach(() => httpMock.verify());
+
+  it('revalidates with If-None-Match and answers a 304 from the cache', () => {
+    http.get(url('responses')).subscribe();
+    const first = httpMock.expectOne(url('responses'));
+    expect(first.request.headers.has('If-None-Match')).toBeFalse();
+    first.flush({ total: 3 }, { headers: { ETag: '"v1"' } });
+
+    let body: unknown;
+    http.get(url('responses')).subscribe(result => body = result);
+    const second = httpMock.expectOne(url('responses'));
+    expect(second.request.headers.get('If-None-Match')).toBe('"v1"');
+    second.flush(null, { status: 304, statusText: 'Not Modified' });
+
+    expect(body).toEqual({ total: 3 });
+  });
+
+  it('replaces the cached copy when the data changed', () => {
+    http.get(url('changed')).subscribe();
+    httpMock.expectOne(url('changed')).flush({ total: 3 }, { headers: { ETag: '"v1"' } });
+
+    http.get(url('changed')).subscribe();
+    httpMock.expectOne(url('changed')).flush({ total: 4 }, { headers: { ETag: '"v2"' } });
+
+    http.get(url('changed')).subscribe();
+    const third = httpMock.expectOne(url('changed'));
+    expect(third.request.headers.get('If-None-Match')).toBe('"v2"');
+    third.flush({ total: 4 });
+  });
+
+  it('forgets a URL whose response comes back without an ETag', () => {
+    http.get(url('untagged')).subscribe();
+    httpMock.expectOne(url('untagged')).flush({ total: 3 }, { headers: { ETag: '"v1"' } });
+
+    http.get(url('untagged')).subscribe();
+    httpMock.expectOne(url('untagged')).flush({ total: 4 });
+
+    http.get(url('untagged')).subscribe();
+    const third = httpMock.expectOne(url('untagged'));
+    expect(third.request.headers.has('If-None-Match')).toBeFalse();
+    third.flush({ total: 4 });
+  });
+
+  it('keys the cache by query string', () => {
+    http.get(url('filtered'), { params: { department: 'Welding' } }).subscribe();
+    httpMock.expectOne(`${url('filtered')}?department=Welding`).flush([], { headers: { ETag: '"w"' } });
+
+    http.get(url('filtered'), { params: { department: 'Paint' } }).subscribe();
+    const other = httpMock.expectOne(`${url('filtered')}?department=Paint`);
+    expect(other.request.headers.has('If-None-Match')).toBeFalse();
+    other.flush([]);
+  });
+
+  it('leaves writes, downloads and other hosts alone', () => {
+    const requests: [string, () => void, object][] = [
+      [url('writes'), () => http.post(url('writes'), {}).subscribe(), {}],
+      [url('export'), () => http.get(url('export'), { responseType: 'blob' }).subscribe(), new Blob()],
+      ['https://example.com/data.json', () => http.get('https://example.com/data.json').subscribe(), {}]
+    ];
+
+    requests.forEach(([requestUrl, send, body]) => {
+      send();
+      httpMock.expectOne(requestUrl).flush(body, { headers: { ETag: '"v1"' } });
+      send();
+      const repeat = httpMock.expectOne(requestUrl);
+      expect(repeat.request.headers.has('If-None-Match')).withContext(requestUrl).toBeFalse();
+      repeat.flush(body);
+    });
+  });
+
+  it('passes a 304 through when nothing is cached', () => {
+    let status = 0;
+    http.get(url('uncached')).subscribe({ error: error => status = error.status });
+    httpMock.expectOne(url('uncached')).flush(null, { status: 304, statusText: 'Not Modified' });
+    expect(status).toBe(304);
+  });
+});
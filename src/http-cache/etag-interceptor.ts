@@ -0,0 +1,45 @@
+import { inject } from '@angular/core';
+import { HttpErrorResponse, HttpInterceptorFn, HttpResponse } from '@angular/common/http';
+import { of, throwError } from 'rxjs';
+import { catchError, tap } from 'rxjs/operators';
+import { Auth } from '../auth/auth';
+
+// Keeps the last response of each backend GET with its ETag. The next request for the same URL sends
+// If-None-Match, and a 304 Not Modified is answered from here, so unchanged data isn't downloaded again.
+const MAX_ENTRIES = 50;
+const responses = new Map<string, { etag: string; response: HttpResponse<unknown> }>();
+
+export const etagInterceptor: HttpInterceptorFn = (req, next) => {
+  const auth = inject(Auth);
+
+  if (req.method !== 'GET' || req.responseType !== 'json' || !req.url.startsWith(auth.API_URL)) {
+    return next(req);
+  }
+
+  const key = req.urlWithParams;
+  const cached = responses.get(key);
+  const conditionalReq = cached
+    ? req.clone({ setHeaders: { 'If-None-Match': cached.etag } })
+    : req;
+
+  return next(conditionalReq).pipe(
+    tap(event => {
+      if (!(event instanceof HttpResponse)) return;
+      const etag = event.headers.get('ETag');
+      responses.delete(key);
+      if (etag) {
+        responses.set(key, { etag, response: event });
+        // Oldest first: Map keeps insertion order
+        if (responses.size > MAX_ENTRIES) {
+          responses.delete(responses.keys().next().value!);
+        }
+      }
+    }),
+    catchError((error: HttpErrorResponse) => {
+      if (error.status === 304 && cached) {
+        return of(cached.response.clone());
+      }
+      return throwError(() => error);
+    })
+  );
+};
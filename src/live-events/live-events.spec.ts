@@ -0,0 +1,104 @@
+import { TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { provideRouter } from '@angular/router';
+
+import { LiveEvent, LiveEvents } from './live-events';
+import { Auth } from '../auth/auth';
+
+// Stands in for the browser's EventSource so no connection is opened
+class FakeEventSource {
+  static readonly CLOSED = 2;
+  static instances: FakeEventSource[] = [];
+
+  readyState = 0;
+  closed = false;
+  onerror: (() => void) | null = null;
+  private listeners = new Map<string, (event: MessageEvent) => void>();
+
+  constructor(readonly url: string) {
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type: string, listener: (event: MessageEvent) => void) {
+    this.listeners.set(type, listener);
+  }
+
+  emit(type: string, data: unknown) {
+    this.listeners.get(type)?.(new MessageEvent(type, { data: JSON.stringify(data) }));
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+describe('LiveEvents', () => {
+  let service: LiveEvents;
+  let auth: Auth;
+  const realEventSource = window.EventSource;
+
+  beforeEach(() => {
+    FakeEventSource.instances = [];
+    (window as any).EventSource = FakeEventSource;
+    TestBed.configureTestingModule({
+      providers: [provideHttpClient(), provideRouter([])]
+    });
+    service = TestBed.inject(LiveEvents);
+    auth = TestBed.inject(Auth);
+  });
+
+  afterEach(() => {
+    window.EventSource = realEventSource;
+  });
+
+  it('opens the stream for one assessment with the session token in the URL', () => {
+    spyOnProperty(auth, 'token').and.returnValue('abc123');
+    service.connect('weld-101').subscribe();
+
+    const url = new URL(FakeEventSource.instances[0].url, window.location.origin);
+    expect(url.pathname.endsWith('/events')).toBeTrue();
+    expect(url.searchParams.get('access_token')).toBe('abc123');
+    expect(url.searchParams.get('assessment')).toBe('weld-101');
+  });
+
+  it('leaves the assessment to the server default when none is given', () => {
+    service.connect(null).subscribe();
+    const url = new URL(FakeEventSource.instances[0].url, window.location.origin);
+    expect(url.searchParams.has('assessment')).toBeFalse();
+  });
+
+  it('emits the known event types with their parsed data', () => {
+    const events: LiveEvent[] = [];
+    service.connect(null).subscribe(event => events.push(event));
+    const source = FakeEventSource.instances[0];
+
+    source.emit('submission.created', { responseKey: 'r1' });
+    source.emit('cache.refreshed', { total: 12 });
+    source.emit('unknown.type', {});
+
+    expect(events).toEqual([
+      { type: 'submission.created', data: { responseKey: 'r1' } },
+      { type: 'cache.refreshed', data: { total: 12 } }
+    ]);
+  });
+
+  it('only errors once the server has closed the stream', () => {
+    let error: Error | undefined;
+    service.connect(null).subscribe({ error: e => error = e });
+    const source = FakeEventSource.instances[0];
+
+    // A dropped connection is retried by the browser
+    source.onerror!();
+    expect(error).toBeUndefined();
+
+    source.readyState = FakeEventSource.CLOSED;
+    source.onerror!();
+    expect(error?.message).toBe('Live updates stream closed');
+  });
+
+  it('closes the stream on unsubscribe', () => {
+    const subscription = service.connect(null).subscribe();
+    subscription.unsubscribe();
+    expect(FakeEventSource.instances[0].closed).toBeTrue();
+  });
+});
@@ -0,0 +1,41 @@
+import { Injectable } from '@angular/core';
+import { Observable } from 'rxjs';
+import { Auth } from '../auth/auth';
+
+export type LiveEventType = 'submission.created' | 'cache.refreshed' | 'answerKey.updated' | 'responses.rescored';
+
+export interface LiveEvent {
+  type: LiveEventType;
+  data: any;
+}
+
+const EVENT_TYPES: LiveEventType[] = ['submission.created', 'cache.refreshed', 'answerKey.updated', 'responses.rescored'];
+
+@Injectable({
+  providedIn: 'root'
+})
+export class LiveEvents {
+  constructor(private auth: Auth) {}
+
+  // Server-Sent Events from GET /api/events. EventSource reconnects by itself after network
+  // drops; the observable only errors when the server refuses the stream (e.g. expired token).
+  connect(assessmentId: string | null): Observable<LiveEvent> {
+    return new Observable<LiveEvent>(subscriber => {
+      // EventSource can't send an Authorization header
+      const params = new URLSearchParams({ access_token: this.auth.token || '' });
+      if (assessmentId) params.set('assessment', assessmentId);
+
+      const source = new EventSource(`${this.auth.API_URL}/events?${params}`);
+      EVENT_TYPES.forEach(type => source.addEventListener(type, event => {
+        subscriber.next({ type, data: JSON.parse((event as MessageEvent).data) });
+      }));
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+          subscriber.error(new Error('Live updates stream closed'));
+        }
+      };
+
+      return () => source.close();
+    });
+  }
+}
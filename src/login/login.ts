@@ -1,7 +1,9 @@
 import { Component } from '@angular/core';
-import { Router } from '@angular/router';
+import { ActivatedRoute, Router } from '@angular/router';
 import { FormsModule } from '@angular/forms';
 import { CommonModule } from '@angular/common';
+import { HttpErrorResponse } from '@angular/common/http';
+import { Auth } from '../auth/auth';
 
 @Component({
   selector: 'app-login',
@@ -11,30 +13,36 @@ import { CommonModule } from '@angular/common';
 })
 export class Login {
   username: string = '';
-  empId: string = '';
+  password: string = '';
+  rememberMe: boolean = false;
+  isSubmitting: boolean = false;
   errorMessage: string = '';
   successMessage: string = '';
 
-  // Default credentials for validation (hidden from user)
-  private readonly validUsername = 'Chandan Bera';
-  private readonly validEmpId = '12340987';
-
-  constructor(private router: Router) {}
+  constructor(private router: Router, private route: ActivatedRoute, private auth: Auth) {}
 
   onLogin() {
     this.errorMessage = '';
     this.successMessage = '';
+    this.isSubmitting = true;
 
-    // Validate credentials
-    if (this.username === this.validUsername && this.empId === this.validEmpId) {
-      this.successMessage = 'Login successful! Redirecting...';
-      
-      // Simulate loading and redirect to dashboard
-      setTimeout(() => {
-        this.router.navigate(['/dashboard']);
-      }, 1500);
-    } else {
-      this.errorMessage = 'Invalid username or employee ID. Please check your credentials.';
-    }
+    // Validate credentials against the backend user store
+    this.auth.login(this.username.trim(), this.password, this.rememberMe).subscribe({
+      next: user => {
+        this.isSubmitting = false;
+        this.successMessage = `Welcome ${user.name}! Redirecting...`;
+        
+        const returnUrl = this.route.snapshot.queryParamMap.get('returnUrl') || '/dashboard';
+        setTimeout(() => {
+          this.router.navigateByUrl(returnUrl);
+        }, 1500);
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isSubmitting = false;
+        this.errorMessage = error.status === 401
+          ? 'Invalid username or password. Please check your credentials.'
+          : 'Unable to reach the server. Please try again in a moment.';
+      }
+    });
   }
-}
\ No newline at end of file
+}
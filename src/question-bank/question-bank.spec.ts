@@ -0,0 +1,159 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { provideRouter } from '@angular/router';
+
+import { BankQuestion, QuestionBank } from './question-bank';
+import { environment } from '../environments/environment';
+
+const API_URL = environment.apiUrl;
+
+const question: BankQuestion = {
+  id: 'q1',
+  assessmentId: 'weld-101',
+  text: 'Which gas shields a MIG weld?',
+  options: ['Argon', 'Oxygen', 'Hydrogen'],
+  correctOption: 0,
+  topic: 'Welding',
+  difficulty: 'easy',
+  weight: 1,
+  updatedAt: '2026-01-05T10:00:00.000Z',
+  updatedBy: 'admin',
+  archivedAt: null
+};
+
+describe('QuestionBank', () => {
+  let component: QuestionBank;
+  let fixture: ComponentFixture<QuestionBank>;
+  let httpMock: HttpTestingController;
+
+  function flushQuestions(questions: BankQuestion[] = [question], topics = ['Safety', 'Welding']) {
+    const req = httpMock.expectOne(r => r.url === `${API_URL}/question-bank` && r.method === 'GET');
+    expect(req.request.params.get('assessment')).toBe(component.selectedAssessmentId);
+    req.flush({ success: true, data: questions, metadata: { topics } });
+  }
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      imports: [QuestionBank],
+      providers: [provideHttpClient(), provideHttpClientTesting(), provideRouter([])]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(QuestionBank);
+    component = fixture.componentInstance;
+    httpMock = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+
+    httpMock.expectOne(`${API_URL}/assessments`).flush({
+      success: true,
+      defaultAssessment: 'weld-101',
+      data: [
+        { id: 'induction', name: 'Induction', questionCount: 10, paper: null },
+        { id: 'weld-101', name: 'Welding Basics', questionCount: 5, paper: { perTopic: { welding: 3 } } }
+      ]
+    });
+    flushQuestions();
+  });
+
+  afterEach(() => httpMock.verify());
+
+  it('opens the default assessment and counts questions per topic against the paper', () => {
+    expect(component.selectedAssessmentId).toBe('weld-101');
+    expect(component.questions).toEqual([question]);
+    expect(component.topicCounts).toEqual([
+      { topic: 'Safety', available: 0, perPaper: null },
+      { topic: 'Welding', available: 1, perPaper: 3 }
+    ]);
+  });
+
+  it('filters by topic and clears a filter the new assessment has no questions for', () => {
+    component.topicFilter = 'Safety';
+    expect(component.visibleQuestions).toEqual([]);
+
+    component.topicFilter = 'Welding';
+    component.loadQuestions();
+    flushQuestions([], ['Painting']);
+    expect(component.topicFilter).toBe('');
+  });
+
+  it('keeps the correct option on the same answer when an earlier option is removed', () => {
+    component.startEdit({ ...question, options: ['A', 'B', 'C', 'D'], correctOption: 3 });
+
+    component.removeOption(0);
+    expect(component.draft.options).toEqual(['B', 'C', 'D']);
+    expect(component.draft.correctOption).toBe(2);
+
+    // Removing the last option when it was the correct one falls back to the first
+    component.removeOption(2);
+    expect(component.draft.correctOption).toBe(0);
+  });
+
+  it('adds a question to the selected assessment and reloads the list', () => {
+    component.topicFilter = 'Welding';
+    component.startAdd();
+    expect(component.draft.topic).toBe('Welding');
+    component.draft = { ...component.draft, text: 'Filler rod?', options: ['ER70S-6', 'E6013'], weight: '2' as unknown as number };
+
+    component.save();
+    const req = httpMock.expectOne(r => r.url === `${API_URL}/question-bank` && r.method === 'POST');
+    expect(req.request.params.get('assessment')).toBe('weld-101');
+    expect(req.request.body.weight).toBe(2);
+    req.flush({ success: true, data: question });
+
+    expect(component.message).toBe('Question added.');
+    expect(component.editingId).toBeNull();
+    flushQuestions();
+  });
+
+  it('updates an existing question in place', () => {
+    component.startEdit(question);
+    component.draft.text = 'Which shielding gas suits MIG welding of steel?';
+
+    component.save();
+    const req = httpMock.expectOne(`${API_URL}/question-bank/q1`);
+    expect(req.request.method).toBe('PUT');
+    expect(req.request.body.text).toBe('Which shielding gas suits MIG welding of steel?');
+    req.flush({ success: true, data: question });
+
+    expect(component.message).toContain('Question updated.');
+    flushQuestions();
+  });
+
+  it('shows the server message when a save is refused and keeps the form open', () => {
+    component.startAdd();
+    component.save();
+    httpMock.expectOne(r => r.method === 'POST').flush(
+      { success: false, error: 'Invalid question', message: 'text is required' },
+      { status: 400, statusText: 'Bad Request' }
+    );
+
+    expect(component.errorMessage).toBe('text is required');
+    expect(component.editingId).toBe('');
+    expect(component.isSaving).toBeFalse();
+  });
+
+  it('only deletes after confirmation', () => {
+    const confirmSpy = spyOn(window, 'confirm').and.returnValue(false);
+    component.archive(question);
+    httpMock.expectNone(`${API_URL}/question-bank/q1`);
+
+    confirmSpy.and.returnValue(true);
+    component.archive(question);
+    const req = httpMock.expectOne(`${API_URL}/question-bank/q1`);
+    expect(req.request.method).toBe('DELETE');
+    req.flush({ success: true });
+
+    expect(component.message).toBe('Question deleted.');
+    flushQuestions([]);
+  });
+
+  it('previews a paper drawn for the selected assessment', () => {
+    component.previewPaper();
+    const req = httpMock.expectOne(r => r.url === `${API_URL}/question-bank/paper`);
+    expect(req.request.params.get('assessment')).toBe('weld-101');
+    req.flush({ success: true, data: [{ questionIndex: 0, text: question.text, topic: 'Welding', difficulty: 'easy', weight: 1, options: question.options, correctOption: 0 }] });
+
+    expect(component.preview?.length).toBe(1);
+  });
+});
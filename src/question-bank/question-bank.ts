@@ -0,0 +1,250 @@
+import { Component, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { RouterLink } from '@angular/router';
+import { timeout } from 'rxjs/operators';
+import { Auth } from '../auth/auth';
+import { environment } from '../environments/environment';
+
+export type Difficulty = 'easy' | 'medium' | 'hard';
+
+export interface BankQuestion {
+  id: string;
+  assessmentId: string;
+  text: string;
+  options: string[];
+  correctOption: number;
+  topic: string;
+  difficulty: Difficulty;
+  weight: number;
+  updatedAt: string;
+  updatedBy: string;
+  archivedAt: string | null;
+}
+
+export interface PaperPreviewQuestion {
+  questionIndex: number;
+  text: string;
+  topic: string;
+  difficulty: Difficulty;
+  weight: number;
+  options: string[];
+  correctOption: number | null;
+}
+
+interface QuestionDraft {
+  text: string;
+  options: string[];
+  correctOption: number;
+  topic: string;
+  difficulty: Difficulty;
+  weight: number;
+}
+
+@Component({
+  selector: 'app-question-bank',
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './question-bank.html',
+  styleUrl: './question-bank.css'
+})
+export class QuestionBank implements OnInit {
+  private readonly API_URL = environment.apiUrl;
+
+  readonly difficulties: Difficulty[] = ['easy', 'medium', 'hard'];
+
+  assessments: { id: string; name: string; questionCount: number; paper: { perTopic?: { [topic: string]: number } } | null }[] = [];
+  selectedAssessmentId = '';
+
+  questions: BankQuestion[] = [];
+  topics: string[] = [];
+  topicFilter = '';
+
+  // null: no form open; '' : adding a question; otherwise the ID of the question being edited
+  editingId: string | null = null;
+  draft: QuestionDraft = this.emptyDraft();
+
+  preview: PaperPreviewQuestion[] | null = null;
+
+  isLoading = false;
+  isSaving = false;
+  errorMessage = '';
+  message = '';
+
+  constructor(private http: HttpClient, private auth: Auth) {}
+
+  get canEdit(): boolean {
+    return this.auth.can('question-bank:write');
+  }
+
+  get selectedAssessment() {
+    return this.assessments.find(a => a.id === this.selectedAssessmentId) || null;
+  }
+
+  get visibleQuestions(): BankQuestion[] {
+    return this.topicFilter ? this.questions.filter(q => q.topic === this.topicFilter) : this.questions;
+  }
+
+  // Questions per topic, next to what the paper draws from each
+  get topicCounts(): { topic: string; available: number; perPaper: number | null }[] {
+    const perTopic = this.selectedAssessment?.paper?.perTopic || {};
+    return this.topics.map(topic => ({
+      topic,
+      available: this.questions.filter(q => q.topic === topic).length,
+      perPaper: Object.entries(perTopic).find(([name]) => name.toLowerCase() === topic.toLowerCase())?.[1] ?? null
+    }));
+  }
+
+  ngOnInit() {
+    this.http.get<{ success: boolean; data: any[]; defaultAssessment?: string }>(`${this.API_URL}/assessments`).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => {
+        this.assessments = response.data;
+        this.selectedAssessmentId = response.defaultAssessment || this.assessments[0]?.id || '';
+        this.loadQuestions();
+      },
+      error: (error: HttpErrorResponse) => this.errorMessage = this.messageOf(error)
+    });
+  }
+
+  loadQuestions() {
+    if (!this.selectedAssessmentId) {
+      return;
+    }
+    this.isLoading = true;
+    this.preview = null;
+    this.http.get<{ success: boolean; data: BankQuestion[]; metadata: { topics: string[] } }>(
+      `${this.API_URL}/question-bank`, { params: { assessment: this.selectedAssessmentId } }
+    ).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => {
+        this.isLoading = false;
+        this.questions = response.data;
+        this.topics = response.metadata.topics;
+        if (this.topicFilter && !this.topics.includes(this.topicFilter)) {
+          this.topicFilter = '';
+        }
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isLoading = false;
+        this.errorMessage = this.messageOf(error);
+      }
+    });
+  }
+
+  onAssessmentChange() {
+    this.cancelEdit();
+    this.topicFilter = '';
+    this.loadQuestions();
+  }
+
+  startAdd() {
+    this.editingId = '';
+    this.draft = { ...this.emptyDraft(), topic: this.topicFilter };
+    this.message = '';
+  }
+
+  startEdit(question: BankQuestion) {
+    this.editingId = question.id;
+    this.draft = {
+      text: question.text,
+      options: [...question.options],
+      correctOption: question.correctOption,
+      topic: question.topic,
+      difficulty: question.difficulty,
+      weight: question.weight
+    };
+    this.message = '';
+  }
+
+  cancelEdit() {
+    this.editingId = null;
+    this.errorMessage = '';
+  }
+
+  addOption() {
+    this.draft.options.push('');
+  }
+
+  removeOption(index: number) {
+    this.draft.options.splice(index, 1);
+    if (this.draft.correctOption >= this.draft.options.length) {
+      this.draft.correctOption = 0;
+    } else if (this.draft.correctOption > index) {
+      this.draft.correctOption--;
+    }
+  }
+
+  // ngModel on array items needs a stable identity per row
+  trackByIndex(index: number): number {
+    return index;
+  }
+
+  save() {
+    if (this.editingId === null || this.isSaving) {
+      return;
+    }
+    this.isSaving = true;
+    this.errorMessage = '';
+    const body = { ...this.draft, weight: Number(this.draft.weight) };
+    const request = this.editingId
+      ? this.http.put<{ success: boolean; data: BankQuestion }>(`${this.API_URL}/question-bank/${encodeURIComponent(this.editingId)}`, body)
+      : this.http.post<{ success: boolean; data: BankQuestion }>(`${this.API_URL}/question-bank`, body, { params: { assessment: this.selectedAssessmentId } });
+
+    request.pipe(timeout(60000)).subscribe({
+      next: () => {
+        this.isSaving = false;
+        this.message = this.editingId ? 'Question updated. Online submissions that drew it are re-scored.' : 'Question added.';
+        this.editingId = null;
+        this.loadQuestions();
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isSaving = false;
+        this.errorMessage = this.messageOf(error);
+      }
+    });
+  }
+
+  archive(question: BankQuestion) {
+    if (!confirm(`Delete "${question.text}"? Submitted tests keep their answers to it.`)) {
+      return;
+    }
+    this.http.delete(`${this.API_URL}/question-bank/${encodeURIComponent(question.id)}`).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: () => {
+        this.message = 'Question deleted.';
+        this.loadQuestions();
+      },
+      error: (error: HttpErrorResponse) => this.errorMessage = this.messageOf(error)
+    });
+  }
+
+  previewPaper() {
+    this.errorMessage = '';
+    this.http.get<{ success: boolean; data: PaperPreviewQuestion[] }>(
+      `${this.API_URL}/question-bank/paper`, { params: { assessment: this.selectedAssessmentId } }
+    ).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => this.preview = response.data,
+      error: (error: HttpErrorResponse) => {
+        this.preview = null;
+        this.errorMessage = this.messageOf(error);
+      }
+    });
+  }
+
+  private emptyDraft(): QuestionDraft {
+    return { text: '', options: ['', '', '', ''], correctOption: 0, topic: '', difficulty: 'medium', weight: 1 };
+  }
+
+  private messageOf(error: HttpErrorResponse): string {
+    if (error.status > 0 && error.error?.message) {
+      return error.error.message;
+    }
+    return 'Unable to reach the backend. Please try again in a moment.';
+  }
+}
@@ -0,0 +1,254 @@
+import { ComponentFixture, TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { provideRouter } from '@angular/router';
+
+import { StartedTest, TakeTest, TestResult } from './take-test';
+import { environment } from '../environments/environment';
+
+const API_URL = environment.apiUrl;
+const TOKEN_KEY = 'km_test_token:weld-101:km0042';
+
+function startedTest(overrides: Partial<StartedTest> = {}): StartedTest {
+  return {
+    attemptId: 'att-1',
+    token: 'tok-1',
+    assessment: { id: 'weld-101', name: 'Welding Basics', description: 'MIG and TIG' },
+    candidate: { employeeId: 'KM0042', fullName: 'Asha Rao', department: 'Welding' },
+    questions: [
+      { questionIndex: 0, text: 'Shielding gas for MIG?' },
+      { questionIndex: 1, text: 'Pick the filler rod', options: ['ER70S-6', 'E6013'] }
+    ],
+    startedAt: '2026-03-01T10:00:00.000Z',
+    expiresAt: null,
+    serverTime: '2026-03-01T10:00:00.000Z',
+    savedAnswers: [],
+    ...overrides
+  };
+}
+
+const result: TestResult = {
+  attemptId: 'att-1',
+  score: 2,
+  maxScore: 2,
+  percentage: 100,
+  totalQuestions: 2,
+  correctCount: 2,
+  passed: true,
+  passMark: 1,
+  passRule: '1 points',
+  passReasons: [],
+  breakdown: { topics: [] },
+  autoSubmitted: false,
+  submittedAt: '2026-03-01T10:05:00.000Z'
+};
+
+describe('TakeTest', () => {
+  let component: TakeTest;
+  let fixture: ComponentFixture<TakeTest>;
+  let httpMock: HttpTestingController;
+
+  function fillDetails() {
+    component.candidate = {
+      assessment: 'weld-101',
+      employeeId: ' KM0042 ',
+      fullName: 'Asha Rao',
+      dateOfBirth: '05/03/1999',
+      department: 'Welding'
+    };
+  }
+
+  function start(test = startedTest(), resumed = false) {
+    fillDetails();
+    component.startTest();
+    const req = httpMock.expectOne(r => r.url === `${API_URL}/attempts/start`);
+    req.flush({ success: true, resumed, data: test });
+    return req;
+  }
+
+  beforeEach(async () => {
+    localStorage.removeItem(TOKEN_KEY);
+    await TestBed.configureTestingModule({
+      imports: [TakeTest],
+      providers: [provideHttpClient(), provideHttpClientTesting(), provideRouter([])]
+    })
+    .compileComponents();
+
+    fixture = TestBed.createComponent(TakeTest);
+    component = fixture.componentInstance;
+    httpMock = TestBed.inject(HttpTestingController);
+    fixture.detectChanges();
+
+    httpMock.expectOne(`${API_URL}/attempts/assessments`).flush({
+      success: true,
+      data: [{ id: 'weld-101', name: 'Welding Basics', description: 'MIG and TIG', questionCount: 2, timeLimitMinutes: null }],
+      metadata: { departments: ['Paint Shop', 'Welding'] }
+    });
+  });
+
+  afterEach(() => {
+    httpMock.verify();
+    localStorage.removeItem(TOKEN_KEY);
+  });
+
+  it('lists the open assessments and preselects the first', () => {
+    expect(component.assessments.length).toBe(1);
+    expect(component.departments).toEqual(['Paint Shop', 'Welding']);
+    expect(component.candidate.assessment).toBe('weld-101');
+  });
+
+  it('does not start until every detail is filled in', () => {
+    component.candidate.employeeId = 'KM0042';
+    component.startTest();
+    httpMock.expectNone(`${API_URL}/attempts/start`);
+  });
+
+  it('starts a test and keeps its token so this browser can resume it', () => {
+    const req = start();
+
+    expect(req.request.params.get('assessment')).toBe('weld-101');
+    expect(req.request.body).toEqual({
+      employeeId: ' KM0042 ',
+      fullName: 'Asha Rao',
+      dateOfBirth: '05/03/1999',
+      department: 'Welding',
+      token: undefined
+    });
+    expect(component.step).toBe('questions');
+    expect(localStorage.getItem(TOKEN_KEY)).toBe('tok-1');
+  });
+
+  it('sends the stored token and restores saved answers on resume', () => {
+    localStorage.setItem(TOKEN_KEY, 'tok-1');
+    const req = start(startedTest({
+      savedAnswers: [{ questionIndex: 0, answer: 'Argon' }, { questionIndex: 1, optionIndex: 0 }]
+    }), true);
+
+    expect(req.request.body.token).toBe('tok-1');
+    expect(component.resumed).toBeTrue();
+    expect(component.answers).toEqual({ 0: 'Argon' });
+    expect(component.selectedOptions).toEqual({ 1: 0 });
+    expect(component.answeredCount).toBe(2);
+  });
+
+  it('shows why the server refused to start the test', () => {
+    fillDetails();
+    component.startTest();
+    httpMock.expectOne(r => r.url === `${API_URL}/attempts/start`).flush(
+      { success: false, error: 'Test in progress', message: 'This test was started in another browser' },
+      { status: 409, statusText: 'Conflict' }
+    );
+
+    expect(component.step).toBe('details');
+    expect(component.errorMessage).toBe('This test was started in another browser');
+  });
+
+  it('submits typed and chosen answers with the proctoring events, then forgets the token', () => {
+    start();
+    component.answers[0] = '  Argon ';
+    component.selectedOptions[1] = 1;
+    component.onBlur();
+    component.onClipboard({ type: 'paste', target: { id: 'answer-0' } } as unknown as ClipboardEvent);
+
+    component.submitTest();
+    const req = httpMock.expectOne(`${API_URL}/attempts/att-1/submit`);
+    expect(req.request.body.token).toBe('tok-1');
+    expect(req.request.body.answers).toEqual([
+      { questionIndex: 0, answer: 'Argon' },
+      { questionIndex: 1, optionIndex: 1 }
+    ]);
+    expect(req.request.body.events.map((e: { type: string; questionIndex?: number }) => [e.type, e.questionIndex]))
+      .toEqual([['focus-lost', undefined], ['paste', 0]]);
+    req.flush({ success: true, data: result });
+
+    expect(component.step).toBe('result');
+    expect(component.result).toEqual(result);
+    expect(localStorage.getItem(TOKEN_KEY)).toBeNull();
+  });
+
+  it('asks before submitting with unanswered questions', () => {
+    start();
+    spyOn(window, 'confirm').and.returnValue(false);
+
+    component.submitTest();
+
+    expect(window.confirm).toHaveBeenCalledWith('2 question(s) are unanswered. Submit anyway?');
+    httpMock.expectNone(`${API_URL}/attempts/att-1/submit`);
+  });
+
+  it('keeps the events of a failed submission for the next try', () => {
+    start();
+    component.answers[0] = 'Argon';
+    component.selectedOptions[1] = 0;
+    component.onBlur();
+
+    component.submitTest();
+    httpMock.expectOne(`${API_URL}/attempts/att-1/submit`).error(new ProgressEvent('error'));
+    expect(component.errorMessage).toContain('Unable to reach the assessment server');
+
+    component.submitTest();
+    const retry = httpMock.expectOne(`${API_URL}/attempts/att-1/submit`);
+    expect(retry.request.body.events.length).toBe(1);
+    retry.flush({ success: true, data: result });
+  });
+
+  it('ignores focus changes outside the test', () => {
+    component.onBlur();
+    start();
+    component.answers[0] = 'Argon';
+    component.selectedOptions[1] = 0;
+
+    component.submitTest();
+    const req = httpMock.expectOne(`${API_URL}/attempts/att-1/submit`);
+    expect(req.request.body.events).toEqual([]);
+    req.flush({ success: true, data: result });
+  });
+
+  describe('timed tests', () => {
+    beforeEach(() => {
+      jasmine.clock().install();
+      // The device clock runs a minute behind the server's
+      jasmine.clock().mockDate(new Date('2026-03-01T09:59:00.000Z'));
+    });
+
+    afterEach(() => {
+      fixture.destroy();
+      jasmine.clock().uninstall();
+    });
+
+    it('counts down against the server clock and submits when time is up', () => {
+      start(startedTest({ expiresAt: '2026-03-01T10:01:30.000Z' }));
+      expect(component.secondsLeft).toBe(90);
+      expect(component.timeLeft).toBe('1:30');
+
+      component.answers[0] = 'Argon';
+      jasmine.clock().tick(15000);
+      const save = httpMock.expectOne(`${API_URL}/attempts/att-1/answers`);
+      expect(save.request.method).toBe('PUT');
+      expect(save.request.body.answers[0]).toEqual({ questionIndex: 0, answer: 'Argon' });
+      save.flush({ success: true, data: { savedAt: '2026-03-01T10:00:15.000Z' } });
+      expect(component.lastSavedAt).toBe('2026-03-01T10:00:15.000Z');
+
+      spyOn(window, 'confirm');
+      jasmine.clock().tick(75000);
+      expect(component.secondsLeft).toBe(0);
+      expect(window.confirm).not.toHaveBeenCalled();
+      httpMock.expectOne(`${API_URL}/attempts/att-1/submit`).flush({ success: true, data: { ...result, autoSubmitted: true } });
+      expect(component.step).toBe('result');
+    });
+
+    it('shows the result the server recorded when an autosave arrives after the deadline', () => {
+      start(startedTest({ expiresAt: '2026-03-01T10:10:00.000Z' }));
+      component.answers[0] = 'Argon';
+
+      jasmine.clock().tick(15000);
+      httpMock.expectOne(`${API_URL}/attempts/att-1/answers`).flush(
+        { success: false, error: 'Time is up', message: 'The time limit ended at 2026-03-01T10:10:00.000Z; the answers saved before then were submitted', data: { ...result, autoSubmitted: true } },
+        { status: 409, statusText: 'Conflict' }
+      );
+
+      expect(component.step).toBe('result');
+      expect(component.result?.autoSubmitted).toBeTrue();
+    });
+  });
+});
@@ -0,0 +1,376 @@
+import { Component, HostListener, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { RouterLink } from '@angular/router';
+import { timeout } from 'rxjs/operators';
+import { environment } from '../environments/environment';
+
+export interface OnlineAssessment {
+  id: string;
+  name: string;
+  description: string;
+  questionCount: number;
+  timeLimitMinutes: number | null;
+}
+
+// Questions drawn from the question bank are multiple choice; answer-key papers are free text
+export interface TestQuestion {
+  questionIndex: number;
+  text: string;
+  topic?: string;
+  options?: string[];
+}
+
+export interface StartedTest {
+  attemptId: string;
+  token: string;
+  assessment: {
+    id: string;
+    name: string;
+    description: string;
+  };
+  candidate: {
+    employeeId: string;
+    fullName: string;
+    department: string;
+  };
+  questions: TestQuestion[];
+  startedAt: string;
+  expiresAt: string | null;
+  serverTime: string;
+  savedAnswers: SubmittedAnswer[];
+}
+
+export type SubmittedAnswer = { questionIndex: number; answer: string } | { questionIndex: number; optionIndex: number | null };
+
+// What the page reports to the proctoring log; the server flags attempts with too many of them
+export interface ProctoringEvent {
+  type: 'focus-lost' | 'focus-regained' | 'tab-hidden' | 'tab-visible' | 'copy' | 'cut' | 'paste';
+  at: string;
+  questionIndex?: number;
+}
+
+export interface TestResult {
+  attemptId: string;
+  score: number;
+  maxScore: number;
+  percentage: number;
+  totalQuestions: number;
+  correctCount: number;
+  passed: boolean;
+  passMark: number;
+  passRule: string;
+  passReasons: string[];
+  breakdown: {
+    topics: Array<{ topic: string; score: number; maxScore: number; percentage: number }>;
+  };
+  autoSubmitted: boolean;
+  submittedAt: string;
+}
+
+// Tokens of unsubmitted tests, so this browser can resume them; the server refuses a restart without one
+const TOKEN_KEY_PREFIX = 'km_test_token:';
+
+// The server accepts at most this many events per request
+const MAX_EVENTS_PER_REQUEST = 50;
+const AUTOSAVE_INTERVAL = 15000;
+
+@Component({
+  selector: 'app-take-test',
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './take-test.html',
+  styleUrl: './take-test.css'
+})
+export class TakeTest implements OnInit, OnDestroy {
+  // Public endpoints - candidates don't sign in
+  private readonly API_URL = environment.apiUrl;
+
+  step: 'details' | 'questions' | 'result' = 'details';
+
+  assessments: OnlineAssessment[] = [];
+  departments: string[] = [];
+  candidate = {
+    assessment: '',
+    employeeId: '',
+    fullName: '',
+    dateOfBirth: '',
+    department: ''
+  };
+
+  test: StartedTest | null = null;
+  resumed = false;
+  answers: { [questionIndex: number]: string } = {};
+  selectedOptions: { [questionIndex: number]: number } = {};
+  result: TestResult | null = null;
+
+  // Seconds left on a timed test, counted from the server's clock
+  secondsLeft: number | null = null;
+  lastSavedAt: string | null = null;
+  private clockOffset = 0;
+  private savedSnapshot = '';
+  private tokenKey = '';
+  private pendingEvents: ProctoringEvent[] = [];
+  private countdownTimer?: ReturnType<typeof setInterval>;
+  private autosaveTimer?: ReturnType<typeof setInterval>;
+
+  isLoading = false;
+  errorMessage = '';
+
+  constructor(private http: HttpClient) {}
+
+  ngOnInit() {
+    this.isLoading = true;
+    // 60 seconds allows for a Render cold start
+    this.http.get<{ success: boolean; data: OnlineAssessment[]; metadata: { departments: string[] } }>(`${this.API_URL}/attempts/assessments`).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => {
+        this.isLoading = false;
+        this.assessments = response.data;
+        this.departments = response.metadata.departments;
+        this.candidate.assessment = this.assessments[0]?.id || '';
+      },
+      error: () => {
+        this.isLoading = false;
+        this.errorMessage = 'Unable to reach the assessment server. Please try again in a moment.';
+      }
+    });
+  }
+
+  ngOnDestroy() {
+    this.stopTimers();
+  }
+
+  @HostListener('window:blur')
+  onBlur() {
+    this.recordEvent('focus-lost');
+  }
+
+  @HostListener('window:focus')
+  onFocus() {
+    this.recordEvent('focus-regained');
+  }
+
+  @HostListener('document:visibilitychange')
+  onVisibilityChange() {
+    if (document.hidden) {
+      this.recordEvent('tab-hidden');
+      // The candidate may not come back; keep what they have answered so far
+      this.autosave();
+    } else {
+      this.recordEvent('tab-visible');
+    }
+  }
+
+  @HostListener('document:copy', ['$event'])
+  @HostListener('document:cut', ['$event'])
+  @HostListener('document:paste', ['$event'])
+  onClipboard(event: ClipboardEvent) {
+    // Answer inputs have the ID answer-<questionIndex>[-<option>]
+    const match = /^answer-(\d+)/.exec((event.target as HTMLElement | null)?.id || '');
+    this.recordEvent(event.type as ProctoringEvent['type'], match ? Number(match[1]) : undefined);
+  }
+
+  get timeLeft(): string {
+    const seconds = this.secondsLeft ?? 0;
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  get detailsComplete(): boolean {
+    const { assessment, employeeId, fullName, dateOfBirth, department } = this.candidate;
+    return [assessment, employeeId, fullName, dateOfBirth, department].every(value => value.trim());
+  }
+
+  get answeredCount(): number {
+    return this.test ? this.test.questions.filter(q => this.isAnswered(q)).length : 0;
+  }
+
+  isAnswered(question: TestQuestion): boolean {
+    return question.options
+      ? this.selectedOptions[question.questionIndex] !== undefined
+      : !!(this.answers[question.questionIndex] || '').trim();
+  }
+
+  startTest() {
+    if (!this.detailsComplete || this.isLoading) {
+      return;
+    }
+
+    this.isLoading = true;
+    this.errorMessage = '';
+    const { assessment, ...details } = this.candidate;
+    const tokenKey = `${TOKEN_KEY_PREFIX}${assessment}:${details.employeeId.trim().toLowerCase()}`;
+    const token = localStorage.getItem(tokenKey) || undefined;
+    this.http.post<{ success: boolean; resumed: boolean; data: StartedTest }>(
+      `${this.API_URL}/attempts/start`, { ...details, token }, { params: { assessment } }
+    ).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => {
+        this.isLoading = false;
+        localStorage.setItem(tokenKey, response.data.token);
+        this.tokenKey = tokenKey;
+        this.test = response.data;
+        this.resumed = response.resumed;
+        this.restoreAnswers(response.data.savedAnswers);
+        this.step = 'questions';
+        this.startTimers(response.data);
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isLoading = false;
+        this.errorMessage = this.messageOf(error);
+      }
+    });
+  }
+
+  // timeUp: the countdown reached zero, so there is nothing left to confirm
+  submitTest(timeUp = false) {
+    if (!this.test || this.isLoading) {
+      return;
+    }
+    const unanswered = this.test.questions.length - this.answeredCount;
+    if (!timeUp && unanswered > 0 && !confirm(`${unanswered} question(s) are unanswered. Submit anyway?`)) {
+      return;
+    }
+
+    this.isLoading = true;
+    this.errorMessage = '';
+    const events = this.pendingEvents.splice(0, MAX_EVENTS_PER_REQUEST);
+    this.http.post<{ success: boolean; data: TestResult }>(
+      `${this.API_URL}/attempts/${encodeURIComponent(this.test.attemptId)}/submit`,
+      { token: this.test.token, answers: this.collectAnswers(), events }
+    ).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => {
+        this.isLoading = false;
+        this.showResult(response.data);
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isLoading = false;
+        this.pendingEvents.unshift(...events);
+        this.errorMessage = this.messageOf(error);
+      }
+    });
+  }
+
+  // Saves changed answers and sends pending proctoring events, so a disconnect loses little
+  private autosave() {
+    if (!this.test || this.step !== 'questions' || this.isLoading) {
+      return;
+    }
+    const base = `${this.API_URL}/attempts/${encodeURIComponent(this.test.attemptId)}`;
+    const answers = this.collectAnswers();
+    const snapshot = JSON.stringify(answers);
+    if (snapshot !== this.savedSnapshot) {
+      this.http.put<{ success: boolean; data: { savedAt: string } }>(`${base}/answers`, { token: this.test.token, answers }).pipe(
+        timeout(60000)
+      ).subscribe({
+        next: response => {
+          this.savedSnapshot = snapshot;
+          this.lastSavedAt = response.data.savedAt;
+        },
+        error: (error: HttpErrorResponse) => this.onSaveError(error)
+      });
+    }
+
+    const events = this.pendingEvents.splice(0, MAX_EVENTS_PER_REQUEST);
+    if (events.length > 0) {
+      this.http.post(`${base}/events`, { token: this.test.token, events }).pipe(
+        timeout(60000)
+      ).subscribe({
+        error: (error: HttpErrorResponse) => {
+          if (error.status === 0) {
+            this.pendingEvents.unshift(...events);
+          }
+          this.onSaveError(error);
+        }
+      });
+    }
+  }
+
+  // Past the deadline the server submits the saved answers and sends back the result
+  private onSaveError(error: HttpErrorResponse) {
+    if (error.status === 409 && error.error?.data) {
+      this.showResult(error.error.data);
+    } else if (error.status === 409) {
+      this.stopTimers();
+      this.errorMessage = this.messageOf(error);
+    }
+  }
+
+  private showResult(result: TestResult) {
+    this.stopTimers();
+    if (this.tokenKey) {
+      localStorage.removeItem(this.tokenKey);
+    }
+    this.result = result;
+    this.step = 'result';
+  }
+
+  private collectAnswers(): SubmittedAnswer[] {
+    return this.test!.questions.map(q => q.options
+      ? { questionIndex: q.questionIndex, optionIndex: this.selectedOptions[q.questionIndex] ?? null }
+      : { questionIndex: q.questionIndex, answer: (this.answers[q.questionIndex] || '').trim() });
+  }
+
+  private restoreAnswers(saved: SubmittedAnswer[]) {
+    this.answers = {};
+    this.selectedOptions = {};
+    saved.forEach(item => {
+      if ('optionIndex' in item) {
+        if (item.optionIndex !== null) {
+          this.selectedOptions[item.questionIndex] = item.optionIndex;
+        }
+      } else {
+        this.answers[item.questionIndex] = item.answer;
+      }
+    });
+    this.savedSnapshot = JSON.stringify(this.collectAnswers());
+  }
+
+  private startTimers(test: StartedTest) {
+    this.stopTimers();
+    this.pendingEvents = [];
+    this.lastSavedAt = null;
+    this.autosaveTimer = setInterval(() => this.autosave(), AUTOSAVE_INTERVAL);
+
+    if (!test.expiresAt) {
+      this.secondsLeft = null;
+      return;
+    }
+    // The device clock may be wrong; count down against the server's
+    this.clockOffset = new Date(test.serverTime).getTime() - Date.now();
+    const deadline = new Date(test.expiresAt).getTime();
+    const tick = () => {
+      this.secondsLeft = Math.max(0, Math.round((deadline - Date.now() - this.clockOffset) / 1000));
+      if (this.secondsLeft === 0) {
+        clearInterval(this.countdownTimer);
+        this.submitTest(true);
+      }
+    };
+    tick();
+    this.countdownTimer = setInterval(tick, 1000);
+  }
+
+  private stopTimers() {
+    clearInterval(this.countdownTimer);
+    clearInterval(this.autosaveTimer);
+  }
+
+  private recordEvent(type: ProctoringEvent['type'], questionIndex?: number) {
+    if (this.step !== 'questions') {
+      return;
+    }
+    this.pendingEvents.push({ type, at: new Date().toISOString(), ...(questionIndex !== undefined ? { questionIndex } : {}) });
+  }
+
+  // The server explains refusals (unknown employee, cool-down, already submitted) in its message
+  private messageOf(error: HttpErrorResponse): string {
+    if (error.status > 0 && error.error?.message) {
+      return error.error.message;
+    }
+    return 'Unable to reach the assessment server. Please try again in a moment.';
+  }
+}
@@ -0,0 +1,89 @@
+import { TestBed } from '@angular/core/testing';
+import { provideHttpClient } from '@angular/common/http';
+import { HttpTestingController, provideHttpClientTesting } from '@angular/common/http/testing';
+import { Router, provideRouter } from '@angular/router';
+import { RouterTestingHarness } from '@angular/router/testing';
+
+import { VerifiedCertificate, VerifyCertificate } from './verify-certificate';
+import { environment } from '../environments/environment';
+
+const API_URL = environment.apiUrl;
+
+const certificate: VerifiedCertificate = {
+  certificateNumber: 'KM-2026-0042',
+  status: 'valid',
+  valid: true,
+  issuedTo: { fullName: 'Asha Rao', employeeId: 'KM0042', department: 'Welding' },
+  assessment: 'Welding Basics',
+  scoreBand: { name: 'Distinction', range: '85-100%' },
+  assessmentDate: '2026-03-01',
+  issuedAt: '2026-03-02T09:00:00.000Z',
+  revokedAt: null
+};
+
+describe('VerifyCertificate', () => {
+  let harness: RouterTestingHarness;
+  let httpMock: HttpTestingController;
+
+  beforeEach(async () => {
+    await TestBed.configureTestingModule({
+      providers: [
+        provideHttpClient(),
+        provideHttpClientTesting(),
+        provideRouter([{ path: 'verify/:code', component: VerifyCertificate }])
+      ]
+    })
+    .compileComponents();
+
+    httpMock = TestBed.inject(HttpTestingController);
+    harness = await RouterTestingHarness.create();
+  });
+
+  afterEach(() => httpMock.verify());
+
+  it('checks the certificate number in the link', async () => {
+    const component = await harness.navigateByUrl('/verify/KM-2026-0042', VerifyCertificate);
+    expect(component.code).toBe('KM-2026-0042');
+    expect(component.isLoading).toBeTrue();
+
+    httpMock.expectOne(`${API_URL}/certificates/verify/KM-2026-0042`).flush({ success: true, data: certificate });
+
+    expect(component.isLoading).toBeFalse();
+    expect(component.certificate).toEqual(certificate);
+  });
+
+  it('does not look up a blank number', async () => {
+    const component = await harness.navigateByUrl('/verify/%20', VerifyCertificate);
+    expect(component.isLoading).toBeFalse();
+    httpMock.expectNone(() => true);
+  });
+
+  it('reports an unknown certificate number', async () => {
+    const component = await harness.navigateByUrl('/verify/KM-0000-0000', VerifyCertificate);
+    httpMock.expectOne(`${API_URL}/certificates/verify/KM-0000-0000`).flush(
+      { success: false, error: 'Not found', message: 'No certificate with that number' },
+      { status: 404, statusText: 'Not Found' }
+    );
+
+    expect(component.notFound).toBeTrue();
+    expect(component.errorMessage).toBe('');
+  });
+
+  it('tells a network failure apart from an unknown number', async () => {
+    const component = await harness.navigateByUrl('/verify/KM-2026-0042', VerifyCertificate);
+    httpMock.expectOne(`${API_URL}/certificates/verify/KM-2026-0042`).error(new ProgressEvent('error'));
+
+    expect(component.notFound).toBeFalse();
+    expect(component.errorMessage).toContain('Unable to reach the verification server');
+  });
+
+  it('puts a typed number in the URL so the result can be shared', async () => {
+    const component = await harness.navigateByUrl('/verify/%20', VerifyCertificate);
+    const navigate = spyOn(TestBed.inject(Router), 'navigate').and.resolveTo(true);
+
+    component.code = '  km-2026-0042 ';
+    component.onSubmit();
+
+    expect(navigate).toHaveBeenCalledWith(['/verify', 'KM-2026-0042']);
+  });
+});
@@ -0,0 +1,97 @@
+import { Component, OnDestroy, OnInit } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { FormsModule } from '@angular/forms';
+import { HttpClient, HttpErrorResponse } from '@angular/common/http';
+import { ActivatedRoute, Router, RouterLink } from '@angular/router';
+import { Subscription } from 'rxjs';
+import { timeout } from 'rxjs/operators';
+import { environment } from '../environments/environment';
+
+export interface VerifiedCertificate {
+  certificateNumber: string;
+  status: 'valid' | 'revoked';
+  valid: boolean;
+  issuedTo: {
+    fullName: string;
+    employeeId: string;
+    department: string;
+  };
+  assessment: string;
+  scoreBand: {
+    name: string;
+    range: string;
+  };
+  assessmentDate: string;
+  issuedAt: string;
+  revokedAt: string | null;
+}
+
+@Component({
+  selector: 'app-verify-certificate',
+  imports: [CommonModule, FormsModule, RouterLink],
+  templateUrl: './verify-certificate.html',
+  styleUrl: './verify-certificate.css'
+})
+export class VerifyCertificate implements OnInit, OnDestroy {
+  // Public endpoint - no session needed
+  private readonly API_URL = environment.apiUrl;
+
+  code = '';
+  certificate: VerifiedCertificate | null = null;
+  notFound = false;
+  isLoading = false;
+  errorMessage = '';
+
+  private routeSubscription: Subscription | null = null;
+
+  constructor(private http: HttpClient, private route: ActivatedRoute, private router: Router) {}
+
+  ngOnInit() {
+    this.routeSubscription = this.route.paramMap.subscribe(params => {
+      this.code = params.get('code') || '';
+      this.verify();
+    });
+  }
+
+  ngOnDestroy() {
+    this.routeSubscription?.unsubscribe();
+  }
+
+  verify() {
+    this.certificate = null;
+    this.notFound = false;
+    this.errorMessage = '';
+
+    const code = this.code.trim();
+    if (!code) {
+      return;
+    }
+
+    this.isLoading = true;
+    // 60 seconds allows for a Render cold start
+    this.http.get<{ success: boolean; data: VerifiedCertificate }>(`${this.API_URL}/certificates/verify/${encodeURIComponent(code)}`).pipe(
+      timeout(60000)
+    ).subscribe({
+      next: response => {
+        this.isLoading = false;
+        this.certificate = response.data;
+      },
+      error: (error: HttpErrorResponse) => {
+        this.isLoading = false;
+        if (error.status === 404) {
+          this.notFound = true;
+        } else {
+          this.errorMessage = 'Unable to reach the verification server. Please try again in a moment.';
+        }
+      }
+    });
+  }
+
+  // Checking another number updates the URL so results can be shared
+  onSubmit() {
+    const code = this.code.trim().toUpperCase();
+    if (code) {
+      this.router.navigate(['/verify', code]);
+    }
+  }
+}